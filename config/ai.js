@@ -0,0 +1,96 @@
+const fs = require("fs");
+
+const SUPPORTED_PROVIDERS = [
+  "gemini",
+  "openai-compatible",
+  "fixture",
+  "replay",
+];
+const REPLAY_MODES = ["replay", "record"];
+
+/**
+ * Read AI provider settings from the environment.
+ * AI_PROVIDER picks the deployment default; the other blocks are only
+ * consulted when that provider is actually used.
+ */
+const getAIConfig = () => ({
+  defaultProvider: (process.env.AI_PROVIDER || "gemini").toLowerCase(),
+  allowRequestOverride: process.env.AI_ALLOW_PROVIDER_OVERRIDE === "true",
+  providers: {
+    gemini: {
+      apiKey: process.env.GOOGLE_GENERATIVE_AI_API_KEY,
+      model: process.env.GEMINI_MODEL || "gemini-2.0-flash",
+    },
+    "openai-compatible": {
+      baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+      model: process.env.OPENAI_COMPATIBLE_MODEL,
+      structuredOutputs:
+        process.env.OPENAI_COMPATIBLE_STRUCTURED_OUTPUTS === "true",
+    },
+    fixture: {
+      model: process.env.FIXTURE_MODEL || "fixture-v1",
+      failure: process.env.FIXTURE_FAILURE || null,
+    },
+    replay: {
+      file: process.env.AI_REPLAY_FILE,
+      mode: (process.env.AI_REPLAY_MODE || "replay").toLowerCase(),
+      source: (process.env.AI_REPLAY_SOURCE || "gemini").toLowerCase(),
+    },
+  },
+});
+
+/**
+ * Return a list of configuration problems for a single provider
+ */
+const validateProviderConfig = (name, config = getAIConfig()) => {
+  const issues = [];
+
+  if (!SUPPORTED_PROVIDERS.includes(name)) {
+    issues.push(
+      `Unknown AI provider "${name}". Supported: ${SUPPORTED_PROVIDERS.join(
+        ", "
+      )}`
+    );
+    return issues;
+  }
+
+  const settings = config.providers[name];
+
+  if (name === "gemini" && !settings.apiKey) {
+    issues.push("GOOGLE_GENERATIVE_AI_API_KEY environment variable is not set");
+  }
+
+  if (name === "openai-compatible") {
+    if (!settings.baseURL) {
+      issues.push("OPENAI_COMPATIBLE_BASE_URL environment variable is not set");
+    }
+    if (!settings.model) {
+      issues.push("OPENAI_COMPATIBLE_MODEL environment variable is not set");
+    }
+  }
+
+  if (name === "replay") {
+    if (!settings.file) {
+      issues.push("AI_REPLAY_FILE environment variable is not set");
+    }
+    if (!REPLAY_MODES.includes(settings.mode)) {
+      issues.push(`AI_REPLAY_MODE must be one of: ${REPLAY_MODES.join(", ")}`);
+    } else if (settings.mode === "record") {
+      // Recording needs a real provider to record from
+      if (settings.source === "replay") {
+        issues.push("AI_REPLAY_SOURCE must name a provider other than replay");
+      } else {
+        issues.push(...validateProviderConfig(settings.source, config));
+      }
+    } else if (settings.file && !fs.existsSync(settings.file)) {
+      issues.push(
+        `AI_REPLAY_FILE ${settings.file} does not exist; record responses with AI_REPLAY_MODE=record first`
+      );
+    }
+  }
+
+  return issues;
+};
+
+module.exports = { SUPPORTED_PROVIDERS, getAIConfig, validateProviderConfig };
@@ -0,0 +1,48 @@
+const multer = require("multer");
+const { cleanupFile } = require("../utils/file");
+
+const MAX_BATCH_FILES = 100;
+
+// Recruiter batch uploads: several resumes and/or ZIP archives of resumes.
+// Files go to disk, not memory: a full batch can be up to 2GB, and
+// collectResumeFiles only reads back what fits its extraction limits.
+const batchUpload = multer({
+  storage: multer.diskStorage({ destination: "/tmp/uploads" }),
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB per file (ZIP archives)
+    files: MAX_BATCH_FILES,
+  },
+  fileFilter: function (req, file, cb) {
+    const allowedTypes = [
+      "application/pdf",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "text/plain",
+      "application/zip",
+      "application/x-zip-compressed",
+    ];
+    if (
+      allowedTypes.includes(file.mimetype) ||
+      /\.zip$/i.test(file.originalname)
+    ) {
+      cb(null, true);
+    } else {
+      cb(
+        new Error(
+          "Invalid file type. Only PDF, DOCX, TXT and ZIP files are allowed."
+        )
+      );
+    }
+  },
+});
+
+/**
+ * Delete the request's uploaded files once the response is done
+ */
+const removeBatchUploads = (req, res, next) => {
+  res.on("close", () => {
+    (req.files || []).forEach((file) => cleanupFile(file.path));
+  });
+  next();
+};
+
+module.exports = { batchUpload, removeBatchUploads, MAX_BATCH_FILES };
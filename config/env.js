@@ -1,11 +1,23 @@
 const fs = require("fs");
 const path = require("path");
+const { getAIConfig, validateProviderConfig } = require("./ai");
+const { INJECTION_POLICIES } = require("../lib/prompt-injection");
 
 const validateEnvironment = () => {
   const issues = [];
 
-  if (!process.env.GOOGLE_GENERATIVE_AI_API_KEY) {
-    issues.push("GOOGLE_GENERATIVE_AI_API_KEY environment variable is not set");
+  // Only the default provider has to be usable at startup
+  const aiConfig = getAIConfig();
+  issues.push(...validateProviderConfig(aiConfig.defaultProvider, aiConfig));
+
+  const injectionPolicy = process.env.PROMPT_INJECTION_POLICY;
+  if (
+    injectionPolicy &&
+    !INJECTION_POLICIES.includes(injectionPolicy.trim().toLowerCase())
+  ) {
+    issues.push(
+      `PROMPT_INJECTION_POLICY must be one of: ${INJECTION_POLICIES.join(", ")}`
+    );
   }
 
   // Check if uploads directory exists and is writable
@@ -0,0 +1,37 @@
+const fs = require("fs");
+
+// USD per 1M tokens. Keys match model IDs by longest prefix.
+const DEFAULT_PRICE_TABLE = {
+  "gemini-2.5-pro": { input: 1.25, output: 10.0 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.0-flash-lite": { input: 0.075, output: 0.3 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-1.5-pro": { input: 1.25, output: 5.0 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+  "fixture-": { input: 0, output: 0 },
+};
+
+/**
+ * Load the price table, letting AI_PRICE_TABLE_FILE (path to a JSON file) or
+ * AI_PRICE_TABLE (inline JSON) override or extend the defaults
+ */
+const loadPriceTable = () => {
+  let overrides = {};
+
+  try {
+    if (process.env.AI_PRICE_TABLE_FILE) {
+      overrides = JSON.parse(
+        fs.readFileSync(process.env.AI_PRICE_TABLE_FILE, "utf8")
+      );
+    } else if (process.env.AI_PRICE_TABLE) {
+      overrides = JSON.parse(process.env.AI_PRICE_TABLE);
+    }
+  } catch (error) {
+    console.error("Invalid AI price table, using defaults:", error.message);
+    overrides = {};
+  }
+
+  return { ...DEFAULT_PRICE_TABLE, ...overrides };
+};
+
+module.exports = { DEFAULT_PRICE_TABLE, loadPriceTable };
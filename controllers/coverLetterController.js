@@ -0,0 +1,604 @@
+const {
+  AIService,
+  CoverLetterSchema,
+  COVER_LETTER_TONES,
+  COVER_LETTER_LENGTHS,
+  COVER_LETTER_PARAGRAPHS,
+  MAX_COVER_LETTER_VARIANTS,
+} = require("../lib/ai-service");
+const { AIServiceError } = require("../lib/ai-errors");
+const {
+  getCompanyContextStore,
+  validateCompanyContext,
+  CONTEXT_FIELDS,
+} = require("../lib/company-context-store");
+const { resolveLocale, UNSUPPORTED_LOCALE_MESSAGE } = require("../lib/locale");
+const { findNonTextField } = require("../utils/textFields");
+const LaTeXCoverLetterGenerator = require("../lib/cover-letter-generator");
+const { toResumeData } = require("../lib/resume-parser");
+const { parseResumeSource } = require("../lib/resume-source");
+const {
+  DEFAULT_BACKEND,
+  LETTER_BACKENDS,
+  compileResume,
+} = require("../lib/resume-build");
+
+let aiService;
+try {
+  aiService = new AIService();
+} catch (error) {
+  aiService = null;
+}
+
+// Target lengths accepted as a word count
+const MIN_LETTER_WORDS = 100;
+const MAX_LETTER_WORDS = 800;
+const MAX_HIRING_MANAGER_LENGTH = 100;
+const MAX_INSTRUCTIONS_LENGTH = 1000;
+const MAX_DATE_LENGTH = 100;
+const MAX_ADDRESS_LENGTH = 500;
+
+const companyContextStore = getCompanyContextStore();
+const letterGenerator = new LaTeXCoverLetterGenerator();
+
+const serviceUnavailable = (res) =>
+  res.status(500).json({
+    error: "AI Service not available",
+    message: "AI cover letter generation service is not properly configured.",
+  });
+
+/**
+ * Tone, length, hiring manager and variant count from the request body.
+ * Returns { options } or { error }.
+ */
+const parseLetterOptions = (body) => {
+  const { tone, length, hiringManager, variants = 1 } = body;
+
+  if (tone && !COVER_LETTER_TONES.includes(tone)) {
+    return {
+      error: `Unsupported tone. Use one of: ${COVER_LETTER_TONES.join(", ")}`,
+    };
+  }
+
+  let targetLength = null;
+  if (length !== undefined && length !== null && length !== "") {
+    if (COVER_LETTER_LENGTHS.includes(length)) {
+      targetLength = length;
+    } else {
+      targetLength = Number(length);
+      if (
+        !Number.isInteger(targetLength) ||
+        targetLength < MIN_LETTER_WORDS ||
+        targetLength > MAX_LETTER_WORDS
+      ) {
+        return {
+          error: `length must be one of ${COVER_LETTER_LENGTHS.join(
+            ", "
+          )} or a word count between ${MIN_LETTER_WORDS} and ${MAX_LETTER_WORDS}`,
+        };
+      }
+    }
+  }
+
+  const count = Number(variants);
+  if (
+    !Number.isInteger(count) ||
+    count < 1 ||
+    count > MAX_COVER_LETTER_VARIANTS
+  ) {
+    return {
+      error: `variants must be between 1 and ${MAX_COVER_LETTER_VARIANTS}`,
+    };
+  }
+
+  if (
+    hiringManager &&
+    (typeof hiringManager !== "string" ||
+      hiringManager.length > MAX_HIRING_MANAGER_LENGTH)
+  ) {
+    return {
+      error: `hiringManager must be a name of at most ${MAX_HIRING_MANAGER_LENGTH} characters`,
+    };
+  }
+
+  return {
+    options: {
+      tone: tone || null,
+      length: targetLength,
+      hiringManager: (hiringManager && hiringManager.trim()) || null,
+      variants: count,
+    },
+  };
+};
+
+const pickContext = (entry) =>
+  Object.fromEntries(
+    CONTEXT_FIELDS.filter((field) => entry[field]).map((field) => [
+      field,
+      entry[field],
+    ])
+  );
+
+/**
+ * Company context for a letter: the request's `companyContext`, otherwise
+ * the context saved earlier for `companyName`. Returns { context, source,
+ * save } or { errors }; `save` asks for the request's context to be kept
+ * for the company once it passed screening.
+ */
+const resolveCompanyContext = (req) => {
+  const { companyName, companyContext, saveCompanyContext } = req.body;
+
+  if (companyContext) {
+    const { context, errors } = validateCompanyContext(companyContext);
+    if (errors) return { errors };
+
+    if (saveCompanyContext && !companyName) {
+      return {
+        errors: [
+          {
+            path: "companyName",
+            message: "companyName is required to save a company context",
+          },
+        ],
+      };
+    }
+    return { context, source: "request", save: !!saveCompanyContext };
+  }
+
+  const saved =
+    companyName &&
+    companyContextStore.get(req.aiContext.sessionId, companyName);
+  return saved
+    ? { context: pickContext(saved), source: "saved", save: false }
+    : { context: null, source: null, save: false };
+};
+
+const inspectContext = (req, context) =>
+  req.promptInjection.inspect(
+    Object.fromEntries(
+      CONTEXT_FIELDS.map((field) => [
+        `company_context.${field}`,
+        context && context[field],
+      ])
+    )
+  );
+
+const handleServiceError = (error, res, next, message) => {
+  if (error instanceof AIServiceError) {
+    return next(error);
+  }
+
+  return res.status(500).json({
+    error: message,
+    details: error.message,
+  });
+};
+
+/**
+ * Generate a cover letter, or 2-3 variants with `variants`. Optional:
+ * `tone`, `length` (preset or word count), `hiringManager` and
+ * `companyContext` ({ mission, values, product, whyThisCompany }); with
+ * `saveCompanyContext` the context is kept for later letters to the same
+ * `companyName`.
+ */
+const generateCoverLetter = async (req, res, next) => {
+  try {
+    if (!aiService) return serviceUnavailable(res);
+
+    const { resumeText, jobDescription, companyName } = req.body;
+    if (!resumeText || !jobDescription) {
+      return res
+        .status(400)
+        .json({ error: "Resume text and job description are required" });
+    }
+    const nonText = findNonTextField(req.body, [
+      "resumeText",
+      "jobDescription",
+      "companyName",
+      "locale",
+    ]);
+    if (nonText) {
+      return res.status(400).json({ error: `${nonText} must be a string` });
+    }
+
+    const { options, error } = parseLetterOptions(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const company = resolveCompanyContext(req);
+    if (company.errors) {
+      return res.status(400).json({
+        error: "Invalid company context",
+        validation_errors: company.errors,
+      });
+    }
+
+    const rejection =
+      req.promptInjection.inspect({
+        resume: resumeText,
+        job_description: jobDescription,
+        company_name: companyName,
+        hiring_manager: options.hiringManager,
+      }) || inspectContext(req, company.context);
+    if (rejection) return next(rejection);
+
+    const locale = resolveLocale(req.body.locale, resumeText);
+    if (!locale) {
+      return res.status(400).json({ error: UNSUPPORTED_LOCALE_MESSAGE });
+    }
+
+    if (company.save) {
+      companyContextStore.save(
+        req.aiContext.sessionId,
+        companyName,
+        company.context
+      );
+    }
+
+    let response;
+    try {
+      response = await aiService
+        .withContext(req.aiContext)
+        .generateCoverLetter(resumeText, jobDescription, companyName, {
+          ...options,
+          companyContext: company.context,
+          locale: locale.code,
+        });
+    } catch (error) {
+      console.error(
+        "AI Service cover letter generation failed:",
+        error.message
+      );
+      return handleServiceError(
+        error,
+        res,
+        next,
+        "AI cover letter generation service is currently unavailable. Please check your API configuration and try again."
+      );
+    }
+
+    res.json({
+      ...response,
+      locale,
+      options: {
+        tone: options.tone,
+        length: options.length,
+        hiring_manager: options.hiringManager,
+        variants: options.variants,
+        company_context: company.source,
+        company_context_saved: company.save,
+      },
+    });
+  } catch (error) {
+    console.error("Error generating cover letter:", error);
+    res.status(500).json({ error: "Failed to generate cover letter" });
+  }
+};
+
+/**
+ * Rewrite one paragraph (`section`) of a generated letter's `coverLetter`
+ * sections, optionally following `instructions`
+ */
+const regenerateParagraph = async (req, res, next) => {
+  try {
+    if (!aiService) return serviceUnavailable(res);
+
+    const {
+      resumeText,
+      jobDescription,
+      companyName,
+      coverLetter,
+      section,
+      instructions,
+      hiringManager,
+    } = req.body;
+    if (!resumeText || !coverLetter || typeof coverLetter !== "object") {
+      return res.status(400).json({
+        error:
+          "Resume text and the structured coverLetter sections are required",
+      });
+    }
+    const nonText = findNonTextField(req.body, [
+      "resumeText",
+      "jobDescription",
+      "companyName",
+      "hiringManager",
+      "locale",
+    ]);
+    if (nonText) {
+      return res.status(400).json({ error: `${nonText} must be a string` });
+    }
+    if (!COVER_LETTER_PARAGRAPHS.includes(section)) {
+      return res.status(400).json({
+        error: `section must be one of: ${COVER_LETTER_PARAGRAPHS.join(", ")}`,
+      });
+    }
+    if (typeof coverLetter[section] !== "string" || !coverLetter[section]) {
+      return res
+        .status(400)
+        .json({ error: `The cover letter has no ${section} to regenerate` });
+    }
+    if (
+      instructions &&
+      (typeof instructions !== "string" ||
+        instructions.length > MAX_INSTRUCTIONS_LENGTH)
+    ) {
+      return res.status(400).json({
+        error: `instructions must be text of at most ${MAX_INSTRUCTIONS_LENGTH} characters`,
+      });
+    }
+
+    const company = resolveCompanyContext(req);
+    if (company.errors) {
+      return res.status(400).json({
+        error: "Invalid company context",
+        validation_errors: company.errors,
+      });
+    }
+
+    const rejection =
+      req.promptInjection.inspect({
+        resume: resumeText,
+        job_description: jobDescription,
+        company_name: companyName,
+        hiring_manager: hiringManager,
+        instructions,
+        ...Object.fromEntries(
+          Object.entries(coverLetter).map(([key, value]) => [
+            `cover_letter.${key}`,
+            value,
+          ])
+        ),
+      }) || inspectContext(req, company.context);
+    if (rejection) return next(rejection);
+
+    const locale = resolveLocale(req.body.locale, resumeText);
+    if (!locale) {
+      return res.status(400).json({ error: UNSUPPORTED_LOCALE_MESSAGE });
+    }
+
+    if (company.save) {
+      companyContextStore.save(
+        req.aiContext.sessionId,
+        companyName,
+        company.context
+      );
+    }
+
+    let response;
+    try {
+      response = await aiService
+        .withContext(req.aiContext)
+        .regenerateCoverLetterParagraph(
+          resumeText,
+          jobDescription || null,
+          coverLetter,
+          section,
+          {
+            companyName,
+            hiringManager: hiringManager || null,
+            companyContext: company.context,
+            instructions: instructions || null,
+            locale: locale.code,
+          }
+        );
+    } catch (error) {
+      console.error("AI Service paragraph regeneration failed:", error.message);
+      return handleServiceError(
+        error,
+        res,
+        next,
+        "Failed to regenerate the cover letter paragraph"
+      );
+    }
+
+    res.json({ success: true, ...response, locale });
+  } catch (error) {
+    console.error("Error regenerating cover letter paragraph:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to regenerate cover letter paragraph" });
+  }
+};
+
+/**
+ * Resume data for the letter header from `resumeData`, `parsedResume` (the
+ * `resume` of /api/parse-resume) or a resume `source` file. Returns
+ * { resumeData } or { error, validation_errors }.
+ */
+const resolveLetterResume = ({ resumeData, parsedResume, source }) => {
+  if (resumeData && typeof resumeData === "object") return { resumeData };
+  if (parsedResume && typeof parsedResume === "object") {
+    return { resumeData: toResumeData({ resume: parsedResume }) };
+  }
+  if (typeof source === "string" && source.trim()) {
+    const parsed = parseResumeSource(source);
+    return parsed.valid
+      ? { resumeData: parsed.resumeData }
+      : {
+          error: "Invalid resume source",
+          validation_errors: parsed.errors,
+        };
+  }
+  return {
+    error:
+      "Send the resume for the letter header as resumeData, parsedResume or a resume source",
+  };
+};
+
+const isShortText = (value, max) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.length <= max);
+
+/**
+ * Typeset a generated letter's `coverLetter` sections as a PDF with the
+ * same name and contact header as the resume. Optional: `companyName`,
+ * `hiringManager` and `recipientAddress` for the recipient block, `date`
+ * (today's date in the letter's language by default) and `locale`. Query
+ * options: `backend` (one of LETTER_BACKENDS), `filename` and
+ * `output=latex` to return the LaTeX instead of compiling it.
+ */
+const buildCoverLetterPdf = async (req, res) => {
+  try {
+    const {
+      backend = DEFAULT_BACKEND,
+      output = "pdf",
+      filename = "cover-letter",
+    } = req.query;
+    if (!LETTER_BACKENDS.includes(backend)) {
+      return res.status(400).json({
+        error: `Unsupported compile backend "${backend}" for cover letters`,
+        backends: LETTER_BACKENDS,
+      });
+    }
+
+    const letter = CoverLetterSchema.shape.cover_letter.safeParse(
+      req.body.coverLetter
+    );
+    if (!letter.success) {
+      return res.status(400).json({
+        error: "Send the structured coverLetter sections of a generated letter",
+        validation_errors: letter.error.issues.map((issue) => ({
+          path: ["coverLetter", ...issue.path].join("."),
+          message: issue.message,
+        })),
+      });
+    }
+
+    const { resumeData, ...resumeError } = resolveLetterResume(req.body);
+    if (!resumeData) return res.status(400).json(resumeError);
+
+    const { companyName, hiringManager, recipientAddress, date } = req.body;
+    const addressLines = Array.isArray(recipientAddress)
+      ? recipientAddress
+      : [recipientAddress];
+    if (
+      !isShortText(companyName, MAX_HIRING_MANAGER_LENGTH) ||
+      !isShortText(hiringManager, MAX_HIRING_MANAGER_LENGTH) ||
+      !isShortText(date, MAX_DATE_LENGTH) ||
+      !addressLines.every((line) => isShortText(line, MAX_ADDRESS_LENGTH))
+    ) {
+      return res.status(400).json({
+        error: `companyName and hiringManager must be at most ${MAX_HIRING_MANAGER_LENGTH} characters, date at most ${MAX_DATE_LENGTH} and recipientAddress text or lines of at most ${MAX_ADDRESS_LENGTH}`,
+      });
+    }
+
+    const locale = resolveLocale(
+      req.body.locale,
+      Object.values(letter.data).join("\n\n")
+    );
+    if (!locale) {
+      return res.status(400).json({ error: UNSUPPORTED_LOCALE_MESSAGE });
+    }
+
+    const latexCode = letterGenerator.generateLetter(resumeData, letter.data, {
+      locale: locale.code,
+      date,
+      companyName,
+      hiringManager,
+      recipientAddress,
+    });
+
+    if (output === "latex") {
+      return res.json({ success: true, locale, resumeData, latexCode });
+    }
+
+    const result = await compileResume(latexCode, backend, filename);
+    if (!result.success) {
+      console.error(`❌ Cover letter build failed (${backend}):`, result.error);
+      return res.status(502).json({
+        success: false,
+        error: "PDF compilation failed",
+        backend,
+        details: result.error,
+        latexCode,
+      });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename.replace(/[^\w.-]+/g, "-")}.pdf"`
+    );
+    res.setHeader("Content-Length", result.pdfBuffer.length);
+    res.setHeader("X-Compile-Backend", backend);
+    res.send(result.pdfBuffer);
+  } catch (error) {
+    console.error("Cover letter PDF error:", error);
+    res.status(500).json({
+      error: "Failed to build cover letter PDF",
+      details: error.message,
+    });
+  }
+};
+
+const listCompanyContexts = (req, res) => {
+  res.json({
+    success: true,
+    contexts: companyContextStore
+      .list(req.aiContext.sessionId)
+      .map((entry) => companyContextStore.describe(entry)),
+  });
+};
+
+const getCompanyContext = (req, res) => {
+  const entry = companyContextStore.get(
+    req.aiContext.sessionId,
+    req.params.company
+  );
+  if (!entry) {
+    return res.status(404).json({ error: "No saved context for this company" });
+  }
+  res.json({ success: true, context: companyContextStore.describe(entry) });
+};
+
+/**
+ * Save the context for `:company` from the body's { mission, values,
+ * product, whyThisCompany }, replacing any saved before
+ */
+const saveCompanyContext = (req, res, next) => {
+  try {
+    const { context, errors } = validateCompanyContext(req.body);
+    if (errors) {
+      return res.status(400).json({
+        error: "Invalid company context",
+        validation_errors: errors,
+      });
+    }
+
+    const rejection = inspectContext(req, context);
+    if (rejection) return next(rejection);
+
+    const entry = companyContextStore.save(
+      req.aiContext.sessionId,
+      req.params.company,
+      context
+    );
+    res.json({ success: true, context: companyContextStore.describe(entry) });
+  } catch (error) {
+    console.error("Error saving company context:", error);
+    res.status(500).json({
+      error: "Failed to save company context",
+      details: error.message,
+    });
+  }
+};
+
+const deleteCompanyContext = (req, res) => {
+  if (
+    !companyContextStore.delete(req.aiContext.sessionId, req.params.company)
+  ) {
+    return res.status(404).json({ error: "No saved context for this company" });
+  }
+  res.json({ success: true });
+};
+
+module.exports = {
+  generateCoverLetter,
+  regenerateParagraph,
+  buildCoverLetterPdf,
+  listCompanyContexts,
+  getCompanyContext,
+  saveCompanyContext,
+  deleteCompanyContext,
+};
@@ -0,0 +1,79 @@
+const { getPromptRegistry } = require("../lib/prompt-registry");
+const { getExperimentTracker } = require("../lib/prompt-experiments");
+
+const promptRegistry = getPromptRegistry();
+const experimentTracker = getExperimentTracker();
+
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Rate one AI response, identified by the `run_id` of its `prompt_template`
+ */
+const submitPromptFeedback = (req, res) => {
+  try {
+    const { runId, comment } = req.body;
+    const rating = Number(req.body.rating);
+
+    if (!runId) {
+      return res.status(400).json({ error: "runId is required" });
+    }
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res
+        .status(400)
+        .json({ error: "rating must be a whole number from 1 to 5" });
+    }
+
+    const run = experimentTracker.getRun(String(runId));
+    if (!run) {
+      return res.status(404).json({ error: "Prompt run not found or expired" });
+    }
+    // Only the session that received a response can rate it
+    if (!run.sessionId || run.sessionId !== req.aiContext.sessionId) {
+      return res
+        .status(403)
+        .json({ error: "Access to this prompt run denied" });
+    }
+    if (run.feedback) {
+      return res
+        .status(409)
+        .json({ error: "Feedback was already given for this response" });
+    }
+
+    experimentTracker.recordFeedback(run, {
+      rating,
+      comment: comment
+        ? String(comment).trim().slice(0, MAX_COMMENT_LENGTH) || null
+        : null,
+    });
+
+    res.json({
+      success: true,
+      prompt_template: { id: run.id, version: run.version, run_id: runId },
+      rating,
+    });
+  } catch (error) {
+    console.error("Error recording prompt feedback:", error);
+    res.status(500).json({ error: "Failed to record feedback" });
+  }
+};
+
+/**
+ * Score distribution and feedback per prompt template version, plus the
+ * registry's defaults and running experiments
+ */
+const getPromptExperiments = (req, res) => {
+  try {
+    res.json({
+      success: true,
+      experimentsEnabled: promptRegistry.experimentsEnabled,
+      templates: experimentTracker.summarize(promptRegistry, {
+        templateId: req.query.template || null,
+      }),
+    });
+  } catch (error) {
+    console.error("Error getting prompt experiments:", error);
+    res.status(500).json({ error: "Failed to get prompt experiments" });
+  }
+};
+
+module.exports = { submitPromptFeedback, getPromptExperiments };
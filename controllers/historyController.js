@@ -1,20 +1,19 @@
-const { AIService } = require("../lib/ai-service");
+const { getConversationStore } = require("../lib/conversation-store");
+const { isAdminRequest } = require("../middlewares/adminAuth");
 
-let aiService;
-try {
-  aiService = new AIService();
-} catch (error) {
-  aiService = null;
-}
+const conversationStore = getConversationStore();
+
+// Callers may only touch their own session unless they hold the admin token
+const canAccessSession = (req, sessionId) =>
+  sessionId === req.aiContext.sessionId || isAdminRequest(req);
 
 const clearHistory = (req, res) => {
   try {
-    if (aiService) {
-      aiService.clearHistory();
-      res.json({ message: "Conversation history cleared successfully" });
-    } else {
-      res.status(500).json({ error: "AI Service not available" });
-    }
+    conversationStore.getManager(req.aiContext.sessionId).clearHistory();
+    res.json({
+      message: "Conversation history cleared successfully",
+      sessionId: req.aiContext.sessionId,
+    });
   } catch (error) {
     console.error("Error clearing history:", error);
     res.status(500).json({ error: "Failed to clear conversation history" });
@@ -23,19 +22,71 @@ const clearHistory = (req, res) => {
 
 const getHistory = (req, res) => {
   try {
-    if (aiService) {
-      const history = aiService.getHistory();
-      res.json({ history });
-    } else {
-      res.status(500).json({ error: "AI Service not available" });
-    }
+    const history = conversationStore
+      .getManager(req.aiContext.sessionId)
+      .getHistory();
+    res.json({ sessionId: req.aiContext.sessionId, history });
   } catch (error) {
     console.error("Error getting history:", error);
     res.status(500).json({ error: "Failed to get conversation history" });
   }
 };
 
+const listSessions = (req, res) => {
+  try {
+    const sessions = conversationStore.listSessions();
+    res.json({ sessions, count: sessions.length });
+  } catch (error) {
+    console.error("Error listing sessions:", error);
+    res.status(500).json({ error: "Failed to list sessions" });
+  }
+};
+
+const exportSession = (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!canAccessSession(req, sessionId)) {
+      return res.status(403).json({ error: "Access to this session denied" });
+    }
+
+    const exported = conversationStore.exportSession(sessionId);
+    if (!exported) {
+      return res.status(404).json({ error: "Session not found or expired" });
+    }
+
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="session-${sessionId}.json"`
+    );
+    res.json(exported);
+  } catch (error) {
+    console.error("Error exporting session:", error);
+    res.status(500).json({ error: "Failed to export session" });
+  }
+};
+
+const deleteSession = (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!canAccessSession(req, sessionId)) {
+      return res.status(403).json({ error: "Access to this session denied" });
+    }
+
+    if (!conversationStore.deleteSession(sessionId)) {
+      return res.status(404).json({ error: "Session not found or expired" });
+    }
+
+    res.json({ message: "Session deleted successfully", sessionId });
+  } catch (error) {
+    console.error("Error deleting session:", error);
+    res.status(500).json({ error: "Failed to delete session" });
+  }
+};
+
 module.exports = {
   clearHistory,
   getHistory,
+  listSessions,
+  exportSession,
+  deleteSession,
 };
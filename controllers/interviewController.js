@@ -0,0 +1,375 @@
+const { AIService } = require("../lib/ai-service");
+const { AIServiceError } = require("../lib/ai-errors");
+const { PromptSecurity } = require("../lib/prompt-system");
+const { extractTextFromFile } = require("../utils/file");
+const {
+  getInterviewStore,
+  summarizeGrades,
+} = require("../lib/interview-store");
+const { isAdminRequest } = require("../middlewares/adminAuth");
+
+let aiService;
+try {
+  aiService = new AIService();
+} catch (error) {
+  aiService = null;
+}
+
+const MAX_QUESTIONS_PER_TYPE = 5;
+const MAX_MOCK_QUESTIONS = 10;
+const MAX_ANSWER_LENGTH = 5000;
+
+const interviewStore = getInterviewStore();
+
+// Interviews are visible to the session that started them and to admins
+const findAccessibleInterview = (req, res) => {
+  const interview = interviewStore.get(req.params.interviewId);
+  if (!interview) {
+    res.status(404).json({ error: "Mock interview not found or expired" });
+    return null;
+  }
+  if (
+    interview.ownerSessionId !== req.aiContext.sessionId &&
+    !isAdminRequest(req)
+  ) {
+    res.status(403).json({ error: "Access to this mock interview denied" });
+    return null;
+  }
+  return interview;
+};
+
+const generateInterviewQuestions = async (req, res, next) => {
+  try {
+    if (!aiService) {
+      return res.status(500).json({
+        error: "AI Service not available",
+        message: "AI interview preparation service is not properly configured.",
+      });
+    }
+
+    let resumeText = "";
+
+    if (req.file) {
+      try {
+        resumeText = await extractTextFromFile(
+          req.file.buffer,
+          req.file.mimetype
+        );
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    } else if (req.body.resumeText) {
+      resumeText = req.body.resumeText;
+    } else {
+      return res.status(400).json({
+        error:
+          "No resume provided. Please upload a file or enter text content.",
+      });
+    }
+
+    const rejection = req.promptInjection.inspect({
+      resume: resumeText,
+      job_description: req.body.jobDescription,
+    });
+    if (rejection) return next(rejection);
+
+    const sanitizedResumeText = PromptSecurity.sanitizeInput(resumeText);
+    if (!sanitizedResumeText || sanitizedResumeText.trim().length < 50) {
+      return res.status(400).json({
+        error:
+          "Resume content is too short (minimum 50 characters) or contains invalid content.",
+      });
+    }
+
+    const questionsPerType = parseInt(req.body.questionsPerType, 10) || 3;
+    if (questionsPerType < 1 || questionsPerType > MAX_QUESTIONS_PER_TYPE) {
+      return res.status(400).json({
+        error: `questionsPerType must be between 1 and ${MAX_QUESTIONS_PER_TYPE}`,
+      });
+    }
+
+    const response = await aiService
+      .withContext(req.aiContext)
+      .generateInterviewQuestions(
+        sanitizedResumeText,
+        req.body.jobDescription || null,
+        { questionsPerType }
+      );
+
+    res.json({ success: true, ...response });
+  } catch (error) {
+    if (error instanceof AIServiceError) {
+      return next(error);
+    }
+
+    console.error("Interview question generation error:", error);
+    res.status(500).json({
+      error: "Failed to generate interview questions",
+      details: error.message,
+    });
+  }
+};
+
+const startMockInterview = async (req, res, next) => {
+  try {
+    if (!aiService) {
+      return res.status(500).json({
+        error: "AI Service not available",
+        message: "AI interview preparation service is not properly configured.",
+      });
+    }
+
+    let resumeText = "";
+
+    if (req.file) {
+      try {
+        resumeText = await extractTextFromFile(
+          req.file.buffer,
+          req.file.mimetype
+        );
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    } else if (req.body.resumeText) {
+      resumeText = req.body.resumeText;
+    } else {
+      return res.status(400).json({
+        error:
+          "No resume provided. Please upload a file or enter text content.",
+      });
+    }
+
+    const rejection = req.promptInjection.inspect({
+      resume: resumeText,
+      job_description: req.body.jobDescription,
+    });
+    if (rejection) return next(rejection);
+
+    const sanitizedResumeText = PromptSecurity.sanitizeInput(resumeText);
+    if (!sanitizedResumeText || sanitizedResumeText.trim().length < 50) {
+      return res.status(400).json({
+        error:
+          "Resume content is too short (minimum 50 characters) or contains invalid content.",
+      });
+    }
+
+    const questionCount = parseInt(req.body.questionCount, 10) || 5;
+    if (questionCount < 1 || questionCount > MAX_MOCK_QUESTIONS) {
+      return res.status(400).json({
+        error: `questionCount must be between 1 and ${MAX_MOCK_QUESTIONS}`,
+      });
+    }
+
+    let interview;
+    try {
+      interview = interviewStore.create({
+        ownerSessionId: req.aiContext.sessionId,
+        resumeText: sanitizedResumeText,
+        jobDescription: req.body.jobDescription || null,
+        questionCount,
+      });
+    } catch (error) {
+      return res.status(503).json({ error: error.message });
+    }
+
+    try {
+      const question = await aiService
+        .withContext(req.aiContext)
+        .startMockInterview(interview);
+      interviewStore.recordOpeningQuestion(interview, question);
+    } catch (error) {
+      // Nothing to resume without an opening question
+      interviewStore.delete(interview.id);
+      throw error;
+    }
+
+    console.log(
+      `🎤 Mock interview ${interview.id} started (${questionCount} questions)`
+    );
+
+    res.status(201).json({
+      success: true,
+      interview: interviewStore.describe(interview),
+    });
+  } catch (error) {
+    if (error instanceof AIServiceError) {
+      return next(error);
+    }
+
+    console.error("Mock interview start error:", error);
+    res.status(500).json({
+      error: "Failed to start mock interview",
+      details: error.message,
+    });
+  }
+};
+
+const getMockInterview = (req, res) => {
+  try {
+    const interview = findAccessibleInterview(req, res);
+    if (!interview) return;
+
+    res.json({ success: true, interview: interviewStore.describe(interview) });
+  } catch (error) {
+    console.error("Error getting mock interview:", error);
+    res.status(500).json({ error: "Failed to get mock interview" });
+  }
+};
+
+/**
+ * Build the scorecard from the graded turns plus the AI summary and mark
+ * the interview completed
+ */
+const completeInterview = async (req, interview) => {
+  const summary = await aiService
+    .withContext(req.aiContext)
+    .summarizeMockInterview(interview);
+
+  return interviewStore.complete(interview, {
+    ...summarizeGrades(interview.turns),
+    ...summary,
+    questions: interview.turns.map(({ number, question, grade }) => ({
+      number,
+      question,
+      overall_score: grade.overall_score,
+    })),
+  });
+};
+
+const answerMockInterview = async (req, res, next) => {
+  let lockedInterview = null;
+  try {
+    if (!aiService) {
+      return res.status(500).json({
+        error: "AI Service not available",
+        message: "AI interview preparation service is not properly configured.",
+      });
+    }
+
+    const interview = findAccessibleInterview(req, res);
+    if (!interview) return;
+
+    if (interview.status === "completed" || !interview.currentQuestion) {
+      return res.status(409).json({
+        error: "All questions have been answered",
+        status: interview.status,
+      });
+    }
+    if (interview.pending) {
+      return res.status(409).json({
+        error: "The previous answer is still being graded",
+      });
+    }
+
+    const rawAnswer = (req.body.answer || "")
+      .toString()
+      .slice(0, MAX_ANSWER_LENGTH);
+    const rejection = req.promptInjection.inspect({ answer: rawAnswer });
+    if (rejection) return next(rejection);
+
+    const answer = PromptSecurity.sanitizeInput(rawAnswer).trim();
+    if (!answer) {
+      return res.status(400).json({ error: "An answer is required" });
+    }
+
+    interview.pending = true;
+    lockedInterview = interview;
+    const questionNumber = interview.currentQuestion.number;
+    const grade = await aiService
+      .withContext(req.aiContext)
+      .gradeInterviewAnswer(interview, answer);
+    interviewStore.recordAnswer(interview, answer, grade);
+
+    // The graded answer is saved even if the scorecard fails; POST
+    // .../finish retries it
+    if (!interview.currentQuestion) {
+      await completeInterview(req, interview);
+    }
+
+    res.json({
+      success: true,
+      turn: interview.turns.find((turn) => turn.number === questionNumber),
+      interview: interviewStore.describe(interview),
+    });
+  } catch (error) {
+    if (error instanceof AIServiceError) {
+      return next(error);
+    }
+
+    console.error("Mock interview answer error:", error);
+    res.status(500).json({
+      error: "Failed to grade answer",
+      details: error.message,
+    });
+  } finally {
+    if (lockedInterview) lockedInterview.pending = false;
+  }
+};
+
+const finishMockInterview = async (req, res, next) => {
+  let lockedInterview = null;
+  try {
+    if (!aiService) {
+      return res.status(500).json({
+        error: "AI Service not available",
+        message: "AI interview preparation service is not properly configured.",
+      });
+    }
+
+    const interview = findAccessibleInterview(req, res);
+    if (!interview) return;
+
+    if (interview.status !== "completed") {
+      if (interview.turns.length === 0) {
+        return res.status(409).json({
+          error: "Answer at least one question before finishing",
+        });
+      }
+      if (interview.pending) {
+        return res.status(409).json({
+          error: "The previous answer is still being graded",
+        });
+      }
+
+      interview.pending = true;
+      lockedInterview = interview;
+      await completeInterview(req, interview);
+    }
+
+    res.json({ success: true, interview: interviewStore.describe(interview) });
+  } catch (error) {
+    if (error instanceof AIServiceError) {
+      return next(error);
+    }
+
+    console.error("Mock interview finish error:", error);
+    res.status(500).json({
+      error: "Failed to finish mock interview",
+      details: error.message,
+    });
+  } finally {
+    if (lockedInterview) lockedInterview.pending = false;
+  }
+};
+
+const deleteMockInterview = (req, res) => {
+  try {
+    const interview = findAccessibleInterview(req, res);
+    if (!interview) return;
+
+    interviewStore.delete(interview.id);
+    res.json({ success: true, message: "Mock interview deleted" });
+  } catch (error) {
+    console.error("Error deleting mock interview:", error);
+    res.status(500).json({ error: "Failed to delete mock interview" });
+  }
+};
+
+module.exports = {
+  generateInterviewQuestions,
+  startMockInterview,
+  getMockInterview,
+  answerMockInterview,
+  finishMockInterview,
+  deleteMockInterview,
+};
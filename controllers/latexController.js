@@ -1,6 +1,7 @@
 const LaTeXResumeGenerator = require("../lib/latex-generator");
 const TeXliveService = require("../lib/texlive-service");
 const { AIService } = require("../lib/ai-service");
+const { AIServiceError } = require("../lib/ai-errors");
 
 class LatexController {
   constructor() {
@@ -12,7 +13,7 @@ class LatexController {
   /**
    * Generate LaTeX resume from resume text
    */
-  async generateLatexResume(req, res) {
+  async generateLatexResume(req, res, next) {
     try {
       const { resumeText, jobDescription } = req.body;
 
@@ -23,18 +24,28 @@ class LatexController {
         });
       }
 
+      const rejection = req.promptInjection.inspect({
+        resume: resumeText,
+        job_description: jobDescription
+      });
+      if (rejection) return next(rejection);
+
       console.log("🔄 Generating LaTeX resume...");
 
       // First analyze the resume to get structured data
-      const aiAnalysis = await this.aiService.analyzeResume(
-        resumeText,
-        jobDescription,
-        {},
-        { includeLatexGen: true }
-      );
+      const aiAnalysis = await this.aiService
+        .withContext(req.aiContext)
+        .analyzeResume(
+          resumeText,
+          jobDescription,
+          {},
+          { includeLatexGen: true }
+        );
 
       // Extract structured data
-      const resumeData = this.aiService.extractResumeData(resumeText, aiAnalysis);
+      const resumeData = await this.aiService
+        .withContext(req.aiContext)
+        .extractResumeData(resumeText, aiAnalysis);
 
       // Generate LaTeX code
       const latexCode = this.latexGenerator.generateFromJSON(resumeData);
@@ -51,6 +62,10 @@ class LatexController {
       });
 
     } catch (error) {
+      if (error instanceof AIServiceError) {
+        return next(error);
+      }
+
       console.error("❌ LaTeX generation error:", error);
       res.status(500).json({
         success: false,
@@ -200,7 +215,7 @@ class LatexController {
   /**
    * Generate LaTeX resume and compile to PDF in one step
    */
-  async generateAndCompilePdf(req, res) {
+  async generateAndCompilePdf(req, res, next) {
     try {
       const { resumeText, jobDescription, filename = 'resume' } = req.body;
 
@@ -211,17 +226,27 @@ class LatexController {
         });
       }
 
+      const rejection = req.promptInjection.inspect({
+        resume: resumeText,
+        job_description: jobDescription
+      });
+      if (rejection) return next(rejection);
+
       console.log("🔄 Generating LaTeX resume and compiling to PDF...");
 
       // Generate LaTeX
-      const aiAnalysis = await this.aiService.analyzeResume(
-        resumeText,
-        jobDescription,
-        {},
-        { includeLatexGen: true }
-      );
-
-      const resumeData = this.aiService.extractResumeData(resumeText, aiAnalysis);
+      const aiAnalysis = await this.aiService
+        .withContext(req.aiContext)
+        .analyzeResume(
+          resumeText,
+          jobDescription,
+          {},
+          { includeLatexGen: true }
+        );
+
+      const resumeData = await this.aiService
+        .withContext(req.aiContext)
+        .extractResumeData(resumeText, aiAnalysis);
       const latexCode = this.latexGenerator.generateFromJSON(resumeData);
 
       // Compile to PDF
@@ -257,6 +282,10 @@ class LatexController {
       }
 
     } catch (error) {
+      if (error instanceof AIServiceError) {
+        return next(error);
+      }
+
       console.error("❌ Generate and compile error:", error);
       res.status(500).json({
         success: false,
@@ -1,5 +1,6 @@
 const path = require("path");
 const { AIService } = require("../lib/ai-service");
+const { getProviderRegistry } = require("../lib/ai-providers");
 
 let aiService;
 try {
@@ -15,8 +16,10 @@ const getIndex = (req, res) => {
 const getHealth = (req, res) => {
   res.json({
     status: "healthy",
-    gemini_configured: !!process.env.GEMINI_API_KEY,
+    gemini_configured: !!process.env.GOOGLE_GENERATIVE_AI_API_KEY,
     ai_service_available: !!aiService,
+    ai_provider: aiService ? aiService.providerName : null,
+    ai_providers: getProviderRegistry().listProviders(),
     features: [
       "file_upload",
       "jd_matching",
@@ -2,6 +2,8 @@ const LaTeXResumeGenerator = require("../lib/latex-generator");
 const LatexPDFGenerator = require("../lib/latex-pdf-generator");
 const IntegratedLatexService = require("../lib/integrated-latex-service");
 const { AIService } = require("../lib/ai-service");
+const { AIServiceError } = require("../lib/ai-errors");
+const { getAICache, createCacheKey } = require("../lib/ai-cache");
 
 class PDFPreviewController {
   constructor() {
@@ -18,7 +20,7 @@ class PDFPreviewController {
   /**
    * Generate high-quality PDF preview from AI-generated LaTeX
    */
-  async generatePDFPreview(req, res) {
+  async generatePDFPreview(req, res, next) {
     try {
       const {
         resumeText,
@@ -33,6 +35,12 @@ class PDFPreviewController {
         });
       }
 
+      const rejection = req.promptInjection.inspect({
+        resume: resumeText,
+        job_description: jobDescription,
+      });
+      if (rejection) return next(rejection);
+
       console.log("🔄 Generating high-quality PDF preview...");
 
       // Check cache first
@@ -54,12 +62,14 @@ class PDFPreviewController {
 
       // Generate LaTeX from resume text
       console.log("🔄 Analyzing resume and generating LaTeX...");
-      const aiAnalysis = await this.aiService.analyzeResume(
-        resumeText,
-        jobDescription,
-        {},
-        { includeLatexGen: true }
-      );
+      const aiAnalysis = await this.aiService
+        .withContext(req.aiContext)
+        .analyzeResume(
+          resumeText,
+          jobDescription,
+          {},
+          { includeLatexGen: true }
+        );
 
       // Use AI-generated LaTeX if available, otherwise fallback to template
       let latexCode;
@@ -73,10 +83,9 @@ class PDFPreviewController {
         latexCode = aiAnalysis.latex_resume.latex_source;
       } else {
         console.log("⚠️ AI LaTeX not available, using template fallback");
-        const resumeData = this.aiService.extractResumeData(
-          resumeText,
-          aiAnalysis
-        );
+        const resumeData = await this.aiService
+          .withContext(req.aiContext)
+          .extractResumeData(resumeText, aiAnalysis);
         latexCode = this.latexGenerator.generateFromJSON(resumeData);
       }
 
@@ -126,6 +135,10 @@ class PDFPreviewController {
         });
       }
     } catch (error) {
+      if (error instanceof AIServiceError) {
+        return next(error);
+      }
+
       console.error("❌ PDF preview generation error:", error);
       res.status(500).json({
         success: false,
@@ -209,7 +222,7 @@ class PDFPreviewController {
   /**
    * Download PDF directly (for browser download)
    */
-  async downloadPDFPreview(req, res) {
+  async downloadPDFPreview(req, res, next) {
     try {
       const { resumeText, jobDescription, filename = "resume" } = req.body;
 
@@ -220,20 +233,27 @@ class PDFPreviewController {
         });
       }
 
+      const rejection = req.promptInjection.inspect({
+        resume: resumeText,
+        job_description: jobDescription,
+      });
+      if (rejection) return next(rejection);
+
       console.log("🔄 Generating PDF for download...");
 
       // Generate LaTeX
-      const aiAnalysis = await this.aiService.analyzeResume(
-        resumeText,
-        jobDescription,
-        {},
-        { includeLatexGen: true }
-      );
+      const aiAnalysis = await this.aiService
+        .withContext(req.aiContext)
+        .analyzeResume(
+          resumeText,
+          jobDescription,
+          {},
+          { includeLatexGen: true }
+        );
 
-      const resumeData = this.aiService.extractResumeData(
-        resumeText,
-        aiAnalysis
-      );
+      const resumeData = await this.aiService
+        .withContext(req.aiContext)
+        .extractResumeData(resumeText, aiAnalysis);
       const latexCode = this.latexGenerator.generateFromJSON(resumeData);
 
       // Generate PDF
@@ -262,6 +282,10 @@ class PDFPreviewController {
         });
       }
     } catch (error) {
+      if (error instanceof AIServiceError) {
+        return next(error);
+      }
+
       console.error("❌ PDF download error:", error);
       res.status(500).json({
         success: false,
@@ -274,7 +298,7 @@ class PDFPreviewController {
   /**
    * Stream PDF for inline viewing (preview in browser)
    */
-  async streamPDFPreview(req, res) {
+  async streamPDFPreview(req, res, next) {
     try {
       const { resumeText, jobDescription, filename = "resume" } = req.body;
 
@@ -285,20 +309,27 @@ class PDFPreviewController {
         });
       }
 
+      const rejection = req.promptInjection.inspect({
+        resume: resumeText,
+        job_description: jobDescription,
+      });
+      if (rejection) return next(rejection);
+
       console.log("🔄 Generating PDF for streaming...");
 
       // Generate LaTeX
-      const aiAnalysis = await this.aiService.analyzeResume(
-        resumeText,
-        jobDescription,
-        {},
-        { includeLatexGen: true }
-      );
+      const aiAnalysis = await this.aiService
+        .withContext(req.aiContext)
+        .analyzeResume(
+          resumeText,
+          jobDescription,
+          {},
+          { includeLatexGen: true }
+        );
 
-      const resumeData = this.aiService.extractResumeData(
-        resumeText,
-        aiAnalysis
-      );
+      const resumeData = await this.aiService
+        .withContext(req.aiContext)
+        .extractResumeData(resumeText, aiAnalysis);
       const latexCode = this.latexGenerator.generateFromJSON(resumeData);
 
       // Generate PDF
@@ -328,6 +359,10 @@ class PDFPreviewController {
         });
       }
     } catch (error) {
+      if (error instanceof AIServiceError) {
+        return next(error);
+      }
+
       console.error("❌ PDF streaming error:", error);
       res.status(500).json({
         success: false,
@@ -343,9 +378,12 @@ class PDFPreviewController {
   async getServiceInfo(req, res) {
     try {
       const serviceInfo = this.pdfGenerator.getServiceInfo();
-      const advancedServiceInfo = this.advancedLatexService.getServiceInfo();
-      const availableMethods =
-        await this.advancedLatexService.getAvailableMethods();
+      const advancedServiceInfo = this.integratedLatexService.getServiceInfo();
+      const availableMethods = {
+        "latex.js": true,
+        integrated_latex:
+          await this.integratedLatexService.checkLatexAvailability(),
+      };
       const templates = await this.latexGenerator.getAvailableTemplates();
 
       res.json({
@@ -359,6 +397,7 @@ class PDFPreviewController {
             size: this.previewCache.size,
             maxAge: this.cacheExpiry,
           },
+          aiCache: getAICache().getStats(),
           features: [
             "Docker-based LaTeX compilation (Overleaf quality)",
             "Professional typography",
@@ -405,8 +444,11 @@ class PDFPreviewController {
    * Helper methods
    */
   generateCacheKey(resumeText, jobDescription = "") {
-    const content = resumeText + (jobDescription || "");
-    return Buffer.from(content).toString("base64").slice(0, 32);
+    return createCacheKey({
+      generator: "pdfPreview",
+      resumeText,
+      jobDescription,
+    });
   }
 
   cleanupCache() {
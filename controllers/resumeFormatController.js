@@ -0,0 +1,357 @@
+const { AIService } = require("../lib/ai-service");
+const { AIServiceError } = require("../lib/ai-errors");
+const { PromptSecurity } = require("../lib/prompt-system");
+const LaTeXResumeGenerator = require("../lib/latex-generator");
+const { toResumeData } = require("../lib/resume-parser");
+const {
+  validateJSONResume,
+  validateResumeData,
+  fromJSONResume,
+  toJSONResume,
+} = require("../lib/json-resume");
+const {
+  SOURCE_FORMATS,
+  parseResumeSource,
+  toResumeSource,
+} = require("../lib/resume-source");
+const {
+  COMPILE_BACKENDS,
+  DEFAULT_BACKEND,
+  renderResumeSource,
+  compileResume,
+} = require("../lib/resume-build");
+const { resolveLocale, UNSUPPORTED_LOCALE_MESSAGE } = require("../lib/locale");
+const { extractTextFromFile } = require("../utils/file");
+
+let aiService;
+try {
+  aiService = new AIService();
+} catch (error) {
+  aiService = null;
+}
+
+const latexGenerator = new LaTeXResumeGenerator();
+
+const SUPPORTED_FORMATS = ["jsonresume"];
+const EXPORT_FORMATS = [...SUPPORTED_FORMATS, ...SOURCE_FORMATS];
+
+const unsupportedFormat = (res, format, supported = SUPPORTED_FORMATS) =>
+  res.status(400).json({
+    error: `Unsupported format "${format || ""}"`,
+    supported_formats: supported,
+  });
+
+const SOURCE_CONTENT_TYPES = {
+  yaml: "application/yaml",
+  markdown: "text/markdown",
+};
+
+/**
+ * Locale code for the `locale` query parameter, resolved against `text`
+ * for "auto": undefined when it is not given, null when it is unsupported
+ * or repeated
+ */
+const queryLocale = (req, text) => {
+  const { locale } = req.query;
+  if (locale === undefined || locale === "") return undefined;
+  const resolved =
+    typeof locale === "string" ? resolveLocale(locale, text) : null;
+  return resolved ? resolved.code : null;
+};
+
+// Resume text of imported resume data, for locale detection
+const resumeDataText = (resumeData) =>
+  [
+    resumeData.summary,
+    ...resumeData.experience.flatMap((role) => role.achievements),
+    ...resumeData.projects.flatMap((project) => project.description),
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+const invalidExport = (res, errors) =>
+  res.status(400).json({
+    error: "The resume cannot be exported",
+    validation_errors: errors,
+  });
+
+/**
+ * Import a resume document (`?format=jsonresume`) as the resume data the
+ * LaTeX generator consumes, plus the generated LaTeX. No text extraction
+ * or AI parsing is involved.
+ */
+const importResume = (req, res) => {
+  try {
+    const { format } = req.query;
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      return unsupportedFormat(res, format);
+    }
+
+    const document = req.body;
+    if (!document || typeof document !== "object" || Array.isArray(document)) {
+      return res.status(400).json({
+        error: "Send the JSON Resume document as the JSON request body",
+      });
+    }
+
+    const validation = validateJSONResume(document);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: "Invalid JSON Resume document",
+        validation_errors: validation.errors,
+      });
+    }
+
+    const resumeData = fromJSONResume(document);
+    const locale = queryLocale(req, resumeDataText(resumeData));
+    if (locale === null) {
+      return res.status(400).json({ error: UNSUPPORTED_LOCALE_MESSAGE });
+    }
+
+    res.json({
+      success: true,
+      format,
+      resumeData,
+      latexCode: latexGenerator.generateFromJSON(resumeData, { locale }),
+    });
+  } catch (error) {
+    console.error("Resume import error:", error);
+    res.status(500).json({
+      error: "Failed to import resume",
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Export a resume as a JSON Resume document (`?format=jsonresume`) or as a
+ * resume source file (`?format=yaml` or `markdown`). Send `resumeData`
+ * (as returned by the LaTeX endpoints or a tailored resume),
+ * `parsedResume` (the `resume` of /api/parse-resume), or `resumeText` /
+ * a `resumeFile` upload to parse first.
+ */
+const exportResume = async (req, res, next) => {
+  try {
+    const { format } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+      return unsupportedFormat(res, format, EXPORT_FORMATS);
+    }
+
+    let { resumeData } = req.body;
+    if (resumeData !== undefined && resumeData !== null) {
+      const validation = validateResumeData(resumeData);
+      if (!validation.valid) return invalidExport(res, validation.errors);
+    } else if (req.body.parsedResume) {
+      resumeData = toResumeData({ resume: req.body.parsedResume });
+    }
+
+    if (!resumeData) {
+      let resumeText = "";
+
+      if (req.file) {
+        try {
+          resumeText = await extractTextFromFile(
+            req.file.buffer,
+            req.file.mimetype
+          );
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      } else if (req.body.resumeText) {
+        resumeText = req.body.resumeText;
+      } else {
+        return res.status(400).json({
+          error:
+            "No resume provided. Send resumeData, parsedResume, resumeText or a resume file.",
+        });
+      }
+
+      if (!aiService) {
+        return res.status(500).json({
+          error: "AI Service not available",
+          message:
+            "AI analysis service is not properly configured. Please check your API configuration.",
+        });
+      }
+
+      const rejection = req.promptInjection.inspect({ resume: resumeText });
+      if (rejection) return next(rejection);
+
+      const sanitizedResumeText = PromptSecurity.sanitizeInput(resumeText);
+      if (!sanitizedResumeText || sanitizedResumeText.trim().length < 50) {
+        return res.status(400).json({
+          error:
+            "Resume content is too short (minimum 50 characters) or contains invalid content. Please ensure your resume has sufficient content.",
+        });
+      }
+
+      resumeData = await aiService
+        .withContext(req.aiContext)
+        .extractResumeData(sanitizedResumeText);
+    }
+
+    if (SOURCE_FORMATS.includes(format)) {
+      const source = toResumeSource(resumeData, format);
+      const parsed = parseResumeSource(source, { format });
+      if (!parsed.valid) return invalidExport(res, parsed.errors);
+
+      return res.json({
+        success: true,
+        format,
+        content_type: SOURCE_CONTENT_TYPES[format],
+        source,
+      });
+    }
+
+    const { resume, warnings } = toJSONResume(resumeData);
+
+    // Exports are always valid JSON Resume documents; values of the wrong
+    // type in the resume data end up here
+    const validation = validateJSONResume(resume);
+    if (!validation.valid) return invalidExport(res, validation.errors);
+
+    res.json({ success: true, format, resume, warnings });
+  } catch (error) {
+    if (error instanceof AIServiceError) {
+      return next(error);
+    }
+
+    console.error("Resume export error:", error);
+    res.status(500).json({
+      error: "Failed to export resume",
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Source file text from `{ source }`, or null when it is missing
+ */
+const readSource = (req) =>
+  req.body && typeof req.body.source === "string" && req.body.source.trim()
+    ? req.body.source
+    : null;
+
+const missingSource = (res) =>
+  res.status(400).json({
+    error:
+      "Send the resume source file as the `source` string of the JSON request body",
+  });
+
+const invalidSource = (res, result) =>
+  res.status(400).json({
+    error: "Invalid resume source",
+    format: result.format,
+    validation_errors: result.errors,
+  });
+
+/**
+ * Validate a YAML or Markdown resume source (`?format=yaml|markdown`,
+ * detected when omitted). Errors carry the line and column in the file.
+ */
+const validateResumeSource = (req, res) => {
+  try {
+    const { format } = req.query;
+    if (format && !SOURCE_FORMATS.includes(format)) {
+      return unsupportedFormat(res, format, SOURCE_FORMATS);
+    }
+
+    const source = readSource(req);
+    if (!source) return missingSource(res);
+
+    const result = parseResumeSource(source, { format });
+    res.json({
+      valid: result.valid,
+      format: result.format,
+      validation_errors: result.errors,
+      resumeData: result.resumeData,
+    });
+  } catch (error) {
+    console.error("Resume source validation error:", error);
+    res.status(500).json({
+      error: "Failed to validate resume source",
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Build a YAML or Markdown resume source into a PDF. Query options:
+ * `format` (detected when omitted), `backend` (see COMPILE_BACKENDS),
+ * `locale` (overrides the file's own) and `output=latex` to return the
+ * generated LaTeX instead of compiling it.
+ */
+const buildResumeSource = async (req, res) => {
+  try {
+    const {
+      format,
+      backend = DEFAULT_BACKEND,
+      output = "pdf",
+      filename = "resume",
+    } = req.query;
+    if (format && !SOURCE_FORMATS.includes(format)) {
+      return unsupportedFormat(res, format, SOURCE_FORMATS);
+    }
+    if (!COMPILE_BACKENDS[backend]) {
+      return res.status(400).json({
+        error: `Unknown compile backend "${backend}"`,
+        backends: Object.keys(COMPILE_BACKENDS),
+      });
+    }
+
+    const source = readSource(req);
+    if (!source) return missingSource(res);
+
+    const locale = queryLocale(req, source);
+    if (locale === null) {
+      return res.status(400).json({ error: UNSUPPORTED_LOCALE_MESSAGE });
+    }
+
+    const rendered = renderResumeSource(source, { format, locale });
+    if (!rendered.valid) return invalidSource(res, rendered);
+
+    if (output === "latex") {
+      return res.json({
+        success: true,
+        format: rendered.format,
+        locale: rendered.locale,
+        resumeData: rendered.resumeData,
+        latexCode: rendered.latexCode,
+      });
+    }
+
+    const result = await compileResume(rendered.latexCode, backend, filename);
+    if (!result.success) {
+      console.error(`❌ Resume build failed (${backend}):`, result.error);
+      return res.status(502).json({
+        success: false,
+        error: "PDF compilation failed",
+        backend,
+        details: result.error,
+        latexCode: rendered.latexCode,
+      });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename.replace(/[^\w.-]+/g, "-")}.pdf"`
+    );
+    res.setHeader("Content-Length", result.pdfBuffer.length);
+    res.setHeader("X-Compile-Backend", backend);
+    res.send(result.pdfBuffer);
+  } catch (error) {
+    console.error("Resume build error:", error);
+    res.status(500).json({
+      error: "Failed to build resume",
+      details: error.message,
+    });
+  }
+};
+
+module.exports = {
+  importResume,
+  exportResume,
+  validateResumeSource,
+  buildResumeSource,
+};
@@ -0,0 +1,199 @@
+const { AIService } = require("../lib/ai-service");
+const { getJobQueue } = require("../lib/job-queue");
+const {
+  collectResumeFiles,
+  runScreeningJob,
+  screeningResultToCsv,
+} = require("../lib/batch-screening");
+const { isAdminRequest } = require("../middlewares/adminAuth");
+
+let aiService;
+try {
+  aiService = new AIService();
+} catch (error) {
+  aiService = null;
+}
+
+const jobQueue = getJobQueue();
+const SCREENING_CONCURRENCY =
+  parseInt(process.env.SCREENING_CONCURRENCY, 10) || 3;
+
+// Jobs are visible to the session that started them and to admins
+const findAccessibleJob = (req, res) => {
+  const job = jobQueue.get(req.params.jobId);
+  if (!job || job.type !== "screening") {
+    res.status(404).json({ error: "Screening job not found or expired" });
+    return null;
+  }
+  if (job.sessionId !== req.aiContext.sessionId && !isAdminRequest(req)) {
+    res.status(403).json({ error: "Access to this screening job denied" });
+    return null;
+  }
+  return job;
+};
+
+const startScreening = async (req, res, next) => {
+  try {
+    if (!aiService) {
+      return res.status(500).json({
+        error: "AI Service not available",
+        message: "AI screening service is not properly configured.",
+      });
+    }
+
+    const jobDescription = (req.body.jobDescription || "").trim();
+    if (jobDescription.length < 50) {
+      return res.status(400).json({
+        error: "A job description of at least 50 characters is required",
+      });
+    }
+
+    const rejection = req.promptInjection.inspect({
+      job_description: jobDescription,
+    });
+    if (rejection) return next(rejection);
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: "No resumes provided. Upload resume files or a ZIP archive.",
+      });
+    }
+
+    let collected;
+    try {
+      collected = await collectResumeFiles(req.files);
+    } catch (error) {
+      if (error.code === "BATCH_TOO_LARGE") {
+        return res.status(413).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const { resumes, skipped } = collected;
+    if (resumes.length === 0) {
+      return res.status(400).json({
+        error: "None of the uploaded files could be screened",
+        details: "Supported formats: PDF, DOCX, TXT (directly or inside ZIP)",
+        skipped,
+      });
+    }
+
+    const job = jobQueue.create("screening", {
+      sessionId: req.aiContext.sessionId,
+      total: resumes.length,
+      meta: { jobDescriptionPreview: jobDescription.slice(0, 200) },
+    });
+
+    // Runs in the background; clients poll GET /api/screening/:jobId
+    runScreeningJob({
+      job,
+      queue: jobQueue,
+      aiService: aiService.withContext(req.aiContext),
+      resumes,
+      skipped,
+      jobDescription,
+      concurrency: SCREENING_CONCURRENCY,
+    }).catch((error) => {
+      console.error("Screening job error:", error);
+      jobQueue.fail(job, error);
+    });
+
+    console.log(
+      `📋 Screening job ${job.id} started (${resumes.length} resumes)`
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      total: resumes.length,
+      skipped,
+      statusUrl: `/api/screening/${job.id}`,
+    });
+  } catch (error) {
+    console.error("Error starting screening:", error);
+    res.status(500).json({
+      error: "Failed to start screening",
+      details: error.message,
+    });
+  }
+};
+
+const getScreeningJob = (req, res) => {
+  try {
+    const job = findAccessibleJob(req, res);
+    if (!job) return;
+
+    res.json({ success: true, job: jobQueue.describe(job) });
+  } catch (error) {
+    console.error("Error getting screening job:", error);
+    res.status(500).json({ error: "Failed to get screening job" });
+  }
+};
+
+const exportScreeningJob = (req, res) => {
+  try {
+    const job = findAccessibleJob(req, res);
+    if (!job) return;
+
+    if (!job.result) {
+      return res.status(409).json({
+        error: "Screening results are not ready yet",
+        status: job.status,
+      });
+    }
+
+    const format = (req.query.format || "json").toLowerCase();
+    const filename = `screening-${job.id}`;
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}.csv"`
+      );
+      return res.send(screeningResultToCsv(job.result));
+    }
+
+    if (format !== "json") {
+      return res.status(400).json({ error: "Format must be csv or json" });
+    }
+
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename}.json"`
+    );
+    res.json({
+      jobId: job.id,
+      jobDescriptionPreview: job.meta.jobDescriptionPreview,
+      finishedAt: job.finishedAt,
+      ...job.result,
+    });
+  } catch (error) {
+    console.error("Error exporting screening job:", error);
+    res.status(500).json({ error: "Failed to export screening results" });
+  }
+};
+
+const cancelScreeningJob = (req, res) => {
+  try {
+    const job = findAccessibleJob(req, res);
+    if (!job) return;
+
+    jobQueue.cancel(job);
+    res.json({
+      success: true,
+      job: jobQueue.describe(job, { includeResult: false }),
+    });
+  } catch (error) {
+    console.error("Error cancelling screening job:", error);
+    res.status(500).json({ error: "Failed to cancel screening job" });
+  }
+};
+
+module.exports = {
+  startScreening,
+  getScreeningJob,
+  exportScreeningJob,
+  cancelScreeningJob,
+};
@@ -1,6 +1,12 @@
 const { AIService } = require("../lib/ai-service");
+const { AIServiceError } = require("../lib/ai-errors");
 const { PromptSecurity } = require("../lib/prompt-system");
 const { extractTextFromFile } = require("../utils/file");
+const {
+  parseAnalysisOptions,
+  parseGeneratorOptions,
+} = require("../utils/analysisOptions");
+const { resolveLocale, UNSUPPORTED_LOCALE_MESSAGE } = require("../lib/locale");
 
 let aiService;
 try {
@@ -9,7 +15,7 @@ try {
   aiService = null;
 }
 
-const streamAnalysis = async (req, res) => {
+const streamAnalysis = async (req, res, next) => {
   try {
     if (!aiService) {
       return res.status(500).json({
@@ -38,6 +44,12 @@ const streamAnalysis = async (req, res) => {
       });
     }
 
+    const rejection = req.promptInjection.inspect({
+      resume: resumeText,
+      job_description: req.body.jobDescription,
+    });
+    if (rejection) return next(rejection);
+
     const sanitizedResumeText = PromptSecurity.sanitizeInput(resumeText);
     if (!sanitizedResumeText || sanitizedResumeText.trim().length < 50) {
       return res.status(400).json({
@@ -47,6 +59,22 @@ const streamAnalysis = async (req, res) => {
 
     const jobDescription = req.body.jobDescription || null;
 
+    // Open the stream before writing headers so provider failures such as an
+    // open circuit still get a proper status code
+    let textStream;
+    let promptTemplate;
+    try {
+      ({ textStream, promptTemplate } = await aiService
+        .withContext(req.aiContext)
+        .streamAnalysis(sanitizedResumeText, jobDescription));
+    } catch (error) {
+      if (error instanceof AIServiceError) {
+        return next(error);
+      }
+      throw error;
+    }
+
+    const injection = req.promptInjection.report();
     res.writeHead(200, {
       "Content-Type": "text/plain; charset=utf-8",
       "Transfer-Encoding": "chunked",
@@ -54,14 +82,16 @@ const streamAnalysis = async (req, res) => {
       Connection: "keep-alive",
       "Access-Control-Allow-Origin": "*",
       "Access-Control-Allow-Headers": "Cache-Control",
+      "X-Prompt-Template": `${promptTemplate.id}@${promptTemplate.version}`,
+      "X-Prompt-Run-Id": promptTemplate.run_id,
+      "X-Prompt-Injection-Risk": String(injection.risk_score),
+      "X-Prompt-Injection-Action": injection.action,
+      ...(req.aiContext.piiRedactor && {
+        "X-PII-Redacted": String(req.aiContext.piiRedactor.report().total),
+      }),
     });
 
     try {
-      const textStream = await aiService.streamAnalysis(
-        sanitizedResumeText,
-        jobDescription
-      );
-
       for await (const chunk of textStream) {
         res.write(chunk);
       }
@@ -80,4 +110,135 @@ const streamAnalysis = async (req, res) => {
   }
 };
 
-module.exports = { streamAnalysis };
+/**
+ * Structured analysis over Server-Sent Events. Emits `partial`,
+ * `section-complete`, `usage`, `error` and `done` events and aborts the
+ * model call when the client disconnects.
+ */
+const streamStructuredAnalysis = async (req, res, next) => {
+  try {
+    if (!aiService) {
+      return res.status(500).json({
+        error: "AI Service not available",
+        message: "AI streaming service is not properly configured.",
+      });
+    }
+
+    let resumeText = "";
+
+    if (req.file) {
+      try {
+        resumeText = await extractTextFromFile(
+          req.file.buffer,
+          req.file.mimetype
+        );
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    } else if (req.body.resumeText) {
+      resumeText = req.body.resumeText;
+    } else {
+      return res.status(400).json({
+        error:
+          "No resume provided. Please upload a file or enter text content.",
+      });
+    }
+
+    const rejection = req.promptInjection.inspect({
+      resume: resumeText,
+      job_description: req.body.jobDescription,
+    });
+    if (rejection) return next(rejection);
+
+    const sanitizedResumeText = PromptSecurity.sanitizeInput(resumeText);
+    if (!sanitizedResumeText || sanitizedResumeText.trim().length < 50) {
+      return res.status(400).json({
+        error: "Resume content is too short or invalid.",
+      });
+    }
+
+    const locale = resolveLocale(req.body.locale, sanitizedResumeText);
+    if (!locale) {
+      return res.status(400).json({ error: UNSUPPORTED_LOCALE_MESSAGE });
+    }
+
+    const jobDescription = req.body.jobDescription || null;
+    const abortController = new AbortController();
+
+    let events;
+    try {
+      events = await aiService
+        .withContext(req.aiContext)
+        .streamStructuredAnalysis(
+          sanitizedResumeText,
+          jobDescription,
+          { ...parseAnalysisOptions(req.body), locale: locale.code },
+          parseGeneratorOptions(req.body),
+          { abortSignal: abortController.signal }
+        );
+    } catch (error) {
+      if (error instanceof AIServiceError) {
+        return next(error);
+      }
+      throw error;
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+
+    // Stop the model call (and its token spend) if the client goes away
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        console.log("🔌 Client disconnected, aborting structured stream");
+        abortController.abort();
+      }
+    });
+
+    const send = (event, data) =>
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    try {
+      for await (const { event, data } of events) {
+        if (abortController.signal.aborted) break;
+        if (event === "done") {
+          // Same follow-up fields as /api/analyze
+          data.resume_source_text = sanitizedResumeText;
+          data.job_description_provided = !!jobDescription;
+          data.locale = locale;
+          data.prompt_injection = req.promptInjection.report();
+          if (req.aiContext.piiRedactor) {
+            data.pii_redaction = req.aiContext.piiRedactor.report();
+          }
+        }
+        send(event, data);
+      }
+    } catch (error) {
+      if (!abortController.signal.aborted) {
+        console.error("Structured streaming error:", error);
+        const typed = error instanceof AIServiceError ? error : null;
+        send("error", {
+          code: typed ? typed.code : "STREAM_FAILED",
+          message: error.message,
+          retryable: typed ? typed.retryable : false,
+          retryAfterSeconds:
+            typed && typed.retryAfterMs
+              ? Math.ceil(typed.retryAfterMs / 1000)
+              : null,
+        });
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    console.error("Structured stream setup error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to start streaming analysis" });
+    }
+  }
+};
+
+module.exports = { streamAnalysis, streamStructuredAnalysis };
@@ -0,0 +1,43 @@
+const { getUsageTracker } = require("../lib/usage-tracker");
+
+const usageTracker = getUsageTracker();
+
+/**
+ * Token and cost totals of the caller's own session
+ */
+const getUsage = (req, res) => {
+  try {
+    res.json({
+      success: true,
+      session: {
+        sessionId: req.aiContext.sessionId,
+        ...usageTracker.getSessionUsage(req.aiContext.sessionId),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting usage:", error);
+    res.status(500).json({ success: false, error: "Failed to get usage" });
+  }
+};
+
+/**
+ * Usage across all sessions (totals, daily, per-endpoint, per-generator and
+ * per-provider breakdowns and the daily budget). Admin only.
+ */
+const getUsageSummary = (req, res) => {
+  try {
+    const days = Math.min(
+      Math.max(parseInt(req.query.days || "30", 10) || 30, 1),
+      90
+    );
+
+    res.json({ success: true, ...usageTracker.summarize({ days }) });
+  } catch (error) {
+    console.error("Error getting usage summary:", error);
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to get usage summary" });
+  }
+};
+
+module.exports = { getUsage, getUsageSummary };
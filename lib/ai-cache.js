@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Normalize free text so whitespace-only differences map to the same key
+ */
+const normalizeText = (text) =>
+  (text || "")
+    .toString()
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * Serialize a value with sorted object keys so equal options always hash
+ * the same regardless of property order
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * SHA-256 cache key for one AI generation
+ */
+const createCacheKey = ({
+  generator,
+  resumeText,
+  jobDescription = null,
+  options = {},
+  promptVersion,
+  promptTemplates = [],
+  model,
+  piiRedaction = false,
+}) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      stableStringify({
+        generator,
+        resumeText: normalizeText(resumeText),
+        jobDescription: jobDescription ? normalizeText(jobDescription) : null,
+        options,
+        promptVersion,
+        promptTemplates,
+        model,
+        piiRedaction,
+      })
+    )
+    .digest("hex");
+
+/**
+ * Content-addressed LRU cache for AI results.
+ * Entries expire after `ttlMs`; the least recently used entry is evicted
+ * once `maxEntries` is reached. With `persistPath` set, entries are loaded
+ * at startup and written back (debounced) after changes.
+ */
+class AICache {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.maxEntries = options.maxEntries || 500;
+    this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+    this.persistPath = options.persistPath || null;
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0, expired: 0 };
+    this.persistTimer = null;
+
+    if (this.persistPath) {
+      this.load();
+    }
+  }
+
+  get(key) {
+    if (!this.enabled) return undefined;
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    if (Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      this.stats.expired++;
+      this.stats.misses++;
+      this.schedulePersist();
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Store a value and return it, so callers can `return cache.set(key, x)`
+   */
+  set(key, value) {
+    if (!this.enabled) return value;
+
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value: structuredClone(value),
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.ttlMs,
+    });
+    this.stats.sets++;
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+
+    this.schedulePersist();
+    return value;
+  }
+
+  clear() {
+    const size = this.entries.size;
+    this.entries.clear();
+    this.schedulePersist();
+    return size;
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries.entries()) {
+      if (now > entry.expiresAt) {
+        this.entries.delete(key);
+        this.stats.expired++;
+      }
+    }
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      persistent: !!this.persistPath,
+      ...this.stats,
+      hitRate:
+        lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+    };
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.persistPath)) return;
+
+      const saved = JSON.parse(fs.readFileSync(this.persistPath, "utf8"));
+      const now = Date.now();
+      (saved.entries || [])
+        .filter(([, entry]) => entry && entry.expiresAt > now)
+        .slice(-this.maxEntries)
+        .forEach(([key, entry]) => this.entries.set(key, entry));
+
+      console.log(`💾 Loaded ${this.entries.size} cached AI results`);
+    } catch (error) {
+      console.error("Failed to load AI cache, starting empty:", error.message);
+      this.entries.clear();
+    }
+  }
+
+  schedulePersist() {
+    if (!this.persistPath || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, 1000);
+    this.persistTimer.unref();
+  }
+
+  /**
+   * Write the cache to disk via a temp file so a crash never leaves a
+   * truncated cache behind
+   */
+  persist() {
+    if (!this.persistPath) return;
+
+    try {
+      this.pruneExpired();
+      fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+      const tmpPath = `${this.persistPath}.tmp`;
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify({ entries: Array.from(this.entries.entries()) })
+      );
+      fs.renameSync(tmpPath, this.persistPath);
+    } catch (error) {
+      console.error("Failed to persist AI cache:", error.message);
+    }
+  }
+}
+
+let defaultCache = null;
+
+/**
+ * Shared cache used by every AIService instance
+ */
+function getAICache() {
+  if (!defaultCache) {
+    defaultCache = new AICache({
+      enabled: process.env.AI_CACHE_ENABLED !== "false",
+      maxEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES, 10) || 500,
+      ttlMs:
+        (parseInt(process.env.AI_CACHE_TTL_MINUTES, 10) || 1440) * 60 * 1000,
+      persistPath: process.env.AI_CACHE_FILE || null,
+    });
+  }
+  return defaultCache;
+}
+
+module.exports = { AICache, getAICache, createCacheKey, normalizeText };
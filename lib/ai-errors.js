@@ -0,0 +1,217 @@
+const {
+  APICallError,
+  RetryError,
+  NoObjectGeneratedError,
+  TypeValidationError,
+  JSONParseError,
+} = require("ai");
+
+/**
+ * Base class for failures of an AI provider call.
+ * `status` is the HTTP status the API responds with, `retryable` tells the
+ * call wrapper (and clients) whether trying again can help.
+ */
+class AIServiceError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || "AI_ERROR";
+    this.status = options.status || 500;
+    this.retryable = options.retryable || false;
+    this.retryAfterMs = options.retryAfterMs || null;
+    this.provider = options.provider || null;
+    this.cause = options.cause;
+  }
+}
+
+class RateLimitedError extends AIServiceError {
+  constructor(message = "The AI provider is rate limiting requests", options) {
+    super(message, {
+      code: "RATE_LIMITED",
+      status: 429,
+      retryable: true,
+      ...options,
+    });
+  }
+}
+
+class QuotaExhaustedError extends AIServiceError {
+  constructor(message = "The AI provider quota has been exhausted", options) {
+    super(message, {
+      code: "QUOTA_EXHAUSTED",
+      status: 429,
+      retryable: false,
+      ...options,
+    });
+  }
+}
+
+class SafetyBlockedError extends AIServiceError {
+  constructor(message = "The AI provider blocked this content", options) {
+    super(message, {
+      code: "SAFETY_BLOCKED",
+      status: 422,
+      retryable: false,
+      ...options,
+    });
+  }
+}
+
+class SchemaMismatchError extends AIServiceError {
+  constructor(
+    message = "The AI response did not match the expected format",
+    options
+  ) {
+    super(message, {
+      code: "SCHEMA_MISMATCH",
+      status: 502,
+      retryable: true,
+      ...options,
+    });
+  }
+}
+
+class ProviderUnavailableError extends AIServiceError {
+  constructor(message = "The AI provider is unavailable", options) {
+    super(message, {
+      code: "PROVIDER_UNAVAILABLE",
+      status: 503,
+      retryable: true,
+      ...options,
+    });
+  }
+}
+
+/**
+ * Raised before any provider call when the injection policy refuses a
+ * request's input. `findings` are the detector findings that triggered it.
+ */
+class PromptInjectionError extends AIServiceError {
+  constructor(
+    message = "The input looks like an attempt to inject instructions into the AI prompt",
+    options = {}
+  ) {
+    super(message, {
+      code: "PROMPT_INJECTION",
+      status: 422,
+      retryable: false,
+      ...options,
+    });
+    this.findings = options.findings || [];
+  }
+}
+
+const QUOTA_PATTERN =
+  /insufficient_quota|per ?day|daily|billing|quota exceeded for quota metric/i;
+const SAFETY_PATTERN = /safety|blocked|content[-_ ]filter|prohibited/i;
+const NETWORK_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "UND_ERR_CONNECT_TIMEOUT",
+];
+
+/**
+ * Read a retry hint from response headers (`retry-after-ms`, `retry-after`
+ * in seconds or as an HTTP date) or a Gemini `retryDelay` in the body
+ */
+const parseRetryAfter = (headers = {}, body = "") => {
+  const header = (name) => {
+    const key = Object.keys(headers || {}).find(
+      (candidate) => candidate.toLowerCase() === name
+    );
+    return key ? headers[key] : undefined;
+  };
+
+  const retryAfterMs = parseFloat(header("retry-after-ms"));
+  if (!Number.isNaN(retryAfterMs)) return Math.max(0, retryAfterMs);
+
+  const retryAfter = header("retry-after");
+  if (retryAfter !== undefined) {
+    const seconds = parseFloat(retryAfter);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const match = /"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/.exec(body || "");
+  return match ? parseFloat(match[1]) * 1000 : null;
+};
+
+/**
+ * Map an error thrown by the `ai` SDK (or the network) to a typed
+ * AIServiceError. Errors that are already typed are returned unchanged.
+ */
+const classifyAIError = (error, provider = null) => {
+  if (error instanceof AIServiceError) return error;
+
+  if (RetryError.isInstance(error) && error.lastError) {
+    return classifyAIError(error.lastError, provider);
+  }
+
+  const options = { provider, cause: error };
+
+  if (APICallError.isInstance(error)) {
+    const status = error.statusCode;
+    const body = error.responseBody || "";
+    options.retryAfterMs = parseRetryAfter(error.responseHeaders, body);
+
+    if (status === 429) {
+      return QUOTA_PATTERN.test(body) || QUOTA_PATTERN.test(error.message)
+        ? new QuotaExhaustedError(undefined, options)
+        : new RateLimitedError(undefined, options);
+    }
+    if (status === 400 && SAFETY_PATTERN.test(body)) {
+      return new SafetyBlockedError(undefined, options);
+    }
+    if (status === 401 || status === 403) {
+      return new ProviderUnavailableError(
+        "The AI provider rejected the configured credentials",
+        { ...options, retryable: false }
+      );
+    }
+    if (status === undefined || status === 408 || status >= 500) {
+      return new ProviderUnavailableError(undefined, options);
+    }
+    return new AIServiceError(error.message, { ...options, status: 502 });
+  }
+
+  if (NoObjectGeneratedError.isInstance(error)) {
+    if (error.finishReason === "content-filter") {
+      return new SafetyBlockedError(undefined, options);
+    }
+    return new SchemaMismatchError(undefined, options);
+  }
+
+  if (
+    TypeValidationError.isInstance(error) ||
+    JSONParseError.isInstance(error)
+  ) {
+    return new SchemaMismatchError(undefined, options);
+  }
+
+  const code = error && (error.code || (error.cause && error.cause.code));
+  if (
+    NETWORK_CODES.includes(code) ||
+    (error && /fetch failed|network|socket hang up/i.test(error.message))
+  ) {
+    return new ProviderUnavailableError(undefined, options);
+  }
+
+  return null;
+};
+
+module.exports = {
+  AIServiceError,
+  RateLimitedError,
+  QuotaExhaustedError,
+  SafetyBlockedError,
+  SchemaMismatchError,
+  ProviderUnavailableError,
+  PromptInjectionError,
+  classifyAIError,
+  parseRetryAfter,
+};
@@ -0,0 +1,444 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ReadableStream, TransformStream } = require("stream/web");
+const { APICallError } = require("ai");
+const { createGoogleGenerativeAI } = require("@ai-sdk/google");
+const { createOpenAICompatible } = require("@ai-sdk/openai-compatible");
+const {
+  SUPPORTED_PROVIDERS,
+  getAIConfig,
+  validateProviderConfig,
+} = require("../config/ai");
+
+/**
+ * Rough token estimate (~4 characters per token) used where a provider
+ * does not report real usage
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * LanguageModelV2 stream parts that deliver `text` in 80 character deltas
+ */
+function createTextStream(text, usage, finishReason = "stop") {
+  const chunks = text.match(/[\s\S]{1,80}/g) || [];
+
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue({ type: "stream-start", warnings: [] });
+      controller.enqueue({ type: "text-start", id: "text-0" });
+      chunks.forEach((delta) =>
+        controller.enqueue({ type: "text-delta", id: "text-0", delta })
+      );
+      controller.enqueue({ type: "text-end", id: "text-0" });
+      controller.enqueue({ type: "finish", finishReason, usage });
+      controller.close();
+    },
+  });
+}
+
+/**
+ * Deterministic offline language model.
+ * Implements the `ai` SDK LanguageModelV2 interface so every AIService flow
+ * can run without network access: JSON requests get an object synthesized
+ * from the requested schema, text requests get a fixed response.
+ */
+class FixtureLanguageModel {
+  constructor(modelId = "fixture-v1", options = {}) {
+    this.specificationVersion = "v2";
+    this.provider = "fixture";
+    this.modelId = modelId;
+    this.supportedUrls = {};
+    this.failure = options.failure || null;
+  }
+
+  async doGenerate(options) {
+    this.simulateFailure();
+
+    if (this.failure === "safety") {
+      return {
+        content: [],
+        finishReason: "content-filter",
+        usage: this.buildUsage(options, ""),
+        warnings: [],
+      };
+    }
+
+    const text =
+      this.failure === "schema"
+        ? "Fixture response that is not JSON"
+        : this.buildResponseText(options);
+
+    return {
+      content: [{ type: "text", text }],
+      finishReason: "stop",
+      usage: this.buildUsage(options, text),
+      warnings: [],
+    };
+  }
+
+  async doStream(options) {
+    this.simulateFailure();
+
+    const text = this.buildResponseText(options);
+    return { stream: createTextStream(text, this.buildUsage(options, text)) };
+  }
+
+  /**
+   * Throw the provider error selected by FIXTURE_FAILURE so the retry,
+   * circuit breaker and error mapping paths can be exercised offline
+   */
+  simulateFailure() {
+    const failures = {
+      rate_limit: {
+        statusCode: 429,
+        responseHeaders: { "retry-after": "1" },
+        responseBody: '{"error":{"status":"RESOURCE_EXHAUSTED"}}',
+      },
+      quota: {
+        statusCode: 429,
+        responseBody:
+          '{"error":{"message":"Quota exceeded for quota metric GenerateRequestsPerDay"}}',
+      },
+      unavailable: {
+        statusCode: 503,
+        responseBody: '{"error":{"status":"UNAVAILABLE"}}',
+      },
+    };
+
+    const failure = failures[this.failure];
+    if (!failure) return;
+
+    throw new APICallError({
+      message: `Fixture ${this.failure} failure`,
+      url: "fixture://generate",
+      requestBodyValues: {},
+      isRetryable: this.failure !== "quota",
+      ...failure,
+    });
+  }
+
+  buildResponseText(options = {}) {
+    const responseFormat = options.responseFormat;
+    if (responseFormat && responseFormat.type === "json") {
+      return JSON.stringify(
+        responseFormat.schema
+          ? this.sampleFromSchema(responseFormat.schema)
+          : {}
+      );
+    }
+
+    // LaTeX generation prompts expect a complete document back
+    if (JSON.stringify(options.prompt || []).includes("\\\\documentclass")) {
+      return [
+        "\\documentclass[10pt]{article}",
+        "\\begin{document}",
+        "{\\LARGE \\textbf{Fixture Candidate}} \\\\",
+        "\\section*{\\Large Experience}",
+        "Fixture resume generated by the offline provider.",
+        "\\end{document}",
+      ].join("\n");
+    }
+
+    return [
+      "Fixture analysis (offline provider).",
+      "Step 1: The resume structure was reviewed for clarity and section order.",
+      "Step 2: Bullet points were checked for action verbs and quantified results.",
+      "Step 3: Keywords were compared against the job description when provided.",
+    ].join("\n");
+  }
+
+  buildUsage(options = {}, text) {
+    const promptText = JSON.stringify(options.prompt || []);
+    const inputTokens = estimateTokens(promptText);
+    const outputTokens = estimateTokens(text);
+
+    return {
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+    };
+  }
+
+  /**
+   * Build a stable value that satisfies a JSON schema. `index` is the
+   * position in the enclosing array, so items get distinct enum values and
+   * strings.
+   */
+  sampleFromSchema(schema, key = "value", index = 0) {
+    if (!schema || typeof schema !== "object") return null;
+
+    if (schema.const !== undefined) return schema.const;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+      return schema.enum[index % schema.enum.length];
+    }
+
+    const variants = schema.anyOf || schema.oneOf;
+    if (Array.isArray(variants) && variants.length > 0) {
+      const nonNull = variants.find((variant) => variant.type !== "null");
+      return this.sampleFromSchema(nonNull || variants[0], key, index);
+    }
+
+    const type = Array.isArray(schema.type)
+      ? schema.type.find((t) => t !== "null")
+      : schema.type;
+
+    switch (type) {
+      case "object": {
+        const result = {};
+        const properties = schema.properties || {};
+        const required = schema.required || Object.keys(properties);
+        required.forEach((name) => {
+          result[name] = this.sampleFromSchema(properties[name], name, index);
+        });
+        return result;
+      }
+      case "array": {
+        const count = Math.max(1, schema.minItems || 0);
+        return Array.from({ length: count }, (_, item) =>
+          this.sampleFromSchema(schema.items, key, item)
+        );
+      }
+      case "number":
+      case "integer": {
+        const min = schema.minimum !== undefined ? schema.minimum : 0;
+        const max = schema.maximum !== undefined ? schema.maximum : min + 100;
+        return Math.round(min + (max - min) * 0.7);
+      }
+      case "boolean":
+        return false;
+      case "string":
+        return `Fixture ${key.replace(/_/g, " ")}${
+          index > 0 ? ` ${index + 1}` : ""
+        }`;
+      default:
+        return null;
+    }
+  }
+}
+
+/**
+ * Language model that records and replays responses.
+ * In "record" mode calls go to the source model and each response is saved
+ * to `file` under a hash of the request (prompt and response format); in
+ * "replay" mode responses are served from that file only, so evaluations
+ * can be re-run offline against real model output. Generate and stream
+ * calls share recordings. Canary tokens are masked in the hash since they
+ * change on every call.
+ */
+class ReplayLanguageModel {
+  constructor(file, { mode = "replay", source = null } = {}) {
+    this.specificationVersion = "v2";
+    this.provider = "replay";
+    this.file = file;
+    this.mode = mode;
+    this.source = source;
+    this.supportedUrls = {};
+    this.recording = this.load();
+    this.modelId = source
+      ? source.modelId
+      : `replay:${this.recording.model || "unknown"}`;
+  }
+
+  async doGenerate(options) {
+    const key = this.requestKey(options);
+
+    if (this.mode === "record") {
+      const result = await this.source.doGenerate(options);
+      this.record(key, {
+        text: result.content
+          .filter((part) => part.type === "text")
+          .map((part) => part.text)
+          .join(""),
+        finishReason: result.finishReason,
+        usage: result.usage,
+      });
+      return result;
+    }
+
+    const response = this.lookup(key);
+    return {
+      content: response.text ? [{ type: "text", text: response.text }] : [],
+      finishReason: response.finishReason,
+      usage: response.usage,
+      warnings: [],
+    };
+  }
+
+  async doStream(options) {
+    const key = this.requestKey(options);
+
+    if (this.mode === "record") {
+      const result = await this.source.doStream(options);
+      let text = "";
+      const recorder = new TransformStream({
+        transform: (part, controller) => {
+          if (part.type === "text-delta") text += part.delta;
+          if (part.type === "finish") {
+            this.record(key, {
+              text,
+              finishReason: part.finishReason,
+              usage: part.usage,
+            });
+          }
+          controller.enqueue(part);
+        },
+      });
+      return { ...result, stream: result.stream.pipeThrough(recorder) };
+    }
+
+    const response = this.lookup(key);
+    return {
+      stream: createTextStream(
+        response.text,
+        response.usage,
+        response.finishReason
+      ),
+    };
+  }
+
+  requestKey(options) {
+    const request = JSON.stringify({
+      prompt: options.prompt,
+      responseFormat: options.responseFormat || null,
+    })
+      .replace(/CANARY-[0-9a-f]+/g, "CANARY")
+      .replace(/verified-[0-9a-f]+/g, "verified");
+    return crypto.createHash("sha256").update(request).digest("hex");
+  }
+
+  lookup(key) {
+    const response = this.recording.responses[key];
+    if (!response) {
+      throw new Error(
+        `No recorded response for request ${key.slice(0, 12)} in ${
+          this.file
+        }; record it with AI_REPLAY_MODE=record`
+      );
+    }
+    return response;
+  }
+
+  record(key, response) {
+    this.recording.model = this.source.modelId;
+    this.recording.responses[key] = {
+      ...response,
+      recordedAt: new Date().toISOString(),
+    };
+    this.save();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return { model: null, responses: {} };
+    }
+    const saved = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    return { model: saved.model || null, responses: saved.responses || {} };
+  }
+
+  /**
+   * Write recordings via a temp file so an interrupted run never leaves a
+   * truncated file behind
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tempPath = `${this.file}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.recording, null, 2));
+    fs.renameSync(tempPath, this.file);
+  }
+}
+
+const PROVIDER_FACTORIES = {
+  gemini: (settings) =>
+    createGoogleGenerativeAI({ apiKey: settings.apiKey })(settings.model),
+
+  "openai-compatible": (settings) =>
+    createOpenAICompatible({
+      name: "openai-compatible",
+      baseURL: settings.baseURL,
+      apiKey: settings.apiKey,
+      supportsStructuredOutputs: settings.structuredOutputs,
+    }).chatModel(settings.model),
+
+  fixture: (settings) =>
+    new FixtureLanguageModel(settings.model, { failure: settings.failure }),
+
+  replay: (settings, registry) =>
+    new ReplayLanguageModel(settings.file, {
+      mode: settings.mode,
+      source:
+        settings.mode === "record" ? registry.getModel(settings.source) : null,
+    }),
+};
+
+/**
+ * Resolves provider names to `ai` SDK language models.
+ * Models are created lazily and cached, so an unconfigured provider only
+ * fails when something actually asks for it.
+ */
+class ProviderRegistry {
+  constructor(config = getAIConfig()) {
+    this.config = config;
+    this.defaultProvider = config.defaultProvider;
+    this.models = new Map();
+  }
+
+  listProviders() {
+    return SUPPORTED_PROVIDERS.map((name) => ({
+      name,
+      model: this.config.providers[name].model || null,
+      configured: validateProviderConfig(name, this.config).length === 0,
+      default: name === this.defaultProvider,
+    }));
+  }
+
+  /**
+   * Check whether a request may switch to the given provider
+   */
+  canUseForRequest(name) {
+    if (!name || name === this.defaultProvider) return true;
+    return (
+      this.config.allowRequestOverride &&
+      validateProviderConfig(name, this.config).length === 0
+    );
+  }
+
+  getModel(name = this.defaultProvider) {
+    if (this.models.has(name)) {
+      return this.models.get(name);
+    }
+
+    const issues = validateProviderConfig(name, this.config);
+    if (issues.length > 0) {
+      throw new Error(
+        `AI provider "${name}" is not configured: ${issues.join("; ")}`
+      );
+    }
+
+    const model = PROVIDER_FACTORIES[name](this.config.providers[name], this);
+    this.models.set(name, model);
+    return model;
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Shared registry built from the process environment
+ */
+function getProviderRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new ProviderRegistry();
+  }
+  return defaultRegistry;
+}
+
+module.exports = {
+  FixtureLanguageModel,
+  ReplayLanguageModel,
+  ProviderRegistry,
+  getProviderRegistry,
+  estimateTokens,
+};
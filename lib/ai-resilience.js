@@ -0,0 +1,124 @@
+const { ProviderUnavailableError } = require("./ai-errors");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Read retry and circuit breaker settings from the environment
+ */
+const getResilienceConfig = () => ({
+  maxAttempts: parseInt(process.env.AI_RETRY_MAX_ATTEMPTS, 10) || 3,
+  baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS, 10) || 500,
+  maxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS, 10) || 8000,
+  // Retry-after hints longer than this are surfaced instead of waited out
+  maxRetryAfterMs: parseInt(process.env.AI_RETRY_MAX_WAIT_MS, 10) || 20000,
+  failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+  cooldownMs: parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS, 10) || 30000,
+});
+
+/**
+ * Full-jitter exponential backoff: a random delay between 0 and
+ * min(maxDelayMs, baseDelayMs * 2^attempt)
+ */
+const computeBackoff = (attempt, { baseDelayMs, maxDelayMs }) =>
+  Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+/**
+ * Per-provider circuit breaker.
+ * After `failureThreshold` consecutive provider failures the circuit opens
+ * and calls fail fast for `cooldownMs`; the first call after the cooldown is
+ * let through as a trial and either closes the circuit or reopens it.
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs || 30000;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * Throw ProviderUnavailableError when calls are not currently allowed
+   */
+  assertCallAllowed() {
+    if (this.state === "closed") return;
+
+    const remaining = this.openedAt + this.cooldownMs - Date.now();
+    if (this.state === "open" && remaining <= 0) {
+      this.state = "half-open";
+    }
+
+    // Only one trial at a time; a trial that never reported back is replaced
+    // once another cooldown has passed
+    if (
+      this.state === "half-open" &&
+      (!this.trialStartedAt ||
+        Date.now() - this.trialStartedAt > this.cooldownMs)
+    ) {
+      this.trialStartedAt = Date.now();
+      return;
+    }
+
+    throw new ProviderUnavailableError(
+      `AI provider "${this.name}" is temporarily unavailable after repeated failures`,
+      {
+        provider: this.name,
+        retryable: false,
+        retryAfterMs: Math.max(remaining, 1000),
+      }
+    );
+  }
+
+  recordSuccess() {
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialStartedAt = null;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.trialStartedAt = null;
+
+    if (this.state === "half-open" || this.failures >= this.failureThreshold) {
+      if (this.state !== "open") {
+        console.warn(
+          `⚡ Circuit opened for AI provider ${this.name} after ${this.failures} failures`
+        );
+      }
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * Shared breaker for a provider, so every AIService instance and request
+ * sees the same provider health
+ */
+function getCircuitBreaker(provider) {
+  if (!breakers.has(provider)) {
+    breakers.set(provider, new CircuitBreaker(provider, getResilienceConfig()));
+  }
+  return breakers.get(provider);
+}
+
+module.exports = {
+  CircuitBreaker,
+  getCircuitBreaker,
+  getResilienceConfig,
+  computeBackoff,
+  sleep,
+};
@@ -1,14 +1,108 @@
-const { google } = require("@ai-sdk/google");
-const { generateText, generateObject, streamText } = require("ai");
+const {
+  generateText,
+  generateObject,
+  streamText,
+  streamObject,
+} = require("ai");
 const { z } = require("zod");
 const {
   PromptBuilder,
-  PromptTemplates,
-  ConversationManager,
   PromptSecurity,
+  PROMPT_VERSION,
 } = require("./prompt-system");
+const { getPromptRegistry, templateText } = require("./prompt-registry");
+const { getExperimentTracker } = require("./prompt-experiments");
+const {
+  areCanariesEnabled,
+  createCanary,
+  plantCanary,
+  checkCanary,
+  stripCanaryResult,
+} = require("./prompt-injection");
 const LaTeXResumeGenerator = require("./latex-generator");
 const TeXliveService = require("./texlive-service");
+const { getProviderRegistry } = require("./ai-providers");
+const { getConversationStore } = require("./conversation-store");
+const { getUsageTracker } = require("./usage-tracker");
+const { getAICache, createCacheKey } = require("./ai-cache");
+const {
+  analyzeResumeMetrics,
+  applyLocalMetrics,
+  scoreBullet,
+  replaceInventedNumbers,
+  termPattern,
+} = require("./resume-metrics");
+const { resolveEvidence } = require("./resume-evidence");
+const { finalizeParsedResume, toResumeData } = require("./resume-parser");
+const { buildSkillGapReport, listJobSkills } = require("./skill-gap");
+const { DEFAULT_LOCALE, localizeRules } = require("./locale");
+const { mapWithConcurrency } = require("../utils/concurrency");
+const {
+  AIServiceError,
+  SafetyBlockedError,
+  SchemaMismatchError,
+  classifyAIError,
+} = require("./ai-errors");
+const {
+  getCircuitBreaker,
+  getResilienceConfig,
+  computeBackoff,
+  sleep,
+} = require("./ai-resilience");
+
+// Failures that say something about provider health and count towards the
+// circuit breaker; schema and safety failures do not
+const PROVIDER_FAILURE_CODES = ["RATE_LIMITED", "PROVIDER_UNAVAILABLE"];
+
+const ANALYSIS_SAFETY_SETTINGS = [
+  {
+    category: "HARM_CATEGORY_HATE_SPEECH",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+  {
+    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+  { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
+  {
+    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+];
+
+// Analysis groups whose sections are reported one by one while streaming
+const STREAMED_SECTION_GROUPS = ["sections", "advanced_analysis"];
+
+// Analysis keys that are only final once the server has processed them
+const SERVER_RESOLVED_KEYS = ["local_metrics", "evidence", "evidence_check"];
+
+/**
+ * Section paths present in a (partial) analysis, in the order the model
+ * produced them, e.g. ["overall_score", "sections.clarity", ...]
+ */
+const listAnalysisSections = (analysis) =>
+  Object.keys(analysis || {})
+    .filter((key) => !SERVER_RESOLVED_KEYS.includes(key))
+    .flatMap((key) =>
+      STREAMED_SECTION_GROUPS.includes(key) &&
+      analysis[key] &&
+      typeof analysis[key] === "object"
+        ? Object.keys(analysis[key]).map((name) => `${key}.${name}`)
+        : [key]
+    );
+
+const getSection = (analysis, path) =>
+  path.split(".").reduce((value, key) => value && value[key], analysis);
+
+// Verbatim resume excerpts the model cites for a feedback item, e.g.
+// { target: "top_suggestions[0]", quotes: ["Responsible for..."] };
+// resolveEvidence turns them into character ranges
+const AnalysisEvidenceSchema = z.array(
+  z.object({
+    target: z.string(),
+    quotes: z.array(z.string()),
+  })
+);
 
 const ResumeAnalysisSchema = z.object({
   overall_score: z.number().min(0).max(100),
@@ -72,6 +166,7 @@ const ResumeAnalysisSchema = z.object({
   jd_recommendations: z.array(z.string()).optional(),
   strengths: z.array(z.string()),
   top_suggestions: z.array(z.string()),
+  evidence: AnalysisEvidenceSchema,
 
   // Simplified optional generator outputs - still complex enough for frontend
   resume_summary: z
@@ -133,6 +228,91 @@ const CoverLetterSchema = z.object({
   improvement_suggestions: z.array(z.string()),
 });
 
+const COVER_LETTER_TONES = ["formal", "warm", "startup-casual"];
+const COVER_LETTER_LENGTHS = ["short", "medium", "long"];
+const MAX_COVER_LETTER_VARIANTS = 3;
+
+// Sections of a structured cover letter, in letter order
+const COVER_LETTER_SECTIONS = [
+  "greeting",
+  "introduction",
+  "body_paragraph_1",
+  "body_paragraph_2",
+  "body_paragraph_3",
+  "closing",
+  "signature",
+];
+const COVER_LETTER_PARAGRAPHS = [
+  "introduction",
+  "body_paragraph_1",
+  "body_paragraph_2",
+  "body_paragraph_3",
+  "closing",
+];
+
+const CoverLetterVariantsSchema = z.object({
+  variants: z.array(CoverLetterSchema.extend({ angle: z.string() })),
+});
+
+// Variants schema asking for exactly `count` letters
+const coverLetterVariantsSchemaFor = (count) =>
+  CoverLetterVariantsSchema.extend({
+    variants: CoverLetterVariantsSchema.shape.variants.length(count),
+  });
+
+const CoverLetterParagraphSchema = z.object({
+  paragraph: z.string(),
+  changes: z.string(),
+});
+
+const countWords = (text) => (text || "").split(/\s+/).filter(Boolean).length;
+
+/**
+ * Full letter text and word count from the structured sections
+ */
+const assembleCoverLetter = (sections) => {
+  const fullLetter = COVER_LETTER_SECTIONS.map((key) =>
+    (sections[key] || "").trim()
+  )
+    .filter(Boolean)
+    .join("\n\n");
+  return { full_letter: fullLetter, word_count: countWords(fullLetter) };
+};
+
+/**
+ * Background data shared by the cover letter prompts: resume, job
+ * description, company, hiring manager and saved company context
+ */
+const coverLetterBackground = (
+  resumeText,
+  jobDescription,
+  { companyName, hiringManager, companyContext }
+) => {
+  const sanitize = (value) => PromptSecurity.sanitizeInput(value);
+  const context =
+    companyContext &&
+    [
+      ["Mission", companyContext.mission],
+      ["Values", companyContext.values],
+      ["Product", companyContext.product],
+      ["Why this company", companyContext.whyThisCompany],
+    ]
+      .filter(([, value]) => value && value.trim())
+      .map(([label, value]) => `${label}: ${sanitize(value)}`)
+      .join("\n");
+
+  return [
+    PromptSecurity.delimitText(sanitize(resumeText), "RESUME_CONTENT"),
+    jobDescription &&
+      PromptSecurity.delimitText(sanitize(jobDescription), "JOB_DESCRIPTION"),
+    `COMPANY NAME: ${companyName ? sanitize(companyName) : "[Company Name]"}`,
+    hiringManager && `HIRING MANAGER: ${sanitize(hiringManager)}`,
+    context && PromptSecurity.delimitText(context, "COMPANY_CONTEXT"),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+};
+
 const LinkedInOptimizationSchema = z.object({
   linkedin_summary: z.string(),
   keyword_density: z.object({
@@ -151,18 +331,308 @@ const LinkedInOptimizationSchema = z.object({
   profile_completion_tips: z.array(z.string()),
 });
 
+const TailoredResumeSchema = z.object({
+  tailored_summary: z.string(),
+  enhanced_bullets: z.array(
+    z.object({
+      original: z.string(),
+      enhanced: z.string(),
+      reasoning: z.string(),
+    })
+  ),
+  skills_optimization: z.object({
+    prioritized_skills: z.array(z.string()),
+    skills_to_add: z.array(z.string()),
+    skills_to_remove: z.array(z.string()),
+  }),
+  section_recommendations: z.array(
+    z.object({
+      section: z.string(),
+      recommendation: z.string(),
+      priority: z.enum(["high", "medium", "low"]),
+    })
+  ),
+  ats_keywords: z.array(z.string()),
+  match_percentage: z.number().min(0).max(100),
+  improvement_areas: z.array(z.string()),
+});
+
+const JobMatchSchema = z.object({
+  score: z.number().min(0).max(100),
+  feedback: z.string(),
+  matched_keywords: z.array(z.string()),
+  missing_keywords: z.array(z.string()),
+  recommendations: z.array(z.string()),
+});
+
+const CandidateScreeningSchema = z.object({
+  candidate_name: z.string(),
+  score: z.number().min(0).max(100),
+  recommendation: z.enum(["strong_yes", "yes", "maybe", "no"]),
+  summary: z.string(),
+  strengths: z.array(z.string()),
+  gaps: z.array(z.string()),
+  red_flags: z.array(z.string()),
+});
+
+const InterviewQuestionSchema = z.object({
+  question: z.string(),
+  why_likely: z.string(),
+  resume_reference: z.string(),
+  answer_outline: z.object({
+    situation: z.string(),
+    task: z.string(),
+    action: z.string(),
+    result: z.string(),
+  }),
+});
+
+const InterviewQuestionsSchema = z.object({
+  behavioral: z.array(InterviewQuestionSchema),
+  technical: z.array(InterviewQuestionSchema),
+  gap_probes: z.array(InterviewQuestionSchema),
+  role_specific: z.array(InterviewQuestionSchema),
+  preparation_tips: z.array(z.string()),
+});
+
+const MockInterviewQuestionSchema = z.object({
+  question: z.string(),
+  type: z.enum([
+    "behavioral",
+    "technical",
+    "gap_probe",
+    "role_specific",
+    "follow_up",
+  ]),
+  focus: z.string(),
+});
+
+const MockInterviewGradeSchema = z.object({
+  scores: z.object({
+    structure: z.number().min(0).max(100),
+    specificity: z.number().min(0).max(100),
+    metrics: z.number().min(0).max(100),
+    relevance: z.number().min(0).max(100),
+  }),
+  overall_score: z.number().min(0).max(100),
+  feedback: z.string(),
+  strengths: z.array(z.string()),
+  improvements: z.array(z.string()),
+});
+
+// A grade for every answer but the last also carries the next question
+const MockInterviewTurnSchema = MockInterviewGradeSchema.extend({
+  next_question: MockInterviewQuestionSchema,
+});
+
+const MockInterviewScorecardSchema = z.object({
+  summary: z.string(),
+  top_strengths: z.array(z.string()),
+  focus_areas: z.array(z.string()),
+  readiness: z.enum(["ready", "almost_ready", "needs_practice"]),
+});
+
+const BULLET_REWRITE_STYLES = [
+  "star",
+  "metric_first",
+  "concise",
+  "technical",
+  "leadership",
+];
+// One rewrite per style, at least three styles per request
+const MIN_BULLET_REWRITES = 3;
+const MAX_BULLET_REWRITES = BULLET_REWRITE_STYLES.length;
+
+const BulletRewriteSchema = z.object({
+  rewrites: z
+    .array(
+      z.object({
+        style: z.enum(BULLET_REWRITE_STYLES),
+        text: z.string(),
+        explanation: z.string(),
+      })
+    )
+    .min(MIN_BULLET_REWRITES)
+    .max(MAX_BULLET_REWRITES),
+  original_issues: z.array(z.string()),
+});
+
+// Exactly one rewrite per requested style
+const bulletRewriteSchemaFor = (count) =>
+  BulletRewriteSchema.extend({
+    rewrites: BulletRewriteSchema.shape.rewrites.length(count),
+  });
+
+const JobSkillSchema = z.object({
+  name: z.string(),
+  category: z.enum(["technical", "tool", "domain", "soft", "certification"]),
+  importance: z.enum(["critical", "high", "medium", "low"]),
+});
+
+const JobDescriptionProfileSchema = z.object({
+  role_title: z.string(),
+  seniority: z.enum([
+    "intern",
+    "junior",
+    "mid",
+    "senior",
+    "lead",
+    "unspecified",
+  ]),
+  required_skills: z.array(JobSkillSchema),
+  preferred_skills: z.array(JobSkillSchema),
+  responsibilities: z.array(z.string()),
+});
+
+const SkillGapClassificationSchema = z.object({
+  skills: z.array(
+    z.object({
+      skill: z.string(),
+      status: z.enum(["matched", "partial", "missing"]),
+      evidence: z.string(),
+      note: z.string(),
+    })
+  ),
+  roadmap: z.array(
+    z.object({
+      skill: z.string(),
+      why: z.string(),
+      learning_steps: z.array(z.string()),
+      project_ideas: z.array(z.string()),
+      resume_phrasing: z.string(),
+      estimated_time: z.string(),
+    })
+  ),
+  summary: z.string(),
+});
+
+const DatedEntrySchema = z.object({
+  name: z.string(),
+  issuer: z.string(),
+  date: z.string(),
+});
+
+// Empty strings and arrays mark what the resume does not state
+const ParsedResumeSchema = z.object({
+  contact: z.object({
+    name: z.string(),
+    email: z.string(),
+    phone: z.string(),
+    location: z.string(),
+    linkedin: z.string(),
+    github: z.string(),
+    website: z.string(),
+  }),
+  summary: z.string(),
+  experience: z.array(
+    z.object({
+      title: z.string(),
+      company: z.string(),
+      location: z.string(),
+      start_date: z.string(),
+      end_date: z.string(),
+      current: z.boolean(),
+      bullets: z.array(z.string()),
+    })
+  ),
+  education: z.array(
+    z.object({
+      degree: z.string(),
+      field: z.string(),
+      institution: z.string(),
+      location: z.string(),
+      start_date: z.string(),
+      end_date: z.string(),
+      gpa: z.string(),
+      honors: z.array(z.string()),
+    })
+  ),
+  projects: z.array(
+    z.object({
+      name: z.string(),
+      date: z.string(),
+      url: z.string(),
+      technologies: z.array(z.string()),
+      bullets: z.array(z.string()),
+    })
+  ),
+  skills: z.object({
+    technical: z.array(z.string()),
+    tools: z.array(z.string()),
+    soft: z.array(z.string()),
+  }),
+  certifications: z.array(DatedEntrySchema),
+  awards: z.array(DatedEntrySchema),
+  publications: z.array(
+    z.object({
+      title: z.string(),
+      venue: z.string(),
+      date: z.string(),
+      url: z.string(),
+    })
+  ),
+  languages: z.array(
+    z.object({
+      language: z.string(),
+      proficiency: z.string(),
+    })
+  ),
+  field_confidence: z.array(
+    z.object({
+      field: z.string(),
+      confidence: z.number().min(0).max(1),
+    })
+  ),
+});
+
+// Postings within this many points of the top score count as a best fit
+const BEST_FIT_MARGIN = 5;
+const MAX_BEST_FIT = 3;
+
 class AIService {
-  constructor() {
-    this.model = google("gemini-2.0-flash");
-    this.conversationManager = new ConversationManager();
+  constructor(options = {}) {
+    this.providers = options.providers || getProviderRegistry();
+    this.providerName = options.provider || this.providers.defaultProvider;
+    // Throws when the selected provider is missing its configuration
+    this.model = this.providers.getModel(this.providerName);
+    this.context = {};
+    this.conversationStore =
+      options.conversationStore || getConversationStore();
+    this.usageTracker = options.usageTracker || getUsageTracker();
+    this.resilience = options.resilience || getResilienceConfig();
+    this.cache = options.cache || getAICache();
+    this.promptRegistry = options.promptRegistry || getPromptRegistry();
+    this.experimentTracker =
+      options.experimentTracker || getExperimentTracker();
     this.latexGenerator = new LaTeXResumeGenerator();
     this.texliveService = new TeXliveService();
+  }
 
-    if (!process.env.GOOGLE_GENERATIVE_AI_API_KEY) {
-      throw new Error(
-        "GOOGLE_GENERATIVE_AI_API_KEY environment variable is not set"
-      );
+  /**
+   * Return a request-scoped view of this service.
+   * The view shares history and generators with the parent instance and only
+   * swaps the model when the context selects a different provider.
+   */
+  withContext(context = {}) {
+    const scoped = Object.create(this);
+    scoped.context = { ...this.context, ...context };
+
+    if (context.provider && context.provider !== this.providerName) {
+      scoped.providerName = context.provider;
+      scoped.model = this.providers.getModel(context.provider);
     }
+
+    return scoped;
+  }
+
+  /**
+   * Conversation history for the current session.
+   * Requests without a session ID share the "default" session.
+   */
+  get conversationManager() {
+    return this.conversationStore.getManager(
+      this.context.sessionId || "default"
+    );
   }
 
   async analyzeResume(
@@ -172,127 +642,55 @@ class AIService {
     generatorOptions = {}
   ) {
     try {
-      const sanitizedResume = PromptSecurity.sanitizeInput(resumeText);
-      const sanitizedJobDescription = jobDescription
-        ? PromptSecurity.sanitizeInput(jobDescription)
-        : null;
-
-      const delimitedResume = PromptSecurity.delimitText(
-        sanitizedResume,
-        "RESUME_CONTENT"
-      );
-      const delimitedJobDescription = sanitizedJobDescription
-        ? PromptSecurity.delimitText(sanitizedJobDescription, "JOB_DESCRIPTION")
-        : null;
-
-      const hasJobDescription = !!jobDescription;
-      const taskDescription = hasJobDescription
-        ? `Analyze the provided resume content against the job description and provide detailed, actionable feedback with specific JD match analysis.`
-        : `Analyze the provided resume content and provide detailed, actionable feedback focusing on general resume optimization and industry best practices.`;
-
-      let generatorSections = "";
-      if (generatorOptions.includeSummaryGen) {
-        generatorSections += `\n- resume_summary (REQUIRED): Object with optimized_summary (string), keyword_density (number 0-100), improvement_suggestions (array of strings).`;
-      }
-      if (generatorOptions.includeVariantGen) {
-        generatorSections += `\n- tailored_resume (REQUIRED): Object with tailored_summary (string) and match_percentage (number 0-100).`;
-      }
-      if (generatorOptions.includeCoverGen) {
-        generatorSections += `\n- cover_letter (REQUIRED): Object with full_letter (string) and word_count (number).`;
-      }
-      if (generatorOptions.includeLinkedInGen) {
-        generatorSections += `\n- linkedin_summary (REQUIRED): Object with linkedin_summary (string) and optimization_score (number 0-100).`;
-      }
-      if (generatorOptions.includeLatexGen) {
-        generatorSections += `\n- latex_resume (REQUIRED): Object with latex_source (string with LaTeX code) and template_used (string).`;
-      }
-
-      let outputFormat = PromptTemplates.RESUME_ANALYSIS.outputFormat;
-
-      if (generatorSections.length > 0) {
-        // Include generator instructions when generators are requested
-        outputFormat = outputFormat.replace(
-          "{{GENERATOR_SECTIONS}}",
-          generatorSections.trim()
-        );
-      } else {
-        // Remove generator instructions completely when no generators requested
-        outputFormat = outputFormat.replace(
-          /IMPORTANT: If any of the following generator sections are requested[\s\S]*?Keep each generator response concise and focused\./,
-          "IMPORTANT: Do NOT include any optional generator content (resume_summary, tailored_resume, cover_letter, linkedin_summary, latex_resume) in your response."
+      const template = this.selectTemplate("resume-analysis");
+      const cacheKey = this.buildCacheKey("analyzeResume", {
+        resumeText,
+        jobDescription,
+        options: { options, generatorOptions },
+        templates: [template],
+      });
+      // Counts the model tends to guess are computed locally and override
+      // its numbers, so they are stable between runs
+      const localMetrics = analyzeResumeMetrics(resumeText);
+
+      const cached = this.readCache("analyzeResume", cacheKey);
+      if (cached) {
+        return this.tagPromptTemplate(
+          resolveEvidence(applyLocalMetrics(cached, localMetrics), resumeText),
+          template,
+          { generator: "analyzeResume", cached: true }
         );
       }
 
-      console.log("🔥 Final outputFormat sent to AI:");
-      console.log(outputFormat.substring(0, 500) + "...");
-
-      const promptBuilder = new PromptBuilder()
-        .setTaskContext(PromptTemplates.RESUME_ANALYSIS.taskContext)
-        .setToneContext(PromptTemplates.RESUME_ANALYSIS.toneContext)
-        .setBackgroundData(
-          delimitedResume +
-            (delimitedJobDescription ? "\n\n" + delimitedJobDescription : "")
-        )
-        .setTaskDescription(
-          taskDescription,
-          PromptTemplates.RESUME_ANALYSIS.rules
-        )
-        .setExamples(PromptTemplates.RESUME_ANALYSIS.examples)
-        .setConversationHistory(this.conversationManager.getHistory())
-        .setImmediateTask(
-          `Please analyze this resume${
-            hasJobDescription ? " against the provided job description" : ""
-          } and provide comprehensive feedback${
-            hasJobDescription
-              ? " including JD match analysis"
-              : " focusing on general optimization"
-          }. ${
-            generatorSections.length > 0
-              ? "CRITICAL: You MUST generate content for ALL requested generator sections listed in the output format. Each section marked as (REQUIRED) must be included in your response. Do not skip any requested sections. This is mandatory."
-              : "IMPORTANT: Do NOT generate any optional generator content (resume_summary, tailored_resume, cover_letter, linkedin_summary, latex_resume) unless explicitly requested in the output format."
-          }`
-        )
-        .setOutputFormat(outputFormat);
-
-      const messages = promptBuilder.buildMessages();
+      const hasJobDescription = !!jobDescription;
+      const messages = this.buildAnalysisMessages(
+        resumeText,
+        jobDescription,
+        generatorOptions,
+        options.locale,
+        template
+      );
 
       // Create dynamic schema based on requested generators
       const dynamicSchema = this.createDynamicSchema(generatorOptions);
 
-      const { object } = await generateObject({
-        model: this.model,
+      const { object } = await this.callModel("analyzeResume", generateObject, {
         schema: dynamicSchema,
         messages,
         maxTokens: 8000, // Further increased limit for multiple generators
         providerOptions: {
-          google: {
-            safetySettings: [
-              {
-                category: "HARM_CATEGORY_HATE_SPEECH",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE",
-              },
-              {
-                category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE",
-              },
-              {
-                category: "HARM_CATEGORY_HARASSMENT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE",
-              },
-              {
-                category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE",
-              },
-            ],
-          },
+          google: { safetySettings: ANALYSIS_SAFETY_SETTINGS },
         },
       });
 
       // Add to conversation history
-      this.conversationManager.addMessage("user", `Resume analysis request`);
-      this.conversationManager.addMessage(
-        "assistant",
-        `Analysis completed with score: ${object.overall_score}`
+      this.recordExchange(
+        `Resume analysis request${
+          hasJobDescription ? " with job description" : ""
+        }`,
+        `Analysis completed with score: ${
+          object.overall_score
+        }. Top suggestions: ${(object.top_suggestions || []).join("; ")}`
       );
 
       // Debug log to see what generators were requested and returned
@@ -330,8 +728,10 @@ class AIService {
           } else {
             // Fallback: Generate LaTeX using our template
             console.log("⚠️ AI LaTeX not available, using template fallback");
-            const resumeData = this.extractResumeData(resumeText, object);
-            const latexCode = this.latexGenerator.generateFromJSON(resumeData);
+            const resumeData = await this.extractResumeData(resumeText, object);
+            const latexCode = this.latexGenerator.generateFromJSON(resumeData, {
+              locale: options.locale,
+            });
 
             object.latex_resume = {
               latex_source: latexCode,
@@ -350,62 +750,176 @@ class AIService {
         }
       }
 
-      // Filter out generator fields that weren't requested
-      const filteredObject = { ...object };
-
-      if (!generatorOptions.includeSummaryGen) {
-        delete filteredObject.resume_summary;
-      }
-      if (!generatorOptions.includeVariantGen) {
-        delete filteredObject.tailored_resume;
-      }
-      if (!generatorOptions.includeCoverGen) {
-        delete filteredObject.cover_letter;
-      }
-      if (!generatorOptions.includeLinkedInGen) {
-        delete filteredObject.linkedin_summary;
-      }
-      if (!generatorOptions.includeLatexGen) {
-        delete filteredObject.latex_resume;
-      }
+      const filteredObject = this.filterGeneratorOutput(
+        object,
+        generatorOptions
+      );
 
-      console.log("🎯 Final response after filtering:", {
-        has_resume_summary: !!filteredObject.resume_summary,
-        has_tailored_resume: !!filteredObject.tailored_resume,
-        has_cover_letter: !!filteredObject.cover_letter,
-        has_linkedin_summary: !!filteredObject.linkedin_summary,
-        has_latex_resume: !!filteredObject.latex_resume,
+      // The cache keeps the model's quotes; offsets are resolved per call
+      // since whitespace-only differences share a cache entry
+      const analysis = resolveEvidence(
+        this.cache.set(
+          cacheKey,
+          applyLocalMetrics(filteredObject, localMetrics)
+        ),
+        resumeText
+      );
+      return this.tagPromptTemplate(analysis, template, {
+        generator: "analyzeResume",
+        score: analysis.overall_score,
       });
-
-      // Double-check: remove any fields with default/placeholder values
-      if (
-        filteredObject.resume_summary?.optimized_summary === "default string"
-      ) {
-        console.log("🧹 Removing resume_summary with default values");
-        delete filteredObject.resume_summary;
-      }
-      if (
-        filteredObject.tailored_resume?.tailored_summary === "default string"
-      ) {
-        console.log("🧹 Removing tailored_resume with default values");
-        delete filteredObject.tailored_resume;
-      }
-      if (filteredObject.cover_letter?.full_letter === "default string") {
-        console.log("🧹 Removing cover_letter with default values");
-        delete filteredObject.cover_letter;
-      }
-      if (
-        filteredObject.linkedin_summary?.linkedin_summary === "default string"
-      ) {
-        console.log("🧹 Removing linkedin_summary with default values");
-        delete filteredObject.linkedin_summary;
-      }
-
-      return filteredObject;
     } catch (error) {
       console.error("Resume analysis error:", error);
-      throw new Error(`Resume analysis failed: ${error.message}`);
+      throw this.toServiceError(error, "Resume analysis failed");
+    }
+  }
+
+  /**
+   * Build the resume analysis prompt, including instructions for any
+   * requested generator sections and the output language
+   */
+  buildAnalysisMessages(
+    resumeText,
+    jobDescription,
+    generatorOptions = {},
+    locale = DEFAULT_LOCALE,
+    template = this.promptRegistry.get("resume-analysis")
+  ) {
+    const sanitizedResume = PromptSecurity.sanitizeInput(resumeText);
+    const sanitizedJobDescription = jobDescription
+      ? PromptSecurity.sanitizeInput(jobDescription)
+      : null;
+
+    const delimitedResume = PromptSecurity.delimitText(
+      sanitizedResume,
+      "RESUME_CONTENT"
+    );
+    const delimitedJobDescription = sanitizedJobDescription
+      ? PromptSecurity.delimitText(sanitizedJobDescription, "JOB_DESCRIPTION")
+      : null;
+
+    const hasJobDescription = !!jobDescription;
+
+    let generatorSections = "";
+    if (generatorOptions.includeSummaryGen) {
+      generatorSections += `\n- resume_summary (REQUIRED): Object with optimized_summary (string), keyword_density (number 0-100), improvement_suggestions (array of strings).`;
+    }
+    if (generatorOptions.includeVariantGen) {
+      generatorSections += `\n- tailored_resume (REQUIRED): Object with tailored_summary (string) and match_percentage (number 0-100).`;
+    }
+    if (generatorOptions.includeCoverGen) {
+      generatorSections += `\n- cover_letter (REQUIRED): Object with full_letter (string) and word_count (number).`;
+    }
+    if (generatorOptions.includeLinkedInGen) {
+      generatorSections += `\n- linkedin_summary (REQUIRED): Object with linkedin_summary (string) and optimization_score (number 0-100).`;
+    }
+    if (generatorOptions.includeLatexGen) {
+      generatorSections += `\n- latex_resume (REQUIRED): Object with latex_source (string with LaTeX code) and template_used (string).`;
+    }
+
+    let outputFormat = template.outputFormat;
+
+    if (generatorSections.length > 0) {
+      // Include generator instructions when generators are requested
+      outputFormat = outputFormat.replace(
+        "{{GENERATOR_SECTIONS}}",
+        generatorSections.trim()
+      );
+    } else {
+      // Remove generator instructions completely when no generators requested
+      outputFormat = outputFormat.replace(
+        /IMPORTANT: If any of the following generator sections are requested[\s\S]*?Keep each generator response concise and focused\./,
+        "IMPORTANT: Do NOT include any optional generator content (resume_summary, tailored_resume, cover_letter, linkedin_summary, latex_resume) in your response."
+      );
+    }
+
+    console.log("🔥 Final outputFormat sent to AI:");
+    console.log(outputFormat.substring(0, 500) + "...");
+
+    const promptBuilder = new PromptBuilder()
+      .setTaskContext(template.taskContext)
+      .setToneContext(template.toneContext)
+      .setBackgroundData(
+        delimitedResume +
+          (delimitedJobDescription ? "\n\n" + delimitedJobDescription : "")
+      )
+      .setTaskDescription(
+        templateText(template.taskDescription, hasJobDescription),
+        localizeRules(template.rules, locale)
+      )
+      .setExamples(template.examples)
+      .setConversationHistory(this.conversationManager.getHistory())
+      .setImmediateTask(
+        `Please analyze this resume${
+          hasJobDescription ? " against the provided job description" : ""
+        } and provide comprehensive feedback${
+          hasJobDescription
+            ? " including JD match analysis"
+            : " focusing on general optimization"
+        }. ${
+          generatorSections.length > 0
+            ? "CRITICAL: You MUST generate content for ALL requested generator sections listed in the output format. Each section marked as (REQUIRED) must be included in your response. Do not skip any requested sections. This is mandatory."
+            : "IMPORTANT: Do NOT generate any optional generator content (resume_summary, tailored_resume, cover_letter, linkedin_summary, latex_resume) unless explicitly requested in the output format."
+        }`
+      )
+      .setOutputFormat(outputFormat);
+
+    return promptBuilder.buildMessages();
+  }
+
+  /**
+   * Drop generator sections that were not requested or only hold
+   * placeholder values
+   */
+  filterGeneratorOutput(object, generatorOptions = {}) {
+    // Filter out generator fields that weren't requested
+    const filteredObject = { ...object };
+
+    if (!generatorOptions.includeSummaryGen) {
+      delete filteredObject.resume_summary;
+    }
+    if (!generatorOptions.includeVariantGen) {
+      delete filteredObject.tailored_resume;
+    }
+    if (!generatorOptions.includeCoverGen) {
+      delete filteredObject.cover_letter;
+    }
+    if (!generatorOptions.includeLinkedInGen) {
+      delete filteredObject.linkedin_summary;
+    }
+    if (!generatorOptions.includeLatexGen) {
+      delete filteredObject.latex_resume;
+    }
+
+    console.log("🎯 Final response after filtering:", {
+      has_resume_summary: !!filteredObject.resume_summary,
+      has_tailored_resume: !!filteredObject.tailored_resume,
+      has_cover_letter: !!filteredObject.cover_letter,
+      has_linkedin_summary: !!filteredObject.linkedin_summary,
+      has_latex_resume: !!filteredObject.latex_resume,
+    });
+
+    // Double-check: remove any fields with default/placeholder values
+    if (filteredObject.resume_summary?.optimized_summary === "default string") {
+      console.log("🧹 Removing resume_summary with default values");
+      delete filteredObject.resume_summary;
+    }
+    if (filteredObject.tailored_resume?.tailored_summary === "default string") {
+      console.log("🧹 Removing tailored_resume with default values");
+      delete filteredObject.tailored_resume;
     }
+    if (filteredObject.cover_letter?.full_letter === "default string") {
+      console.log("🧹 Removing cover_letter with default values");
+      delete filteredObject.cover_letter;
+    }
+    if (
+      filteredObject.linkedin_summary?.linkedin_summary === "default string"
+    ) {
+      console.log("🧹 Removing linkedin_summary with default values");
+      delete filteredObject.linkedin_summary;
+    }
+
+    return filteredObject;
   }
 
   /**
@@ -482,6 +996,7 @@ class AIService {
       jd_recommendations: z.array(z.string()).optional(),
       strengths: z.array(z.string()),
       top_suggestions: z.array(z.string()),
+      evidence: AnalysisEvidenceSchema,
     };
 
     // Only add generator fields if they're actually requested
@@ -544,8 +1059,26 @@ class AIService {
   /**
    * Generate professional summary
    */
-  async generateSummary(resumeText, targetRole = null) {
+  async generateSummary(
+    resumeText,
+    targetRole = null,
+    { locale = DEFAULT_LOCALE } = {}
+  ) {
     try {
+      const template = this.selectTemplate("resume-summary");
+      const cacheKey = this.buildCacheKey("generateSummary", {
+        resumeText,
+        options: { targetRole, locale },
+        templates: [template],
+      });
+      const cached = this.readCache("generateSummary", cacheKey);
+      if (cached) {
+        return this.tagPromptTemplate(cached, template, {
+          generator: "generateSummary",
+          cached: true,
+        });
+      }
+
       const sanitizedResume = PromptSecurity.sanitizeInput(resumeText);
       const sanitizedTargetRole = targetRole
         ? PromptSecurity.sanitizeInput(targetRole)
@@ -560,168 +1093,1479 @@ class AIService {
         : "";
 
       const promptBuilder = new PromptBuilder()
-        .setTaskContext(
-          "You are an expert resume writer and career coach specializing in creating compelling professional summaries."
-        )
-        .setToneContext("Professional, engaging, and results-focused")
+        .setTaskContext(template.taskContext)
+        .setToneContext(template.toneContext)
         .setBackgroundData(
           delimitedResume + (delimitedRole ? "\n\n" + delimitedRole : "")
         )
         .setTaskDescription(
-          "Generate a compelling professional summary that showcases value proposition and key achievements.",
-          [
-            "Length: 3-4 powerful sentences (60-80 words)",
-            "Include 2-3 quantified achievements or metrics",
-            "Highlight 3-4 most relevant skills/technologies",
-            "Match tone to industry standards",
-            "Avoid generic buzzwords",
-          ]
+          template.taskDescription,
+          localizeRules(template.rules, locale)
         )
         .setConversationHistory(this.conversationManager.getHistory())
-        .setImmediateTask(
-          "Create a professional summary that will grab recruiters' attention"
-        )
-        .setOutputFormat(
-          "JSON response with summary, explanation, keywords, metrics, and improvement tips"
-        );
+        .setImmediateTask(template.immediateTask)
+        .setOutputFormat(template.outputFormat);
 
       const messages = promptBuilder.buildMessages();
 
-      const { object } = await generateObject({
-        model: this.model,
-        schema: SummaryGenerationSchema,
-        messages,
-        providerOptions: {
-          google: {},
-        },
-      });
+      const { object } = await this.callModel(
+        "generateSummary",
+        generateObject,
+        {
+          schema: SummaryGenerationSchema,
+          messages,
+          providerOptions: {
+            google: {},
+          },
+        }
+      );
 
-      return object;
+      this.recordExchange(
+        `Professional summary request${targetRole ? ` for ${targetRole}` : ""}`,
+        `Summary generated: ${object.summary}`
+      );
+
+      return this.tagPromptTemplate(
+        this.cache.set(cacheKey, object),
+        template,
+        {
+          generator: "generateSummary",
+        }
+      );
     } catch (error) {
       console.error("Summary generation error:", error);
-      throw new Error(`Summary generation failed: ${error.message}`);
+      throw this.toServiceError(error, "Summary generation failed");
     }
   }
 
   /**
-   * Generate cover letter
+   * Generate a cover letter. `tone` is one of COVER_LETTER_TONES, `length`
+   * a preset of the template ("short", "medium", "long") or a target word
+   * count, and `companyContext` holds { mission, values, product,
+   * whyThisCompany } notes. With `variants` of 2-3 the result is
+   * { variants: [...] }, each a cover letter with an `angle`.
    */
   async generateCoverLetter(
     resumeText,
     jobDescription = null,
-    companyName = null
+    companyName = null,
+    {
+      locale = DEFAULT_LOCALE,
+      tone = null,
+      length = null,
+      hiringManager = null,
+      companyContext = null,
+      variants = 1,
+    } = {}
   ) {
     try {
-      const sanitizedResume = PromptSecurity.sanitizeInput(resumeText);
-      const sanitizedJobDescription = jobDescription
-        ? PromptSecurity.sanitizeInput(jobDescription)
-        : null;
-      const sanitizedCompanyName = companyName
-        ? PromptSecurity.sanitizeInput(companyName)
-        : "[Company Name]";
-
-      const delimitedResume = PromptSecurity.delimitText(
-        sanitizedResume,
-        "RESUME_CONTENT"
-      );
-      const delimitedJD = sanitizedJobDescription
-        ? PromptSecurity.delimitText(sanitizedJobDescription, "JOB_DESCRIPTION")
-        : null;
-      const companyInfo = `COMPANY NAME: ${sanitizedCompanyName}`;
+      const template = this.selectTemplate("cover-letter");
+      // Templates without variant rules write a single letter
+      const count = template.variantRules
+        ? Math.min(Math.max(1, variants), MAX_COVER_LETTER_VARIANTS)
+        : 1;
+      const lengthRange =
+        typeof length === "number"
+          ? {
+              min: Math.round((length * 0.85) / 10) * 10,
+              max: Math.round((length * 1.15) / 10) * 10,
+            }
+          : (template.lengths || {})[length || "medium"];
+
+      const cacheKey = this.buildCacheKey("generateCoverLetter", {
+        resumeText,
+        jobDescription,
+        options: {
+          companyName,
+          locale,
+          tone,
+          lengthRange,
+          hiringManager,
+          companyContext,
+          count,
+        },
+        templates: [template],
+      });
+      const cached = this.readCache("generateCoverLetter", cacheKey);
+      if (cached) {
+        return this.tagPromptTemplate(cached, template, {
+          generator: "generateCoverLetter",
+          cached: true,
+        });
+      }
 
-      let backgroundData = delimitedResume;
-      if (delimitedJD) {
-        backgroundData += "\n\n" + delimitedJD;
+      const fill = (text, values) =>
+        Object.entries(values).reduce(
+          (result, [key, value]) => result.split(`{${key}}`).join(value),
+          text
+        );
+      const rules = [...template.rules];
+      if (template.lengthRule && lengthRange) {
+        rules.push(fill(template.lengthRule, lengthRange));
+      }
+      if (template.hiringManagerRule && hiringManager) {
+        rules.push(
+          fill(template.hiringManagerRule, {
+            name: PromptSecurity.sanitizeInput(hiringManager),
+          })
+        );
+      }
+      if (template.companyContextRules && companyContext) {
+        rules.push(...template.companyContextRules);
+      }
+      if (count > 1) {
+        rules.push(
+          ...template.variantRules.map((rule) => fill(rule, { count }))
+        );
       }
-      backgroundData += "\n\n" + companyInfo;
 
       const hasJobDescription = !!jobDescription;
-      const taskDescription = hasJobDescription
-        ? "Create a compelling, personalized cover letter that positions the candidate as the ideal fit for the specific role."
-        : "Create a compelling, general cover letter that showcases the candidate's key strengths and achievements.";
-
-      const immediateTask = hasJobDescription
-        ? "Generate a persuasive cover letter that showcases relevant achievements and cultural fit for the specific role"
-        : "Generate a persuasive cover letter that showcases key achievements and professional value";
-
       const promptBuilder = new PromptBuilder()
-        .setTaskContext(PromptTemplates.COVER_LETTER_GENERATION.taskContext)
-        .setToneContext(PromptTemplates.COVER_LETTER_GENERATION.toneContext)
-        .setBackgroundData(backgroundData)
+        .setTaskContext(template.taskContext)
+        .setToneContext(
+          (tone && template.tones && template.tones[tone]) ||
+            template.toneContext
+        )
+        .setBackgroundData(
+          coverLetterBackground(resumeText, jobDescription, {
+            companyName,
+            hiringManager,
+            companyContext,
+          })
+        )
         .setTaskDescription(
-          taskDescription,
-          PromptTemplates.COVER_LETTER_GENERATION.rules
+          templateText(template.taskDescription, hasJobDescription),
+          localizeRules(rules, locale)
         )
         .setConversationHistory(this.conversationManager.getHistory())
-        .setImmediateTask(immediateTask)
-        .setOutputFormat(PromptTemplates.COVER_LETTER_GENERATION.outputFormat);
+        .setImmediateTask(
+          templateText(template.immediateTask, hasJobDescription)
+        )
+        .setOutputFormat(
+          count > 1 ? template.variantsOutputFormat : template.outputFormat
+        );
 
       const messages = promptBuilder.buildMessages();
 
-      const { object } = await generateObject({
-        model: this.model,
-        schema: CoverLetterSchema,
-        messages,
-        providerOptions: {
-          google: {},
-        },
+      // The letter text is rebuilt from its sections, as after paragraph
+      // regeneration, and length targets are checked against its real count
+      const finishLetter = (letter) => ({
+        ...letter,
+        ...assembleCoverLetter(letter.cover_letter),
       });
+      const letterKey = (letter) =>
+        letter.full_letter.toLowerCase().replace(/\s+/g, " ").trim();
+
+      // Variants must be `count` different letters; a response with
+      // repeated letters is asked for again, then rejected
+      let object;
+      let letters;
+      for (let attempt = 1; attempt <= (count > 1 ? 2 : 1); attempt++) {
+        ({ object } = await this.callModel(
+          "generateCoverLetter",
+          generateObject,
+          {
+            schema:
+              count > 1
+                ? coverLetterVariantsSchemaFor(count)
+                : CoverLetterSchema,
+            messages,
+            providerOptions: {
+              google: {},
+            },
+          }
+        ));
+        if (count === 1) break;
+
+        letters = new Map();
+        object.variants.map(finishLetter).forEach((letter) => {
+          if (!letters.has(letterKey(letter)))
+            letters.set(letterKey(letter), letter);
+        });
+        if (letters.size === count) break;
+      }
+
+      if (count > 1 && letters.size < count) {
+        throw new SchemaMismatchError(
+          `The AI response has ${letters.size} distinct cover letter variant${
+            letters.size === 1 ? "" : "s"
+          } instead of ${count}`,
+          { provider: this.providerName }
+        );
+      }
+      const result =
+        count > 1
+          ? { variants: Array.from(letters.values()) }
+          : finishLetter(object);
+
+      const companyLabel = companyName
+        ? PromptSecurity.sanitizeInput(companyName)
+        : "[Company Name]";
+      this.recordExchange(
+        `Cover letter request for ${companyLabel}`,
+        count > 1
+          ? `${result.variants.length} cover letter variants generated`
+          : `Cover letter generated (${result.word_count} words)`
+      );
+
+      return this.tagPromptTemplate(
+        this.cache.set(cacheKey, result),
+        template,
+        {
+          generator: "generateCoverLetter",
+        }
+      );
+    } catch (error) {
+      console.error("Cover letter generation error:", error);
+      throw this.toServiceError(error, "Cover letter generation failed");
+    }
+  }
+
+  /**
+   * Rewrite one paragraph (see COVER_LETTER_PARAGRAPHS) of a structured
+   * `cover_letter`, optionally following `instructions`. The other sections
+   * are kept; the full letter and word count are rebuilt from the result.
+   * Not cached, so asking again gives another version.
+   */
+  async regenerateCoverLetterParagraph(
+    resumeText,
+    jobDescription,
+    coverLetter,
+    section,
+    {
+      companyName = null,
+      hiringManager = null,
+      companyContext = null,
+      instructions = null,
+      locale = DEFAULT_LOCALE,
+    } = {}
+  ) {
+    try {
+      const template = this.selectTemplate("cover-letter-paragraph");
+
+      const currentLetter = COVER_LETTER_SECTIONS.filter(
+        (key) => coverLetter[key]
+      )
+        .map(
+          (key) =>
+            `[${key}${key === section ? " - REWRITE THIS SECTION" : ""}]\n${
+              coverLetter[key]
+            }`
+        )
+        .join("\n\n");
+
+      const backgroundData = [
+        coverLetterBackground(resumeText, jobDescription, {
+          companyName,
+          hiringManager,
+          companyContext,
+        }),
+        PromptSecurity.delimitText(
+          PromptSecurity.sanitizeInput(currentLetter),
+          "CURRENT_COVER_LETTER"
+        ),
+        instructions &&
+          PromptSecurity.delimitText(
+            PromptSecurity.sanitizeInput(instructions),
+            "EDIT_INSTRUCTIONS"
+          ),
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+
+      const promptBuilder = new PromptBuilder()
+        .setTaskContext(template.taskContext)
+        .setToneContext(template.toneContext)
+        .setBackgroundData(backgroundData)
+        .setTaskDescription(
+          template.taskDescription,
+          localizeRules(template.rules, locale)
+        )
+        .setImmediateTask(
+          `Rewrite the ${section} section of the current cover letter (${countWords(
+            coverLetter[section]
+          )} words now)`
+        )
+        .setOutputFormat(template.outputFormat);
+
+      const { object } = await this.callModel(
+        "regenerateCoverLetterParagraph",
+        generateObject,
+        {
+          schema: CoverLetterParagraphSchema,
+          messages: promptBuilder.buildMessages(),
+          providerOptions: {
+            google: {},
+          },
+        }
+      );
+
+      const sections = { ...coverLetter, [section]: object.paragraph.trim() };
+      return this.tagPromptTemplate(
+        {
+          section,
+          previous: coverLetter[section],
+          paragraph: sections[section],
+          changes: object.changes,
+          cover_letter: sections,
+          ...assembleCoverLetter(sections),
+        },
+        template,
+        { generator: "regenerateCoverLetterParagraph" }
+      );
+    } catch (error) {
+      console.error("Cover letter paragraph regeneration error:", error);
+      throw this.toServiceError(
+        error,
+        "Cover letter paragraph regeneration failed"
+      );
+    }
+  }
+
+  /**
+   * Optimize LinkedIn profile
+   */
+  async optimizeLinkedIn(resumeText, { locale = DEFAULT_LOCALE } = {}) {
+    try {
+      const template = this.selectTemplate("linkedin-optimization");
+      const cacheKey = this.buildCacheKey("optimizeLinkedIn", {
+        resumeText,
+        options: { locale },
+        templates: [template],
+      });
+      const cached = this.readCache("optimizeLinkedIn", cacheKey);
+      if (cached) {
+        return this.tagPromptTemplate(cached, template, {
+          generator: "optimizeLinkedIn",
+          cached: true,
+        });
+      }
+
+      const sanitizedResume = PromptSecurity.sanitizeInput(resumeText);
+      const delimitedResume = PromptSecurity.delimitText(
+        sanitizedResume,
+        "RESUME_CONTENT"
+      );
+
+      const promptBuilder = new PromptBuilder()
+        .setTaskContext(template.taskContext)
+        .setToneContext(template.toneContext)
+        .setBackgroundData(delimitedResume)
+        .setTaskDescription(
+          template.taskDescription,
+          localizeRules(template.rules, locale)
+        )
+        .setConversationHistory(this.conversationManager.getHistory())
+        .setImmediateTask(template.immediateTask)
+        .setOutputFormat(template.outputFormat);
+
+      const messages = promptBuilder.buildMessages();
+
+      const { object } = await this.callModel(
+        "optimizeLinkedIn",
+        generateObject,
+        {
+          schema: LinkedInOptimizationSchema,
+          messages,
+          providerOptions: {
+            google: {},
+          },
+        }
+      );
+
+      this.recordExchange(
+        "LinkedIn optimization request",
+        `LinkedIn summary generated with optimization score: ${object.optimization_score}`
+      );
+
+      return this.tagPromptTemplate(
+        this.cache.set(cacheKey, object),
+        template,
+        {
+          generator: "optimizeLinkedIn",
+          score: object.optimization_score,
+        }
+      );
+    } catch (error) {
+      console.error("LinkedIn optimization error:", error);
+      throw this.toServiceError(error, "LinkedIn optimization failed");
+    }
+  }
+
+  /**
+   * Generate a resume tailored to a job description.
+   * Returns the model's structured suggestions plus a complete tailored
+   * resume (data + LaTeX) and a change log of every edit applied to it.
+   */
+  async generateTailoredResume(resumeText, jobDescription) {
+    try {
+      const template = this.selectTemplate("tailored-resume");
+      const sanitizedResume = PromptSecurity.sanitizeInput(resumeText);
+      const sanitizedJobDescription =
+        PromptSecurity.sanitizeInput(jobDescription);
+
+      const delimitedResume = PromptSecurity.delimitText(
+        sanitizedResume,
+        "RESUME_CONTENT"
+      );
+      const delimitedJobDescription = PromptSecurity.delimitText(
+        sanitizedJobDescription,
+        "JOB_DESCRIPTION"
+      );
+
+      const promptBuilder = new PromptBuilder()
+        .setTaskContext(template.taskContext)
+        .setToneContext(template.toneContext)
+        .setBackgroundData(delimitedResume + "\n\n" + delimitedJobDescription)
+        .setTaskDescription(template.taskDescription, template.rules)
+        .setConversationHistory(this.conversationManager.getHistory())
+        .setImmediateTask(template.immediateTask)
+        .setOutputFormat(template.outputFormat);
+
+      const messages = promptBuilder.buildMessages();
+
+      const { object } = await this.callModel(
+        "generateTailoredResume",
+        generateObject,
+        {
+          schema: TailoredResumeSchema,
+          messages,
+          providerOptions: {
+            google: {},
+          },
+        }
+      );
+
+      const baseResumeData = await this.extractResumeData(resumeText);
+      const { resumeData, changeLog } = this.applyTailoring(
+        baseResumeData,
+        object
+      );
+      const latexCode = this.latexGenerator.generateFromJSON(resumeData);
+
+      this.recordExchange(
+        "Tailored resume request",
+        `Tailored resume generated with match: ${object.match_percentage}%`
+      );
+
+      return this.tagPromptTemplate(
+        {
+          ...object,
+          tailored_resume: {
+            resume_data: resumeData,
+            latex_source: latexCode,
+            template_used: "resume-modern.tex",
+          },
+          change_log: changeLog,
+        },
+        template,
+        {
+          generator: "generateTailoredResume",
+          score: object.match_percentage,
+        }
+      );
+    } catch (error) {
+      console.error("Tailored resume generation error:", error);
+      throw this.toServiceError(error, "Tailored resume generation failed");
+    }
+  }
+
+  /**
+   * Apply tailoring suggestions to structured resume data.
+   * Every suggestion gets a change log entry; suggestions that could not be
+   * matched to the parsed resume are logged with applied: false. Skills to
+   * add are never applied: the candidate has not claimed them, so they are
+   * logged as suggestions to confirm.
+   */
+  applyTailoring(resumeData, tailoring) {
+    const tailored = JSON.parse(JSON.stringify(resumeData));
+    const changeLog = [];
+
+    if (tailoring.tailored_summary) {
+      changeLog.push({
+        type: "summary_rewritten",
+        section: "summary",
+        before: tailored.summary || null,
+        after: tailoring.tailored_summary,
+        reasoning: "Summary rewritten for the target role",
+        applied: true,
+      });
+      tailored.summary = tailoring.tailored_summary;
+    }
+
+    const normalize = (text) =>
+      (text || "")
+        .toLowerCase()
+        .replace(/^[•\-*\s]+/, "")
+        .replace(/[^a-z0-9%$]+/g, " ")
+        .trim();
+
+    const bulletLists = [
+      ...(tailored.experience || []).map((entry) => ({
+        section: "experience",
+        entry,
+        key: "achievements",
+      })),
+      ...(tailored.projects || []).map((entry) => ({
+        section: "projects",
+        entry,
+        key: "description",
+      })),
+    ];
+
+    // Only an exact (normalized) match is rewritten: a substring match could
+    // land on a different bullet that happens to contain the original text.
+    // Each bullet is rewritten at most once.
+    const rewritten = new Set();
+
+    (tailoring.enhanced_bullets || []).forEach((bullet) => {
+      const original = normalize(bullet.original);
+      let location = null;
+
+      for (const [listIndex, list] of bulletLists.entries()) {
+        const value = list.entry[list.key];
+        const items = Array.isArray(value) ? value : [value];
+        const index = items.findIndex(
+          (item, position) =>
+            original &&
+            normalize(item) === original &&
+            !rewritten.has(`${listIndex}:${position}`)
+        );
+
+        if (index > -1) {
+          location = { list, items, index, key: `${listIndex}:${index}` };
+          break;
+        }
+      }
+
+      if (location) {
+        const { list, items, index, key } = location;
+        rewritten.add(key);
+        items[index] = bullet.enhanced;
+        list.entry[list.key] = Array.isArray(list.entry[list.key])
+          ? items
+          : items[0];
+      }
+
+      changeLog.push({
+        type: "bullet_rewritten",
+        section: location ? location.list.section : null,
+        before: bullet.original,
+        after: bullet.enhanced,
+        reasoning: bullet.reasoning,
+        applied: !!location,
+      });
+    });
+
+    const skillsOptimization = tailoring.skills_optimization;
+    if (skillsOptimization && tailored.skills) {
+      const removals = (skillsOptimization.skills_to_remove || []).map(
+        (skill) => skill.toLowerCase()
+      );
+
+      Object.keys(tailored.skills).forEach((category) => {
+        const before = tailored.skills[category];
+        const after = before.filter(
+          (skill) => !removals.includes(skill.toLowerCase())
+        );
+        before
+          .filter((skill) => !after.includes(skill))
+          .forEach((skill) =>
+            changeLog.push({
+              type: "skill_removed",
+              section: `skills.${category}`,
+              before: skill,
+              after: null,
+              reasoning: "Less relevant to the target role",
+              applied: true,
+            })
+          );
+        tailored.skills[category] = after;
+      });
+
+      const prioritized = (skillsOptimization.prioritized_skills || []).map(
+        (skill) => skill.toLowerCase()
+      );
+      if (prioritized.length > 0 && tailored.skills.technical) {
+        const rank = (skill) => {
+          const position = prioritized.indexOf(skill.toLowerCase());
+          return position === -1 ? prioritized.length : position;
+        };
+        const before = [...tailored.skills.technical];
+        tailored.skills.technical.sort((a, b) => rank(a) - rank(b));
+        if (before.join("|") !== tailored.skills.technical.join("|")) {
+          changeLog.push({
+            type: "skills_reordered",
+            section: "skills.technical",
+            before: before.join(", "),
+            after: tailored.skills.technical.join(", "),
+            reasoning: "Skills most relevant to the job listed first",
+            applied: true,
+          });
+        }
+      }
+    }
+
+    if (skillsOptimization) {
+      const existing = Object.values(tailored.skills || {})
+        .flat()
+        .map((skill) => skill.toLowerCase());
+      (skillsOptimization.skills_to_add || [])
+        .filter((skill) => !existing.includes(skill.toLowerCase()))
+        .forEach((skill) => {
+          changeLog.push({
+            type: "skill_suggested",
+            section: "skills.technical",
+            before: null,
+            after: skill,
+            reasoning:
+              "Relevant to the job description; add it only if you have this skill",
+            applied: false,
+          });
+        });
+    }
+
+    return { resumeData: tailored, changeLog };
+  }
+
+  /**
+   * Score one resume against one job description (the JD-match portion of
+   * analyzeResume, without the general resume analysis)
+   */
+  async matchJobDescription(resumeText, jobDescription) {
+    try {
+      const template = this.selectTemplate("jd-match");
+      const cacheKey = this.buildCacheKey("matchJobDescription", {
+        resumeText,
+        jobDescription,
+        templates: [template],
+      });
+      const cached = this.readCache("matchJobDescription", cacheKey);
+      if (cached) {
+        return this.tagPromptTemplate(cached, template, {
+          generator: "matchJobDescription",
+          cached: true,
+        });
+      }
+
+      const delimitedResume = PromptSecurity.delimitText(
+        PromptSecurity.sanitizeInput(resumeText),
+        "RESUME_CONTENT"
+      );
+      const delimitedJobDescription = PromptSecurity.delimitText(
+        PromptSecurity.sanitizeInput(jobDescription),
+        "JOB_DESCRIPTION"
+      );
+
+      const promptBuilder = new PromptBuilder()
+        .setTaskContext(template.taskContext)
+        .setToneContext(template.toneContext)
+        .setBackgroundData(delimitedResume + "\n\n" + delimitedJobDescription)
+        .setTaskDescription(template.taskDescription, template.rules)
+        .setImmediateTask(template.immediateTask)
+        .setOutputFormat(template.outputFormat);
+
+      const { object } = await this.callModel(
+        "matchJobDescription",
+        generateObject,
+        {
+          schema: JobMatchSchema,
+          messages: promptBuilder.buildMessages(),
+          providerOptions: {
+            google: {},
+          },
+        }
+      );
+
+      return this.tagPromptTemplate(
+        this.cache.set(cacheKey, object),
+        template,
+        {
+          generator: "matchJobDescription",
+          score: object.score,
+        }
+      );
+    } catch (error) {
+      console.error("Job description match error:", error);
+      throw this.toServiceError(error, "Job description match failed");
+    }
+  }
+
+  /**
+   * Analyze one resume against several labeled job descriptions.
+   * The general analysis runs once and is shared; the JD match runs per
+   * posting with bounded concurrency, and postings are ranked by score.
+   * A posting that fails is reported with its error instead of failing the
+   * whole request, unless every posting fails.
+   */
+  async analyzeAgainstJobDescriptions(
+    resumeText,
+    jobDescriptions,
+    options = {},
+    { concurrency = 3 } = {}
+  ) {
+    const baseAnalysis = await this.analyzeResume(resumeText, null, options);
+
+    const results = await mapWithConcurrency(
+      jobDescriptions,
+      concurrency,
+      async ({ id, label, text }) => {
+        try {
+          const match = await this.matchJobDescription(resumeText, text);
+          return {
+            id,
+            label,
+            jd_match: { score: match.score, feedback: match.feedback },
+            matched_keywords: match.matched_keywords,
+            missing_keywords: match.missing_keywords,
+            top_recommendations: match.recommendations.slice(0, 3),
+            prompt_template: match.prompt_template,
+          };
+        } catch (error) {
+          return { id, label, failure: error };
+        }
+      }
+    );
+
+    const failed = results.filter((result) => result.failure);
+    if (failed.length === results.length) {
+      throw failed[0].failure;
+    }
+
+    const ranked = results
+      .filter((result) => !result.failure)
+      .sort((a, b) => b.jd_match.score - a.jd_match.score)
+      .map((result, index) => ({ rank: index + 1, ...result }));
+
+    const topScore = ranked[0].jd_match.score;
+    const bestFit = ranked
+      .filter((result) => result.jd_match.score >= topScore - BEST_FIT_MARGIN)
+      .slice(0, MAX_BEST_FIT)
+      .map(({ id, label, jd_match }) => ({ id, label, score: jd_match.score }));
+
+    // Keywords missing from several postings are the most valuable to add
+    const gapCounts = {};
+    ranked.forEach((result) => {
+      new Set(
+        result.missing_keywords.map((keyword) => keyword.toLowerCase())
+      ).forEach((keyword) => {
+        gapCounts[keyword] = (gapCounts[keyword] || 0) + 1;
+      });
+    });
+    const commonGaps = Object.entries(gapCounts)
+      .filter(([, count]) => count > 1)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([keyword, postings]) => ({ keyword, postings }));
+
+    this.recordExchange(
+      `Multi job description analysis request (${jobDescriptions.length} postings)`,
+      `Best fit: ${bestFit
+        .map((posting) => `${posting.label} (${posting.score})`)
+        .join(", ")}`
+    );
+
+    return {
+      base_analysis: baseAnalysis,
+      comparisons: [
+        ...ranked,
+        ...failed.map(({ id, label, failure }) => ({
+          rank: null,
+          id,
+          label,
+          error: {
+            code: failure.code || "ANALYSIS_FAILED",
+            message: failure.message,
+          },
+        })),
+      ],
+      best_fit: bestFit,
+      common_gaps: commonGaps,
+      summary: {
+        postings: results.length,
+        analyzed: ranked.length,
+        failed: failed.length,
+        average_score: Math.round(
+          ranked.reduce((sum, result) => sum + result.jd_match.score, 0) /
+            ranked.length
+        ),
+      },
+    };
+  }
+
+  /**
+   * Screen one applicant's resume against a job description (recruiter side).
+   * Not recorded in conversation history, since a batch would flood it.
+   */
+  async screenCandidate(resumeText, jobDescription) {
+    try {
+      const template = this.selectTemplate("candidate-screening");
+      const cacheKey = this.buildCacheKey("screenCandidate", {
+        resumeText,
+        jobDescription,
+        templates: [template],
+      });
+      const cached = this.readCache("screenCandidate", cacheKey);
+      if (cached) {
+        return this.tagPromptTemplate(cached, template, {
+          generator: "screenCandidate",
+          cached: true,
+        });
+      }
+
+      const delimitedResume = PromptSecurity.delimitText(
+        PromptSecurity.sanitizeInput(resumeText),
+        "RESUME_CONTENT"
+      );
+      const delimitedJobDescription = PromptSecurity.delimitText(
+        PromptSecurity.sanitizeInput(jobDescription),
+        "JOB_DESCRIPTION"
+      );
+
+      const promptBuilder = new PromptBuilder()
+        .setTaskContext(template.taskContext)
+        .setToneContext(template.toneContext)
+        .setBackgroundData(delimitedResume + "\n\n" + delimitedJobDescription)
+        .setTaskDescription(template.taskDescription, template.rules)
+        .setImmediateTask(template.immediateTask)
+        .setOutputFormat(template.outputFormat);
+
+      const { object } = await this.callModel(
+        "screenCandidate",
+        generateObject,
+        {
+          schema: CandidateScreeningSchema,
+          messages: promptBuilder.buildMessages(),
+          providerOptions: {
+            google: {},
+          },
+        }
+      );
+
+      return this.tagPromptTemplate(
+        this.cache.set(cacheKey, object),
+        template,
+        {
+          generator: "screenCandidate",
+          score: object.score,
+        }
+      );
+    } catch (error) {
+      console.error("Candidate screening error:", error);
+      throw this.toServiceError(error, "Candidate screening failed");
+    }
+  }
+
+  /**
+   * Likely interview questions grouped by type, each tied to the resume
+   * line it targets and paired with a STAR answer outline
+   */
+  async generateInterviewQuestions(
+    resumeText,
+    jobDescription = null,
+    { questionsPerType = 3 } = {}
+  ) {
+    try {
+      const template = this.selectTemplate("interview-questions");
+      const cacheKey = this.buildCacheKey("generateInterviewQuestions", {
+        resumeText,
+        jobDescription,
+        options: { questionsPerType },
+        templates: [template],
+      });
+      const cached = this.readCache("generateInterviewQuestions", cacheKey);
+      if (cached) {
+        return this.tagPromptTemplate(cached, template, {
+          generator: "generateInterviewQuestions",
+          cached: true,
+        });
+      }
+
+      const delimitedResume = PromptSecurity.delimitText(
+        PromptSecurity.sanitizeInput(resumeText),
+        "RESUME_CONTENT"
+      );
+      const delimitedJobDescription = jobDescription
+        ? PromptSecurity.delimitText(
+            PromptSecurity.sanitizeInput(jobDescription),
+            "JOB_DESCRIPTION"
+          )
+        : null;
+
+      const promptBuilder = new PromptBuilder()
+        .setTaskContext(template.taskContext)
+        .setToneContext(template.toneContext)
+        .setBackgroundData(
+          delimitedResume +
+            (delimitedJobDescription ? "\n\n" + delimitedJobDescription : "")
+        )
+        .setTaskDescription(
+          templateText(template.taskDescription, !!delimitedJobDescription),
+          template.rules
+        )
+        .setImmediateTask(template.immediateTask)
+        .setOutputFormat(
+          template.outputFormat.replace("{{COUNT}}", String(questionsPerType))
+        );
+
+      const { object } = await this.callModel(
+        "generateInterviewQuestions",
+        generateObject,
+        {
+          schema: InterviewQuestionsSchema,
+          messages: promptBuilder.buildMessages(),
+          providerOptions: {
+            google: {},
+          },
+        }
+      );
+
+      return this.tagPromptTemplate(
+        this.cache.set(cacheKey, object),
+        template,
+        {
+          generator: "generateInterviewQuestions",
+        }
+      );
+    } catch (error) {
+      console.error("Interview question generation error:", error);
+      throw this.toServiceError(error, "Interview question generation failed");
+    }
+  }
+
+  /**
+   * Rewrite one resume bullet in `count` styles (3-5). Numbers the original
+   * does not contain are turned into placeholders, and every rewrite gets a
+   * local quality score; rewrites are returned best first.
+   */
+  async rewriteBullet(
+    bullet,
+    { role = null, company = null, jobDescription = null, count = 3 } = {}
+  ) {
+    try {
+      const styles = BULLET_REWRITE_STYLES.slice(0, count);
+      const template = this.selectTemplate("rewrite-bullet");
+      const cacheKey = this.buildCacheKey("rewriteBullet", {
+        resumeText: bullet,
+        jobDescription,
+        options: { role, company, styles },
+        templates: [template],
+      });
+      const cached = this.readCache("rewriteBullet", cacheKey);
+      if (cached) {
+        return this.tagPromptTemplate(cached, template, {
+          generator: "rewriteBullet",
+          cached: true,
+        });
+      }
+
+      const sanitizedBullet = PromptSecurity.sanitizeInput(bullet);
+      const context = [
+        role && `Role: ${PromptSecurity.sanitizeInput(role)}`,
+        company && `Company: ${PromptSecurity.sanitizeInput(company)}`,
+      ]
+        .filter(Boolean)
+        .join("\n");
+
+      const promptBuilder = new PromptBuilder()
+        .setTaskContext(template.taskContext)
+        .setToneContext(template.toneContext)
+        .setBackgroundData(
+          [
+            PromptSecurity.delimitText(sanitizedBullet, "RESUME_BULLET"),
+            context && PromptSecurity.delimitText(context, "BULLET_CONTEXT"),
+            jobDescription &&
+              PromptSecurity.delimitText(
+                PromptSecurity.sanitizeInput(jobDescription),
+                "JOB_DESCRIPTION"
+              ),
+          ]
+            .filter(Boolean)
+            .join("\n\n")
+        )
+        .setTaskDescription(template.taskDescription, template.rules)
+        .setImmediateTask(
+          `Write one rewrite per style:\n${styles
+            .map((style) => `- ${style}: ${template.styles[style]}`)
+            .join("\n")}`
+        )
+        .setOutputFormat(template.outputFormat);
+
+      // Every requested style must come back exactly once; a response that
+      // skips or repeats styles is asked for again, then rejected
+      let object;
+      let byStyle;
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        ({ object } = await this.callModel("rewriteBullet", generateObject, {
+          schema: bulletRewriteSchemaFor(styles.length),
+          messages: promptBuilder.buildMessages(),
+          providerOptions: {
+            google: {},
+          },
+        }));
+
+        byStyle = new Map();
+        object.rewrites
+          .filter((rewrite) => styles.includes(rewrite.style))
+          .forEach((rewrite) => {
+            if (!byStyle.has(rewrite.style))
+              byStyle.set(rewrite.style, rewrite);
+          });
+        if (byStyle.size === styles.length) break;
+      }
+
+      const missing = styles.filter((style) => !byStyle.has(style));
+      if (missing.length > 0) {
+        throw new SchemaMismatchError(
+          `The AI response is missing rewrites in the ${missing.join(
+            ", "
+          )} style${missing.length > 1 ? "s" : ""}`,
+          { provider: this.providerName }
+        );
+      }
+
+      // Numbers may come from the bullet or its context, nowhere else
+      const sourceText = [sanitizedBullet, role, company, jobDescription]
+        .filter(Boolean)
+        .join("\n");
+      const rewrites = Array.from(byStyle.values())
+        .map((rewrite) => {
+          const { text, placeholders } = replaceInventedNumbers(
+            rewrite.text.trim(),
+            sourceText
+          );
+          return {
+            style: rewrite.style,
+            text,
+            explanation: rewrite.explanation,
+            placeholders,
+            quality: scoreBullet(text),
+          };
+        })
+        .sort((a, b) => b.quality.score - a.quality.score);
+
+      const result = this.cache.set(cacheKey, {
+        original: {
+          text: sanitizedBullet,
+          quality: scoreBullet(sanitizedBullet),
+          issues: object.original_issues,
+        },
+        rewrites,
+      });
+      return this.tagPromptTemplate(result, template, {
+        generator: "rewriteBullet",
+        score: rewrites.length ? rewrites[0].quality.score : null,
+      });
+    } catch (error) {
+      console.error("Bullet rewrite error:", error);
+      throw this.toServiceError(error, "Bullet rewrite failed");
+    }
+  }
+
+  /**
+   * Template a mock interview runs on. The version is pinned on the first
+   * call, so every question and grade of the interview uses the same prompt.
+   */
+  getInterviewTemplate(interview) {
+    if (!interview.promptTemplate) {
+      const { id, version } = this.selectTemplate("mock-interview");
+      interview.promptTemplate = { id, version };
+    }
+    return this.promptRegistry.get(
+      interview.promptTemplate.id,
+      interview.promptTemplate.version
+    );
+  }
+
+  /**
+   * Prompt for one step of a mock interview. The interview dialogue so far
+   * is passed as conversation history.
+   */
+  buildMockInterviewPrompt(interview) {
+    const template = this.getInterviewTemplate(interview);
+    const delimitedResume = PromptSecurity.delimitText(
+      PromptSecurity.sanitizeInput(interview.resumeText),
+      "RESUME_CONTENT"
+    );
+    const delimitedJobDescription = interview.jobDescription
+      ? PromptSecurity.delimitText(
+          PromptSecurity.sanitizeInput(interview.jobDescription),
+          "JOB_DESCRIPTION"
+        )
+      : null;
+
+    return new PromptBuilder()
+      .setTaskContext(template.taskContext)
+      .setToneContext(template.toneContext)
+      .setBackgroundData(
+        delimitedResume +
+          (delimitedJobDescription ? "\n\n" + delimitedJobDescription : "")
+      )
+      .setTaskDescription(
+        `Run a ${interview.questionCount}-question mock interview for ${
+          delimitedJobDescription
+            ? "the role in the job description"
+            : "roles like the candidate's most recent one"
+        }.`,
+        template.rules
+      )
+      .setConversationHistory(interview.conversation.getHistory());
+  }
+
+  /**
+   * Opening question of a mock interview
+   */
+  async startMockInterview(interview) {
+    try {
+      const promptBuilder = this.buildMockInterviewPrompt(interview)
+        .setImmediateTask("Ask the opening question of the interview.")
+        .setOutputFormat(this.getInterviewTemplate(interview).questionFormat);
+
+      const { object } = await this.callModel(
+        "startMockInterview",
+        generateObject,
+        {
+          schema: MockInterviewQuestionSchema,
+          messages: promptBuilder.buildMessages(),
+          providerOptions: {
+            google: {},
+          },
+        }
+      );
+
+      return object;
+    } catch (error) {
+      console.error("Mock interview start error:", error);
+      throw this.toServiceError(error, "Starting the mock interview failed");
+    }
+  }
+
+  /**
+   * Grade the answer to the interview's current question. Unless it was the
+   * last question, the grade includes a `next_question`.
+   */
+  async gradeInterviewAnswer(interview, answer) {
+    try {
+      const template = this.getInterviewTemplate(interview);
+      const { number, question } = interview.currentQuestion;
+      const isLastQuestion = number >= interview.questionCount;
+      const delimitedAnswer = PromptSecurity.delimitText(
+        PromptSecurity.sanitizeInput(answer),
+        "CANDIDATE_ANSWER"
+      );
+      // The question quotes restored model output, so it is delimited as
+      // data for PII redaction to cover it
+      const delimitedQuestion = PromptSecurity.delimitText(
+        question,
+        "INTERVIEW_QUESTION"
+      );
+
+      const promptBuilder = this.buildMockInterviewPrompt(interview)
+        .setImmediateTask(
+          `Grade the candidate's answer to question ${number} of ${
+            interview.questionCount
+          }:\n\n${delimitedQuestion}\n\n${delimitedAnswer}${
+            isLastQuestion
+              ? ""
+              : "\n\nThen ask the next question, following up on this answer where it was weak or vague."
+          }`
+        )
+        .setOutputFormat(
+          isLastQuestion
+            ? template.gradeFormat
+            : `${template.gradeFormat}
+- next_question: { question: string, type: string, focus: string }`
+        );
+
+      const { object } = await this.callModel(
+        "gradeInterviewAnswer",
+        generateObject,
+        {
+          schema: isLastQuestion
+            ? MockInterviewGradeSchema
+            : MockInterviewTurnSchema,
+          messages: promptBuilder.buildMessages(),
+          providerOptions: {
+            google: {},
+          },
+        }
+      );
+
+      return this.tagPromptTemplate(object, template, {
+        generator: "gradeInterviewAnswer",
+        score: object.overall_score,
+      });
+    } catch (error) {
+      console.error("Interview answer grading error:", error);
+      throw this.toServiceError(error, "Interview answer grading failed");
+    }
+  }
+
+  /**
+   * Narrative part of the end-of-interview scorecard; the averaged scores
+   * are computed from the graded turns by the caller
+   */
+  async summarizeMockInterview(interview) {
+    try {
+      const gradeLines = interview.turns
+        .map(
+          (turn) =>
+            `Q${turn.number} (${turn.type}): ${turn.grade.overall_score}/100`
+        )
+        .join("\n");
+
+      const promptBuilder = this.buildMockInterviewPrompt(interview)
+        .setImmediateTask(
+          `The interview is over. Write the candidate's scorecard from their answers and these grades:\n${gradeLines}`
+        )
+        .setOutputFormat(this.getInterviewTemplate(interview).scorecardFormat);
+
+      const { object } = await this.callModel(
+        "summarizeMockInterview",
+        generateObject,
+        {
+          schema: MockInterviewScorecardSchema,
+          messages: promptBuilder.buildMessages(),
+          providerOptions: {
+            google: {},
+          },
+        }
+      );
+
+      return this.tagPromptTemplate(
+        object,
+        this.getInterviewTemplate(interview),
+        { generator: "summarizeMockInterview" }
+      );
+    } catch (error) {
+      console.error("Mock interview scorecard error:", error);
+      throw this.toServiceError(error, "Mock interview scorecard failed");
+    }
+  }
+
+  /**
+   * Structured requirement profile of a job posting: required and preferred
+   * skills with an importance estimate, plus the main responsibilities
+   */
+  async parseJobDescription(
+    jobDescription,
+    template = this.selectTemplate("job-description-parse")
+  ) {
+    try {
+      const cacheKey = this.buildCacheKey("parseJobDescription", {
+        jobDescription,
+        templates: [template],
+      });
+      const cached = this.readCache("parseJobDescription", cacheKey);
+      if (cached) return cached;
+
+      const promptBuilder = new PromptBuilder()
+        .setTaskContext(template.taskContext)
+        .setToneContext(template.toneContext)
+        .setBackgroundData(
+          PromptSecurity.delimitText(
+            PromptSecurity.sanitizeInput(jobDescription),
+            "JOB_DESCRIPTION"
+          )
+        )
+        .setTaskDescription(template.taskDescription, template.rules)
+        .setImmediateTask(template.immediateTask)
+        .setOutputFormat(template.outputFormat);
+
+      const { object } = await this.callModel(
+        "parseJobDescription",
+        generateObject,
+        {
+          schema: JobDescriptionProfileSchema,
+          messages: promptBuilder.buildMessages(),
+          providerOptions: {
+            google: {},
+          },
+        }
+      );
+
+      return this.cache.set(cacheKey, object);
+    } catch (error) {
+      console.error("Job description parsing error:", error);
+      throw this.toServiceError(error, "Job description parsing failed");
+    }
+  }
+
+  /**
+   * Parse a resume into structured data (ParsedResumeSchema). Values are
+   * checked against the resume text and dropped when not found, so nothing
+   * is invented; see finalizeParsedResume for the report.
+   */
+  async parseResume(
+    resumeText,
+    template = this.selectTemplate("resume-parse")
+  ) {
+    try {
+      const cacheKey = this.buildCacheKey("parseResume", {
+        resumeText,
+        templates: [template],
+      });
+      // The cache keeps the model output; it is verified against the exact
+      // text of each call
+      const finalize = (object, { cached = false } = {}) =>
+        this.tagPromptTemplate(
+          finalizeParsedResume(object, resumeText),
+          template,
+          { generator: "parseResume", cached }
+        );
+
+      const cached = this.readCache("parseResume", cacheKey);
+      if (cached) return finalize(cached, { cached: true });
+
+      const promptBuilder = new PromptBuilder()
+        .setTaskContext(template.taskContext)
+        .setToneContext(template.toneContext)
+        .setBackgroundData(
+          PromptSecurity.delimitText(
+            PromptSecurity.sanitizeInput(resumeText),
+            "RESUME_CONTENT"
+          )
+        )
+        .setTaskDescription(template.taskDescription, template.rules)
+        .setImmediateTask(template.immediateTask)
+        .setOutputFormat(template.outputFormat);
+
+      const { object } = await this.callModel("parseResume", generateObject, {
+        schema: ParsedResumeSchema,
+        messages: promptBuilder.buildMessages(),
+        providerOptions: {
+          google: {},
+        },
+      });
+
+      return finalize(this.cache.set(cacheKey, object));
+    } catch (error) {
+      console.error("Resume parsing error:", error);
+      throw this.toServiceError(error, "Resume parsing failed");
+    }
+  }
 
-      return object;
-    } catch (error) {
-      console.error("Cover letter generation error:", error);
-      throw new Error(`Cover letter generation failed: ${error.message}`);
-    }
-  }
-
   /**
-   * Optimize LinkedIn profile
+   * Compare the skills evidenced in the resume with those the job requires
+   * or prefers and plan how to close the gaps. The posting side comes from
+   * parseJobDescription, the resume side from extractSkills; the model
+   * judges how well each job skill is evidenced.
    */
-  async optimizeLinkedIn(resumeText) {
+  async analyzeSkillGaps(resumeText, jobDescription) {
     try {
-      const sanitizedResume = PromptSecurity.sanitizeInput(resumeText);
-      const delimitedResume = PromptSecurity.delimitText(
-        sanitizedResume,
-        "RESUME_CONTENT"
+      const template = this.selectTemplate("skill-gap");
+      const profileTemplate = this.selectTemplate("job-description-parse");
+      const cacheKey = this.buildCacheKey("analyzeSkillGaps", {
+        resumeText,
+        jobDescription,
+        templates: [template, profileTemplate],
+      });
+      // The report records both prompts; only the skill-gap run is scored
+      const tagReport = (report, { cached = false } = {}) =>
+        this.tagPromptTemplate(
+          {
+            ...report,
+            job_description_template: {
+              id: profileTemplate.id,
+              version: profileTemplate.version,
+            },
+          },
+          template,
+          {
+            generator: "analyzeSkillGaps",
+            score: report.summary.coverage_score,
+            cached,
+          }
+        );
+
+      const cached = this.readCache("analyzeSkillGaps", cacheKey);
+      if (cached) return tagReport(cached, { cached: true });
+
+      const profile = await this.parseJobDescription(
+        jobDescription,
+        profileTemplate
       );
+      const jobSkills = listJobSkills(profile);
+      const resumeSkills = this.extractSkills(resumeText);
+
+      if (jobSkills.length === 0) {
+        return tagReport(
+          this.cache.set(
+            cacheKey,
+            buildSkillGapReport(profile, resumeSkills, {
+              skills: [],
+              roadmap: [],
+              summary:
+                "The job description does not list any skills to compare.",
+            })
+          )
+        );
+      }
+
+      const skillLines = jobSkills
+        .map(
+          (skill) =>
+            `- ${skill.name} (${skill.requirement}, ${skill.importance} importance)`
+        )
+        .join("\n");
+      const detectedSkills = Object.values(resumeSkills).flat();
 
       const promptBuilder = new PromptBuilder()
-        .setTaskContext(PromptTemplates.LINKEDIN_OPTIMIZATION.taskContext)
-        .setToneContext(PromptTemplates.LINKEDIN_OPTIMIZATION.toneContext)
-        .setBackgroundData(delimitedResume)
+        .setTaskContext(template.taskContext)
+        .setToneContext(template.toneContext)
+        .setBackgroundData(
+          PromptSecurity.delimitText(
+            PromptSecurity.sanitizeInput(resumeText),
+            "RESUME_CONTENT"
+          ) +
+            "\n\n" +
+            PromptSecurity.delimitText(
+              PromptSecurity.sanitizeInput(jobDescription),
+              "JOB_DESCRIPTION"
+            )
+        )
         .setTaskDescription(
-          "Create a compelling LinkedIn About section that attracts recruiters and showcases personality.",
-          PromptTemplates.LINKEDIN_OPTIMIZATION.rules
+          `Classify how well the resume evidences each skill the ${profile.role_title} role asks for, then build a learning roadmap for the gaps.`,
+          template.rules
         )
-        .setConversationHistory(this.conversationManager.getHistory())
         .setImmediateTask(
-          "Optimize LinkedIn profile for maximum visibility and engagement"
+          `Job skills to classify:\n${skillLines}\n\nSkills keyword-matched in the resume (a starting point, not proof of depth): ${
+            detectedSkills.length ? detectedSkills.join(", ") : "none"
+          }`
         )
-        .setOutputFormat(PromptTemplates.LINKEDIN_OPTIMIZATION.outputFormat);
-
-      const messages = promptBuilder.buildMessages();
-
-      const { object } = await generateObject({
-        model: this.model,
-        schema: LinkedInOptimizationSchema,
-        messages,
-        providerOptions: {
-          google: {},
-        },
-      });
+        .setOutputFormat(template.outputFormat);
+
+      const { object } = await this.callModel(
+        "analyzeSkillGaps",
+        generateObject,
+        {
+          schema: SkillGapClassificationSchema,
+          messages: promptBuilder.buildMessages(),
+          providerOptions: {
+            google: {},
+          },
+        }
+      );
 
-      return object;
+      return tagReport(
+        this.cache.set(
+          cacheKey,
+          buildSkillGapReport(profile, resumeSkills, object)
+        )
+      );
     } catch (error) {
-      console.error("LinkedIn optimization error:", error);
-      throw new Error(`LinkedIn optimization failed: ${error.message}`);
+      console.error("Skill gap analysis error:", error);
+      throw this.toServiceError(error, "Skill gap analysis failed");
     }
   }
 
   /**
-   * Stream response for real-time feedback
+   * Stream response for real-time feedback. Resolves to the text stream and
+   * the prompt template run it was produced with.
    */
   async streamAnalysis(resumeText, jobDescription = null) {
     try {
+      const template = this.selectTemplate("resume-analysis");
       const sanitizedResume = PromptSecurity.sanitizeInput(resumeText);
       const sanitizedJobDescription = jobDescription
         ? PromptSecurity.sanitizeInput(jobDescription)
@@ -745,16 +2589,13 @@ class AIService {
         : "Analyze this resume step by step, showing your thinking process";
 
       const promptBuilder = new PromptBuilder()
-        .setTaskContext(PromptTemplates.RESUME_ANALYSIS.taskContext)
-        .setToneContext(PromptTemplates.RESUME_ANALYSIS.toneContext)
+        .setTaskContext(template.taskContext)
+        .setToneContext(template.toneContext)
         .setBackgroundData(
           delimitedResume +
             (delimitedJobDescription ? "\n\n" + delimitedJobDescription : "")
         )
-        .setTaskDescription(
-          streamTaskDescription,
-          PromptTemplates.RESUME_ANALYSIS.rules
-        )
+        .setTaskDescription(streamTaskDescription, template.rules)
         .setConversationHistory(this.conversationManager.getHistory())
         .setImmediateTask(streamImmediateTask)
         .setOutputFormat(
@@ -763,495 +2604,479 @@ class AIService {
 
       const messages = promptBuilder.buildMessages();
 
-      const { textStream } = await streamText({
-        model: this.model,
+      const { textStream } = this.openStream("streamAnalysis", streamText, {
         messages,
         providerOptions: {
           google: {},
         },
       });
 
-      return textStream;
+      const { prompt_template: promptTemplate } = this.tagPromptTemplate(
+        {},
+        template,
+        { generator: "streamAnalysis" }
+      );
+      return { textStream, promptTemplate };
     } catch (error) {
       console.error("Stream analysis error:", error);
-      throw new Error(`Stream analysis failed: ${error.message}`);
+      throw this.toServiceError(error, "Stream analysis failed");
     }
   }
 
   /**
-   * Clear conversation history
+   * Structured resume analysis streamed with `streamObject` against the same
+   * schema and prompt as analyzeResume. Resolves once the model call is open
+   * to an async iterable of { event, data } for Server-Sent Events:
+   * `partial` (the object so far), `section-complete`, `usage` and `done`.
    */
-  clearHistory() {
-    this.conversationManager.clearHistory();
-  }
+  async streamStructuredAnalysis(
+    resumeText,
+    jobDescription = null,
+    options = {},
+    generatorOptions = {},
+    { abortSignal } = {}
+  ) {
+    try {
+      const template = this.selectTemplate("resume-analysis");
+      const cacheKey = this.buildCacheKey("analyzeResume", {
+        resumeText,
+        jobDescription,
+        options: { options, generatorOptions },
+        templates: [template],
+      });
+      const localMetrics = analyzeResumeMetrics(resumeText);
+
+      const cached = this.readCache("analyzeResume", cacheKey);
+      if (cached) {
+        return this.replayAnalysisEvents(
+          this.tagPromptTemplate(
+            resolveEvidence(
+              applyLocalMetrics(cached, localMetrics),
+              resumeText
+            ),
+            template,
+            { generator: "streamStructuredAnalysis", cached: true }
+          )
+        );
+      }
 
-  /**
-   * Get conversation history
-   */
-  getHistory() {
-    return this.conversationManager.getHistory();
-  }
+      // streamObject leaves `object` pending when the call fails, so the
+      // error is captured here and rethrown by the event stream
+      const failure = { error: null, abortSignal };
+      const result = this.openStream("streamStructuredAnalysis", streamObject, {
+        onError: (error) => {
+          failure.error = failure.error || error;
+        },
+        schema: this.createDynamicSchema(generatorOptions),
+        messages: this.buildAnalysisMessages(
+          resumeText,
+          jobDescription,
+          generatorOptions,
+          options.locale,
+          template
+        ),
+        abortSignal,
+        providerOptions: {
+          google: { safetySettings: ANALYSIS_SAFETY_SETTINGS },
+        },
+      });
 
-  /**
-   * Extract structured resume data from text and AI analysis
-   */
-  extractResumeData(resumeText, aiAnalysis) {
-    // Use AI analysis to get better structured data when available
-    const lines = resumeText
-      .split("\n")
-      .map((line) => line.trim())
-      .filter((line) => line);
-
-    // Extract contact information more intelligently
-    const emailMatch = resumeText.match(/[\w\.-]+@[\w\.-]+\.\w+/);
-    const phoneMatch = resumeText.match(
-      /(\+?1?)[\s\-]?\(?([0-9]{3})\)?[\s\-]?([0-9]{3})[\s\-]?([0-9]{4})/
-    );
-    const linkedinMatch = resumeText.match(/linkedin\.com\/in\/[\w\-]+/i);
-
-    // Extract name - first line that's not an email/phone/title
-    let name = "Your Name";
-    for (const line of lines.slice(0, 3)) {
-      if (
-        !line.includes("@") &&
-        !line.match(/[\d\-\(\)\+\s]{8,}/) &&
-        !this.isJobTitle(line) &&
-        line.length > 2 &&
-        line.length < 50
-      ) {
-        name = line;
-        break;
-      }
+      return this.streamAnalysisEvents(result, failure, {
+        resumeText,
+        cacheKey,
+        template,
+        localMetrics,
+        generatorOptions,
+        hasJobDescription: !!jobDescription,
+      });
+    } catch (error) {
+      console.error("Structured stream analysis error:", error);
+      throw this.toServiceError(error, "Stream analysis failed");
     }
+  }
 
-    // If still no name found, use first line that looks like a name
-    if (name === "Your Name" && lines.length > 0) {
-      const firstLine = lines[0];
-      if (
-        firstLine.split(" ").length >= 2 &&
-        firstLine.split(" ").length <= 4
-      ) {
-        name = firstLine;
-      }
+  async *streamAnalysisEvents(
+    result,
+    failure,
+    {
+      resumeText,
+      cacheKey,
+      template,
+      localMetrics,
+      generatorOptions,
+      hasJobDescription,
     }
-
-    return {
-      personal: {
-        name: name,
-        email: emailMatch ? emailMatch[0] : "your.email@example.com",
-        phone: phoneMatch ? phoneMatch[0] : "+1 (555) 123-4567",
-        linkedin: linkedinMatch
-          ? linkedinMatch[0]
-          : "linkedin.com/in/yourprofile",
-        location: this.extractLocation(resumeText) || "Your City, State",
-      },
-      summary: aiAnalysis.resume_summary
-        ? aiAnalysis.resume_summary.optimized_summary
-        : "Professional summary highlighting key achievements and skills.",
-      education: this.extractEducation(resumeText),
-      experience: this.extractExperience(resumeText),
-      projects: this.extractProjects(resumeText),
-      skills: this.extractSkills(resumeText, aiAnalysis),
+  ) {
+    const completed = new Set();
+
+    // Every section but the one still being written is complete; once the
+    // stream ends the remaining ones are too
+    const completeSections = (analysis, final) => {
+      const paths = listAnalysisSections(analysis);
+      return (final ? paths : paths.slice(0, -1))
+        .filter((path) => !completed.has(path))
+        .map((path) => {
+          completed.add(path);
+          return {
+            event: "section-complete",
+            data: { section: path, data: getSection(analysis, path) },
+          };
+        });
     };
-  }
-
-  /**
-   * Check if a line looks like a job title
-   */
-  isJobTitle(line) {
-    const jobTitles = [
-      "engineer",
-      "developer",
-      "manager",
-      "analyst",
-      "scientist",
-      "designer",
-      "architect",
-      "consultant",
-      "specialist",
-      "coordinator",
-      "director",
-      "lead",
-      "senior",
-      "junior",
-      "intern",
-      "trainee",
-    ];
-    return jobTitles.some((title) => line.toLowerCase().includes(title));
-  }
 
-  /**
-   * Extract location information
-   */
-  extractLocation(resumeText) {
-    // Look for common location patterns
-    const locationPatterns = [
-      /([A-Za-z\s]+),\s*([A-Z]{2})/g, // City, State
-      /([A-Za-z\s]+),\s*([A-Za-z\s]+)/g, // City, Country
-    ];
-
-    for (const pattern of locationPatterns) {
-      const match = resumeText.match(pattern);
-      if (match) {
-        return match[0];
+    try {
+      for await (const partial of result.partialObjectStream) {
+        const analysis = applyLocalMetrics(partial, localMetrics);
+        yield { event: "partial", data: analysis };
+        yield* completeSections(analysis, false);
       }
-    }
-    return null;
-  }
-
-  /**
-   * Extract education information
-   */
-  extractEducation(resumeText) {
-    const educationSections = [];
-    const lines = resumeText
-      .split("\n")
-      .map((line) => line.trim())
-      .filter((line) => line);
-
-    // Education patterns and keywords
-    const educationKeywords = [
-      "education",
-      "bachelor",
-      "master",
-      "phd",
-      "university",
-      "college",
-      "institute",
-      "degree",
-    ];
-    const degreePatterns = [
-      /b\.?\s*tech|bachelor|b\.?\s*sc|b\.?\s*e|b\.?\s*eng/i,
-      /m\.?\s*tech|master|m\.?\s*sc|m\.?\s*e|m\.?\s*eng|mba/i,
-      /ph\.?d|doctorate/i,
-    ];
-
-    let educationFound = false;
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const lineLower = line.toLowerCase();
-
-      // Check if this line indicates start of education section
-      if (educationKeywords.some((keyword) => lineLower.includes(keyword))) {
-        educationFound = true;
-
-        // Look for degree pattern in current and next few lines
-        for (let j = i; j < Math.min(i + 4, lines.length); j++) {
-          const degreeMatch = degreePatterns.find((pattern) =>
-            pattern.test(lines[j])
-          );
-          if (degreeMatch) {
-            const degreeLine = lines[j];
-            const yearMatch = lines
-              .slice(j, j + 3)
-              .join(" ")
-              .match(/20\d{2}/g);
-
-            // Look for institution in nearby lines
-            let institution = "University Name";
-            for (
-              let k = Math.max(0, j - 2);
-              k < Math.min(j + 3, lines.length);
-              k++
-            ) {
-              if (
-                k !== j &&
-                (lines[k].toLowerCase().includes("university") ||
-                  lines[k].toLowerCase().includes("college") ||
-                  lines[k].toLowerCase().includes("institute"))
-              ) {
-                institution = lines[k];
-                break;
-              }
-            }
-
-            educationSections.push({
-              degree: degreeLine,
-              institution: institution,
-              year: yearMatch ? yearMatch[yearMatch.length - 1] : "2023",
-              gpa: this.extractGPA(
-                lines.slice(Math.max(0, j - 2), j + 3).join(" ")
-              ),
-            });
 
-            i = j + 2; // Skip processed lines
-            break;
-          }
-        }
+      if (failure.error) throw failure.error;
+      if (failure.abortSignal && failure.abortSignal.aborted) {
+        throw new Error("Stream aborted by client");
       }
-    }
 
-    // Fallback: If no proper education found, create a default one
-    if (educationSections.length === 0) {
-      educationSections.push({
-        degree: "Bachelor of Science in Computer Science",
-        institution: "University Name",
-        year: "2023",
-        gpa: null,
-      });
-    }
+      const analysis = applyLocalMetrics(
+        this.filterGeneratorOutput(await result.object, generatorOptions),
+        localMetrics
+      );
+      yield* completeSections(analysis, true);
+
+      this.cache.set(cacheKey, analysis);
+      resolveEvidence(analysis, resumeText);
+      this.recordExchange(
+        `Resume analysis request${
+          hasJobDescription ? " with job description" : ""
+        }`,
+        `Analysis completed with score: ${
+          analysis.overall_score
+        }. Top suggestions: ${(analysis.top_suggestions || []).join("; ")}`
+      );
 
-    return educationSections;
+      const usage = await result.usage;
+      yield {
+        event: "usage",
+        data: {
+          inputTokens: usage.inputTokens || 0,
+          outputTokens: usage.outputTokens || 0,
+          totalTokens: usage.totalTokens || 0,
+          cached: false,
+        },
+      };
+      yield {
+        event: "done",
+        data: this.tagPromptTemplate(analysis, template, {
+          generator: "streamStructuredAnalysis",
+          score: analysis.overall_score,
+        }),
+      };
+    } catch (error) {
+      throw (
+        classifyAIError(error, this.providerName) ||
+        this.toServiceError(error, "Stream analysis failed")
+      );
+    }
   }
 
   /**
-   * Extract GPA from text
+   * Emit a cached analysis as the same events a live stream ends with
    */
-  extractGPA(text) {
-    const gpaMatch =
-      text.match(/gpa[:\s]*(\d+\.?\d*)/i) ||
-      text.match(/(\d+\.?\d*)\s*\/\s*(\d+)/);
-    if (gpaMatch) {
-      return gpaMatch[1];
+  async *replayAnalysisEvents(analysis) {
+    for (const path of listAnalysisSections(analysis)) {
+      yield {
+        event: "section-complete",
+        data: { section: path, data: getSection(analysis, path) },
+      };
     }
-    return null;
+    yield {
+      event: "usage",
+      data: { inputTokens: 0, outputTokens: 0, totalTokens: 0, cached: true },
+    };
+    yield { event: "done", data: analysis };
   }
 
   /**
-   * Extract work experience
+   * Run a non-streaming `ai` SDK call (generateObject/generateText) against
+   * the current model. Transient failures are retried with jittered
+   * exponential backoff, retry-after hints are honored, provider failures feed
+   * the circuit breaker, and failures surface as typed AIServiceErrors.
+   * When the request context collects `canaryChecks`, a canary is planted in
+   * the messages, the outcome of checking the output for it is recorded and
+   * any trace of it is stripped from the result.
+   * With a `piiRedactor` in the context, PII in the messages is replaced
+   * with placeholders and restored in the result; `latexOutput` marks a text
+   * result as LaTeX so restored values are escaped.
    */
-  extractExperience(resumeText) {
-    const experiences = [];
-    const lines = resumeText
-      .split("\n")
-      .map((line) => line.trim())
-      .filter((line) => line);
-
-    // Job title patterns
-    const jobTitlePatterns = [
-      /engineer|developer|analyst|manager|designer|architect|consultant|specialist|coordinator|director|lead|senior|junior|intern|trainee/i,
-    ];
-
-    // Company patterns
-    const companyIndicators = [
-      "llc",
-      "inc",
-      "corp",
-      "ltd",
-      "pvt",
-      "technologies",
-      "solutions",
-      "systems",
-      "software",
-    ];
-
-    // Date patterns
-    const datePattern = /(\d{4}|\w+\s+\d{4})/g;
+  async callModel(generator, call, { latexOutput = false, ...options }) {
+    const breaker = getCircuitBreaker(this.providerName);
+    const { maxAttempts, maxRetryAfterMs } = this.resilience;
+    const { piiRedactor } = this.context;
+
+    const messages =
+      piiRedactor && options.messages
+        ? piiRedactor.redactMessages(options.messages)
+        : options.messages;
+    const canary =
+      this.context.canaryChecks && messages && areCanariesEnabled()
+        ? createCanary()
+        : null;
+    const callOptions = {
+      ...options,
+      messages: (canary && plantCanary(messages, canary)) || messages,
+    };
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
+    for (let attempt = 0; ; attempt++) {
+      breaker.assertCallAllowed();
 
-      // Look for job titles
-      if (jobTitlePatterns.some((pattern) => pattern.test(line))) {
-        let title = line;
-        let company = "Company Name";
-        let period = "Present";
-        let achievements = [];
+      let result;
+      try {
+        // The SDK's own retries are disabled so attempts are counted here
+        result = await call({
+          ...callOptions,
+          model: this.model,
+          maxRetries: 0,
+        });
+      } catch (error) {
+        const typed = classifyAIError(error, this.providerName);
+        if (!typed) {
+          // An unrecognized failure says nothing good about the provider,
+          // so it counts toward opening the circuit
+          breaker.recordFailure();
+          throw error;
+        }
 
-        // Look for company in nearby lines
-        for (
-          let j = Math.max(0, i - 2);
-          j < Math.min(i + 3, lines.length);
-          j++
-        ) {
-          if (j !== i) {
-            const checkLine = lines[j].toLowerCase();
-            if (
-              companyIndicators.some((indicator) =>
-                checkLine.includes(indicator)
-              ) ||
-              checkLine.includes("—") ||
-              checkLine.includes("•")
-            ) {
-              company = lines[j].replace(/[—•]/g, "").trim();
-              break;
-            }
-          }
+        if (PROVIDER_FAILURE_CODES.includes(typed.code)) {
+          breaker.recordFailure();
+        } else {
+          breaker.recordSuccess();
         }
 
-        // Look for date range in nearby lines
-        for (
-          let j = Math.max(0, i - 1);
-          j < Math.min(i + 3, lines.length);
-          j++
+        if (
+          !typed.retryable ||
+          attempt + 1 >= maxAttempts ||
+          typed.retryAfterMs > maxRetryAfterMs
         ) {
-          const dates = lines[j].match(datePattern);
-          if (dates && dates.length >= 1) {
-            if (dates.length === 1) {
-              period = `${dates[0]} - Present`;
-            } else {
-              period = `${dates[0]} - ${dates[dates.length - 1]}`;
-            }
-            break;
-          }
+          throw typed;
         }
 
-        // Collect achievements from following lines (bullet points or descriptive text)
-        for (let j = i + 1; j < Math.min(i + 6, lines.length); j++) {
-          const achievementLine = lines[j];
-          if (
-            achievementLine.startsWith("•") ||
-            achievementLine.startsWith("-") ||
-            achievementLine.includes("developed") ||
-            achievementLine.includes("managed") ||
-            achievementLine.includes("led") ||
-            achievementLine.includes("improved")
-          ) {
-            achievements.push(achievementLine.replace(/^[•\-]\s*/, ""));
-          } else if (
-            jobTitlePatterns.some((pattern) => pattern.test(achievementLine))
-          ) {
-            // Stop if we hit another job title
-            break;
-          }
-        }
+        const delay = Math.max(
+          typed.retryAfterMs || 0,
+          computeBackoff(attempt, this.resilience)
+        );
+        console.warn(
+          `🔁 ${generator}: ${typed.code}, retrying in ${delay}ms (attempt ${
+            attempt + 2
+          }/${maxAttempts})`
+        );
+        await sleep(delay);
+        continue;
+      }
 
-        experiences.push({
-          title: title,
-          company: company,
-          period: period,
-          achievements: achievements.slice(0, 3), // Limit to 3 achievements
-        });
+      breaker.recordSuccess();
+      this.trackUsage(generator, result.usage);
 
-        // Skip the lines we've processed
-        i += Math.min(achievements.length + 2, 4);
+      if (result.finishReason === "content-filter") {
+        throw new SafetyBlockedError(undefined, {
+          provider: this.providerName,
+        });
       }
+      if (canary && callOptions.messages !== messages) {
+        this.context.canaryChecks.push({
+          generator,
+          ...checkCanary(
+            result.object !== undefined ? result.object : result.text,
+            canary
+          ),
+        });
+        result = stripCanaryResult(result, canary);
+      }
+      return piiRedactor
+        ? piiRedactor.restoreResult(result, {
+            latexEscape: (text) => this.latexGenerator.sanitizeLaTeX(text),
+            latexOutput,
+          })
+        : result;
     }
-
-    // Default experience if none found
-    if (experiences.length === 0) {
-      experiences.push({
-        title: "Software Developer",
-        company: "Company Name",
-        period: "2022 - Present",
-        achievements: [
-          "Developed and maintained web applications",
-          "Collaborated with cross-functional teams",
-          "Improved system performance by 30%",
-        ],
-      });
-    }
-
-    return experiences.slice(0, 3); // Limit to 3 experiences for clean LaTeX
   }
 
   /**
-   * Extract projects
+   * Start a streaming `ai` SDK call (streamText/streamObject) against the
+   * current model. Streams cannot be retried once started, so this only
+   * checks the circuit breaker and reports the outcome back to it. An
+   * `onError` in options is called with the typed error as well. PII is
+   * redacted and restored as in callModel.
    */
-  extractProjects(resumeText) {
-    const projects = [];
-    const lines = resumeText
-      .split("\n")
-      .map((line) => line.trim())
-      .filter((line) => line);
-
-    // Project indicators
-    const projectKeywords = [
-      "project",
-      "portfolio",
-      "github",
-      "application",
-      "system",
-      "app",
-      "website",
-      "platform",
-    ];
-    const techKeywords = [
-      "javascript",
-      "python",
-      "react",
-      "node",
-      "django",
-      "angular",
-      "vue",
-      "html",
-      "css",
-    ];
+  openStream(generator, call, { onError, ...options }) {
+    const breaker = getCircuitBreaker(this.providerName);
+    breaker.assertCallAllowed();
+    const { piiRedactor } = this.context;
+
+    const result = call({
+      ...options,
+      ...(piiRedactor &&
+        options.messages && {
+          messages: piiRedactor.redactMessages(options.messages),
+        }),
+      model: this.model,
+      maxRetries: 0,
+      onError: ({ error }) => {
+        const typed = classifyAIError(error, this.providerName);
+        console.error(`${generator} stream error:`, error);
+        if (typed && PROVIDER_FAILURE_CODES.includes(typed.code)) {
+          breaker.recordFailure();
+        }
+        if (onError) onError(typed || error);
+      },
+    });
 
-    let inProjectsSection = false;
+    // Usage is only known once the client has consumed the stream
+    Promise.resolve(result.usage)
+      .then((usage) => {
+        breaker.recordSuccess();
+        this.trackUsage(generator, usage);
+      })
+      .catch(() => {});
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const lineLower = line.toLowerCase();
+    return piiRedactor ? piiRedactor.restoreStreamResult(result) : result;
+  }
 
-      // Check if we're entering projects section
-      if (lineLower.includes("project") && lineLower.length < 20) {
-        inProjectsSection = true;
-        continue;
-      }
+  /**
+   * Content-addressed cache key for a generator call on the current model
+   * and prompt template versions
+   */
+  buildCacheKey(
+    generator,
+    { resumeText, jobDescription = null, options = {}, templates = [] }
+  ) {
+    return createCacheKey({
+      generator,
+      resumeText,
+      jobDescription,
+      options,
+      promptVersion: PROMPT_VERSION,
+      promptTemplates: templates.map(
+        (template) => `${template.id}@${template.version}`
+      ),
+      model: `${this.providerName}/${this.model.modelId}`,
+      piiRedaction: !!this.context.piiRedactor,
+    });
+  }
 
-      // Look for project names
-      if (
-        inProjectsSection ||
-        projectKeywords.some((keyword) => lineLower.includes(keyword))
-      ) {
-        // Skip lines that are too long or look like descriptions
-        if (
-          line.length > 100 ||
-          line.includes("•") ||
-          line.includes("developed")
-        ) {
-          continue;
-        }
+  /**
+   * Prompt template for a generator call: the session's arm when an
+   * experiment is running on `id`, otherwise the default version
+   */
+  selectTemplate(id) {
+    return this.promptRegistry.select(id, this.context.sessionId || null);
+  }
 
-        let projectName = line;
-        let technologies = "JavaScript, React, Node.js";
-        let description = "Description of the project and key achievements";
+  /**
+   * Copy of `result` with a `prompt_template` reference ({ id, version,
+   * run_id }). Each response is recorded as a run of the template version
+   * for the experiment report; `run_id` is what feedback is given on.
+   */
+  tagPromptTemplate(
+    result,
+    template,
+    { generator, score = null, cached = false }
+  ) {
+    return {
+      ...result,
+      prompt_template: this.experimentTracker.recordRun({
+        template,
+        generator,
+        sessionId: this.context.sessionId || null,
+        score,
+        cached,
+      }),
+    };
+  }
 
-        // Look for technologies in nearby lines
-        for (let j = i + 1; j < Math.min(i + 4, lines.length); j++) {
-          const techLine = lines[j].toLowerCase();
-          if (techKeywords.some((tech) => techLine.includes(tech))) {
-            technologies = lines[j];
-            break;
-          }
-        }
+  readCache(generator, cacheKey) {
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      console.log(`💾 Cache hit for ${generator}`);
+    }
+    return cached;
+  }
 
-        // Look for description in nearby lines
-        for (let j = i + 1; j < Math.min(i + 4, lines.length); j++) {
-          const descLine = lines[j];
-          if (
-            descLine.length > 20 &&
-            !techKeywords.some((tech) => descLine.toLowerCase().includes(tech))
-          ) {
-            description = descLine.replace(/^[•\-]\s*/, "");
-            break;
-          }
-        }
+  /**
+   * Convert a failure inside a generator into the error it should throw:
+   * typed errors pass through, anything else keeps the generator's message
+   */
+  toServiceError(error, label) {
+    if (error instanceof AIServiceError) return error;
+    return new Error(`${label}: ${error.message}`);
+  }
 
-        // Only add if it looks like a real project
-        if (projectName.length > 3 && projectName.length < 80) {
-          projects.push({
-            name: projectName,
-            technologies: technologies,
-            description: description,
-          });
+  /**
+   * Attribute token usage from an AI SDK call to the current route,
+   * generator and session
+   */
+  trackUsage(generator, usage) {
+    if (!usage) return;
+    this.usageTracker.record({
+      route: this.context.route || null,
+      generator,
+      sessionId: this.context.sessionId || null,
+      provider: this.providerName,
+      model: this.model.modelId,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+    });
+  }
 
-          if (projects.length >= 3) break; // Limit to 3 projects
-        }
+  /**
+   * Record a request/response pair in the session history
+   */
+  recordExchange(request, response) {
+    this.conversationManager.addMessage("user", request);
+    this.conversationManager.addMessage("assistant", response);
+  }
 
-        i += 2; // Skip some lines to avoid duplicates
-      }
-    }
+  /**
+   * Clear conversation history
+   */
+  clearHistory() {
+    this.conversationManager.clearHistory();
+  }
 
-    // Default project if none found
-    if (projects.length === 0) {
-      projects.push({
-        name: "Portfolio Website",
-        technologies: "JavaScript, React, Node.js",
-        description:
-          "Built a responsive portfolio website showcasing projects and skills",
-      });
+  /**
+   * Get conversation history
+   */
+  getHistory() {
+    return this.conversationManager.getHistory();
+  }
+
+  /**
+   * Structured resume data for LaTeX generation and tailoring, from
+   * parseResume. The optimized summary of an analysis that generated one
+   * replaces the resume's own. Fields the resume does not provide are left
+   * out and listed in `missing_fields`.
+   */
+  async extractResumeData(resumeText, aiAnalysis = {}) {
+    const parsed = await this.parseResume(resumeText);
+    const resumeData = toResumeData(parsed);
+
+    if (
+      aiAnalysis.resume_summary &&
+      aiAnalysis.resume_summary.optimized_summary
+    ) {
+      resumeData.summary = aiAnalysis.resume_summary.optimized_summary;
     }
 
-    return projects.slice(0, 3); // Limit to 3 projects
+    return {
+      ...resumeData,
+      missing_fields: parsed.missing_fields,
+      low_confidence: parsed.low_confidence,
+    };
   }
 
   /**
-   * Extract skills
+   * Detect known technical, tool, language and soft skills mentioned in the
+   * resume. Categories with no matches stay empty.
    */
-  extractSkills(resumeText, aiAnalysis) {
+  extractSkills(resumeText) {
     const skills = {
       technical: [],
       tools: [],
@@ -1332,11 +3157,12 @@ class AIService {
       "collaboration",
     ];
 
-    const resumeLower = resumeText.toLowerCase();
+    // Whole terms only, so "java" does not match "javascript" or "go" "good"
+    const mentions = (term) => termPattern(term).test(resumeText);
 
     // Extract technical skills
     techSkills.forEach((skill) => {
-      if (resumeLower.includes(skill)) {
+      if (mentions(skill)) {
         const formattedSkill = this.formatSkillName(skill);
         if (!skills.technical.includes(formattedSkill)) {
           skills.technical.push(formattedSkill);
@@ -1346,7 +3172,7 @@ class AIService {
 
     // Extract tools and technologies
     toolSkills.forEach((tool) => {
-      if (resumeLower.includes(tool)) {
+      if (mentions(tool)) {
         const formattedTool = this.formatSkillName(tool);
         if (!skills.tools.includes(formattedTool)) {
           skills.tools.push(formattedTool);
@@ -1356,7 +3182,7 @@ class AIService {
 
     // Extract languages
     languageSkills.forEach((lang) => {
-      if (resumeLower.includes(lang)) {
+      if (mentions(lang)) {
         const formattedLang = lang.charAt(0).toUpperCase() + lang.slice(1);
         if (!skills.languages.includes(formattedLang)) {
           skills.languages.push(formattedLang);
@@ -1366,7 +3192,7 @@ class AIService {
 
     // Extract soft skills
     softSkills.forEach((skill) => {
-      if (resumeLower.includes(skill)) {
+      if (mentions(skill)) {
         const formattedSkill = skill
           .split(" ")
           .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
@@ -1377,26 +3203,6 @@ class AIService {
       }
     });
 
-    // Defaults if categories are empty
-    if (skills.technical.length === 0) {
-      skills.technical = ["JavaScript", "Python", "HTML", "CSS"];
-    }
-    if (skills.tools.length === 0) {
-      skills.tools = ["Git", "Docker", "AWS"];
-    }
-    if (skills.languages.length === 0) {
-      skills.languages = ["English"];
-    }
-    if (skills.soft.length === 0) {
-      skills.soft = ["Problem Solving", "Team Collaboration", "Communication"];
-    }
-
-    // Limit each category to reasonable numbers for LaTeX formatting
-    skills.technical = skills.technical.slice(0, 6);
-    skills.tools = skills.tools.slice(0, 4);
-    skills.languages = skills.languages.slice(0, 3);
-    skills.soft = skills.soft.slice(0, 4);
-
     return skills;
   }
 
@@ -1433,6 +3239,20 @@ class AIService {
    */
   async generateBestResume(resumeText, analysisData = null) {
     try {
+      const template = this.selectTemplate("best-resume");
+      const cacheKey = this.buildCacheKey("generateBestResume", {
+        resumeText,
+        options: { analysisData },
+        templates: [template],
+      });
+      const cached = this.readCache("generateBestResume", cacheKey);
+      if (cached) {
+        return this.tagPromptTemplate(cached, template, {
+          generator: "generateBestResume",
+          cached: true,
+        });
+      }
+
       const sanitizedResume = PromptSecurity.sanitizeInput(resumeText);
       const delimitedResume = PromptSecurity.delimitText(
         sanitizedResume,
@@ -1449,113 +3269,46 @@ class AIService {
         )}`;
       }
       const promptBuilder = new PromptBuilder()
-        .setTaskContext(
-          "You are an expert LaTeX resume designer and professional career writer with deep knowledge of ATS optimization, minimalistic typography, and print-safe formatting."
-        )
-        .setToneContext(
-          "Concise, modern, results-focused, and space-efficient. Resume must use impactful bullet points, strong action verbs, quantifiable results, and be scannable by both humans and ATS."
-        )
+        .setTaskContext(template.taskContext)
+        .setToneContext(template.toneContext)
         .setBackgroundData(backgroundData)
-        .setTaskDescription(
-          "Rewrite, optimize, and format the resume into a visually appealing, single-page professional LaTeX file with excellent spacing, alignment, and strategic bolding. Ensure the output meaningfully improves the resume content — not just reformatting — by rewriting bullets for clarity, impact, and measurable outcomes.",
-          [
-            // --- FORMATTING & PACKAGE RULES ---
-            "Use only these LaTeX packages: article, fullpage, titlesec, enumitem, ragged2e, amsmath, amssymb, hyperref, geometry, latexsym.",
-            "Hyperlinks must use hyperref with options: colorlinks=true, linkcolor=blue, urlcolor=blue, citecolor=blue.",
-            "Use \\documentclass[10pt]{article} for compactness.",
-            "Set page margins with \\geometry{left=0.75in,right=0.75in,top=0.6in,bottom=0.6in} to fit more content.",
-            "Set \\setlength{\\parindent}{0pt} for clean paragraph formatting.",
-            "Use \\RaggedRight for professional text alignment.",
-            // --- ONE-PAGE & SPACING RULES ---
-            "Fit content onto a single page unless have larger resume like very experienced candidate; do not add excessive blank lines but must not look too crowded .",
-            "Reduce vertical whitespace: keep \\vspace between entries minimal (1pt) or none if possible.",
-            "Use compact list formatting: \\setlist[itemize]{leftmargin=15pt, topsep=0pt, parsep=0pt, partopsep=0pt, itemsep=2pt}.",
-            "Remove filler text; prioritize brevity without losing meaning.",
-            // --- VISUAL HIERARCHY & SPACING RULES ---
-            "Header (Name): Use {\\LARGE \\textbf{FULL NAME}} for prominent display - NO CENTERING, left-aligned.",
-            "Contact Info: Place email, phone, LinkedIn, GitHub on the same line each with hyperlink, separated by $\\cdot$ with proper spacing, ending with \\\\. NO CENTERING - left-aligned only.",
-            "Section Headers: Use \\section*{\\Large Section Name} for clear hierarchy.",
-            "Experience/Education Layout: CRITICAL - follow this format exactly:",
-            "  \textbf{Job Title/Degree} \\hfill Time Period \\\\",
-            "  Company/Institution \textendash{} Location \\\\",
-            "  (Always end each of the above lines with `\\\\` for proper LaTeX line breaks.)",
-            // --- DASH USAGE RULES ---
-            "CRITICAL: Use proper LaTeX dash commands for consistent PDF output:",
-            "  - Company - Location: Use \\textendash{} (e.g., 'Tech Corp \\textendash{} San Francisco')",
-            "  - Date ranges: Use \\textendash{} (e.g., 'Jan 2022 \\textendash{} Present')",
-            "  - Degree - Field: Use \\textendash{} (e.g., 'Bachelor of Science \\textendash{} Computer Science')",
-            "  - NEVER use \\extendash{}, plain hyphens (-), em dashes (—), or double hyphens (--)",
-            "  - Always use \\textendash{} with proper spacing: ' \\textendash{} '",
-            // --- FORMATTING RESTRICTIONS ---
-            "CRITICAL: NEVER use centering commands:",
-            "  - NO \\centering commands anywhere",
-            "  - NO {\\centering ...\\par} blocks",
-            "  - NO \\center environment",
-            "  - Everything must be left-aligned (default)",
-            // --- STRATEGIC BOLDING RULES ---
-            "Bold ONLY:",
-            "  - Full name in header",
-            "  - Job titles in experience",
-            "  - Degree names in education",
-            "  - Project names in projects section",
-            "  - Category labels in skills",
-            "Do NOT bold company names, universities, locations, dates, or bullet content.",
-            // --- BULLET REWRITE RULES ---
-            "Rewrite all bullets to:",
-            "  - Start with a strong action verb (Designed, Developed, Optimized, Led, Automated, Improved, Deployed, Implemented).",
-            "  - Include quantifiable results (% improvement, time saved, revenue impact, etc.).",
-            "  - State business/technical impact of the action.",
-            "  - Avoid vague phrases like 'Responsible for' or 'Worked on'.",
-            "  - Keep each bullet one concise sentence.",
-            "  - Use present tense for current roles, past tense for previous roles.",
-            // --- CONTENT ORGANIZATION RULES ---
-            "Order sections: Header, Education, Skills, Experience, Projects, Certifications/Achievements.",
-            "Group skills into logical categories with bold labels.",
-            "Ensure each line and bullet ends with proper LaTeX line breaks (\\\\) where needed.",
-            "Make resume scannable by humans and ATS.",
-            // --- TECHNICAL RULES ---
-            "Output must be fully self-contained and compilable.",
-            "No tables, columns, or complex layouts that break ATS parsing.",
-            "Use standard LaTeX fonts and formatting only.",
-            "Ensure consistent grammar, spelling, and tense.",
-          ]
-        )
-        .setImmediateTask(
-          "Generate a visually stunning, compact, single-page LaTeX resume with perfect alignment, minimal whitespace, correct dash usage, strategic bolding, and compelling action-oriented bullet points. Use proper \\hfill alignment for job titles and dates, and always include explicit LaTeX newlines (\\\\) where required."
-        )
-        .setOutputFormat(
-          "Return only the complete LaTeX code, starting with \\documentclass and ending with \\end{document}. Must compile without errors."
-        );
+        .setTaskDescription(template.taskDescription, template.rules)
+        .setImmediateTask(template.immediateTask)
+        .setOutputFormat(template.outputFormat);
 
       const messages = promptBuilder.buildMessages();
 
-      const { text } = await generateText({
-        model: this.model,
-        messages,
-        maxTokens: 4000,
-        providerOptions: {
-          google: {
-            safetySettings: [
-              {
-                category: "HARM_CATEGORY_HATE_SPEECH",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE",
-              },
-              {
-                category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE",
-              },
-              {
-                category: "HARM_CATEGORY_HARASSMENT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE",
-              },
-              {
-                category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE",
-              },
-            ],
+      const { text } = await this.callModel(
+        "generateBestResume",
+        generateText,
+        {
+          messages,
+          maxTokens: 4000,
+          latexOutput: true,
+          providerOptions: {
+            google: {
+              safetySettings: [
+                {
+                  category: "HARM_CATEGORY_HATE_SPEECH",
+                  threshold: "BLOCK_MEDIUM_AND_ABOVE",
+                },
+                {
+                  category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+                  threshold: "BLOCK_MEDIUM_AND_ABOVE",
+                },
+                {
+                  category: "HARM_CATEGORY_HARASSMENT",
+                  threshold: "BLOCK_MEDIUM_AND_ABOVE",
+                },
+                {
+                  category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+                  threshold: "BLOCK_MEDIUM_AND_ABOVE",
+                },
+              ],
+            },
           },
-        },
-      });
+        }
+      );
 
       // Clean up the response to ensure it's pure LaTeX
       let latexCode = text.trim();
@@ -1586,15 +3339,19 @@ class AIService {
         }
       } catch (_) {}
 
-      return {
+      const result = this.cache.set(cacheKey, {
         success: true,
         latex_code: latexCode,
         // Avoid long GET preview URLs that can exceed server limits; use server-side compile instead.
         preview_url: null,
         message: "Professional LaTeX resume generated successfully",
-      };
+      });
+      return this.tagPromptTemplate(result, template, {
+        generator: "generateBestResume",
+      });
     } catch (error) {
       console.error("Best resume generation error:", error);
+      if (error instanceof AIServiceError) throw error;
       return {
         success: false,
         error: `Resume generation failed: ${error.message}`,
@@ -1646,5 +3403,24 @@ module.exports = {
   ResumeAnalysisSchema,
   SummaryGenerationSchema,
   CoverLetterSchema,
+  CoverLetterVariantsSchema,
+  CoverLetterParagraphSchema,
+  COVER_LETTER_TONES,
+  COVER_LETTER_LENGTHS,
+  COVER_LETTER_PARAGRAPHS,
+  MAX_COVER_LETTER_VARIANTS,
   LinkedInOptimizationSchema,
+  TailoredResumeSchema,
+  JobMatchSchema,
+  CandidateScreeningSchema,
+  InterviewQuestionsSchema,
+  BulletRewriteSchema,
+  BULLET_REWRITE_STYLES,
+  MIN_BULLET_REWRITES,
+  MockInterviewQuestionSchema,
+  MockInterviewGradeSchema,
+  MockInterviewScorecardSchema,
+  JobDescriptionProfileSchema,
+  SkillGapClassificationSchema,
+  ParsedResumeSchema,
 };
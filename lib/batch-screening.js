@@ -0,0 +1,333 @@
+const fs = require("fs");
+const path = require("path");
+const JSZip = require("jszip");
+const { extractTextFromFile } = require("../utils/file");
+const { mapWithConcurrency } = require("../utils/concurrency");
+const { PromptSecurity } = require("./prompt-system");
+const { PromptInjectionScreen } = require("./prompt-injection");
+const { PIIRedactor } = require("./pii-redaction");
+
+const MIME_BY_EXTENSION = {
+  ".pdf": "application/pdf",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".txt": "text/plain",
+};
+
+const MAX_RESUMES = 100;
+const MAX_RESUME_BYTES = 5 * 1024 * 1024;
+// Total uncompressed size across all archives, to stop ZIP bombs
+const MAX_EXTRACTED_BYTES = 100 * 1024 * 1024;
+const SHORTLIST_SCORE =
+  parseInt(process.env.SCREENING_SHORTLIST_SCORE, 10) || 70;
+
+const RECOMMENDATION_ORDER = ["strong_yes", "yes", "maybe", "no"];
+
+const isZipUpload = (file) =>
+  ["application/zip", "application/x-zip-compressed"].includes(file.mimetype) ||
+  /\.zip$/i.test(file.originalname);
+
+/**
+ * Decompress one archive entry, giving up as soon as it exceeds `limit`
+ * bytes instead of inflating the whole entry first. The stream is destroyed
+ * so the inflater stops and is released.
+ */
+const readZipEntry = (entry, limit) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.nodeStream();
+
+    stream.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.destroy();
+        reject(new Error("File too large"));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+  });
+
+// Multer memory uploads carry a buffer, disk uploads a path
+const readUpload = (upload) =>
+  upload.buffer
+    ? Promise.resolve(upload.buffer)
+    : fs.promises.readFile(upload.path);
+
+const batchTooLarge = () => {
+  const error = new Error(
+    "Uploaded resumes and archives expand to more than 100MB"
+  );
+  error.code = "BATCH_TOO_LARGE";
+  return error;
+};
+
+/**
+ * Expand uploaded resumes and ZIP archives of resumes into a flat list of
+ * { filename, buffer, mimetype }. Entries that cannot be screened are
+ * returned in `skipped` with a reason.
+ */
+async function collectResumeFiles(uploads) {
+  const resumes = [];
+  const skipped = [];
+  let extractedBytes = 0;
+
+  const addResume = (resume) => {
+    if (resumes.length >= MAX_RESUMES) {
+      skipped.push({
+        filename: resume.filename,
+        reason: `Batch limit of ${MAX_RESUMES} resumes reached`,
+      });
+      return;
+    }
+    resumes.push(resume);
+  };
+
+  for (const upload of uploads) {
+    if (!isZipUpload(upload)) {
+      if (upload.size > MAX_RESUME_BYTES) {
+        skipped.push({
+          filename: upload.originalname,
+          reason: "File too large",
+        });
+        continue;
+      }
+      const buffer = await readUpload(upload);
+      extractedBytes += buffer.length;
+      if (extractedBytes > MAX_EXTRACTED_BYTES) throw batchTooLarge();
+
+      addResume({
+        filename: upload.originalname,
+        buffer,
+        mimetype: upload.mimetype,
+      });
+      continue;
+    }
+
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(await readUpload(upload));
+    } catch (error) {
+      skipped.push({
+        filename: upload.originalname,
+        reason: "Could not read ZIP archive",
+      });
+      continue;
+    }
+
+    for (const entry of Object.values(zip.files)) {
+      const basename = path.posix.basename(entry.name);
+      if (
+        entry.dir ||
+        entry.name.startsWith("__MACOSX/") ||
+        basename.startsWith(".")
+      ) {
+        continue;
+      }
+
+      const mimetype = MIME_BY_EXTENSION[path.extname(basename).toLowerCase()];
+      if (!mimetype) {
+        skipped.push({ filename: entry.name, reason: "Unsupported file type" });
+        continue;
+      }
+
+      let buffer;
+      try {
+        buffer = await readZipEntry(entry, MAX_RESUME_BYTES);
+      } catch (error) {
+        skipped.push({
+          filename: entry.name,
+          reason: "File too large or corrupt",
+        });
+        continue;
+      }
+
+      extractedBytes += buffer.length;
+      if (extractedBytes > MAX_EXTRACTED_BYTES) throw batchTooLarge();
+
+      addResume({ filename: entry.name, buffer, mimetype });
+    }
+  }
+
+  return { resumes, skipped };
+}
+
+/**
+ * Rank screened candidates by score, then by recommendation
+ */
+function rankCandidates(candidates) {
+  return candidates
+    .slice()
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        RECOMMENDATION_ORDER.indexOf(a.recommendation) -
+          RECOMMENDATION_ORDER.indexOf(b.recommendation)
+    )
+    .map((candidate, index) => ({
+      rank: index + 1,
+      ...candidate,
+      shortlisted:
+        candidate.score >= SHORTLIST_SCORE && candidate.recommendation !== "no",
+    }));
+}
+
+/**
+ * Screen every resume against the job description, updating the job's
+ * progress as each one finishes. Runs in the background; the result is
+ * stored on the job.
+ */
+async function runScreeningJob({
+  job,
+  queue,
+  aiService,
+  resumes,
+  skipped = [],
+  jobDescription,
+  concurrency = 3,
+}) {
+  queue.update(job, { status: "running" });
+
+  const screened = [];
+  const failed = [];
+
+  await mapWithConcurrency(resumes, concurrency, async (resume) => {
+    if (job.cancelRequested) return;
+
+    try {
+      const extracted = await extractTextFromFile(
+        resume.buffer,
+        resume.mimetype
+      );
+      // Each resume is screened for injection on its own, and its canary
+      // checks are kept apart from the other resumes'
+      const injectionScreen = new PromptInjectionScreen();
+      const rejection = injectionScreen.inspect({ resume: extracted });
+      if (rejection) throw rejection;
+
+      const text = PromptSecurity.sanitizeInput(extracted);
+      if (!text || text.trim().length < 50) {
+        throw new Error("Too little text could be extracted from this file");
+      }
+
+      // A redacting job gets a redactor per resume, so each candidate's
+      // report covers only their own data
+      const piiRedactor = aiService.context.piiRedactor
+        ? new PIIRedactor()
+        : null;
+      const screening = await aiService
+        .withContext({
+          canaryChecks: injectionScreen.canaryChecks,
+          piiRedactor,
+        })
+        .screenCandidate(text, jobDescription);
+      screened.push({
+        filename: resume.filename,
+        ...screening,
+        prompt_injection: injectionScreen.report(),
+        ...(piiRedactor && { pii_redaction: piiRedactor.report() }),
+      });
+      queue.advance(job);
+    } catch (error) {
+      failed.push({
+        filename: resume.filename,
+        error: {
+          code: error.code || "SCREENING_FAILED",
+          message: error.message,
+          ...(error.findings && { findings: error.findings }),
+        },
+      });
+      queue.advance(job, { failed: true });
+    }
+  });
+
+  const candidates = rankCandidates(screened);
+  const shortlist = candidates.filter((candidate) => candidate.shortlisted);
+
+  const result = {
+    candidates,
+    shortlist: shortlist.map(({ rank, filename, candidate_name, score }) => ({
+      rank,
+      filename,
+      candidate_name,
+      score,
+    })),
+    failed,
+    skipped,
+    summary: {
+      received: resumes.length + skipped.length,
+      screened: candidates.length,
+      failed: failed.length,
+      skipped: skipped.length,
+      shortlisted: shortlist.length,
+      shortlist_score: SHORTLIST_SCORE,
+      average_score: candidates.length
+        ? Math.round(
+            candidates.reduce((sum, candidate) => sum + candidate.score, 0) /
+              candidates.length
+          )
+        : null,
+    },
+  };
+
+  if (candidates.length === 0 && failed.length > 0 && !job.cancelRequested) {
+    queue.update(job, { result });
+    return queue.fail(job, failed[0].error);
+  }
+
+  return queue.finish(job, result);
+}
+
+/**
+ * Quote a CSV cell, neutralizing values a spreadsheet would run as formulas
+ */
+const csvCell = (value) => {
+  let text = Array.isArray(value) ? value.join("; ") : String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  "rank",
+  "filename",
+  "candidate_name",
+  "score",
+  "recommendation",
+  "shortlisted",
+  "summary",
+  "strengths",
+  "gaps",
+  "red_flags",
+];
+
+/**
+ * Render a screening result as CSV, failed files last
+ */
+function screeningResultToCsv(result) {
+  const rows = [
+    ...result.candidates,
+    ...result.failed.map(({ filename, error }) => ({
+      filename,
+      summary: `Screening failed: ${error.message}`,
+    })),
+  ];
+
+  return [
+    CSV_COLUMNS.join(","),
+    ...rows.map((row) =>
+      CSV_COLUMNS.map((column) => csvCell(row[column])).join(",")
+    ),
+  ].join("\r\n");
+}
+
+module.exports = {
+  collectResumeFiles,
+  runScreeningJob,
+  screeningResultToCsv,
+  MAX_RESUMES,
+};
@@ -0,0 +1,226 @@
+const fs = require("fs");
+const path = require("path");
+const { z } = require("zod");
+
+const CONTEXT_FIELDS = ["mission", "values", "product", "whyThisCompany"];
+const MAX_FIELD_LENGTH = 2000;
+
+const CompanyContextSchema = z
+  .object(
+    Object.fromEntries(
+      CONTEXT_FIELDS.map((field) => [
+        field,
+        z.string().trim().max(MAX_FIELD_LENGTH).optional(),
+      ])
+    )
+  )
+  .strict()
+  .refine(
+    (context) => CONTEXT_FIELDS.some((field) => context[field]),
+    `Provide at least one of ${CONTEXT_FIELDS.join(", ")}`
+  );
+
+/**
+ * Validate company context notes. Returns { context } or { errors } with
+ * errors as [{ path, message }].
+ */
+const validateCompanyContext = (value) => {
+  const result = CompanyContextSchema.safeParse(value);
+  return result.success
+    ? { context: result.data }
+    : {
+        errors: result.error.issues.map((issue) => ({
+          path: issue.path.join("."),
+          message: issue.message,
+        })),
+      };
+};
+
+// "Acme  Corp" and "acme corp" are the same company
+const normalizeCompany = (company) =>
+  (company || "").toString().trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Company context notes (mission, values, product, why this company) saved
+ * per session and company, so cover letters for the same company can reuse
+ * them. Entries expire after `ttlMs` without being saved or used. With
+ * `persistPath` set they are written to disk (debounced) and reloaded at
+ * startup.
+ */
+class CompanyContextStore {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 30 * 24 * 60 * 60 * 1000;
+    this.maxContexts = options.maxContexts || 1000;
+    this.persistPath = options.persistPath || null;
+    this.contexts = new Map();
+    this.persistTimer = null;
+
+    if (this.persistPath) {
+      this.load();
+    }
+
+    this.sweepTimer = setInterval(
+      () => this.pruneExpired(),
+      Math.min(this.ttlMs, 60 * 60 * 1000)
+    );
+    this.sweepTimer.unref();
+  }
+
+  key(ownerSessionId, company) {
+    return `${ownerSessionId}:${normalizeCompany(company)}`;
+  }
+
+  isExpired(entry) {
+    return Date.now() - Date.parse(entry.usedAt) > this.ttlMs;
+  }
+
+  /**
+   * Saved context for a company, marked as used so it stays alive
+   */
+  get(ownerSessionId, company) {
+    const key = this.key(ownerSessionId, company);
+    const entry = this.contexts.get(key);
+    if (!entry) return null;
+
+    if (this.isExpired(entry)) {
+      this.contexts.delete(key);
+      this.schedulePersist();
+      return null;
+    }
+    entry.usedAt = new Date().toISOString();
+    this.schedulePersist();
+    return entry;
+  }
+
+  list(ownerSessionId) {
+    this.pruneExpired();
+    return Array.from(this.contexts.values())
+      .filter((entry) => entry.ownerSessionId === ownerSessionId)
+      .sort((a, b) => a.company.localeCompare(b.company));
+  }
+
+  /**
+   * Save (or replace) the context for a company. `context` must already be
+   * validated with validateCompanyContext.
+   */
+  save(ownerSessionId, company, context) {
+    const key = this.key(ownerSessionId, company);
+    const existing = this.contexts.get(key);
+    if (!existing) {
+      this.pruneExpired();
+      if (this.contexts.size >= this.maxContexts) {
+        throw new Error("Too many saved company contexts");
+      }
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      ownerSessionId,
+      company: company.toString().trim().replace(/\s+/g, " "),
+      ...context,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      usedAt: now,
+    };
+    this.contexts.set(key, entry);
+    this.schedulePersist();
+    return entry;
+  }
+
+  delete(ownerSessionId, company) {
+    const deleted = this.contexts.delete(this.key(ownerSessionId, company));
+    if (deleted) this.schedulePersist();
+    return deleted;
+  }
+
+  pruneExpired() {
+    for (const [key, entry] of this.contexts.entries()) {
+      if (this.isExpired(entry)) {
+        this.contexts.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Public view of a saved context, without the owning session
+   */
+  describe({ ownerSessionId, ...entry }) {
+    return {
+      ...entry,
+      expiresAt: new Date(Date.parse(entry.usedAt) + this.ttlMs).toISOString(),
+    };
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.persistPath)) return;
+
+      const saved = JSON.parse(fs.readFileSync(this.persistPath, "utf8"));
+      (saved.contexts || []).forEach((entry) => {
+        this.contexts.set(this.key(entry.ownerSessionId, entry.company), entry);
+      });
+      this.pruneExpired();
+
+      console.log(`🏢 Loaded ${this.contexts.size} saved company contexts`);
+    } catch (error) {
+      console.error(
+        "Failed to load company contexts, starting empty:",
+        error.message
+      );
+      this.contexts.clear();
+    }
+  }
+
+  schedulePersist() {
+    if (!this.persistPath || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, 1000);
+    this.persistTimer.unref();
+  }
+
+  persist() {
+    if (!this.persistPath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+      const tmpPath = `${this.persistPath}.tmp`;
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify({ contexts: Array.from(this.contexts.values()) })
+      );
+      fs.renameSync(tmpPath, this.persistPath);
+    } catch (error) {
+      console.error("Failed to persist company contexts:", error.message);
+    }
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Shared company context store built from the process environment
+ */
+function getCompanyContextStore() {
+  if (!defaultStore) {
+    defaultStore = new CompanyContextStore({
+      ttlMs:
+        (parseInt(process.env.COMPANY_CONTEXT_TTL_DAYS, 10) || 30) *
+        24 *
+        60 *
+        60 *
+        1000,
+      persistPath: process.env.COMPANY_CONTEXT_FILE || null,
+    });
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  CompanyContextStore,
+  getCompanyContextStore,
+  validateCompanyContext,
+  CONTEXT_FIELDS,
+};
@@ -0,0 +1,128 @@
+const { ConversationManager } = require("./prompt-system");
+
+/**
+ * Per-session conversation history.
+ * Each session ID gets its own ConversationManager; sessions expire after
+ * `ttlMs` of inactivity and the oldest session is evicted once `maxSessions`
+ * is reached.
+ */
+class ConversationStore {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 60 * 60 * 1000; // 1 hour
+    this.maxMessages = options.maxMessages || 10;
+    this.maxSessions = options.maxSessions || 1000;
+    this.sessions = new Map();
+
+    // Periodic sweep so idle sessions don't linger in memory
+    this.sweepTimer = setInterval(
+      () => this.pruneExpired(),
+      Math.min(this.ttlMs, 5 * 60 * 1000)
+    );
+    if (this.sweepTimer.unref) this.sweepTimer.unref();
+  }
+
+  /**
+   * Get (or create) the conversation manager for a session
+   */
+  getManager(sessionId) {
+    const now = Date.now();
+    let session = this.sessions.get(sessionId);
+
+    if (session && now - session.lastAccess > this.ttlMs) {
+      this.sessions.delete(sessionId);
+      session = null;
+    }
+
+    if (!session) {
+      if (this.sessions.size >= this.maxSessions) {
+        this.evictOldest();
+      }
+      session = {
+        manager: new ConversationManager({ maxMessages: this.maxMessages }),
+        createdAt: now,
+        lastAccess: now,
+      };
+      this.sessions.set(sessionId, session);
+    }
+
+    session.lastAccess = now;
+    return session.manager;
+  }
+
+  hasSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return !!session && Date.now() - session.lastAccess <= this.ttlMs;
+  }
+
+  listSessions() {
+    this.pruneExpired();
+    return Array.from(this.sessions.entries()).map(([sessionId, session]) =>
+      this.describeSession(sessionId, session)
+    );
+  }
+
+  /**
+   * Export a session's metadata and full message history
+   */
+  exportSession(sessionId) {
+    if (!this.hasSession(sessionId)) return null;
+    const session = this.sessions.get(sessionId);
+    return {
+      ...this.describeSession(sessionId, session),
+      messages: session.manager.exportHistory(),
+    };
+  }
+
+  deleteSession(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (now - session.lastAccess > this.ttlMs) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+
+  evictOldest() {
+    let oldestId = null;
+    let oldestAccess = Infinity;
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (session.lastAccess < oldestAccess) {
+        oldestAccess = session.lastAccess;
+        oldestId = sessionId;
+      }
+    }
+    if (oldestId) this.sessions.delete(oldestId);
+  }
+
+  describeSession(sessionId, session) {
+    return {
+      sessionId,
+      messageCount: session.manager.history.length,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastAccess: new Date(session.lastAccess).toISOString(),
+      expiresAt: new Date(session.lastAccess + this.ttlMs).toISOString(),
+    };
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Shared store used by every controller, configured from the environment
+ */
+function getConversationStore() {
+  if (!defaultStore) {
+    defaultStore = new ConversationStore({
+      ttlMs: parseInt(process.env.SESSION_TTL_MINUTES || "60", 10) * 60 * 1000,
+      maxMessages: parseInt(process.env.SESSION_MAX_MESSAGES || "10", 10),
+      maxSessions: parseInt(process.env.SESSION_MAX_COUNT || "1000", 10),
+    });
+  }
+  return defaultStore;
+}
+
+module.exports = { ConversationStore, getConversationStore };
@@ -0,0 +1,104 @@
+const LaTeXResumeGenerator = require("./latex-generator");
+const { COVER_LETTER_PARAGRAPHS } = require("./ai-service");
+const { getLocale } = require("./locale");
+
+/**
+ * Typesets a structured cover letter (the `cover_letter` sections of
+ * CoverLetterSchema) with public/templates/cover-letter-modern.tex. The
+ * name and contact header, margins and fonts are the resume template's, so
+ * a letter and a resume built from the same resume data match.
+ */
+class LaTeXCoverLetterGenerator extends LaTeXResumeGenerator {
+  constructor() {
+    super("cover-letter-modern.tex");
+  }
+
+  /**
+   * LaTeX letter from resume data (for the header) and the letter's
+   * sections. Options: `locale` (babel language, which also formats the
+   * default date), `date` (printed as written instead of today's date),
+   * `hiringManager`, `companyName` and `recipientAddress` (text or lines)
+   * for the recipient block.
+   */
+  generateLetter(resumeData, coverLetter, options = {}) {
+    const { locale = "en" } = options;
+    let latex = this.template;
+    this.headings = getLocale(locale).headings;
+
+    latex = this.replaceLocale(latex, locale);
+    latex = this.replaceBasicInfo(latex, resumeData || {});
+
+    const date = options.date ? this.sanitizeLaTeX(options.date) : "\\today";
+    latex = latex.replace(/{{DATE}}/g, () => date);
+    latex = latex.replace(/{{RECIPIENT}}/g, () =>
+      this.lines(this.recipientLines(options))
+    );
+    latex = latex.replace(/{{GREETING}}/g, () =>
+      this.sanitizeLaTeX(coverLetter.greeting)
+    );
+    latex = latex.replace(/{{BODY}}/g, () =>
+      COVER_LETTER_PARAGRAPHS.map((section) =>
+        this.paragraphs(coverLetter[section])
+      )
+        .filter(Boolean)
+        .join("\n\n")
+    );
+    latex = latex.replace(/{{SIGNATURE}}/g, () =>
+      this.lines(this.signatureLines(coverLetter.signature, resumeData))
+    );
+
+    return latex;
+  }
+
+  recipientLines({ hiringManager, companyName, recipientAddress }) {
+    const address = Array.isArray(recipientAddress)
+      ? recipientAddress
+      : (recipientAddress || "").split("\n");
+    return [hiringManager, companyName, ...address];
+  }
+
+  /**
+   * Sign-off lines, ending with the candidate's name when the model's
+   * signature leaves it out
+   */
+  signatureLines(signature, resumeData) {
+    const personal = (resumeData && (resumeData.personal || resumeData)) || {};
+    const name = (personal.name || "").toString().trim();
+    const lines = (signature || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+
+    if (name && !lines.some((line) => line.includes(name))) {
+      lines.push(name);
+    }
+    return lines;
+  }
+
+  /**
+   * Non-empty lines joined with LaTeX line breaks; the `{}` keeps a line
+   * starting with "[" from being read as the break's optional argument
+   */
+  lines(items) {
+    return items
+      .map((item) => (item || "").toString().trim())
+      .filter(Boolean)
+      .map((item) => this.sanitizeLaTeX(item))
+      .join(" \\\\{}\n");
+  }
+
+  /**
+   * Section text as LaTeX paragraphs; blank lines in the text start a new
+   * paragraph
+   */
+  paragraphs(text) {
+    if (typeof text !== "string" || !text.trim()) return "";
+    return text
+      .trim()
+      .split(/\n\s*\n/)
+      .map((paragraph) => this.sanitizeLaTeX(paragraph.trim()))
+      .join("\n\n");
+  }
+}
+
+module.exports = LaTeXCoverLetterGenerator;
@@ -0,0 +1,576 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  AIService,
+  ResumeAnalysisSchema,
+  CoverLetterSchema,
+  SummaryGenerationSchema,
+  LinkedInOptimizationSchema,
+} = require("./ai-service");
+const { AICache } = require("./ai-cache");
+const { ConversationStore } = require("./conversation-store");
+const { UsageTracker } = require("./usage-tracker");
+const { PromptRegistry } = require("./prompt-registry");
+const { PromptExperimentTracker } = require("./prompt-experiments");
+
+const DEFAULT_CORPUS_DIR = path.join(__dirname, "..", "evals", "corpus");
+const REGISTRY_MANIFEST = path.join(
+  __dirname,
+  "prompt-templates",
+  "registry.json"
+);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const countWords = (text) =>
+  (text || "").trim().split(/\s+/).filter(Boolean).length;
+
+/**
+ * Every string in a generator result, lowercased, for mention checks.
+ * Local metrics and template tags are not model output and are skipped.
+ */
+const collectText = (value) => {
+  if (typeof value === "string") return value.toLowerCase();
+  if (Array.isArray(value)) return value.map(collectText).join("\n");
+  if (value && typeof value === "object") {
+    return Object.entries(value)
+      .filter(([key]) => key !== "local_metrics" && key !== "prompt_template")
+      .map(([, nested]) => collectText(nested))
+      .join("\n");
+  }
+  return "";
+};
+
+const getPath = (object, keyPath) =>
+  keyPath.split(".").reduce((value, key) => value && value[key], object);
+
+const describeRange = ({ min, max }) =>
+  [min !== undefined && `>= ${min}`, max !== undefined && `<= ${max}`]
+    .filter(Boolean)
+    .join(" and ");
+
+const inRange = (value, { min, max }) =>
+  typeof value === "number" &&
+  (min === undefined || value >= min) &&
+  (max === undefined || value <= max);
+
+/**
+ * How each case type calls AIService and reads its result: `schema`
+ * re-validates the output, `score` is the primary score checked by
+ * `expect.score`, `text` is what mention and word count checks read and
+ * `metrics` are the numbers whose spread across runs is reported.
+ */
+const CASE_TYPES = {
+  analysis: {
+    run: (service, input) =>
+      service.analyzeResume(input.resume, input.jobDescription),
+    schema: (output) => ResumeAnalysisSchema.safeParse(output),
+    score: (output) => output.overall_score,
+    text: collectText,
+    metrics: (output) => ({
+      overall_score: output.overall_score,
+      ...Object.fromEntries(
+        Object.entries(output.sections).map(([name, section]) => [
+          `sections.${name}`,
+          section.score,
+        ])
+      ),
+    }),
+  },
+  "jd-match": {
+    run: (service, input) =>
+      service.analyzeAgainstJobDescriptions(
+        input.resume,
+        input.jobDescriptions,
+        {},
+        { concurrency: 1 }
+      ),
+    schema: (output) => ResumeAnalysisSchema.safeParse(output.base_analysis),
+    score: (output) => (output.best_fit[0] || {}).score,
+    text: (output) => collectText(output.comparisons),
+    metrics: (output) =>
+      Object.fromEntries(
+        output.comparisons
+          .filter((comparison) => comparison.jd_match)
+          .map((comparison) => [comparison.id, comparison.jd_match.score])
+      ),
+  },
+  "cover-letter": {
+    run: (service, input) =>
+      service.generateCoverLetter(
+        input.resume,
+        input.jobDescription,
+        input.company
+      ),
+    schema: (output) => CoverLetterSchema.safeParse(output),
+    score: () => undefined,
+    text: (output) => output.full_letter,
+    metrics: (output) => ({ word_count: countWords(output.full_letter) }),
+  },
+  summary: {
+    run: (service, input) =>
+      service.generateSummary(input.resume, input.targetRole),
+    schema: (output) => SummaryGenerationSchema.safeParse(output),
+    score: () => undefined,
+    text: (output) => output.summary,
+    metrics: (output) => ({ word_count: countWords(output.summary) }),
+  },
+  linkedin: {
+    run: (service, input) => service.optimizeLinkedIn(input.resume),
+    schema: (output) => LinkedInOptimizationSchema.safeParse(output),
+    score: (output) => output.optimization_score,
+    text: (output) => output.linkedin_summary,
+    metrics: (output) => ({
+      optimization_score: output.optimization_score,
+      word_count: countWords(output.linkedin_summary),
+    }),
+  },
+};
+
+/**
+ * Run every expectation of a case against one result.
+ * Returns { [check]: { passed, detail } }.
+ */
+function checkExpectations(type, expect, output) {
+  const handler = CASE_TYPES[type];
+  const checks = {};
+  const text = (handler.text(output) || "").toLowerCase();
+
+  if (expect.score) {
+    const score = handler.score(output);
+    checks.score = {
+      passed: inRange(score, expect.score),
+      detail: `score ${score}, expected ${describeRange(expect.score)}`,
+    };
+  }
+
+  Object.entries(expect.section_scores || {}).forEach(([section, range]) => {
+    const score = getPath(output, section);
+    const value = score && typeof score === "object" ? score.score : score;
+    checks[`section:${section}`] = {
+      passed: inRange(value, range),
+      detail: `${section} ${value}, expected ${describeRange(range)}`,
+    };
+  });
+
+  if (expect.word_count) {
+    const words = countWords(handler.text(output));
+    checks.word_count = {
+      passed: inRange(words, expect.word_count),
+      detail: `${words} words, expected ${describeRange(expect.word_count)}`,
+    };
+  }
+
+  // An entry may list alternatives; any one of them counts as a mention
+  (expect.must_mention || []).forEach((entry) => {
+    const terms = [].concat(entry);
+    checks[`mentions:${terms[0]}`] = {
+      passed: terms.some((term) => text.includes(term.toLowerCase())),
+      detail: `expected a mention of ${terms.join(" / ")}`,
+    };
+  });
+
+  (expect.must_not_mention || []).forEach((term) => {
+    checks[`avoids:${term}`] = {
+      passed: !text.includes(term.toLowerCase()),
+      detail: `expected no mention of ${term}`,
+    };
+  });
+
+  if (expect.ranking) {
+    const scores = handler.metrics(output);
+    const ordered = expect.ranking.every(
+      (id, index) =>
+        index === 0 || scores[expect.ranking[index - 1]] > scores[id]
+    );
+    checks.ranking = {
+      passed: ordered,
+      detail: `scores ${expect.ranking
+        .map((id) => `${id}=${scores[id]}`)
+        .join(", ")}, expected strictly descending`,
+    };
+  }
+
+  if (expect.best_fit) {
+    const best = output.comparisons.find((comparison) => comparison.rank === 1);
+    checks.best_fit = {
+      passed: !!best && best.id === expect.best_fit,
+      detail: `best fit ${best && best.id}, expected ${expect.best_fit}`,
+    };
+  }
+
+  return checks;
+}
+
+/**
+ * Load the evaluation corpus: `cases.json` plus the resume and job
+ * description files it references, relative to the corpus directory
+ */
+function loadCorpus(directory = DEFAULT_CORPUS_DIR) {
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(directory, "cases.json"), "utf8")
+  );
+  const read = (file) => fs.readFileSync(path.join(directory, file), "utf8");
+  const ids = new Set();
+
+  return manifest.cases.map((entry) => {
+    if (!CASE_TYPES[entry.type]) {
+      throw new Error(
+        `Eval case ${entry.id} has unknown type "${
+          entry.type
+        }". Supported: ${Object.keys(CASE_TYPES).join(", ")}`
+      );
+    }
+    if (ids.has(entry.id)) {
+      throw new Error(`Duplicate eval case id ${entry.id}`);
+    }
+    ids.add(entry.id);
+
+    return {
+      id: entry.id,
+      type: entry.type,
+      description: entry.description || "",
+      expect: entry.expect || {},
+      input: {
+        resume: read(entry.resume),
+        jobDescription: entry.job_description
+          ? read(entry.job_description)
+          : null,
+        jobDescriptions: Object.entries(entry.job_descriptions || {}).map(
+          ([id, file]) => ({ id, label: id, text: read(file) })
+        ),
+        company: entry.company || null,
+        targetRole: entry.target_role || null,
+      },
+    };
+  });
+}
+
+/**
+ * AIService isolated for evaluation: no result cache (repeated runs must
+ * reach the model), its own history and usage accounting, and default
+ * prompt template versions unless `templates` pins others, e.g.
+ * { "resume-analysis": 2 }
+ */
+function createEvaluationService({ provider, templates = {} } = {}) {
+  const manifest = JSON.parse(fs.readFileSync(REGISTRY_MANIFEST, "utf8"));
+  Object.entries(templates).forEach(([id, version]) => {
+    manifest[id] = { ...manifest[id], default: Number(version) };
+  });
+
+  return new AIService({
+    provider,
+    cache: new AICache({ enabled: false }),
+    conversationStore: new ConversationStore(),
+    usageTracker: new UsageTracker(),
+    promptRegistry: new PromptRegistry({
+      manifest,
+      experimentsEnabled: false,
+    }),
+    experimentTracker: new PromptExperimentTracker(),
+  });
+}
+
+async function runCase(service, evalCase, run) {
+  const handler = CASE_TYPES[evalCase.type];
+  // A fresh session per run keeps earlier runs out of the prompt history
+  const scoped = service.withContext({
+    sessionId: `eval:${evalCase.id}:${run}`,
+    route: "eval",
+  });
+  const startedAt = Date.now();
+
+  try {
+    const output = await handler.run(scoped, evalCase.input);
+    const validation = handler.schema(output);
+
+    return {
+      run,
+      duration_ms: Date.now() - startedAt,
+      schema_valid: validation.success,
+      schema_issue: validation.success
+        ? null
+        : validation.error.issues[0].path.join(".") +
+          ": " +
+          validation.error.issues[0].message,
+      checks: validation.success
+        ? checkExpectations(evalCase.type, evalCase.expect, output)
+        : {},
+      metrics: validation.success ? handler.metrics(output) : {},
+    };
+  } catch (error) {
+    return {
+      run,
+      duration_ms: Date.now() - startedAt,
+      // Provider failures say nothing about the output schema
+      schema_valid: error.code === "SCHEMA_MISMATCH" ? false : null,
+      error: { code: error.code || "EVAL_FAILED", message: error.message },
+      checks: {},
+      metrics: {},
+    };
+  } finally {
+    scoped.clearHistory();
+  }
+}
+
+/**
+ * Mean, standard deviation and range of a list of numbers
+ */
+function describeValues(values) {
+  if (values.length === 0) {
+    return { mean: null, std_dev: null, min: null, max: null };
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return {
+    mean: round(mean),
+    std_dev: round(Math.sqrt(variance)),
+    min: Math.min(...values),
+    max: Math.max(...values),
+  };
+}
+
+/**
+ * Aggregate the runs of one case. A check that could not run because the
+ * call failed counts as failed, so errors lower compliance too.
+ */
+function summarizeCase(evalCase, runs) {
+  const checkNames = new Set(
+    runs.flatMap((result) => Object.keys(result.checks))
+  );
+  const checks = {};
+  checkNames.forEach((name) => {
+    const passed = runs.filter(
+      (result) => result.checks[name] && result.checks[name].passed
+    ).length;
+    const failure = runs.find(
+      (result) => result.checks[name] && !result.checks[name].passed
+    );
+    checks[name] = {
+      pass_rate: round(passed / runs.length),
+      ...(failure && { example_failure: failure.checks[name].detail }),
+    };
+  });
+
+  const metricNames = new Set(
+    runs.flatMap((result) => Object.keys(result.metrics))
+  );
+  const metrics = {};
+  metricNames.forEach((name) => {
+    metrics[name] = describeValues(
+      runs
+        .map((result) => result.metrics[name])
+        .filter((value) => typeof value === "number")
+    );
+  });
+
+  const judged = runs.filter((result) => result.schema_valid !== null);
+  const passedRuns = runs.filter(
+    (result) =>
+      result.schema_valid &&
+      Object.values(result.checks).every((check) => check.passed)
+  );
+
+  return {
+    id: evalCase.id,
+    type: evalCase.type,
+    description: evalCase.description,
+    runs: runs.length,
+    errors: runs
+      .filter((result) => result.error)
+      .map(({ run, error }) => ({ run, ...error })),
+    schema_validity:
+      judged.length > 0
+        ? round(
+            judged.filter((result) => result.schema_valid).length /
+              judged.length
+          )
+        : null,
+    schema_issues: runs
+      .filter((result) => result.schema_issue)
+      .map(({ run, schema_issue }) => ({ run, issue: schema_issue })),
+    pass_rate: round(passedRuns.length / runs.length),
+    checks,
+    metrics,
+    average_duration_ms: Math.round(
+      runs.reduce((sum, result) => sum + result.duration_ms, 0) / runs.length
+    ),
+  };
+}
+
+function summarizeReport(cases) {
+  const validities = cases
+    .map((result) => result.schema_validity)
+    .filter((value) => value !== null);
+  const checkRates = cases.flatMap((result) =>
+    Object.values(result.checks).map((check) => check.pass_rate)
+  );
+  const spreads = cases.flatMap((result) =>
+    Object.values(result.metrics)
+      .map((metric) => metric.std_dev)
+      .filter((value) => value !== null)
+  );
+  const average = (values) =>
+    values.length > 0
+      ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+
+  return {
+    cases: cases.length,
+    cases_passed: cases.filter((result) => result.pass_rate === 1).length,
+    runs: cases.reduce((sum, result) => sum + result.runs, 0),
+    errors: cases.reduce((sum, result) => sum + result.errors.length, 0),
+    schema_validity: average(validities),
+    rule_compliance: average(checkRates),
+    average_std_dev: average(spreads),
+    max_std_dev: spreads.length > 0 ? Math.max(...spreads) : null,
+  };
+}
+
+/**
+ * Run the corpus `runs` times per case against `service` (one call at a
+ * time, to stay within provider rate limits) and report schema validity,
+ * score spread and rule compliance. `onRun` is called after every run.
+ */
+async function runEvaluation(
+  service,
+  corpus,
+  { runs = 3, onRun = () => {} } = {}
+) {
+  const cases = [];
+
+  for (const evalCase of corpus) {
+    const results = [];
+    for (let run = 1; run <= runs; run++) {
+      const result = await runCase(service, evalCase, run);
+      results.push(result);
+      onRun(evalCase, result);
+    }
+    cases.push(summarizeCase(evalCase, results));
+  }
+
+  const usage = service.usageTracker.summarize({ days: 1 }).totals;
+
+  return {
+    created_at: new Date().toISOString(),
+    provider: service.providerName,
+    model: service.model.modelId,
+    runs_per_case: runs,
+    templates: Object.fromEntries(
+      service.promptRegistry
+        .describe()
+        .map((template) => [template.id, template.default])
+    ),
+    summary: summarizeReport(cases),
+    usage,
+    cases,
+  };
+}
+
+/**
+ * Compare a report with a saved baseline report.
+ * Lower schema validity or check pass rates, and a score spread more than
+ * `varianceTolerance` points wider, are regressions. Means that moved by
+ * more than `scoreTolerance` points and changed template versions are
+ * listed as changes to review, since a shift is not necessarily worse.
+ */
+function compareWithBaseline(
+  report,
+  baseline,
+  { varianceTolerance = 5, scoreTolerance = 10 } = {}
+) {
+  const regressions = [];
+  const improvements = [];
+  const changes = [];
+  const baselineCases = new Map(
+    baseline.cases.map((result) => [result.id, result])
+  );
+
+  report.cases.forEach((current) => {
+    const previous = baselineCases.get(current.id);
+    if (!previous) {
+      changes.push({ case: current.id, metric: "case", note: "new case" });
+      return;
+    }
+
+    const compareRate = (metric, now, before) => {
+      if (now === null || before === null || before === undefined) return;
+      const entry = {
+        case: current.id,
+        metric,
+        baseline: before,
+        current: now,
+      };
+      if (now < before) regressions.push(entry);
+      if (now > before) improvements.push(entry);
+    };
+
+    compareRate(
+      "schema_validity",
+      current.schema_validity,
+      previous.schema_validity
+    );
+    Object.entries(current.checks).forEach(([name, check]) => {
+      const before = previous.checks[name];
+      compareRate(`check:${name}`, check.pass_rate, before && before.pass_rate);
+    });
+
+    Object.entries(current.metrics).forEach(([name, metric]) => {
+      const before = previous.metrics[name];
+      if (!before || metric.mean === null || before.mean === null) return;
+
+      if (metric.std_dev > before.std_dev + varianceTolerance) {
+        regressions.push({
+          case: current.id,
+          metric: `std_dev:${name}`,
+          baseline: before.std_dev,
+          current: metric.std_dev,
+        });
+      }
+      if (Math.abs(metric.mean - before.mean) > scoreTolerance) {
+        changes.push({
+          case: current.id,
+          metric: `mean:${name}`,
+          baseline: before.mean,
+          current: metric.mean,
+        });
+      }
+    });
+  });
+
+  Object.entries(report.templates).forEach(([id, version]) => {
+    const before = baseline.templates && baseline.templates[id];
+    if (before !== undefined && before !== version) {
+      changes.push({
+        metric: `template:${id}`,
+        baseline: before,
+        current: version,
+      });
+    }
+  });
+  if (baseline.model !== report.model) {
+    changes.push({
+      metric: "model",
+      baseline: baseline.model,
+      current: report.model,
+    });
+  }
+
+  return {
+    baseline_created_at: baseline.created_at,
+    regressions,
+    improvements,
+    changes,
+  };
+}
+
+module.exports = {
+  CASE_TYPES,
+  DEFAULT_CORPUS_DIR,
+  loadCorpus,
+  createEvaluationService,
+  checkExpectations,
+  runEvaluation,
+  compareWithBaseline,
+};
@@ -0,0 +1,282 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ConversationManager, PromptSecurity } = require("./prompt-system");
+
+const GRADE_CRITERIA = ["structure", "specificity", "metrics", "relevance"];
+
+/**
+ * Server-side mock interview sessions.
+ * Each interview keeps the resume, the planned question count, graded turns
+ * and a ConversationManager with the interview dialogue. Interviews expire
+ * after `ttlMs` of inactivity. With `persistPath` set they are written to
+ * disk (debounced) and reloaded at startup, so they survive restarts.
+ */
+class InterviewStore {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+    this.maxInterviews = options.maxInterviews || 500;
+    this.persistPath = options.persistPath || null;
+    this.interviews = new Map();
+    this.persistTimer = null;
+
+    if (this.persistPath) {
+      this.load();
+    }
+
+    this.sweepTimer = setInterval(
+      () => this.pruneExpired(),
+      Math.min(this.ttlMs, 10 * 60 * 1000)
+    );
+    this.sweepTimer.unref();
+  }
+
+  create({ ownerSessionId, resumeText, jobDescription, questionCount }) {
+    this.pruneExpired();
+    if (this.interviews.size >= this.maxInterviews) {
+      throw new Error("Too many mock interviews in progress");
+    }
+
+    const now = new Date().toISOString();
+    const interview = {
+      id: crypto.randomUUID(),
+      ownerSessionId,
+      resumeText,
+      jobDescription: jobDescription || null,
+      questionCount,
+      status: "in_progress",
+      currentQuestion: null,
+      turns: [],
+      scorecard: null,
+      // Pinned by the AI service when the first question is generated
+      promptTemplate: null,
+      // Enough room that the dialogue is never trimmed mid-interview
+      conversation: new ConversationManager({
+        maxMessages: questionCount * 2 + 2,
+      }),
+      pending: false,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.interviews.set(interview.id, interview);
+    return interview;
+  }
+
+  get(id) {
+    const interview = this.interviews.get(id);
+    if (!interview) return null;
+
+    if (Date.now() - Date.parse(interview.updatedAt) > this.ttlMs) {
+      this.interviews.delete(id);
+      this.schedulePersist();
+      return null;
+    }
+    return interview;
+  }
+
+  /**
+   * Mark an interview as changed so it is kept alive and persisted
+   */
+  save(interview) {
+    interview.updatedAt = new Date().toISOString();
+    this.schedulePersist();
+    return interview;
+  }
+
+  /**
+   * Record the opening question. The dialogue starts with a user turn so
+   * the history alternates user/assistant as chat models expect.
+   */
+  recordOpeningQuestion(interview, question) {
+    interview.conversation.addMessage(
+      "user",
+      "I am ready to start the interview."
+    );
+    interview.conversation.addMessage("assistant", question.question);
+    interview.currentQuestion = { number: 1, ...question };
+    return this.save(interview);
+  }
+
+  /**
+   * Record the graded answer to the current question and move on to the
+   * grade's `next_question`, if any
+   */
+  recordAnswer(interview, answer, grade) {
+    const { next_question: nextQuestion, ...turnGrade } = grade;
+    const { number, question, type, focus } = interview.currentQuestion;
+
+    interview.turns.push({
+      number,
+      question,
+      type,
+      focus,
+      answer,
+      grade: turnGrade,
+      answeredAt: new Date().toISOString(),
+    });
+    interview.conversation.addMessage(
+      "user",
+      PromptSecurity.delimitText(answer, "CANDIDATE_ANSWER")
+    );
+    interview.conversation.addMessage(
+      "assistant",
+      nextQuestion
+        ? `${turnGrade.feedback}\n\nNext question: ${nextQuestion.question}`
+        : turnGrade.feedback
+    );
+    interview.currentQuestion = nextQuestion
+      ? { number: number + 1, ...nextQuestion }
+      : null;
+    return this.save(interview);
+  }
+
+  complete(interview, scorecard) {
+    interview.status = "completed";
+    interview.currentQuestion = null;
+    interview.scorecard = scorecard;
+    return this.save(interview);
+  }
+
+  delete(id) {
+    const deleted = this.interviews.delete(id);
+    if (deleted) this.schedulePersist();
+    return deleted;
+  }
+
+  pruneExpired() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, interview] of this.interviews.entries()) {
+      if (Date.parse(interview.updatedAt) < cutoff) {
+        this.interviews.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Public view of an interview, without the resume or raw dialogue
+   */
+  describe(interview) {
+    return {
+      id: interview.id,
+      status: interview.status,
+      questionCount: interview.questionCount,
+      answered: interview.turns.length,
+      currentQuestion: interview.currentQuestion,
+      turns: interview.turns,
+      scorecard: interview.scorecard,
+      promptTemplate: interview.promptTemplate || null,
+      hasJobDescription: !!interview.jobDescription,
+      createdAt: interview.createdAt,
+      updatedAt: interview.updatedAt,
+      expiresAt: new Date(
+        Date.parse(interview.updatedAt) + this.ttlMs
+      ).toISOString(),
+    };
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.persistPath)) return;
+
+      const saved = JSON.parse(fs.readFileSync(this.persistPath, "utf8"));
+      (saved.interviews || []).forEach(({ conversation, ...interview }) => {
+        const manager = new ConversationManager({
+          maxMessages: interview.questionCount * 2 + 2,
+        });
+        manager.history = conversation || [];
+        this.interviews.set(interview.id, {
+          ...interview,
+          conversation: manager,
+          pending: false,
+        });
+      });
+      this.pruneExpired();
+
+      console.log(`🎤 Loaded ${this.interviews.size} mock interviews`);
+    } catch (error) {
+      console.error(
+        "Failed to load mock interviews, starting empty:",
+        error.message
+      );
+      this.interviews.clear();
+    }
+  }
+
+  schedulePersist() {
+    if (!this.persistPath || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, 1000);
+    this.persistTimer.unref();
+  }
+
+  persist() {
+    if (!this.persistPath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+      const interviews = Array.from(this.interviews.values()).map(
+        ({ conversation, pending, ...interview }) => ({
+          ...interview,
+          conversation: conversation.exportHistory(),
+        })
+      );
+      const tmpPath = `${this.persistPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ interviews }));
+      fs.renameSync(tmpPath, this.persistPath);
+    } catch (error) {
+      console.error("Failed to persist mock interviews:", error.message);
+    }
+  }
+}
+
+/**
+ * Average each grading criterion and the overall score across graded turns
+ */
+function summarizeGrades(turns) {
+  const average = (values) =>
+    values.length
+      ? Math.round(
+          values.reduce((sum, value) => sum + value, 0) / values.length
+        )
+      : null;
+
+  return {
+    overall_score: average(turns.map((turn) => turn.grade.overall_score)),
+    criteria: Object.fromEntries(
+      GRADE_CRITERIA.map((criterion) => [
+        criterion,
+        average(turns.map((turn) => turn.grade.scores[criterion])),
+      ])
+    ),
+    questions_answered: turns.length,
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Shared interview store built from the process environment
+ */
+function getInterviewStore() {
+  if (!defaultStore) {
+    defaultStore = new InterviewStore({
+      ttlMs:
+        (parseInt(process.env.MOCK_INTERVIEW_TTL_HOURS, 10) || 24) *
+        60 *
+        60 *
+        1000,
+      persistPath: process.env.MOCK_INTERVIEW_FILE || null,
+    });
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  InterviewStore,
+  getInterviewStore,
+  summarizeGrades,
+  GRADE_CRITERIA,
+};
@@ -0,0 +1,134 @@
+const crypto = require("crypto");
+
+/**
+ * In-memory registry of background jobs.
+ * A job is a plain object with status, progress and result that the
+ * runner updates in place and HTTP handlers poll. Finished jobs are
+ * dropped after `ttlMs`.
+ */
+class JobQueue {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 60 * 60 * 1000;
+    this.maxJobs = options.maxJobs || 200;
+    this.jobs = new Map();
+
+    this.sweepTimer = setInterval(
+      () => this.pruneExpired(),
+      Math.min(this.ttlMs, 10 * 60 * 1000)
+    );
+    this.sweepTimer.unref();
+  }
+
+  create(type, { sessionId = null, total = 0, meta = {} } = {}) {
+    this.pruneExpired();
+    if (this.jobs.size >= this.maxJobs) {
+      throw new Error("Too many background jobs in progress");
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      sessionId,
+      status: "queued",
+      progress: { total, completed: 0, failed: 0 },
+      meta,
+      result: null,
+      error: null,
+      cancelRequested: false,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    };
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    return job;
+  }
+
+  /**
+   * Record one finished item and return the job
+   */
+  advance(job, { failed = false } = {}) {
+    job.progress.completed += 1;
+    if (failed) job.progress.failed += 1;
+    job.updatedAt = new Date().toISOString();
+    return job;
+  }
+
+  finish(job, result) {
+    const now = new Date().toISOString();
+    return this.update(job, {
+      status: job.cancelRequested ? "cancelled" : "completed",
+      result,
+      finishedAt: now,
+    });
+  }
+
+  fail(job, error) {
+    return this.update(job, {
+      status: "failed",
+      error: { code: error.code || "JOB_FAILED", message: error.message },
+      finishedAt: new Date().toISOString(),
+    });
+  }
+
+  cancel(job) {
+    if (job.status === "queued" || job.status === "running") {
+      this.update(job, { cancelRequested: true });
+    }
+    return job;
+  }
+
+  delete(id) {
+    return this.jobs.delete(id);
+  }
+
+  pruneExpired() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, job] of this.jobs.entries()) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Public view of a job, without internal fields
+   */
+  describe(job, { includeResult = true } = {}) {
+    const { cancelRequested, sessionId, ...rest } = job;
+    const percent =
+      job.progress.total > 0
+        ? Math.round((job.progress.completed / job.progress.total) * 100)
+        : 0;
+    return {
+      ...rest,
+      progress: { ...job.progress, percent },
+      result: includeResult ? job.result : undefined,
+    };
+  }
+}
+
+let defaultQueue = null;
+
+/**
+ * Shared job queue built from the process environment
+ */
+function getJobQueue() {
+  if (!defaultQueue) {
+    defaultQueue = new JobQueue({
+      ttlMs: (parseInt(process.env.JOB_TTL_MINUTES, 10) || 60) * 60 * 1000,
+    });
+  }
+  return defaultQueue;
+}
+
+module.exports = { JobQueue, getJobQueue };
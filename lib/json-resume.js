@@ -0,0 +1,601 @@
+/**
+ * JSON Resume (https://jsonresume.org/schema) import and export. Imported
+ * documents map straight into the resume data LaTeXResumeGenerator
+ * consumes; parsed or generated resume data is exported as a JSON Resume
+ * document that validates against the v1.0.0 schema.
+ */
+
+const { z } = require("zod");
+const { getLocale } = require("./locale");
+
+const JSON_RESUME_VERSION = "v1.0.0";
+
+// The schema's iso8601 pattern: YYYY, YYYY-MM or YYYY-MM-DD
+const ISO_DATE =
+  /^([1-2][0-9]{3}-[0-1][0-9]-[0-3][0-9]|[1-2][0-9]{3}-[0-1][0-9]|[1-2][0-9]{3})$/;
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+const isoDate = z
+  .string()
+  .regex(ISO_DATE, "Expected YYYY, YYYY-MM or YYYY-MM-DD");
+const url = z.string().url();
+const strings = z.array(z.string());
+
+// Every property is optional and unknown properties are allowed, as in the
+// published schema
+const entry = (shape) => z.object(shape).partial().passthrough();
+
+const JSONResumeSchema = entry({
+  $schema: z.string(),
+  basics: entry({
+    name: z.string(),
+    label: z.string(),
+    image: z.string(),
+    email: z.string().email(),
+    phone: z.string(),
+    url,
+    summary: z.string(),
+    location: entry({
+      address: z.string(),
+      postalCode: z.string(),
+      city: z.string(),
+      countryCode: z.string(),
+      region: z.string(),
+    }),
+    profiles: z.array(
+      entry({ network: z.string(), username: z.string(), url })
+    ),
+  }),
+  work: z.array(
+    entry({
+      name: z.string(),
+      location: z.string(),
+      description: z.string(),
+      position: z.string(),
+      url,
+      startDate: isoDate,
+      endDate: isoDate,
+      summary: z.string(),
+      highlights: strings,
+    })
+  ),
+  volunteer: z.array(
+    entry({
+      organization: z.string(),
+      position: z.string(),
+      url,
+      startDate: isoDate,
+      endDate: isoDate,
+      summary: z.string(),
+      highlights: strings,
+    })
+  ),
+  education: z.array(
+    entry({
+      institution: z.string(),
+      url,
+      area: z.string(),
+      studyType: z.string(),
+      startDate: isoDate,
+      endDate: isoDate,
+      score: z.string(),
+      courses: strings,
+    })
+  ),
+  awards: z.array(
+    entry({
+      title: z.string(),
+      date: isoDate,
+      awarder: z.string(),
+      summary: z.string(),
+    })
+  ),
+  certificates: z.array(
+    entry({ name: z.string(), date: isoDate, url, issuer: z.string() })
+  ),
+  publications: z.array(
+    entry({
+      name: z.string(),
+      publisher: z.string(),
+      releaseDate: isoDate,
+      url,
+      summary: z.string(),
+    })
+  ),
+  skills: z.array(
+    entry({ name: z.string(), level: z.string(), keywords: strings })
+  ),
+  languages: z.array(entry({ language: z.string(), fluency: z.string() })),
+  interests: z.array(entry({ name: z.string(), keywords: strings })),
+  references: z.array(entry({ name: z.string(), reference: z.string() })),
+  projects: z.array(
+    entry({
+      name: z.string(),
+      description: z.string(),
+      highlights: strings,
+      keywords: strings,
+      startDate: isoDate,
+      endDate: isoDate,
+      url,
+      roles: strings,
+      entity: z.string(),
+      type: z.string(),
+    })
+  ),
+  meta: entry({
+    canonical: url,
+    version: z.string(),
+    lastModified: z.string(),
+  }),
+});
+
+// Resume data as the export reads it: the sections are lists of entries
+// (awards may be plain text, languages plain names), skills either a list
+// or lists by category. Field values are checked by the exported format.
+const record = z.object({}).passthrough();
+const section = (item = record) => z.array(item).nullish();
+
+const ResumeDataSchema = z
+  .object({
+    personal: record.nullish(),
+    summary: z.string().nullish(),
+    experience: section(),
+    education: section(),
+    projects: section(),
+    skills: z
+      .union([
+        z.array(z.union([z.string(), record])),
+        z.record(z.array(z.string())),
+      ])
+      .nullish(),
+    languages: section(z.union([z.string(), record])),
+    certifications: section(),
+    awards: section(z.union([z.string(), record])),
+    publications: section(),
+  })
+  .passthrough();
+
+const validateWith = (schema, value) => {
+  const result = schema.safeParse(value);
+  return {
+    valid: result.success,
+    errors: result.success
+      ? []
+      : result.error.issues.map((issue) => ({
+          path: issue.path.join("."),
+          message: issue.message,
+        })),
+  };
+};
+
+/**
+ * Validate a JSON Resume document. Returns { valid, errors } with errors
+ * as [{ path, message }].
+ */
+const validateJSONResume = (document) =>
+  validateWith(JSONResumeSchema, document);
+
+/**
+ * Check that resume data sent for export has the shape toJSONResume and
+ * toResumeSource read. Returns { valid, errors } like validateJSONResume.
+ */
+const validateResumeData = (resumeData) =>
+  validateWith(ResumeDataSchema, resumeData);
+
+const present = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === "object") return Object.keys(value).length > 0;
+  return value !== undefined && value !== null && value !== "";
+};
+
+// Drop empty values so neither format carries placeholders
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) => present(value))
+  );
+
+/**
+ * "2020-03" or "2020-03-15" as "Mar 2020", "2020" unchanged
+ */
+const formatISODate = (date) => {
+  if (!date) return "";
+  const [year, month] = date.split("-");
+  if (!month) return year;
+  const name = MONTHS[Number(month) - 1];
+  return name
+    ? `${name.charAt(0).toUpperCase()}${name.slice(1)} ${year}`
+    : year;
+};
+
+const formatISORange = (startDate, endDate) => {
+  const start = formatISODate(startDate);
+  const end = formatISODate(endDate);
+  return start === end ? start : [start, end].filter(Boolean).join(" - ");
+};
+
+/**
+ * Resume date text ("Mar 2020", "03/2020", "2020", "2020-03") as an
+ * iso8601 date, or null when it is empty, "Present" or not recognizable
+ */
+const toISODate = (text) => {
+  const value = (text || "").toString().trim();
+  if (ISO_DATE.test(value)) return value;
+
+  let match = value.match(/^([A-Za-z]{3,})\.?,?\s+(\d{4})$/);
+  const month = match ? MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) : -1;
+  if (month !== -1) {
+    return `${match[2]}-${String(month + 1).padStart(2, "0")}`;
+  }
+
+  match = value.match(/^(\d{1,2})[/.-](\d{4})$/);
+  if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) {
+    return `${match[2]}-${match[1].padStart(2, "0")}`;
+  }
+
+  // A year, possibly after a season or unrecognized month ("Summer 2018")
+  match = value.match(/^(?:[A-Za-z]+\s+)?([1-2]\d{3})$/);
+  return match ? match[1] : null;
+};
+
+const isOngoing = (text) =>
+  /^(present|current|now|ongoing|today)$/i.test((text || "").trim());
+
+/**
+ * Split "2019 - 2021" or "Jan 2020 – Present" into { start, end }
+ */
+const splitDateRange = (text) => {
+  const [start, end] = (text || "")
+    .toString()
+    .split(/\s+(?:-|to)\s+|\s*[–—]\s*|(?<=\d{4})-(?=\d{4}|[A-Za-z])/);
+  return { start: start || "", end: end || "" };
+};
+
+const withScheme = (link) =>
+  /^https?:\/\//i.test(link) ? link : `https://${link}`;
+
+// "Go, Redis" or ["Go", "Redis"] as a list
+const asList = (value) =>
+  Array.isArray(value)
+    ? value.filter(present)
+    : present(value)
+    ? value
+        .toString()
+        .split(/\s*,\s*/)
+        .filter(Boolean)
+    : [];
+
+// Bullets may be a list or a single description string
+const asBullets = (value) =>
+  (Array.isArray(value) ? value : [value]).filter(
+    (item) => typeof item === "string" && item.trim()
+  );
+
+/**
+ * Map a JSON Resume document into LaTeXResumeGenerator resume data
+ */
+const fromJSONResume = (document) => {
+  const basics = document.basics || {};
+  const location = basics.location || {};
+  const profiles = basics.profiles || [];
+  const profile = (network) => {
+    const match = profiles.find(
+      (item) => (item.network || "").toLowerCase() === network
+    );
+    if (!match) return undefined;
+    return (
+      match.url ||
+      (match.username
+        ? `${network}.com/${network === "linkedin" ? "in/" : ""}${
+            match.username
+          }`
+        : undefined)
+    );
+  };
+
+  const skills = (document.skills || []).flatMap((skill) =>
+    present(skill.keywords)
+      ? skill.keywords.map((keyword) => ({
+          category: skill.name,
+          name: keyword,
+        }))
+      : [{ name: skill.name }]
+  );
+
+  return {
+    personal: compact({
+      name: basics.name,
+      email: basics.email,
+      phone: basics.phone,
+      location:
+        [location.city, location.region, location.countryCode]
+          .filter(Boolean)
+          .join(", ") || location.address,
+      linkedin: profile("linkedin"),
+      github: profile("github"),
+      website: basics.url,
+    }),
+    summary: basics.summary || null,
+    experience: (document.work || []).map((work) => ({
+      ...compact({
+        title: work.position,
+        company: work.name,
+        location: work.location,
+        start_date: formatISODate(work.startDate),
+        end_date: formatISODate(work.endDate),
+      }),
+      ...(work.startDate && !work.endDate ? { current: true } : {}),
+      achievements: present(work.highlights)
+        ? work.highlights
+        : [work.summary].filter(Boolean),
+    })),
+    education: (document.education || []).map((education) =>
+      compact({
+        institution: education.institution,
+        degree: education.studyType,
+        field: education.area,
+        start_date: formatISODate(education.startDate),
+        end_date: formatISODate(education.endDate),
+        gpa: education.score,
+        coursework: education.courses,
+      })
+    ),
+    projects: (document.projects || []).map((project) => ({
+      ...compact({
+        name: project.name,
+        date: formatISORange(project.startDate, project.endDate),
+        url: project.url,
+        technologies: project.keywords,
+      }),
+      description: [project.description, ...(project.highlights || [])].filter(
+        Boolean
+      ),
+    })),
+    skills,
+    languages: (document.languages || [])
+      .filter((item) => item.language)
+      .map((item) =>
+        compact({ language: item.language, proficiency: item.fluency })
+      ),
+    certifications: (document.certificates || []).map((certificate) =>
+      compact({
+        name: certificate.name,
+        issuer: certificate.issuer,
+        date: formatISODate(certificate.date),
+      })
+    ),
+    awards: (document.awards || []).map((award) =>
+      compact({
+        name: award.title,
+        issuer: award.awarder,
+        date: formatISODate(award.date),
+      })
+    ),
+    publications: (document.publications || []).map((publication) =>
+      compact({
+        title: publication.name,
+        venue: publication.publisher,
+        date: formatISODate(publication.releaseDate),
+        url: publication.url,
+      })
+    ),
+  };
+};
+
+/**
+ * Export resume data (from parseResume, the LaTeX endpoints or a tailored
+ * resume) as a JSON Resume document. Values the schema cannot hold, such
+ * as unrecognizable dates or an invalid email, are left out and listed in
+ * `warnings`. Returns { resume, warnings }.
+ */
+const toJSONResume = (resumeData) => {
+  const warnings = [];
+  const personal = resumeData.personal || {};
+  const headings = getLocale("en").headings;
+
+  const date = (text, field) => {
+    if (!present(text) || isOngoing(text)) return undefined;
+    const iso = toISODate(text);
+    if (!iso)
+      warnings.push({
+        field,
+        value: text,
+        message: "Date is not YYYY, YYYY-MM or YYYY-MM-DD",
+      });
+    return iso || undefined;
+  };
+  const link = (value, field) => {
+    if (!present(value)) return undefined;
+    const candidate = withScheme(value.toString().trim());
+    if (url.safeParse(candidate).success) return candidate;
+    warnings.push({ field, value, message: "Not a valid URL" });
+    return undefined;
+  };
+
+  let email = personal.email;
+  if (present(email) && !z.string().email().safeParse(email).success) {
+    warnings.push({
+      field: "basics.email",
+      value: email,
+      message: "Not a valid email address",
+    });
+    email = undefined;
+  }
+
+  const location = (personal.location || "").split(/\s*,\s*/).filter(Boolean);
+  const profiles = ["linkedin", "github"]
+    .filter((network) => present(personal[network]))
+    .map((network) => {
+      const profileUrl = link(personal[network], `basics.profiles.${network}`);
+      return compact({
+        network: network === "linkedin" ? "LinkedIn" : "GitHub",
+        username: profileUrl
+          ? profileUrl.replace(/\/+$/, "").split("/").pop()
+          : undefined,
+        url: profileUrl,
+      });
+    });
+
+  const skills = resumeData.skills || {};
+  let skillGroups = [];
+  if (Array.isArray(skills)) {
+    const grouped = new Map();
+    skills.forEach((skill) => {
+      const name = typeof skill === "string" ? skill : skill.name;
+      const category =
+        (typeof skill === "object" && skill.category) || "Skills";
+      if (!name) return;
+      grouped.set(category, [...(grouped.get(category) || []), name]);
+    });
+    skillGroups = Array.from(grouped, ([name, keywords]) => ({
+      name,
+      keywords,
+    }));
+  } else {
+    skillGroups = [
+      ["technical", headings.programming],
+      ["tools", headings.tools],
+      ["languages", headings.languages],
+      ["soft", headings.soft],
+    ]
+      .filter(([key]) => present(skills[key]))
+      .map(([key, name]) => ({ name, keywords: skills[key] }));
+  }
+  // Spoken languages live in their own field; skill groups named
+  // "Languages" are exported as skills like any other group
+  const languages = (resumeData.languages || [])
+    .map((item) => (typeof item === "string" ? { language: item } : item))
+    .filter((item) => present(item.language))
+    .map((item) =>
+      compact({ language: item.language, fluency: item.proficiency })
+    );
+
+  const resume = compact({
+    $schema:
+      "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json",
+    basics: compact({
+      name: personal.name,
+      email,
+      phone: personal.phone,
+      url: link(personal.website, "basics.url"),
+      summary: resumeData.summary,
+      location: present(location)
+        ? location.length === 2
+          ? { city: location[0], region: location[1] }
+          : { address: personal.location }
+        : undefined,
+      profiles,
+    }),
+    work: (resumeData.experience || []).map((role, index) =>
+      compact({
+        name: role.company || role.organization,
+        position: role.title || role.position,
+        location: role.location,
+        startDate: date(role.start_date, `work[${index}].startDate`),
+        endDate: role.current
+          ? undefined
+          : date(role.end_date, `work[${index}].endDate`),
+        highlights: asBullets(
+          role.achievements ||
+            role.responsibilities ||
+            role.bullets ||
+            role.description
+        ),
+      })
+    ),
+    education: (resumeData.education || []).map((education, index) => {
+      const range = education.year ? splitDateRange(education.year) : {};
+      return compact({
+        institution: education.institution || education.school,
+        area: education.field,
+        studyType: education.degree,
+        startDate: date(
+          education.start_date || (range.end ? range.start : ""),
+          `education[${index}].startDate`
+        ),
+        endDate: date(
+          education.end_date ||
+            education.graduation_date ||
+            range.end ||
+            range.start,
+          `education[${index}].endDate`
+        ),
+        score: present(education.gpa) ? education.gpa.toString() : undefined,
+        courses: asList(education.coursework),
+      });
+    }),
+    projects: (resumeData.projects || []).map((project, index) => {
+      const range = splitDateRange(project.date || project.year);
+      return compact({
+        name: project.name || project.title,
+        highlights: asBullets(
+          project.bullets || project.achievements || project.description
+        ),
+        keywords: asList(project.technologies),
+        startDate: date(range.start, `projects[${index}].startDate`),
+        endDate: date(range.end, `projects[${index}].endDate`),
+        url: link(project.url, `projects[${index}].url`),
+      });
+    }),
+    skills: skillGroups,
+    languages,
+    certificates: (resumeData.certifications || []).map((certificate, index) =>
+      compact({
+        name: certificate.name || certificate.title,
+        issuer: certificate.issuer || certificate.organization,
+        date: date(
+          certificate.date || certificate.year,
+          `certificates[${index}].date`
+        ),
+      })
+    ),
+    awards: (resumeData.awards || []).map((award, index) =>
+      typeof award === "string"
+        ? { title: award }
+        : compact({
+            title: award.name || award.title,
+            awarder: award.issuer || award.organization,
+            date: date(award.date || award.year, `awards[${index}].date`),
+          })
+    ),
+    publications: (resumeData.publications || []).map((publication, index) =>
+      compact({
+        name: publication.title,
+        publisher: publication.venue,
+        releaseDate: date(
+          publication.date,
+          `publications[${index}].releaseDate`
+        ),
+        url: link(publication.url, `publications[${index}].url`),
+      })
+    ),
+    meta: {
+      version: JSON_RESUME_VERSION,
+      lastModified: new Date().toISOString(),
+    },
+  });
+
+  return { resume, warnings };
+};
+
+module.exports = {
+  JSON_RESUME_VERSION,
+  JSONResumeSchema,
+  validateJSONResume,
+  validateResumeData,
+  fromJSONResume,
+  toJSONResume,
+};
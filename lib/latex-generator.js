@@ -1,9 +1,10 @@
 const fs = require('fs');
 const path = require('path');
+const { getLocale } = require('./locale');
 
 class LaTeXResumeGenerator {
-  constructor() {
-    this.templatePath = path.join(__dirname, '../public/templates/resume-modern.tex');
+  constructor(templateFile = 'resume-modern.tex') {
+    this.templatePath = path.join(__dirname, '../public/templates', templateFile);
     this.template = this.loadTemplate();
   }
 
@@ -21,10 +22,15 @@ class LaTeXResumeGenerator {
   }
 
   /**
-   * Generate LaTeX resume from JSON data
+   * Generate LaTeX resume from JSON data. `locale` selects the babel
+   * language and section headings (see lib/locale.js). Only what the data
+   * provides is rendered; missing details and empty sections are left out.
    */
-  generateFromJSON(resumeData) {
+  generateFromJSON(resumeData, { locale = 'en' } = {}) {
     let latex = this.template;
+    this.headings = getLocale(locale).headings;
+
+    latex = this.replaceLocale(latex, locale);
 
     // Replace basic placeholders
     latex = this.replaceBasicInfo(latex, resumeData);
@@ -43,284 +49,260 @@ class LaTeXResumeGenerator {
   /**
    * Alias for generateFromJSON for compatibility
    */
-  generateLaTeX(resumeData) {
-    return this.generateFromJSON(resumeData);
+  generateLaTeX(resumeData, options) {
+    return this.generateFromJSON(resumeData, options);
   }
 
   /**
-   * Replace basic contact information
+   * Replace babel options and section headings for the output locale
    */
-  replaceBasicInfo(latex, data) {
-    const replacements = {
-      'FULL_NAME': this.sanitizeLaTeX(data.personal?.name || data.name || 'Your Name'),
-      'PHONE': this.sanitizeLaTeX(data.personal?.phone || data.phone || '+1-XXX-XXX-XXXX'),
-      'EMAIL': this.sanitizeLaTeX(data.personal?.email || data.email || 'your.email@example.com'),
-      'LINKEDIN': data.personal?.linkedin || data.linkedin || 'https://linkedin.com/in/yourprofile',
-      'LINKEDIN_TEXT': this.extractLinkText(data.personal?.linkedin || data.linkedin || 'linkedin.com/in/yourprofile'),
-      'GITHUB': data.personal?.github || data.github || 'https://github.com/yourusername',
-      'GITHUB_TEXT': this.extractLinkText(data.personal?.github || data.github || 'github.com/yourusername'),
-      'WEBSITE': data.personal?.website || data.website || 'https://yourwebsite.com',
-      'WEBSITE_TEXT': this.extractLinkText(data.personal?.website || data.website || 'yourwebsite.com')
-    };
-
-    Object.entries(replacements).forEach(([key, value]) => {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      latex = latex.replace(regex, value);
+  replaceLocale(latex, locale) {
+    const { babel } = getLocale(locale);
+    // Shorthands off: French makes ":" active, which breaks URLs in \href
+    latex = latex.replace(/{{BABEL_OPTIONS}}/g, `shorthands=off,${babel}`);
+
+    Object.entries(this.headings).forEach(([key, heading]) => {
+      const regex = new RegExp(`{{HEADING_${key.toUpperCase()}}}`, 'g');
+      latex = latex.replace(regex, this.sanitizeLaTeX(heading));
     });
 
     return latex;
   }
 
+  /**
+   * Section heading for the current locale, escaped for LaTeX
+   */
+  heading(key) {
+    return this.sanitizeLaTeX((this.headings || getLocale('en').headings)[key]);
+  }
+
+  /**
+   * Replace the name and contact line with the details that are present
+   */
+  replaceBasicInfo(latex, data) {
+    const personal = data.personal || data;
+    const contact = [];
+
+    if (personal.phone) {
+      contact.push(this.sanitizeLaTeX(personal.phone));
+    }
+    if (personal.email) {
+      const email = this.sanitizeLaTeX(personal.email);
+      contact.push(`\\href{mailto:${this.sanitizeURL(personal.email)}}{\\underline{${email}}}`);
+    }
+    ['linkedin', 'github', 'website'].forEach(key => {
+      if (personal[key]) {
+        contact.push(this.formatLink(personal[key]));
+      }
+    });
+    if (personal.location) {
+      contact.push(this.sanitizeLaTeX(personal.location));
+    }
+
+    const lines = [];
+    if (personal.name) {
+      lines.push(`    \\textbf{\\Huge \\scshape ${this.sanitizeLaTeX(personal.name)}}`);
+    }
+    if (contact.length > 0) {
+      lines.push(`    \\small ${contact.join(' $|$ ')}`);
+    }
+
+    return latex.replace(/{{HEADER}}/g, () => lines.join(' \\\\ \\vspace{1pt}\n'));
+  }
+
   /**
    * Replace professional summary
    */
   replaceProfessionalSummary(latex, data) {
-    let summary = '';
-    
-    if (data.summary) {
-      summary = this.sanitizeLaTeX(data.summary);
-    } else if (data.professional_summary) {
-      summary = this.sanitizeLaTeX(data.professional_summary);
-    } else if (data.objective) {
-      summary = this.sanitizeLaTeX(data.objective);
-    } else {
-      summary = 'Experienced professional with a strong background in delivering high-quality solutions and driving business success.';
-    }
+    const summary = data.summary || data.professional_summary || data.objective;
+    const section = summary ? this.section('summary', this.sanitizeLaTeX(summary)) : '';
 
-    return latex.replace(/{{PROFESSIONAL_SUMMARY}}/g, summary);
+    return latex.replace(/{{SUMMARY_SECTION}}/g, () => section);
   }
 
   /**
    * Replace education section
    */
   replaceEducation(latex, data) {
-    let educationItems = '';
-    const education = data.education || [];
-
-    if (education.length === 0) {
-      educationItems = '\\resumeSubHeadingListStart\n\\resumeSubheading{Your University}{Location}{Degree}{Graduation Date}\n\\resumeSubHeadingListEnd';
-    } else {
-      educationItems = '\\resumeSubHeadingListStart\n';
-      
-      education.forEach(edu => {
-        const institution = this.sanitizeLaTeX(edu.institution || edu.school || 'University Name');
-        const location = this.sanitizeLaTeX(edu.location || 'Location');
-        const degree = this.sanitizeLaTeX(edu.degree || edu.field || 'Degree');
-        const date = this.sanitizeLaTeX(edu.graduation_date || edu.end_date || edu.year || 'Year');
-        
-        educationItems += `\\resumeSubheading{${institution}}{${location}}{${degree}}{${date}}\n`;
-        
-        // Add relevant coursework, GPA, honors if available
-        if (edu.gpa || edu.honors || edu.coursework) {
-          educationItems += '\\resumeItemListStart\n';
-          
-          if (edu.gpa) {
-            educationItems += `\\resumeItem{GPA: ${this.sanitizeLaTeX(edu.gpa.toString())}}\n`;
-          }
-          
-          if (edu.honors && edu.honors.length > 0) {
-            const honorsText = Array.isArray(edu.honors) ? edu.honors.join(', ') : edu.honors;
-            educationItems += `\\resumeItem{Honors: ${this.sanitizeLaTeX(honorsText)}}\n`;
-          }
-          
-          if (edu.coursework && edu.coursework.length > 0) {
-            const courseworkText = Array.isArray(edu.coursework) ? edu.coursework.join(', ') : edu.coursework;
-            educationItems += `\\resumeItem{Relevant Coursework: ${this.sanitizeLaTeX(courseworkText)}}\n`;
-          }
-          
-          educationItems += '\\resumeItemListEnd\n';
-        }
-      });
-      
-      educationItems += '\\resumeSubHeadingListEnd';
-    }
+    const entries = (data.education || []).map(edu => {
+      const institution = this.sanitizeLaTeX(edu.institution || edu.school);
+      const location = this.sanitizeLaTeX(edu.location);
+      const date = edu.graduation_date || edu.year
+        ? this.sanitizeLaTeX(edu.graduation_date || edu.year)
+        : this.formatDateRange(edu.start_date, edu.end_date);
+
+      // "B.S." and "Computer Science" read as "B.S., Computer Science",
+      // unless the degree already names the field
+      let degree = edu.degree || '';
+      if (edu.field && !degree.toLowerCase().includes(edu.field.toLowerCase())) {
+        degree = degree ? `${degree}, ${edu.field}` : edu.field;
+      }
+
+      let item = `\\resumeSubheading{${institution}}{${location}}{${this.sanitizeLaTeX(degree)}}{${date}}\n`;
+
+      // Add relevant coursework, GPA, honors if available
+      const details = [];
+      if (edu.gpa) {
+        details.push(`GPA: ${edu.gpa}`);
+      }
+      if (edu.honors && edu.honors.length > 0) {
+        const honorsText = Array.isArray(edu.honors) ? edu.honors.join(', ') : edu.honors;
+        details.push(`Honors: ${honorsText}`);
+      }
+      if (edu.coursework && edu.coursework.length > 0) {
+        const courseworkText = Array.isArray(edu.coursework) ? edu.coursework.join(', ') : edu.coursework;
+        details.push(`Relevant Coursework: ${courseworkText}`);
+      }
+      item += this.itemList(details);
 
-    return latex.replace(/{{EDUCATION_ITEMS}}/g, educationItems);
+      return item;
+    });
+
+    return latex.replace(/{{EDUCATION_SECTION}}/g, () => this.section('education', this.subheadingList(entries)));
   }
 
   /**
    * Replace skills section
    */
   replaceSkills(latex, data) {
-    let skillsSection = '';
     const skills = data.skills || data.technical_skills || [];
+    let categories = [];
 
-    // Check if skills is an object (from extractSkills method) or array
+    // Check if skills is an object (from resume data) or array
     if (skills && typeof skills === 'object' && !Array.isArray(skills)) {
-      // Handle skills object structure from extractSkills
-      skillsSection = '\\begin{itemize}[leftmargin=0.1in]\n';
-      
-      if (skills.technical && skills.technical.length > 0) {
-        const skillsText = this.sanitizeLaTeX(skills.technical.join(', '));
-        skillsSection += `\\item \\textbf{Programming Languages:} ${skillsText}\n`;
-      }
-      
-      if (skills.tools && skills.tools.length > 0) {
-        const skillsText = this.sanitizeLaTeX(skills.tools.join(', '));
-        skillsSection += `\\item \\textbf{Tools \\& Technologies:} ${skillsText}\n`;
-      }
-      
-      if (skills.languages && skills.languages.length > 0) {
-        const skillsText = this.sanitizeLaTeX(skills.languages.join(', '));
-        skillsSection += `\\item \\textbf{Languages:} ${skillsText}\n`;
-      }
-      
-      if (skills.soft && skills.soft.length > 0) {
-        const skillsText = this.sanitizeLaTeX(skills.soft.join(', '));
-        skillsSection += `\\item \\textbf{Soft Skills:} ${skillsText}\n`;
-      }
-      
-      skillsSection += '\\end{itemize}';
-    } else if (Array.isArray(skills) && skills.length > 0) {
-      // Handle array structure
-      skillsSection = '\\begin{itemize}[leftmargin=0.1in]\n';
-      
+      categories = ['technical', 'tools', 'languages', 'soft']
+        .filter(key => skills[key] && skills[key].length > 0)
+        .map(key => [this.heading(key === 'technical' ? 'programming' : key), skills[key]]);
+    } else if (Array.isArray(skills)) {
       // Group skills by category if they have categories
-      const skillsByCategory = this.groupSkillsByCategory(skills);
-      
-      Object.entries(skillsByCategory).forEach(([category, skillList]) => {
-        const categoryName = this.sanitizeLaTeX(category);
-        const skillsText = this.sanitizeLaTeX(skillList.join(', '));
-        skillsSection += `\\item \\textbf{${categoryName}:} ${skillsText}\n`;
+      categories = Object.entries(this.groupSkillsByCategory(skills))
+        .map(([category, skillList]) => [this.sanitizeLaTeX(category), skillList]);
+    }
+
+    // Spoken languages, with their proficiency when known
+    const languages = (data.languages || [])
+      .map(item => typeof item === 'string' ? item : item.proficiency ? `${item.language} (${item.proficiency})` : item.language)
+      .filter(Boolean);
+    if (languages.length > 0) {
+      categories.push([this.heading('languages'), languages]);
+    }
+
+    let skillsSection = '';
+    if (categories.length > 0) {
+      skillsSection = '\\begin{itemize}[leftmargin=0.1in]\n';
+      categories.forEach(([categoryName, skillList]) => {
+        skillsSection += `\\item \\textbf{${categoryName}:} ${this.sanitizeLaTeX(skillList.join(', '))}\n`;
       });
-      
       skillsSection += '\\end{itemize}';
-    } else {
-      // Default skills section
-      skillsSection = '\\begin{itemize}[leftmargin=0.1in]\n\\item \\textbf{Languages:} Your programming languages here\n\\item \\textbf{Technologies:} Your technologies here\n\\item \\textbf{Tools:} Your tools here\n\\end{itemize}';
     }
 
-    return latex.replace(/{{SKILLS_SECTION}}/g, skillsSection);
+    return latex.replace(/{{SKILLS_SECTION}}/g, () => this.section('skills', skillsSection));
   }
 
   /**
    * Replace experience section
    */
   replaceExperience(latex, data) {
-    let experienceItems = '';
     const experience = data.experience || data.work_experience || [];
 
-    if (experience.length === 0) {
-      experienceItems = '\\resumeSubHeadingListStart\n\\resumeSubheading{Job Title}{Date Range}{Company Name}{Location}\n\\resumeItemListStart\n\\resumeItem{Achievement or responsibility}\n\\resumeItemListEnd\n\\resumeSubHeadingListEnd';
-    } else {
-      experienceItems = '\\resumeSubHeadingListStart\n';
-      
-      experience.forEach(exp => {
-        const title = this.sanitizeLaTeX(exp.title || exp.position || 'Job Title');
-        const dateRange = this.formatDateRange(exp.start_date, exp.end_date);
-        const company = this.sanitizeLaTeX(exp.company || exp.organization || 'Company Name');
-        const location = this.sanitizeLaTeX(exp.location || 'Location');
-        
-        experienceItems += `\\resumeSubheading{${title}}{${dateRange}}{${company}}{${location}}\n`;
-        
-        // Add bullet points for responsibilities/achievements
-        if (exp.responsibilities || exp.achievements || exp.bullets || exp.description) {
-          experienceItems += '\\resumeItemListStart\n';
-          
-          const bullets = exp.responsibilities || exp.achievements || exp.bullets || 
-                         (typeof exp.description === 'string' ? [exp.description] : exp.description) || [];
-          
-          bullets.forEach(bullet => {
-            if (typeof bullet === 'string') {
-              experienceItems += `\\resumeItem{${this.sanitizeLaTeX(bullet)}}\n`;
-            }
-          });
-          
-          experienceItems += '\\resumeItemListEnd\n';
-        }
-      });
-      
-      experienceItems += '\\resumeSubHeadingListEnd';
-    }
+    const entries = experience.map(exp => {
+      const title = this.sanitizeLaTeX(exp.title || exp.position);
+      const dateRange = this.formatDateRange(exp.start_date, exp.end_date, exp.current);
+      const company = this.sanitizeLaTeX(exp.company || exp.organization);
+      const location = this.sanitizeLaTeX(exp.location);
+
+      // Add bullet points for responsibilities/achievements
+      const bullets = exp.responsibilities || exp.achievements || exp.bullets ||
+                     (typeof exp.description === 'string' ? [exp.description] : exp.description) || [];
 
-    return latex.replace(/{{EXPERIENCE_ITEMS}}/g, experienceItems);
+      return `\\resumeSubheading{${title}}{${dateRange}}{${company}}{${location}}\n` + this.itemList(bullets);
+    });
+
+    return latex.replace(/{{EXPERIENCE_SECTION}}/g, () => this.section('experience', this.subheadingList(entries)));
   }
 
   /**
    * Replace projects section
    */
   replaceProjects(latex, data) {
-    let projectItems = '';
     const projects = data.projects || [];
 
-    if (projects.length === 0) {
-      projectItems = '\\resumeSubHeadingListStart\n\\resumeSubheading{Project Name}{Date}{Technologies Used}{}\n\\resumeItemListStart\n\\resumeItem{Project description and key achievements}\n\\resumeItemListEnd\n\\resumeSubHeadingListEnd';
-    } else {
-      projectItems = '\\resumeSubHeadingListStart\n';
-      
-      projects.forEach(project => {
-        const name = this.sanitizeLaTeX(project.name || project.title || 'Project Name');
-        const date = this.sanitizeLaTeX(project.date || project.year || 'Date');
-        const technologies = this.sanitizeLaTeX(
-          project.technologies ? 
-          (Array.isArray(project.technologies) ? project.technologies.join(', ') : project.technologies) : 
-          'Technologies'
-        );
-        
-        projectItems += `\\resumeSubheading{${name}}{${date}}{${technologies}}{}\n`;
-        
-        // Add project description/bullets
-        if (project.description || project.bullets || project.achievements) {
-          projectItems += '\\resumeItemListStart\n';
-          
-          const bullets = project.bullets || project.achievements || 
-                         (typeof project.description === 'string' ? [project.description] : project.description) || [];
-          
-          bullets.forEach(bullet => {
-            if (typeof bullet === 'string') {
-              projectItems += `\\resumeItem{${this.sanitizeLaTeX(bullet)}}\n`;
-            }
-          });
-          
-          projectItems += '\\resumeItemListEnd\n';
-        }
-      });
-      
-      projectItems += '\\resumeSubHeadingListEnd';
-    }
+    const entries = projects.map(project => {
+      const name = this.sanitizeLaTeX(project.name || project.title);
+      const date = this.sanitizeLaTeX(project.date || project.year);
+      const technologies = this.sanitizeLaTeX(
+        Array.isArray(project.technologies) ? project.technologies.join(', ') : project.technologies
+      );
+
+      // Add project description/bullets
+      const bullets = project.bullets || project.achievements ||
+                     (typeof project.description === 'string' ? [project.description] : project.description) || [];
 
-    return latex.replace(/{{PROJECT_ITEMS}}/g, projectItems);
+      return `\\resumeSubheading{${name}}{${date}}{${technologies}}{}\n` + this.itemList(bullets);
+    });
+
+    return latex.replace(/{{PROJECTS_SECTION}}/g, () => this.section('projects', this.subheadingList(entries)));
   }
 
   /**
-   * Replace additional sections (certifications, awards, etc.)
+   * Replace additional sections (certifications, awards, publications)
    */
   replaceAdditionalSections(latex, data) {
-    let additionalSections = '';
+    const additionalSections = [];
 
     // Certifications
-    if (data.certifications && data.certifications.length > 0) {
-      additionalSections += '\\begin{rSection}{CERTIFICATIONS}\n';
-      additionalSections += '\\resumeSubHeadingListStart\n';
-      
-      data.certifications.forEach(cert => {
-        const name = this.sanitizeLaTeX(cert.name || cert.title || 'Certification');
-        const issuer = this.sanitizeLaTeX(cert.issuer || cert.organization || 'Issuing Organization');
-        const date = this.sanitizeLaTeX(cert.date || cert.year || 'Date');
-        
-        additionalSections += `\\resumeSubheading{${name}}{${date}}{${issuer}}{}\n`;
-      });
-      
-      additionalSections += '\\resumeSubHeadingListEnd\n';
-      additionalSections += '\\end{rSection}\n\n';
-    }
+    const certifications = (data.certifications || []).map(cert => {
+      const name = this.sanitizeLaTeX(cert.name || cert.title);
+      const issuer = this.sanitizeLaTeX(cert.issuer || cert.organization);
+      const date = this.sanitizeLaTeX(cert.date || cert.year);
+
+      return `\\resumeSubheading{${name}}{${date}}{${issuer}}{}\n`;
+    });
+    additionalSections.push(this.section('certifications', this.subheadingList(certifications)));
 
     // Awards
-    if (data.awards && data.awards.length > 0) {
-      additionalSections += '\\begin{rSection}{AWARDS \\& HONORS}\n';
-      additionalSections += '\\resumeItemListStart\n';
-      
-      data.awards.forEach(award => {
-        const awardText = typeof award === 'string' ? award : 
-                         `${award.name || award.title} - ${award.organization || ''} (${award.date || award.year || ''})`;
-        additionalSections += `\\resumeItem{${this.sanitizeLaTeX(awardText)}}\n`;
-      });
-      
-      additionalSections += '\\resumeItemListEnd\n';
-      additionalSections += '\\end{rSection}\n\n';
-    }
+    const awards = (data.awards || []).map(award => {
+      if (typeof award === 'string') return award;
+      const date = award.date || award.year;
+      return [award.name || award.title, award.issuer || award.organization].filter(Boolean).join(' - ') +
+        (date ? ` (${date})` : '');
+    });
+    additionalSections.push(this.section('awards', this.itemList(awards)));
+
+    // Publications
+    const publications = (data.publications || []).map(publication => {
+      if (typeof publication === 'string') return publication;
+      return [publication.title, publication.venue].filter(Boolean).join(', ') +
+        (publication.date ? ` (${publication.date})` : '');
+    });
+    additionalSections.push(this.section('publications', this.itemList(publications)));
 
-    return latex.replace(/{{ADDITIONAL_SECTIONS}}/g, additionalSections);
+    return latex.replace(/{{ADDITIONAL_SECTIONS}}/g, () => additionalSections.filter(Boolean).join('\n'));
+  }
+
+  /**
+   * Section with its localized heading, or nothing when it has no content
+   */
+  section(key, content) {
+    if (!content) return '';
+    return `%-----------${key.toUpperCase()}-----------\n\\section{${this.heading(key)}}\n${content}\n`;
+  }
+
+  subheadingList(entries) {
+    if (entries.length === 0) return '';
+    return `\\resumeSubHeadingListStart\n${entries.join('')}\\resumeSubHeadingListEnd`;
+  }
+
+  /**
+   * Bullet list of the non-empty string items; an empty itemize does not compile
+   */
+  itemList(items) {
+    const bullets = (items || []).filter(item => typeof item === 'string' && item.trim());
+    if (bullets.length === 0) return '';
+
+    return '\\resumeItemListStart\n' +
+      bullets.map(bullet => `\\resumeItem{${this.sanitizeLaTeX(bullet)}}\n`).join('') +
+      '\\resumeItemListEnd\n';
   }
 
   /**
@@ -347,10 +329,22 @@ class LaTeXResumeGenerator {
     return url.replace(/^https?:\/\//, '').replace(/\/$/, '');
   }
 
-  formatDateRange(startDate, endDate) {
-    const start = startDate || 'Start';
-    const end = endDate || 'Present';
-    return `${start} -- ${end}`;
+  /**
+   * Escape the characters \href cannot take literally in a URL
+   */
+  sanitizeURL(url) {
+    return url.toString().replace(/([%#\\])/g, '\\$1');
+  }
+
+  formatLink(url) {
+    const href = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+    return `\\href{${this.sanitizeURL(href)}}{\\underline{${this.sanitizeLaTeX(this.extractLinkText(url))}}}`;
+  }
+
+  formatDateRange(startDate, endDate, current = false) {
+    const start = this.sanitizeLaTeX(startDate);
+    const end = current ? this.heading('present') : this.sanitizeLaTeX(endDate);
+    return [start, end].filter(Boolean).join(' -- ');
   }
 
   groupSkillsByCategory(skills) {
@@ -359,11 +353,7 @@ class LaTeXResumeGenerator {
     // Safety check - ensure skills is an array
     if (!Array.isArray(skills)) {
       console.warn('groupSkillsByCategory expects an array, got:', typeof skills);
-      return {
-        'Languages': ['Add your programming languages'],
-        'Technologies': ['Add your technologies'], 
-        'Tools': ['Add your tools']
-      };
+      return grouped;
     }
     
     skills.forEach(skill => {
@@ -382,13 +372,6 @@ class LaTeXResumeGenerator {
       }
     });
 
-    // If no skills were categorized, create default categories
-    if (Object.keys(grouped).length === 0) {
-      grouped['Languages'] = ['Add your programming languages'];
-      grouped['Technologies'] = ['Add your technologies'];
-      grouped['Tools'] = ['Add your tools'];
-    }
-
     return grouped;
   }
 
@@ -411,6 +394,18 @@ class LaTeXResumeGenerator {
             "Professional layout",
             "Contact information header"
           ]
+        },
+        {
+          id: "cover-letter-modern",
+          name: "Modern Cover Letter Template",
+          description: "Cover letter with the same header, margins and fonts as the modern resume",
+          file: "cover-letter-modern.tex",
+          features: [
+            "Matches resume-modern.tex",
+            "Date and recipient block",
+            "Localized date",
+            "Built by POST /api/cover-letter/pdf"
+          ]
         }
       ];
     }
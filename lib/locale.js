@@ -0,0 +1,287 @@
+/**
+ * Output locales for feedback and generated content, plus a lightweight
+ * language detector for resume text. Each locale carries the babel options
+ * and the section headings and labels used for LaTeX output.
+ */
+
+const LOCALES = {
+  en: {
+    name: "English",
+    nativeName: "English",
+    babel: "english",
+    headings: {
+      summary: "Professional Summary",
+      education: "Education",
+      experience: "Experience",
+      projects: "Projects",
+      skills: "Technical Skills",
+      programming: "Programming Languages",
+      tools: "Tools & Technologies",
+      languages: "Languages",
+      soft: "Soft Skills",
+      certifications: "Certifications",
+      awards: "Awards & Honors",
+      publications: "Publications",
+      present: "Present",
+    },
+  },
+  de: {
+    name: "German",
+    nativeName: "Deutsch",
+    babel: "ngerman",
+    headings: {
+      summary: "Profil",
+      education: "Ausbildung",
+      experience: "Berufserfahrung",
+      projects: "Projekte",
+      skills: "Fachkenntnisse",
+      programming: "Programmiersprachen",
+      tools: "Tools & Technologien",
+      languages: "Sprachen",
+      soft: "Soziale Kompetenzen",
+      certifications: "Zertifikate",
+      awards: "Auszeichnungen",
+      publications: "Publikationen",
+      present: "heute",
+    },
+  },
+  fr: {
+    name: "French",
+    nativeName: "Français",
+    babel: "french",
+    headings: {
+      summary: "Profil professionnel",
+      education: "Formation",
+      experience: "Expérience professionnelle",
+      projects: "Projets",
+      skills: "Compétences techniques",
+      programming: "Langages de programmation",
+      tools: "Outils et technologies",
+      languages: "Langues",
+      soft: "Savoir-être",
+      certifications: "Certifications",
+      awards: "Distinctions",
+      publications: "Publications",
+      present: "aujourd'hui",
+    },
+  },
+  es: {
+    name: "Spanish",
+    nativeName: "Español",
+    babel: "spanish",
+    headings: {
+      summary: "Perfil profesional",
+      education: "Formación",
+      experience: "Experiencia profesional",
+      projects: "Proyectos",
+      skills: "Competencias técnicas",
+      programming: "Lenguajes de programación",
+      tools: "Herramientas y tecnologías",
+      languages: "Idiomas",
+      soft: "Habilidades interpersonales",
+      certifications: "Certificaciones",
+      awards: "Premios y reconocimientos",
+      publications: "Publicaciones",
+      present: "actualidad",
+    },
+  },
+};
+
+const DEFAULT_LOCALE = "en";
+
+// Frequent function words; resumes are terse, so these are enough to tell
+// the supported languages apart
+const STOPWORDS = {
+  en: [
+    "the",
+    "and",
+    "of",
+    "to",
+    "in",
+    "for",
+    "with",
+    "on",
+    "at",
+    "as",
+    "by",
+    "from",
+    "my",
+    "using",
+    "including",
+    "responsible",
+    "experience",
+    "team",
+  ],
+  de: [
+    "der",
+    "die",
+    "das",
+    "und",
+    "mit",
+    "für",
+    "von",
+    "im",
+    "den",
+    "des",
+    "bei",
+    "zur",
+    "zum",
+    "auf",
+    "eine",
+    "einer",
+    "sowie",
+    "erfahrung",
+    "entwicklung",
+  ],
+  fr: [
+    "le",
+    "la",
+    "les",
+    "et",
+    "des",
+    "du",
+    "pour",
+    "avec",
+    "dans",
+    "en",
+    "une",
+    "un",
+    "sur",
+    "au",
+    "aux",
+    "par",
+    "expérience",
+    "gestion",
+    "équipe",
+  ],
+  es: [
+    "el",
+    "la",
+    "los",
+    "las",
+    "y",
+    "de",
+    "del",
+    "para",
+    "con",
+    "en",
+    "una",
+    "un",
+    "por",
+    "al",
+    "como",
+    "gestión",
+    "experiencia",
+    "equipo",
+    "desarrollo",
+  ],
+};
+
+// Stopword -> languages it belongs to ("la" is both French and Spanish)
+const STOPWORD_LANGUAGES = new Map();
+Object.entries(STOPWORDS).forEach(([language, list]) =>
+  list.forEach((word) =>
+    STOPWORD_LANGUAGES.set(word, [
+      ...(STOPWORD_LANGUAGES.get(word) || []),
+      language,
+    ])
+  )
+);
+
+const MIN_DETECTION_HITS = 5;
+
+/**
+ * Best-guess language of `text`: { language, confidence }. `language` is
+ * null when the text gives too little signal. Hindi is recognized by its
+ * script but is not an output locale.
+ */
+function detectLanguage(text) {
+  const sample = (text || "").slice(0, 20000);
+  const letters = sample.match(/\p{L}/gu) || [];
+  const devanagari = sample.match(/\p{Script=Devanagari}/gu) || [];
+  if (letters.length > 0 && devanagari.length / letters.length > 0.3) {
+    return {
+      language: "hi",
+      confidence: Number((devanagari.length / letters.length).toFixed(2)),
+    };
+  }
+
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.fromEntries(
+    Object.keys(STOPWORDS).map((language) => [language, 0])
+  );
+  words.forEach((word) =>
+    (STOPWORD_LANGUAGES.get(word) || []).forEach((language) => {
+      scores[language] += 1;
+    })
+  );
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  const [language, hits] = ranked[0];
+  if (hits < MIN_DETECTION_HITS) {
+    return { language: null, confidence: 0 };
+  }
+  return { language, confidence: Number((hits / total).toFixed(2)) };
+}
+
+const isSupportedLocale = (locale) =>
+  Object.prototype.hasOwnProperty.call(LOCALES, locale);
+
+/**
+ * Output locale for a request. `requested` may be a locale code, "auto" or
+ * empty; "auto"/empty follow the detected resume language when it is
+ * supported. Returns null for an unsupported code.
+ */
+function resolveLocale(requested, text) {
+  const code = (requested || "auto").toString().trim().toLowerCase();
+  const detected = detectLanguage(text);
+
+  if (code !== "auto") {
+    if (!isSupportedLocale(code)) return null;
+    return { code, detected_language: detected.language, source: "requested" };
+  }
+
+  return isSupportedLocale(detected.language)
+    ? {
+        code: detected.language,
+        detected_language: detected.language,
+        source: "detected",
+      }
+    : {
+        code: DEFAULT_LOCALE,
+        detected_language: detected.language,
+        source: "default",
+      };
+}
+
+/**
+ * Prompt rules with an output-language instruction appended; English
+ * prompts are returned unchanged
+ */
+function localizeRules(rules, locale = DEFAULT_LOCALE) {
+  if (!isSupportedLocale(locale) || locale === DEFAULT_LOCALE) return rules;
+
+  const { name, nativeName } = LOCALES[locale];
+  return [
+    ...rules,
+    `Write all feedback, explanations and generated text in ${name} (${nativeName}), whatever language the resume is in; keep JSON keys and enum values in English`,
+  ];
+}
+
+const getLocale = (locale) => LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+
+const UNSUPPORTED_LOCALE_MESSAGE = `Unsupported locale. Use "auto" or one of: ${Object.keys(
+  LOCALES
+).join(", ")}`;
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  detectLanguage,
+  resolveLocale,
+  localizeRules,
+  isSupportedLocale,
+  getLocale,
+  UNSUPPORTED_LOCALE_MESSAGE,
+};
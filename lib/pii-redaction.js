@@ -0,0 +1,514 @@
+/**
+ * Local PII detection and reversible redaction around model calls.
+ * Names, emails, phone numbers, street addresses, national IDs and profile
+ * URLs are swapped for stable placeholders such as [EMAIL_1] before prompts
+ * are sent, and the placeholders in model output are swapped back.
+ */
+
+const PII_TYPES = [
+  "name",
+  "email",
+  "phone",
+  "address",
+  "national_id",
+  "profile_url",
+];
+
+const PLACEHOLDER_PATTERN =
+  /\[(?:NAME|EMAIL|PHONE|ADDRESS|NATIONAL_ID|PROFILE_URL)_\d+(?:_FIRST|_LAST)?\]/g;
+
+// Checked in order; text claimed by an earlier detector is not matched again
+const DETECTORS = [
+  {
+    type: "email",
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+  {
+    type: "profile_url",
+    pattern:
+      /\b(?:https?:\/\/)?(?:[a-z]{2,3}\.)?(?:linkedin\.com\/in|github\.com|gitlab\.com|twitter\.com|x\.com)\/[A-Za-z0-9_.-]+\/?/gi,
+  },
+  {
+    type: "national_id",
+    pattern: new RegExp(
+      [
+        // US Social Security number
+        "\\b\\d{3}-\\d{2}-\\d{4}\\b",
+        // UK National Insurance number
+        "\\b[A-CEGHJ-PR-TW-Z]{2} ?\\d{2} ?\\d{2} ?\\d{2} ?[A-D]\\b",
+        // Indian Aadhaar and PAN
+        "\\b\\d{4} \\d{4} \\d{4}\\b",
+        "\\b[A-Z]{5}\\d{4}[A-Z]\\b",
+        // Any labelled ID or passport number
+        "(?<=\\b(?:SSN|NI number|National ID|ID number|Passport(?: No\\.?| number)?|Aadhaar|PAN)\\s*[:#]\\s*)[A-Z0-9][A-Z0-9 -]{4,18}[A-Z0-9]",
+      ].join("|"),
+      "gi"
+    ),
+  },
+  {
+    type: "address",
+    pattern:
+      /\b\d{1,5}\s+(?:[A-Z][A-Za-z'.-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Close|Crescent|Square|Parkway)\b\.?(?:,?\s*(?:Apt|Apartment|Suite|Unit|Flat|#)\.?\s*[A-Za-z0-9-]+)?(?:,\s*[A-Z][A-Za-z .'-]{1,30}(?:,\s*[A-Z]{2})?(?:\s+\d{5}(?:-\d{4})?)?)?/g,
+  },
+  {
+    type: "phone",
+    pattern:
+      /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\b\d{2,5}[\s.-])\d{3,4}[\s.-]\d{3,5}\b|\+\d{1,3}[\s.-]?\d{4,5}[\s.-]?\d{4,6}\b|\+\d{10,14}\b/g,
+    // Year ranges such as "2019-2021 2022" are not phone numbers
+    accept: (value) => {
+      const digits = value.replace(/\D/g, "");
+      const groups = value.match(/\d+/g) || [];
+      return (
+        digits.length >= 9 &&
+        digits.length <= 15 &&
+        !groups.every((group) => /^(?:19|20)\d\d$/.test(group))
+      );
+    },
+  },
+];
+
+// Capitalized lines that are resume headings or titles, not names
+const NOT_NAME_WORDS = new Set(
+  [
+    "resume",
+    "résumé",
+    "curriculum",
+    "vitae",
+    "cv",
+    "profile",
+    "summary",
+    "contact",
+    "objective",
+    "experience",
+    "education",
+    "skills",
+    "senior",
+    "junior",
+    "lead",
+    "software",
+    "engineer",
+    "developer",
+    "manager",
+    "designer",
+    "analyst",
+    "consultant",
+    "scientist",
+    "intern",
+    "professional",
+    "full",
+    "stack",
+    "data",
+    "product",
+    "project",
+  ].map((word) => word.toLowerCase())
+);
+
+const NAME_WORD = /^\p{Lu}[\p{L}'’.-]*$/u;
+const NAME_LABEL = /^\s*(?:full\s+)?name\s*:\s*(.+)$/im;
+const RESUME_BLOCK = /=== BEGIN RESUME_CONTENT ===\n([\s\S]*?)\n=== END /g;
+const DATA_BLOCK =
+  /(=== BEGIN [^=\n]+ ===\n)([\s\S]*?)(\n=== END [^=\n]+ ===)/g;
+
+const looksLikeName = (candidate) => {
+  const words = candidate.trim().split(/\s+/);
+  return (
+    words.length >= 2 &&
+    words.length <= 4 &&
+    words.every(
+      (word) =>
+        NAME_WORD.test(word) &&
+        word.replace(/[^\p{L}]/gu, "").length >= 2 &&
+        !NOT_NAME_WORDS.has(word.toLowerCase())
+    )
+  );
+};
+
+/**
+ * Candidate name of a resume: a "Name:" line, or the first line when it
+ * reads like a name ("Jane Doe", "JANE DOE | jane@example.com")
+ */
+function detectCandidateName(resumeText) {
+  const labelled = NAME_LABEL.exec(resumeText);
+  if (labelled && looksLikeName(labelled[1].split(/[|,•·–—]/)[0])) {
+    return labelled[1].split(/[|,•·–—]/)[0].trim();
+  }
+
+  const firstLine = (resumeText.split("\n").find((line) => line.trim()) || "")
+    .split(/\s[|•·–—-]\s|[|,]/)[0]
+    .trim();
+  return looksLikeName(firstLine) ? firstLine : null;
+}
+
+/**
+ * Entities found in `text`: [{ type, value, start, end }] in text order.
+ * Names are only recognized when `isResume` is set, since they are found by
+ * position and labels rather than by shape.
+ */
+function detectPII(text, { isResume = false } = {}) {
+  if (!text || typeof text !== "string") return [];
+
+  const entities = [];
+  const claimed = [];
+  const isClaimed = (start, end) =>
+    claimed.some((range) => start < range.end && end > range.start);
+
+  DETECTORS.forEach(({ type, pattern, accept }) => {
+    for (const match of text.matchAll(pattern)) {
+      const value = match[0].trim();
+      const start = match.index + match[0].indexOf(value);
+      const end = start + value.length;
+      if (!value || isClaimed(start, end) || (accept && !accept(value))) {
+        continue;
+      }
+      claimed.push({ start, end });
+      entities.push({ type, value, start, end });
+    }
+  });
+
+  const name = isResume ? detectCandidateName(text) : null;
+  if (name) {
+    const start = text.indexOf(name);
+    entities.push({
+      type: "name",
+      value: name,
+      start,
+      end: start + name.length,
+    });
+  }
+
+  return entities.sort((a, b) => a.start - b.start);
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Placeholders directly inside \href{}, \url{} or after mailto: are URLs and
+// must not be escaped
+const LATEX_URL_CONTEXT = /(?:\\href\{|\\url\{|mailto:)$/;
+
+/**
+ * Keep only the first and last characters of each part of a value, so the
+ * report says what was redacted without repeating it
+ */
+const maskValue = (value) =>
+  value.replace(/[\p{L}\p{N}]+/gu, (part) =>
+    part.length <= 2
+      ? "*".repeat(part.length)
+      : `${part[0]}${"*".repeat(part.length - 2)}${part[part.length - 1]}`
+  );
+
+/**
+ * PII redaction for one request.
+ * Every value gets one placeholder for the lifetime of the redactor, so the
+ * same email is [EMAIL_1] in every prompt of the request and in the
+ * conversation history sent with them. A detected candidate name also
+ * covers its first and last name on their own ([NAME_1_FIRST],
+ * [NAME_1_LAST]).
+ */
+class PIIRedactor {
+  constructor() {
+    this.entities = new Map();
+    this.placeholders = new Map();
+    this.counters = {};
+    this.modelCalls = 0;
+  }
+
+  register(type, value, placeholder = null) {
+    const key = `${type}:${value.toLowerCase()}`;
+    if (this.entities.has(key)) return this.entities.get(key);
+
+    if (!placeholder) {
+      this.counters[type] = (this.counters[type] || 0) + 1;
+    }
+    const entity = {
+      type,
+      value,
+      placeholder:
+        placeholder || `[${type.toUpperCase()}_${this.counters[type]}]`,
+      part: !!placeholder,
+      redactions: 0,
+      restorations: 0,
+    };
+    this.entities.set(key, entity);
+    this.placeholders.set(entity.placeholder, entity);
+    return entity;
+  }
+
+  registerName(value) {
+    // Names written in capitals on the resume header read better restored
+    // in title case
+    const display =
+      value === value.toUpperCase()
+        ? value
+            .toLowerCase()
+            .replace(/(^|[\s'’-])(\p{L})/gu, (match) => match.toUpperCase())
+        : value;
+    const { placeholder } = this.register("name", display);
+    const parts = display.split(/\s+/);
+    [
+      ["FIRST", parts[0]],
+      ["LAST", parts[parts.length - 1]],
+    ].forEach(([part, partValue]) => {
+      if (partValue.length >= 3) {
+        this.register(
+          "name",
+          partValue,
+          `${placeholder.slice(0, -1)}_${part}]`
+        );
+      }
+    });
+  }
+
+  /**
+   * Learn the entities in `text`, then replace every known entity with its
+   * placeholder
+   */
+  redact(text, { isResume = false } = {}) {
+    if (!text || typeof text !== "string") return text;
+    this.learn(text, { isResume });
+    return this.replaceKnown(text);
+  }
+
+  learn(text, { isResume = false } = {}) {
+    detectPII(text, { isResume }).forEach(({ type, value }) =>
+      type === "name" ? this.registerName(value) : this.register(type, value)
+    );
+  }
+
+  /**
+   * `text` with every known entity replaced by its placeholder. Longer
+   * values go first so a full name wins over its parts.
+   */
+  replaceKnown(text) {
+    return Array.from(this.entities.values())
+      .sort((a, b) => b.value.length - a.value.length)
+      .reduce((redacted, entity) => {
+        const pattern =
+          entity.type === "name"
+            ? new RegExp(
+                `(?<![\\p{L}])${escapeRegExp(entity.value)}(?![\\p{L}])`,
+                "giu"
+              )
+            : new RegExp(escapeRegExp(entity.value), "gi");
+        return redacted.replace(pattern, () => {
+          entity.redactions += 1;
+          return entity.placeholder;
+        });
+      }, text);
+  }
+
+  /**
+   * Redacted copy of AI SDK messages. Names are detected in the
+   * RESUME_CONTENT blocks. The system message and the final user message
+   * are the prompt template, so only their delimited data blocks are
+   * redacted; the conversation history in between is redacted in full.
+   * Returns the messages unchanged when nothing was redacted.
+   */
+  redactMessages(messages) {
+    this.modelCalls += 1;
+    const lastUserIndex = messages
+      .map((message) => message.role)
+      .lastIndexOf("user");
+    const isTemplate = (message, index) =>
+      message.role === "system" || index === lastUserIndex;
+
+    messages.forEach((message, index) => {
+      if (typeof message.content !== "string") return;
+      for (const [, resume] of message.content.matchAll(RESUME_BLOCK)) {
+        const name = detectCandidateName(resume);
+        if (name) this.registerName(name);
+      }
+      if (isTemplate(message, index)) {
+        for (const [, , data] of message.content.matchAll(DATA_BLOCK)) {
+          this.learn(data);
+        }
+      } else {
+        this.learn(message.content);
+      }
+    });
+
+    const redacted = messages.map((message, index) => {
+      if (typeof message.content !== "string") return message;
+      const content = isTemplate(message, index)
+        ? message.content.replace(
+            DATA_BLOCK,
+            (block, begin, data, end) =>
+              `${begin}${this.replaceKnown(data)}${end}`
+          )
+        : this.replaceKnown(message.content);
+      return { ...message, content };
+    });
+    if (this.entities.size === 0) return messages;
+
+    const systemIndex = redacted.findIndex(
+      (message) => message.role === "system"
+    );
+    if (systemIndex !== -1) {
+      redacted[systemIndex] = {
+        ...redacted[systemIndex],
+        content: `${redacted[systemIndex].content}\n\nPERSONAL DATA:\nNames, emails, phone numbers, addresses, ID numbers and profile links have been replaced with placeholders such as [NAME_1] or [EMAIL_1]. Use the placeholders exactly as written wherever the real value belongs; never invent replacements for them.`,
+      };
+    }
+    return redacted;
+  }
+
+  /**
+   * Swap placeholders in `text` back for their values. `escape` formats a
+   * restored value for the surrounding output, e.g. LaTeX escaping.
+   */
+  restoreText(text, { escape = null } = {}) {
+    if (typeof text !== "string" || this.placeholders.size === 0) return text;
+
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, offset) => {
+      const entity = this.placeholders.get(placeholder);
+      if (!entity) return placeholder;
+      entity.restorations += 1;
+      return escape &&
+        !LATEX_URL_CONTEXT.test(text.slice(Math.max(0, offset - 8), offset))
+        ? escape(entity.value)
+        : entity.value;
+    });
+  }
+
+  /**
+   * Restore placeholders in every string of a generated object. Strings
+   * under a key containing "latex" are restored with `latexEscape`.
+   */
+  restore(value, { latexEscape = null, key = "" } = {}) {
+    if (typeof value === "string") {
+      return this.restoreText(value, {
+        escape: /latex/i.test(key) ? latexEscape : null,
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.restore(item, { latexEscape, key }));
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([entryKey, entry]) => [
+          entryKey,
+          this.restore(entry, { latexEscape, key: entryKey }),
+        ])
+      );
+    }
+    return value;
+  }
+
+  /**
+   * AI SDK generate result with placeholders restored in `object` and
+   * `text`. A text result is LaTeX when `latexOutput` is set.
+   */
+  restoreResult(result, { latexEscape = null, latexOutput = false } = {}) {
+    const restored = {};
+    if (result.object !== undefined) {
+      restored.object = { value: this.restore(result.object, { latexEscape }) };
+    }
+    if (typeof result.text === "string") {
+      restored.text = {
+        value: this.restoreText(result.text, {
+          escape: latexOutput ? latexEscape : null,
+        }),
+      };
+    }
+    return Object.create(result, restored);
+  }
+
+  /**
+   * AI SDK stream result whose text, partial objects and final object have
+   * placeholders restored
+   */
+  restoreStreamResult(result) {
+    return Object.create(result, {
+      textStream: {
+        get: () => this.restoreTextStream(result.textStream),
+      },
+      partialObjectStream: {
+        get: () => this.restoreObjectStream(result.partialObjectStream),
+      },
+      object: {
+        get: () =>
+          Promise.resolve(result.object).then((object) => this.restore(object)),
+      },
+    });
+  }
+
+  async *restoreObjectStream(objectStream) {
+    for await (const partial of objectStream) {
+      yield this.restore(partial);
+    }
+  }
+
+  /**
+   * Text stream with placeholders restored. A chunk ending in what may be
+   * the start of a placeholder is held back until the next chunk.
+   */
+  async *restoreTextStream(textStream) {
+    let pending = "";
+    for await (const chunk of textStream) {
+      pending += chunk;
+      const open = pending.lastIndexOf("[");
+      const cut =
+        open !== -1 && /^\[[A-Z_0-9]*$/.test(pending.slice(open))
+          ? open
+          : pending.length;
+      if (cut > 0) {
+        yield this.restoreText(pending.slice(0, cut));
+        pending = pending.slice(cut);
+      }
+    }
+    if (pending) yield this.restoreText(pending);
+  }
+
+  /**
+   * What was redacted, for the response: each entity's type, placeholder and
+   * a masked value, plus counts per type. Values themselves are never
+   * included.
+   */
+  report() {
+    const entities = Array.from(this.placeholders.values());
+    // First and last names are reported, but counted with the full name
+    const whole = entities.filter((entity) => !entity.part);
+    return {
+      enabled: true,
+      model_calls: this.modelCalls,
+      total: whole.length,
+      counts: Object.fromEntries(
+        PII_TYPES.map((type) => [
+          type,
+          whole.filter((entity) => entity.type === type).length,
+        ])
+      ),
+      entities: entities.map((entity) => ({
+        type: entity.type,
+        placeholder: entity.placeholder,
+        masked: maskValue(entity.value),
+        redactions: entity.redactions,
+        restored: entity.restorations > 0,
+      })),
+    };
+  }
+}
+
+/**
+ * Whether a request should be redacted. PII_REDACTION=true redacts every
+ * request; otherwise an `X-PII-Redaction` header or a `redactPii` JSON
+ * field can turn it on. Clients can opt in but never out of a
+ * deployment-wide setting.
+ */
+const isRedactionRequested = (req) => {
+  if (process.env.PII_REDACTION === "true") return true;
+
+  const requested =
+    req.get("X-PII-Redaction") ||
+    (req.body && req.body.redactPii !== undefined
+      ? String(req.body.redactPii)
+      : "");
+  return ["true", "1", "on", "yes"].includes(requested.trim().toLowerCase());
+};
+
+module.exports = {
+  PII_TYPES,
+  detectPII,
+  detectCandidateName,
+  PIIRedactor,
+  isRedactionRequested,
+};
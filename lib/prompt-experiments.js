@@ -0,0 +1,202 @@
+const crypto = require("crypto");
+
+const SCORE_BUCKET_SIZE = 10;
+const MAX_RECENT_COMMENTS = 5;
+
+const emptyVariantStats = (id, version) => ({
+  id,
+  version,
+  runs: 0,
+  cachedRuns: 0,
+  scores: {
+    count: 0,
+    sum: 0,
+    sumOfSquares: 0,
+    min: null,
+    max: null,
+    histogram: new Array(100 / SCORE_BUCKET_SIZE).fill(0),
+  },
+  feedback: {
+    count: 0,
+    sum: 0,
+    ratings: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+    recentComments: [],
+  },
+});
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Score distribution summary: mean, standard deviation, range and a
+ * histogram in 10-point buckets
+ */
+function describeScores(scores) {
+  // The top bucket also holds perfect scores
+  const histogram = scores.histogram.map((count, index) => {
+    const low = index * SCORE_BUCKET_SIZE;
+    const high =
+      index === scores.histogram.length - 1 ? 100 : low + SCORE_BUCKET_SIZE - 1;
+    return { range: `${low}-${high}`, count };
+  });
+  if (scores.count === 0) {
+    return {
+      count: 0,
+      mean: null,
+      stdDev: null,
+      min: null,
+      max: null,
+      histogram,
+    };
+  }
+
+  const mean = scores.sum / scores.count;
+  const variance = Math.max(0, scores.sumOfSquares / scores.count - mean ** 2);
+  return {
+    count: scores.count,
+    mean: round(mean),
+    stdDev: round(Math.sqrt(variance)),
+    min: scores.min,
+    max: scores.max,
+    histogram,
+  };
+}
+
+/**
+ * Runs of prompt template versions and the feedback users gave on them.
+ * Every AI response is one run; its score (when the generator produces one)
+ * and any later rating are aggregated per template version so experiment
+ * arms can be compared. Individual runs are kept only until `maxRuns` newer
+ * ones have been recorded, which bounds how long feedback can be given.
+ */
+class PromptExperimentTracker {
+  constructor(options = {}) {
+    this.maxRuns = options.maxRuns || 10000;
+    this.runs = new Map();
+    this.variants = new Map();
+  }
+
+  getVariant(id, version) {
+    const key = `${id}@${version}`;
+    if (!this.variants.has(key)) {
+      this.variants.set(key, emptyVariantStats(id, version));
+    }
+    return this.variants.get(key);
+  }
+
+  /**
+   * Record one response produced with `template`. Cached responses count
+   * as runs but not towards the score distribution, since their score was
+   * already counted when first generated. Returns the reference attached to
+   * the response.
+   */
+  recordRun({ template, generator, sessionId = null, score = null, cached }) {
+    const run = {
+      runId: crypto.randomUUID(),
+      id: template.id,
+      version: template.version,
+      generator,
+      sessionId,
+      feedback: null,
+      createdAt: new Date().toISOString(),
+    };
+    this.runs.set(run.runId, run);
+    if (this.runs.size > this.maxRuns) {
+      this.runs.delete(this.runs.keys().next().value);
+    }
+
+    const variant = this.getVariant(template.id, template.version);
+    variant.runs += 1;
+    if (cached) {
+      variant.cachedRuns += 1;
+    } else if (typeof score === "number" && Number.isFinite(score)) {
+      const clamped = Math.min(100, Math.max(0, score));
+      variant.scores.count += 1;
+      variant.scores.sum += clamped;
+      variant.scores.sumOfSquares += clamped ** 2;
+      variant.scores.min =
+        variant.scores.min === null
+          ? clamped
+          : Math.min(variant.scores.min, clamped);
+      variant.scores.max =
+        variant.scores.max === null
+          ? clamped
+          : Math.max(variant.scores.max, clamped);
+      variant.scores.histogram[
+        Math.min(
+          Math.floor(clamped / SCORE_BUCKET_SIZE),
+          variant.scores.histogram.length - 1
+        )
+      ] += 1;
+    }
+
+    return { id: run.id, version: run.version, run_id: run.runId };
+  }
+
+  getRun(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  /**
+   * Attach a 1-5 rating (and optional comment) to a run
+   */
+  recordFeedback(run, { rating, comment = null }) {
+    run.feedback = { rating, comment, createdAt: new Date().toISOString() };
+
+    const { feedback } = this.getVariant(run.id, run.version);
+    feedback.count += 1;
+    feedback.sum += rating;
+    feedback.ratings[rating] += 1;
+    if (comment) {
+      feedback.recentComments.unshift({ rating, comment });
+      feedback.recentComments.length = Math.min(
+        feedback.recentComments.length,
+        MAX_RECENT_COMMENTS
+      );
+    }
+    return run;
+  }
+
+  /**
+   * Per-template report: registry configuration plus score distribution
+   * and feedback for every version that has runs
+   */
+  summarize(registry, { templateId = null } = {}) {
+    return registry
+      .describe()
+      .filter((template) => !templateId || template.id === templateId)
+      .map((template) => ({
+        ...template,
+        variants: Array.from(this.variants.values())
+          .filter((variant) => variant.id === template.id)
+          .sort((a, b) => a.version - b.version)
+          .map((variant) => ({
+            version: variant.version,
+            runs: variant.runs,
+            cachedRuns: variant.cachedRuns,
+            scores: describeScores(variant.scores),
+            feedback: {
+              count: variant.feedback.count,
+              averageRating: variant.feedback.count
+                ? round(variant.feedback.sum / variant.feedback.count)
+                : null,
+              ratings: { ...variant.feedback.ratings },
+              recentComments: variant.feedback.recentComments,
+            },
+          })),
+      }));
+  }
+}
+
+let defaultTracker = null;
+
+/**
+ * Shared tracker used by every AIService instance
+ */
+function getExperimentTracker() {
+  if (!defaultTracker) {
+    defaultTracker = new PromptExperimentTracker();
+  }
+  return defaultTracker;
+}
+
+module.exports = { PromptExperimentTracker, getExperimentTracker };
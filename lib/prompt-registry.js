@@ -0,0 +1,194 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const TEMPLATES_DIR = path.join(__dirname, "prompt-templates");
+const TEMPLATE_FILE_PATTERN = /^v(\d+)\.js$/;
+const REQUIRED_TEXT_FIELDS = ["taskContext", "toneContext"];
+
+/**
+ * Throw when a template file is missing a field or does not match the
+ * directory and file it was loaded from
+ */
+function validateTemplate(template, id, version) {
+  const label = `Prompt template ${id}/v${version}.js`;
+
+  if (template.id !== id || template.version !== version) {
+    throw new Error(
+      `${label} declares ${template.id}@${template.version}; id and version must match its path`
+    );
+  }
+  REQUIRED_TEXT_FIELDS.forEach((field) => {
+    if (typeof template[field] !== "string" || !template[field].trim()) {
+      throw new Error(`${label} is missing ${field}`);
+    }
+  });
+  if (!Array.isArray(template.rules)) {
+    throw new Error(`${label} must define a rules array`);
+  }
+}
+
+/**
+ * Map a string to a stable point in [0, 1)
+ */
+const hashToUnit = (value) =>
+  crypto.createHash("sha256").update(value).digest().readUInt32BE(0) /
+  0x100000000;
+
+/**
+ * Template text that can differ with and without a job description, given
+ * as { withJobDescription, withoutJobDescription }
+ */
+const templateText = (value, hasJobDescription) =>
+  value && typeof value === "object"
+    ? value[hasJobDescription ? "withJobDescription" : "withoutJobDescription"]
+    : value;
+
+/**
+ * Versioned prompt templates.
+ * Each template lives in `lib/prompt-templates/<id>/v<version>.js` and holds
+ * the task context, tone, rules, examples and output format of one prompt.
+ * `registry.json` picks the default version of each template and can run a
+ * weighted experiment between versions. Sessions are hashed into an
+ * experiment arm, so a user keeps getting the same variant.
+ */
+class PromptRegistry {
+  constructor(options = {}) {
+    this.directory = options.directory || TEMPLATES_DIR;
+    this.experimentsEnabled = options.experimentsEnabled !== false;
+    this.templates = new Map();
+    this.defaults = new Map();
+    this.experiments = new Map();
+
+    this.load(
+      options.manifest ||
+        JSON.parse(
+          fs.readFileSync(path.join(this.directory, "registry.json"), "utf8")
+        )
+    );
+  }
+
+  load(manifest) {
+    fs.readdirSync(this.directory, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .forEach(({ name: id }) => {
+        const versions = new Map();
+        fs.readdirSync(path.join(this.directory, id)).forEach((file) => {
+          const match = file.match(TEMPLATE_FILE_PATTERN);
+          if (!match) return;
+
+          const template = require(path.join(this.directory, id, file));
+          validateTemplate(template, id, Number(match[1]));
+          versions.set(template.version, Object.freeze(template));
+        });
+        if (versions.size > 0) this.templates.set(id, versions);
+      });
+
+    Object.keys(manifest).forEach((id) => {
+      if (!this.templates.has(id)) {
+        throw new Error(`registry.json lists unknown prompt template ${id}`);
+      }
+    });
+
+    for (const [id, versions] of this.templates.entries()) {
+      const config = manifest[id] || {};
+      const defaultVersion = config.default || Math.max(...versions.keys());
+      if (!versions.has(defaultVersion)) {
+        throw new Error(
+          `Prompt template ${id} has no version ${defaultVersion} to use as default`
+        );
+      }
+      this.defaults.set(id, defaultVersion);
+
+      const arms = Object.entries(config.experiment || {})
+        .map(([version, weight]) => ({
+          version: Number(version),
+          weight: Number(weight),
+        }))
+        .filter((arm) => arm.weight > 0);
+      arms.forEach((arm) => {
+        if (!versions.has(arm.version)) {
+          throw new Error(
+            `Experiment on ${id} references missing version ${arm.version}`
+          );
+        }
+      });
+      if (arms.length > 1) this.experiments.set(id, arms);
+    }
+  }
+
+  /**
+   * A specific template version, or the default version when omitted
+   */
+  get(id, version) {
+    const versions = this.templates.get(id);
+    if (!versions) {
+      throw new Error(`Unknown prompt template: ${id}`);
+    }
+
+    const resolved =
+      version === undefined || version === null
+        ? this.defaults.get(id)
+        : Number(version);
+    const template = versions.get(resolved);
+    if (!template) {
+      throw new Error(`Unknown prompt template version: ${id}@${version}`);
+    }
+    return template;
+  }
+
+  getExperiment(id) {
+    return (this.experimentsEnabled && this.experiments.get(id)) || null;
+  }
+
+  /**
+   * Template to use for a call. With an experiment running, `assignmentKey`
+   * (normally the session ID) picks the arm in proportion to its weight;
+   * calls without a key are assigned at random.
+   */
+  select(id, assignmentKey = null) {
+    const arms = this.getExperiment(id);
+    if (!arms) return this.get(id);
+
+    const totalWeight = arms.reduce((sum, arm) => sum + arm.weight, 0);
+    const point =
+      (assignmentKey ? hashToUnit(`${id}:${assignmentKey}`) : Math.random()) *
+      totalWeight;
+
+    let cumulative = 0;
+    for (const arm of arms) {
+      cumulative += arm.weight;
+      if (point < cumulative) return this.get(id, arm.version);
+    }
+    return this.get(id, arms[arms.length - 1].version);
+  }
+
+  /**
+   * Template IDs with their versions, default and experiment weights
+   */
+  describe() {
+    return Array.from(this.templates.entries()).map(([id, versions]) => ({
+      id,
+      versions: Array.from(versions.keys()).sort((a, b) => a - b),
+      default: this.defaults.get(id),
+      experiment: this.getExperiment(id),
+    }));
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Shared registry; PROMPT_EXPERIMENTS=false serves every template's default
+ * version
+ */
+function getPromptRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new PromptRegistry({
+      experimentsEnabled: process.env.PROMPT_EXPERIMENTS !== "false",
+    });
+  }
+  return defaultRegistry;
+}
+
+module.exports = { PromptRegistry, getPromptRegistry, templateText };
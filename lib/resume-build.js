@@ -0,0 +1,107 @@
+/**
+ * Build pipeline for resume source files: validate the YAML/Markdown
+ * source, render it with LaTeXResumeGenerator and compile the LaTeX to
+ * PDF with one of the compile backends. Shared by /api/resume/build and
+ * scripts/build-resume.js.
+ */
+
+const LaTeXResumeGenerator = require("./latex-generator");
+const TeXliveService = require("./texlive-service");
+const IntegratedLatexService = require("./integrated-latex-service");
+const LatexPDFGenerator = require("./latex-pdf-generator");
+const { parseResumeSource } = require("./resume-source");
+
+// Each backend resolves to { success, pdfBuffer, size, error }
+const COMPILE_BACKENDS = {
+  texlive: {
+    description: "pdflatex on texlive.net (network access required)",
+    create: () => new TeXliveService(),
+    compile: (service, latexCode, filename) =>
+      service.compileToPDF(latexCode, filename),
+  },
+  pdflatex: {
+    description: "Local pdflatex from a TeX Live installation",
+    create: () => new IntegratedLatexService(),
+    compile: (service, latexCode, filename) =>
+      service
+        .compileToPDF(latexCode, filename)
+        .catch((error) => ({ success: false, error: error.message })),
+  },
+  pdfkit: {
+    description: "Built-in LaTeX parsing and PDFKit rendering, no TeX needed",
+    create: () => new LatexPDFGenerator(),
+    compile: (service, latexCode, filename) =>
+      service.generatePDF(latexCode, filename),
+  },
+};
+
+const DEFAULT_BACKEND = "texlive";
+
+// pdfkit re-typesets the resume's \section layout, so it cannot lay out a
+// cover letter; letters need a real TeX compiler
+const LETTER_BACKENDS = ["texlive", "pdflatex"];
+
+const latexGenerator = new LaTeXResumeGenerator();
+const services = {};
+
+/**
+ * Validate a source file and render its LaTeX. `locale` overrides the
+ * file's own `locale`. Returns parseResumeSource's result plus `latexCode`
+ * when the source is valid.
+ */
+function renderResumeSource(text, { format, filename, locale } = {}) {
+  const parsed = parseResumeSource(text, { format, filename });
+  if (!parsed.valid) return parsed;
+
+  return {
+    ...parsed,
+    locale: locale || parsed.locale || "en",
+    latexCode: latexGenerator.generateFromJSON(parsed.resumeData, {
+      locale: locale || parsed.locale,
+    }),
+  };
+}
+
+/**
+ * Compile LaTeX with `backend` (one of COMPILE_BACKENDS)
+ */
+async function compileResume(latexCode, backend = DEFAULT_BACKEND, filename) {
+  const compiler = COMPILE_BACKENDS[backend];
+  if (!compiler) {
+    throw new Error(
+      `Unknown compile backend "${backend}". Use one of: ${Object.keys(
+        COMPILE_BACKENDS
+      ).join(", ")}`
+    );
+  }
+
+  services[backend] = services[backend] || compiler.create();
+  return compiler.compile(
+    services[backend],
+    latexCode,
+    (filename || "resume").replace(/[^\w.-]+/g, "-")
+  );
+}
+
+/**
+ * Source file to PDF with `options.backend`; `options.jobName` names the
+ * compiled file. Returns renderResumeSource's result with `backend` and
+ * `pdf` ({ success, pdfBuffer, size, error }) when the source is valid.
+ */
+async function buildResume(text, options = {}) {
+  const rendered = renderResumeSource(text, options);
+  if (!rendered.valid) return rendered;
+
+  const backend = options.backend || DEFAULT_BACKEND;
+  const pdf = await compileResume(rendered.latexCode, backend, options.jobName);
+  return { ...rendered, backend, pdf };
+}
+
+module.exports = {
+  COMPILE_BACKENDS,
+  DEFAULT_BACKEND,
+  LETTER_BACKENDS,
+  renderResumeSource,
+  compileResume,
+  buildResume,
+};
@@ -0,0 +1,220 @@
+/**
+ * Evidence links between analysis feedback and the resume text.
+ * The model cites verbatim resume excerpts for each feedback item; they are
+ * located here in the exact text the analysis ran on and turned into
+ * character ranges and line numbers. Excerpts that cannot be found, and
+ * targets that do not name a feedback item, are dropped, so every
+ * reference the client receives points at real resume text.
+ */
+
+const { termPattern } = require("./resume-metrics");
+
+// Targets the model may cite evidence for; `[i]` is a 0-based list index
+const EVIDENCE_TARGETS = [
+  /^sections\.(?:clarity|impact|ats_optimization|formatting)$/,
+  /^advanced_analysis\.(?:tone_evaluation|bullet_point_grade|buzzword_detection|red_flags|skills_balance)$/,
+  /^advanced_analysis\.red_flags\.flags_detected\[\d+\]$/,
+  /^(?:strengths|top_suggestions|jd_recommendations)\[\d+\]$/,
+  /^jd_match$/,
+];
+
+const MIN_QUOTE_LENGTH = 4;
+
+// Typographic characters folded to ASCII before fuzzy matching
+const CHARACTER_FOLDS = {
+  "‘": "'",
+  "’": "'",
+  "“": '"',
+  "”": '"',
+  "–": "-",
+  "—": "-",
+  "−": "-",
+  " ": " ",
+};
+
+const foldCharacter = (character) =>
+  (CHARACTER_FOLDS[character] || character).toLowerCase();
+
+/**
+ * Lowercased, whitespace-collapsed copy of `text` with the original index
+ * of every character it keeps
+ */
+function normalizeWithOffsets(text) {
+  let normalized = "";
+  const offsets = [];
+  let pendingSpace = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const character = foldCharacter(text[index]);
+    if (/\s/.test(character)) {
+      pendingSpace = normalized.length > 0;
+      continue;
+    }
+    if (pendingSpace) {
+      normalized += " ";
+      offsets.push(index - 1);
+      pendingSpace = false;
+    }
+    normalized += character;
+    offsets.push(index);
+  }
+
+  return { normalized, offsets };
+}
+
+/**
+ * Strip what models tend to wrap quotes in: quote marks, bullet markers
+ * and leading/trailing ellipses
+ */
+const cleanQuote = (quote) =>
+  (quote || "")
+    .trim()
+    .replace(/^["'“”‘’`]+|["'“”‘’`]+$/g, "")
+    .replace(/^(?:\.\.\.|…)\s*|\s*(?:\.\.\.|…)$/g, "")
+    .replace(/^[•●▪*–—-]\s+/, "")
+    .trim();
+
+/**
+ * Find `quote` in the resume: verbatim first, then ignoring case,
+ * whitespace and typographic punctuation. Returns { start, end } or null.
+ */
+function locateQuote(source, quote, normalizedSource = null) {
+  const exact = source.indexOf(quote);
+  if (exact !== -1) return { start: exact, end: exact + quote.length };
+
+  const { normalized, offsets } =
+    normalizedSource || normalizeWithOffsets(source);
+  const needle = normalizeWithOffsets(quote).normalized;
+  const found = normalized.indexOf(needle);
+  if (found === -1) return null;
+
+  return {
+    start: offsets[found],
+    end: offsets[found + needle.length - 1] + 1,
+  };
+}
+
+const lineAt = (source, index) => source.slice(0, index).split("\n").length;
+
+const toReference = (source, { start, end }) => ({
+  quote: source.slice(start, end),
+  start,
+  end,
+  line_start: lineAt(source, start),
+  line_end: lineAt(source, end - 1),
+});
+
+/**
+ * Accept "sections.impact.feedback" and "top_suggestions.2" for
+ * "sections.impact" and "top_suggestions[2]"
+ */
+const normalizeTarget = (target) =>
+  (target || "")
+    .trim()
+    .replace(/\.feedback$/, "")
+    .replace(/\.(\d+)$/, "[$1]");
+
+const resolveTarget = (analysis, target) => {
+  const match = target.match(/^(.+?)(?:\[(\d+)\])?$/);
+  const value = match[1]
+    .split(".")
+    .reduce((node, key) => node && node[key], analysis);
+  return match[2] === undefined
+    ? value
+    : Array.isArray(value)
+    ? value[Number(match[2])]
+    : undefined;
+};
+
+/**
+ * Resolve the model's `evidence` ([{ target, quotes }]) against the resume
+ * text the analysis ran on. Each kept entry gets `references` with the
+ * matched text, `start`/`end` offsets and 1-based `line_start`/`line_end`;
+ * `quotes` keeps only the excerpts that were found. Buzzwords are located
+ * locally. `evidence_check` counts what was verified and lists what was
+ * rejected. Returns the analysis.
+ */
+function resolveEvidence(analysis, resumeText) {
+  const source = (resumeText || "").toString();
+  const normalizedSource = normalizeWithOffsets(source);
+  const rejected = [];
+  const byTarget = new Map();
+
+  (analysis.evidence || [])
+    .filter((entry) => entry && entry.source !== "local")
+    .forEach((entry) => {
+      const target = normalizeTarget(entry.target);
+      const known =
+        EVIDENCE_TARGETS.some((pattern) => pattern.test(target)) &&
+        resolveTarget(analysis, target) !== undefined;
+
+      (entry.quotes || []).forEach((rawQuote) => {
+        const quote = cleanQuote(rawQuote);
+        let reason = null;
+        let range = null;
+
+        if (!known) {
+          reason = "unknown_target";
+        } else if (quote.length < MIN_QUOTE_LENGTH) {
+          reason = "too_short";
+        } else {
+          range = locateQuote(source, quote, normalizedSource);
+          if (!range) reason = "not_found";
+        }
+
+        if (reason) {
+          rejected.push({ target: entry.target, quote: rawQuote, reason });
+          return;
+        }
+
+        const references = byTarget.get(target) || [];
+        if (!references.some((reference) => reference.start === range.start)) {
+          references.push(toReference(source, range));
+        }
+        byTarget.set(target, references);
+      });
+    });
+
+  const evidence = Array.from(byTarget.entries()).map(
+    ([target, references]) => ({
+      target,
+      source: "model",
+      quotes: references.map((reference) => reference.quote),
+      references,
+    })
+  );
+
+  const buzzwords =
+    (analysis.advanced_analysis &&
+      analysis.advanced_analysis.buzzword_detection &&
+      analysis.advanced_analysis.buzzword_detection.buzzwords_found) ||
+    [];
+  buzzwords.forEach((word, index) => {
+    const references = Array.from(source.matchAll(termPattern(word))).map(
+      (match) =>
+        toReference(source, {
+          start: match.index,
+          end: match.index + match[0].length,
+        })
+    );
+    if (references.length === 0) return;
+
+    evidence.push({
+      target: `advanced_analysis.buzzword_detection.buzzwords_found[${index}]`,
+      source: "local",
+      quotes: references.map((reference) => reference.quote),
+      references,
+    });
+  });
+
+  analysis.evidence = evidence;
+  analysis.evidence_check = {
+    verified: evidence
+      .filter((entry) => entry.source === "model")
+      .reduce((sum, entry) => sum + entry.references.length, 0),
+    rejected,
+  };
+  return analysis;
+}
+
+module.exports = { EVIDENCE_TARGETS, locateQuote, resolveEvidence };
@@ -0,0 +1,616 @@
+/**
+ * Deterministic resume metrics computed locally from the resume text.
+ * These back the counts in the AI analysis (bullets, action verbs,
+ * quantified bullets, buzzwords, skills) so they are identical between
+ * runs and available without an AI provider.
+ */
+
+const BULLET_PATTERN = /^\s*(?:[•●○◦▪▫■□►▶➢➤‣⁃∙·*–—-]|\d{1,2}[.)])\s+(.+)$/;
+
+const ACTION_VERBS = new Set([
+  "accelerated",
+  "achieved",
+  "acquired",
+  "adapted",
+  "addressed",
+  "administered",
+  "advised",
+  "advocated",
+  "analyzed",
+  "architected",
+  "arranged",
+  "assembled",
+  "assessed",
+  "audited",
+  "authored",
+  "automated",
+  "balanced",
+  "boosted",
+  "briefed",
+  "budgeted",
+  "built",
+  "calculated",
+  "captured",
+  "championed",
+  "clarified",
+  "coached",
+  "collaborated",
+  "compiled",
+  "completed",
+  "composed",
+  "conceived",
+  "conducted",
+  "configured",
+  "consolidated",
+  "constructed",
+  "consulted",
+  "contributed",
+  "controlled",
+  "converted",
+  "coordinated",
+  "created",
+  "cultivated",
+  "cut",
+  "debugged",
+  "decreased",
+  "defined",
+  "delivered",
+  "deployed",
+  "designed",
+  "developed",
+  "devised",
+  "diagnosed",
+  "directed",
+  "discovered",
+  "doubled",
+  "drafted",
+  "drove",
+  "earned",
+  "edited",
+  "educated",
+  "eliminated",
+  "enabled",
+  "engineered",
+  "enhanced",
+  "established",
+  "evaluated",
+  "executed",
+  "expanded",
+  "expedited",
+  "facilitated",
+  "forecasted",
+  "formulated",
+  "founded",
+  "generated",
+  "grew",
+  "guided",
+  "halved",
+  "headed",
+  "identified",
+  "implemented",
+  "improved",
+  "increased",
+  "influenced",
+  "initiated",
+  "innovated",
+  "inspected",
+  "installed",
+  "instituted",
+  "integrated",
+  "interviewed",
+  "introduced",
+  "invented",
+  "investigated",
+  "launched",
+  "led",
+  "leveraged",
+  "maintained",
+  "managed",
+  "mentored",
+  "merged",
+  "migrated",
+  "minimized",
+  "modernized",
+  "monitored",
+  "motivated",
+  "negotiated",
+  "optimized",
+  "orchestrated",
+  "organized",
+  "overhauled",
+  "oversaw",
+  "partnered",
+  "performed",
+  "piloted",
+  "pioneered",
+  "planned",
+  "prepared",
+  "presented",
+  "prioritized",
+  "produced",
+  "programmed",
+  "promoted",
+  "proposed",
+  "prototyped",
+  "published",
+  "raised",
+  "rebuilt",
+  "recruited",
+  "redesigned",
+  "reduced",
+  "refactored",
+  "refined",
+  "reorganized",
+  "replaced",
+  "researched",
+  "resolved",
+  "restructured",
+  "revamped",
+  "reviewed",
+  "revitalized",
+  "saved",
+  "scaled",
+  "secured",
+  "shipped",
+  "simplified",
+  "solved",
+  "spearheaded",
+  "standardized",
+  "streamlined",
+  "strengthened",
+  "supervised",
+  "surpassed",
+  "tested",
+  "trained",
+  "transformed",
+  "translated",
+  "tripled",
+  "troubleshot",
+  "unified",
+  "upgraded",
+  "validated",
+  "won",
+  "wrote",
+]);
+
+const BUZZWORDS = [
+  "best of breed",
+  "detail-oriented",
+  "detail oriented",
+  "dynamic",
+  "excellent communication skills",
+  "fast learner",
+  "go-getter",
+  "go-to person",
+  "guru",
+  "hard worker",
+  "hard-working",
+  "hardworking",
+  "innovative",
+  "motivated",
+  "ninja",
+  "passionate",
+  "proactive",
+  "proven track record",
+  "quick learner",
+  "results-driven",
+  "results driven",
+  "results-oriented",
+  "results oriented",
+  "rockstar",
+  "rock star",
+  "seasoned",
+  "self-motivated",
+  "self-starter",
+  "self starter",
+  "strategic thinker",
+  "synergy",
+  "team player",
+  "think outside the box",
+  "thought leader",
+  "value add",
+  "wheelhouse",
+  "works well under pressure",
+];
+
+const HARD_SKILLS = [
+  // Languages
+  "JavaScript",
+  "TypeScript",
+  "Python",
+  "Java",
+  "C++",
+  "C#",
+  "Golang",
+  "Rust",
+  "Ruby",
+  "PHP",
+  "Swift",
+  "Kotlin",
+  "Scala",
+  "Perl",
+  "MATLAB",
+  "SQL",
+  "Bash",
+  "HTML",
+  "CSS",
+  "Sass",
+  "Dart",
+  "Elixir",
+  "Haskell",
+  "Objective-C",
+  // Frameworks and libraries
+  "React",
+  "Angular",
+  "Vue",
+  "Next.js",
+  "Node.js",
+  "Express",
+  "Django",
+  "Flask",
+  "FastAPI",
+  "Spring",
+  "Spring Boot",
+  "Rails",
+  "Laravel",
+  ".NET",
+  "jQuery",
+  "Redux",
+  "GraphQL",
+  "Tailwind",
+  "Bootstrap",
+  "Flutter",
+  "React Native",
+  "TensorFlow",
+  "PyTorch",
+  "Keras",
+  "scikit-learn",
+  "Pandas",
+  "NumPy",
+  "Spark",
+  "Hadoop",
+  "Kafka",
+  "Airflow",
+  // Data stores
+  "PostgreSQL",
+  "MySQL",
+  "MongoDB",
+  "Redis",
+  "Elasticsearch",
+  "DynamoDB",
+  "Cassandra",
+  "SQLite",
+  "Oracle",
+  "Snowflake",
+  "BigQuery",
+  // Cloud, infrastructure and tooling
+  "AWS",
+  "Azure",
+  "GCP",
+  "Google Cloud",
+  "Docker",
+  "Kubernetes",
+  "Terraform",
+  "Ansible",
+  "Jenkins",
+  "GitHub Actions",
+  "CI/CD",
+  "Git",
+  "Linux",
+  "Nginx",
+  "Serverless",
+  "Microservices",
+  "REST",
+  "gRPC",
+  "Webpack",
+  "Jest",
+  "Cypress",
+  "Selenium",
+  "Jira",
+  "Figma",
+  // Data and analysis
+  "Machine Learning",
+  "Deep Learning",
+  "NLP",
+  "Computer Vision",
+  "Data Analysis",
+  "Data Visualization",
+  "Statistics",
+  "Tableau",
+  "Power BI",
+  "Excel",
+  "ETL",
+  "A/B Testing",
+  // Business and domain tools
+  "Salesforce",
+  "SAP",
+  "QuickBooks",
+  "Google Analytics",
+  "SEO",
+  "AutoCAD",
+  "Photoshop",
+  "Agile",
+  "Scrum",
+];
+
+const SOFT_SKILLS = [
+  "adaptability",
+  "collaboration",
+  "communication",
+  "conflict resolution",
+  "creativity",
+  "critical thinking",
+  "decision making",
+  "decision-making",
+  "empathy",
+  "leadership",
+  "mentoring",
+  "mentorship",
+  "negotiation",
+  "presentation",
+  "prioritization",
+  "problem solving",
+  "problem-solving",
+  "public speaking",
+  "stakeholder management",
+  "teamwork",
+  "time management",
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Case-insensitive whole-term matcher that treats `+`, `#` and `.` as part
+ * of a term, so "Java" does not match "JavaScript" and "C" not "C++"
+ */
+const termPattern = (term) =>
+  new RegExp(`(?<![\\w+#.])${escapeRegExp(term)}(?![\\w+#])`, "gi");
+
+const HARD_SKILL_PATTERNS = HARD_SKILLS.map((skill) => [
+  skill,
+  termPattern(skill),
+]);
+const SOFT_SKILL_PATTERNS = SOFT_SKILLS.map((skill) => [
+  skill,
+  termPattern(skill),
+]);
+const BUZZWORD_PATTERNS = BUZZWORDS.map((word) => [word, termPattern(word)]);
+
+// Numbers, money, percentages, multipliers, numbers with units ("480ms",
+// "10TB", "3 hrs") and percentiles ("p95"); bare years do not count
+const METRIC_PATTERN =
+  /[$€£¥]\s?\d|\d+(?:[.,]\d+)?\s?(?:%|percent\b|[kmb]\b|x\b|\+)|\b\d{1,3}(?:,\d{3})+\b|\bp\d{2,3}\b|\b(?!(?:19|20)\d{2}s?\b)\d+(?:\.\d+)?(?:\s?[a-z]{1,4})?\b/i;
+
+const firstWord = (text) =>
+  (text.trim().split(/\s+/)[0] || "").toLowerCase().replace(/[^a-z-]/g, "");
+
+/**
+ * Lines that read as bullets: explicit bullet markers, or (when the text
+ * has none, as with some PDF extractions) lines that open with an action
+ * verb and have at least four words
+ */
+function extractBullets(text) {
+  const lines = text.split(/\r?\n/);
+
+  const marked = lines
+    .map((line) => BULLET_PATTERN.exec(line))
+    .filter(Boolean)
+    .map((match) => match[1].trim())
+    .filter((bullet) => bullet.split(/\s+/).length >= 3);
+  if (marked.length > 0) return marked;
+
+  return lines
+    .map((line) => line.trim())
+    .filter(
+      (line) =>
+        ACTION_VERBS.has(firstWord(line)) && line.split(/\s+/).length >= 4
+    );
+}
+
+const findTerms = (text, patterns) => {
+  const found = [];
+  let occurrences = 0;
+  patterns.forEach(([term, pattern]) => {
+    const matches = text.match(pattern);
+    if (matches) {
+      found.push(term);
+      occurrences += matches.length;
+    }
+  });
+  return { found, occurrences };
+};
+
+// Drop terms contained in a longer match, e.g. "React" inside "React Native"
+const dropOverlapping = (terms) =>
+  terms.filter(
+    (term) =>
+      !terms.some(
+        (other) =>
+          other !== term &&
+          other.length > term.length &&
+          termPattern(term).test(other)
+      )
+  );
+
+/**
+ * Compute bullet, buzzword and skills metrics for a resume
+ */
+function analyzeResumeMetrics(resumeText) {
+  const text = (resumeText || "").toString();
+  const bullets = extractBullets(text);
+
+  const actionVerbBullets = bullets.filter((bullet) =>
+    ACTION_VERBS.has(firstWord(bullet))
+  );
+  const quantifiedBullets = bullets.filter((bullet) =>
+    METRIC_PATTERN.test(bullet)
+  );
+
+  const buzzwords = findTerms(text, BUZZWORD_PATTERNS);
+  const hardSkills = findTerms(text, HARD_SKILL_PATTERNS);
+  const softSkills = findTerms(text, SOFT_SKILL_PATTERNS);
+  const hardFound = dropOverlapping(hardSkills.found);
+  const softFound = dropOverlapping(softSkills.found);
+
+  return {
+    word_count: (text.match(/\S+/g) || []).length,
+    bullets: {
+      total: bullets.length,
+      action_verbs_count: actionVerbBullets.length,
+      quantified_count: quantifiedBullets.length,
+      action_verbs_used: [
+        ...new Set(actionVerbBullets.map((bullet) => firstWord(bullet))),
+      ],
+      unquantified: bullets.filter(
+        (bullet) => !quantifiedBullets.includes(bullet)
+      ),
+    },
+    buzzwords: {
+      found: buzzwords.found,
+      count: buzzwords.found.length,
+      occurrences: buzzwords.occurrences,
+    },
+    skills: {
+      hard: hardFound,
+      soft: softFound,
+      hard_count: hardFound.length,
+      soft_count: softFound.length,
+      balance_ratio: `${hardFound.length}:${softFound.length}`,
+    },
+  };
+}
+
+/**
+ * Replace the model's counts in an analysis with the local metrics and
+ * attach the full metrics as `local_metrics`. Returns the analysis.
+ */
+function applyLocalMetrics(analysis, metrics) {
+  const advanced = analysis.advanced_analysis;
+
+  if (advanced && advanced.bullet_point_grade) {
+    Object.assign(advanced.bullet_point_grade, {
+      action_verbs_count: metrics.bullets.action_verbs_count,
+      quantified_bullets: metrics.bullets.quantified_count,
+      total_bullets: metrics.bullets.total,
+    });
+  }
+  if (advanced && advanced.buzzword_detection) {
+    Object.assign(advanced.buzzword_detection, {
+      buzzwords_found: metrics.buzzwords.found,
+      buzzword_count: metrics.buzzwords.count,
+    });
+  }
+  if (advanced && advanced.skills_balance) {
+    Object.assign(advanced.skills_balance, {
+      hard_skills_count: metrics.skills.hard_count,
+      soft_skills_count: metrics.skills.soft_count,
+      balance_ratio: metrics.skills.balance_ratio,
+    });
+  }
+
+  analysis.local_metrics = metrics;
+  return analysis;
+}
+
+const PLACEHOLDER_PATTERN = /\[[^\]\n]{1,30}\]/g;
+
+const PASSIVE_PATTERN =
+  /\b(?:was|were|is|are|been|being|be)\s+(?:\w+ly\s+)?(?:\w+ed|built|done|made|given|led|run|taken|written|chosen|known|shown|seen)\b|\bresponsible for\b|\bduties included\b|\btasked with\b/i;
+
+// Metric-like numbers a rewrite might introduce: money, percentages,
+// multipliers, plain counts. Bare years are left alone.
+const NUMBER_TOKEN_PATTERN =
+  /[$€£¥]\s?\d+(?:[.,]\d+)*\s?[kmb]?\b|(?<![\w.])\d+(?:[.,]\d+)*\s?(?:%|percent\b|x\b|[kmb]\b|\+)?/gi;
+
+const IDEAL_BULLET_WORDS = { min: 10, max: 30 };
+
+/**
+ * Local quality score (0-100) for a single bullet: opens with an action
+ * verb, is quantified (a [placeholder] counts, since the user fills it
+ * in), has a readable length and avoids passive voice
+ */
+function scoreBullet(bullet) {
+  const text = (bullet || "").trim();
+  const words = text.split(/\s+/).filter(Boolean);
+  const placeholders = text.match(PLACEHOLDER_PATTERN) || [];
+  const withoutPlaceholders = text.replace(PLACEHOLDER_PATTERN, "");
+
+  const checks = {
+    action_verb: ACTION_VERBS.has(firstWord(text)),
+    quantified:
+      METRIC_PATTERN.test(withoutPlaceholders) || placeholders.length > 0,
+    length_ok:
+      words.length >= IDEAL_BULLET_WORDS.min &&
+      words.length <= IDEAL_BULLET_WORDS.max,
+    active_voice: !PASSIVE_PATTERN.test(text),
+  };
+
+  const issues = [];
+  if (!checks.action_verb)
+    issues.push("Does not start with a strong action verb");
+  if (!checks.quantified) issues.push("No numbers showing scope or impact");
+  if (!checks.length_ok) {
+    issues.push(
+      words.length < IDEAL_BULLET_WORDS.min
+        ? "Too short to show context and impact"
+        : "Too long to scan quickly"
+    );
+  }
+  if (!checks.active_voice) issues.push("Uses passive voice");
+
+  return {
+    score:
+      (checks.action_verb ? 30 : 0) +
+      (checks.quantified ? 30 : 0) +
+      (checks.length_ok ? 20 : 0) +
+      (checks.active_voice ? 20 : 0),
+    checks,
+    word_count: words.length,
+    issues,
+  };
+}
+
+const placeholderFor = (token) => {
+  if (/[$€£¥]/.test(token)) return "[$X]";
+  if (/%|percent/i.test(token)) return "[X%]";
+  if (/x$/i.test(token)) return "[N]x";
+  return "[N]";
+};
+
+const digitsOf = (token) => token.replace(/[^\d.]/g, "").replace(/\.$/, "");
+
+/**
+ * Replace numbers in `text` that do not appear anywhere in `sourceText`
+ * with placeholders like [X%], so a rewrite cannot invent metrics.
+ * Returns the text and the placeholders it now contains.
+ */
+function replaceInventedNumbers(text, sourceText) {
+  const sourceNumbers = new Set(
+    ((sourceText || "").match(NUMBER_TOKEN_PATTERN) || []).map(digitsOf)
+  );
+
+  const replaced = text.replace(NUMBER_TOKEN_PATTERN, (token) => {
+    const digits = digitsOf(token);
+    if (
+      !digits ||
+      sourceNumbers.has(digits) ||
+      /^(?:19|20)\d{2}$/.test(digits)
+    ) {
+      return token;
+    }
+    return placeholderFor(token.trim()) + (/\s$/.test(token) ? " " : "");
+  });
+
+  return {
+    text: replaced,
+    placeholders: replaced.match(PLACEHOLDER_PATTERN) || [],
+  };
+}
+
+module.exports = {
+  analyzeResumeMetrics,
+  applyLocalMetrics,
+  scoreBullet,
+  replaceInventedNumbers,
+  termPattern,
+};
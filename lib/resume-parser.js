@@ -0,0 +1,265 @@
+/**
+ * Post-processing for the structured resume parse. The model copies values
+ * verbatim from the resume; every value is looked up in the resume text
+ * and dropped when it cannot be found, and fields the resume does not
+ * provide are reported in `missing_fields` instead of being filled with
+ * placeholders.
+ */
+
+const { locateQuote } = require("./resume-evidence");
+
+// Confidence (0-1) below which a field is listed in `low_confidence`
+const LOW_CONFIDENCE = 0.6;
+
+// List sections, with the fields that make an entry worth keeping
+const ENTRY_SECTIONS = {
+  experience: ["title", "company", "bullets"],
+  education: ["degree", "institution"],
+  projects: ["name", "bullets"],
+  certifications: ["name"],
+  awards: ["name"],
+  publications: ["title"],
+  languages: ["language"],
+};
+
+// Fields every resume is expected to have, reported when missing
+const EXPECTED_CONTACT = ["name", "email", "phone", "location"];
+const EXPECTED_ENTRY_FIELDS = {
+  experience: ["title", "company", "start_date", "end_date", "bullets"],
+  education: ["degree", "institution", "end_date"],
+};
+
+const isEmpty = (value) => (Array.isArray(value) ? value.length === 0 : !value);
+
+/**
+ * Keep `value` when it appears in the resume, otherwise record it in
+ * `unverified` and return ""
+ */
+const verifyString = (value, field, context) => {
+  const text = (value || "").toString().trim();
+  if (!text) return "";
+  if (locateQuote(context.source, text)) return text;
+
+  context.unverified.push({ field, value: text });
+  return "";
+};
+
+const verifyList = (values, field, context) =>
+  (values || [])
+    .map((value) => verifyString(value, field, context))
+    .filter(Boolean);
+
+/**
+ * Verify every field of a list entry. Entries left without any of their
+ * identifying fields are dropped, and their rejected values are reported
+ * against the section.
+ */
+const verifyEntries = (section, entries, context) => {
+  const kept = [];
+  const indexMap = new Map();
+
+  (entries || []).forEach((entry, index) => {
+    const rejected = [];
+    const entryContext = { ...context, unverified: rejected };
+    const path = `${section}[${kept.length}]`;
+    const verified = {};
+
+    Object.entries(entry || {}).forEach(([key, value]) => {
+      if (typeof value === "boolean") {
+        verified[key] = value;
+      } else if (Array.isArray(value)) {
+        verified[key] = verifyList(value, `${path}.${key}`, entryContext);
+      } else {
+        verified[key] = verifyString(value, `${path}.${key}`, entryContext);
+      }
+    });
+
+    if (ENTRY_SECTIONS[section].every((key) => isEmpty(verified[key]))) {
+      rejected.forEach(({ value }) =>
+        context.unverified.push({ field: section, value })
+      );
+      return;
+    }
+
+    indexMap.set(index, kept.length);
+    context.unverified.push(...rejected);
+    kept.push(verified);
+  });
+
+  context.indexMaps[section] = indexMap;
+  return kept;
+};
+
+/**
+ * Map the model's per-field confidence onto the verified resume: entry
+ * indices follow dropped entries, and fields that were dropped or are
+ * empty get no confidence
+ */
+const resolveConfidence = (fieldConfidence, resume, indexMaps) => {
+  const confidence = {};
+
+  (fieldConfidence || []).forEach(({ field, confidence: value }) => {
+    const match = (field || "").trim().match(/^(\w+)(?:\[(\d+)\])?(.*)$/);
+    if (!match) return;
+
+    let path = match[0];
+    if (match[2] !== undefined) {
+      const indexMap = indexMaps[match[1]];
+      const index = indexMap && indexMap.get(Number(match[2]));
+      if (index === undefined) return;
+      path = `${match[1]}[${index}]${match[3]}`;
+    }
+
+    const resolved = path
+      .split(/\.|\[(\d+)\]/)
+      .filter((key) => key !== undefined && key !== "")
+      .reduce((node, key) => (node == null ? undefined : node[key]), resume);
+    if (isEmpty(resolved) || typeof value !== "number") return;
+
+    confidence[path] = Math.round(Math.min(1, Math.max(0, value)) * 100) / 100;
+  });
+
+  return confidence;
+};
+
+const listMissingFields = (resume) => {
+  const missing = EXPECTED_CONTACT.filter((key) => !resume.contact[key]).map(
+    (key) => `contact.${key}`
+  );
+  if (!resume.summary) missing.push("summary");
+
+  Object.entries(EXPECTED_ENTRY_FIELDS).forEach(([section, keys]) => {
+    if (resume[section].length === 0) {
+      missing.push(section);
+      return;
+    }
+    resume[section].forEach((entry, index) =>
+      keys
+        .filter((key) => !(key === "end_date" && entry.current))
+        .filter((key) => isEmpty(entry[key]))
+        .forEach((key) => missing.push(`${section}[${index}].${key}`))
+    );
+  });
+
+  if (Object.values(resume.skills).every(isEmpty)) missing.push("skills");
+  return missing;
+};
+
+/**
+ * Verify a ParsedResumeSchema object against the resume text it was parsed
+ * from. Returns { resume, confidence, low_confidence, missing_fields,
+ * unverified }: `confidence` maps field paths such as "contact.email" or
+ * "experience[0].company" to 0-1, `unverified` lists the values that were
+ * not found in the resume and were dropped.
+ */
+function finalizeParsedResume(parsed, resumeText) {
+  const context = {
+    source: (resumeText || "").toString(),
+    unverified: [],
+    indexMaps: {},
+  };
+
+  const contact = {};
+  Object.entries(parsed.contact || {}).forEach(([key, value]) => {
+    contact[key] = verifyString(value, `contact.${key}`, context);
+  });
+
+  const skills = {};
+  Object.entries(parsed.skills || {}).forEach(([key, values]) => {
+    skills[key] = verifyList(values, `skills.${key}`, context);
+  });
+
+  const resume = {
+    contact,
+    summary: verifyString(parsed.summary, "summary", context),
+    skills,
+  };
+  Object.keys(ENTRY_SECTIONS).forEach((section) => {
+    resume[section] = verifyEntries(section, parsed[section], context);
+  });
+
+  const confidence = resolveConfidence(
+    parsed.field_confidence,
+    resume,
+    context.indexMaps
+  );
+
+  return {
+    resume,
+    confidence,
+    low_confidence: Object.keys(confidence).filter(
+      (field) => confidence[field] < LOW_CONFIDENCE
+    ),
+    missing_fields: listMissingFields(resume),
+    unverified: context.unverified,
+  };
+}
+
+// Copy only the fields that have a value
+const pick = (source, keys) =>
+  keys.reduce((result, key) => {
+    if (!isEmpty(source[key])) result[key] = source[key];
+    return result;
+  }, {});
+
+/**
+ * Convert a verified parse into the resume data LaTeXResumeGenerator and
+ * applyTailoring work with. Empty fields are left out so nothing is
+ * rendered for them.
+ */
+function toResumeData({ resume }) {
+  const { skills } = resume;
+
+  return {
+    personal: pick(resume.contact, [
+      "name",
+      "email",
+      "phone",
+      "location",
+      "linkedin",
+      "github",
+      "website",
+    ]),
+    summary: resume.summary || null,
+    experience: resume.experience.map((role) => ({
+      ...pick(role, ["title", "company", "location", "start_date"]),
+      ...(role.current ? { current: true } : pick(role, ["end_date"])),
+      achievements: role.bullets,
+    })),
+    education: resume.education.map((entry) =>
+      pick(entry, [
+        "degree",
+        "field",
+        "institution",
+        "location",
+        "start_date",
+        "end_date",
+        "gpa",
+        "honors",
+      ])
+    ),
+    projects: resume.projects.map((project) => ({
+      ...pick(project, ["name", "date", "url", "technologies"]),
+      description: project.bullets,
+    })),
+    skills: {
+      technical: skills.technical || [],
+      tools: skills.tools || [],
+      soft: skills.soft || [],
+    },
+    languages: resume.languages.map((entry) =>
+      pick(entry, ["language", "proficiency"])
+    ),
+    certifications: resume.certifications.map((entry) =>
+      pick(entry, ["name", "issuer", "date"])
+    ),
+    awards: resume.awards.map((entry) =>
+      pick(entry, ["name", "issuer", "date"])
+    ),
+    publications: resume.publications.map((entry) =>
+      pick(entry, ["title", "venue", "date", "url"])
+    ),
+  };
+}
+
+module.exports = { LOW_CONFIDENCE, finalizeParsedResume, toResumeData };
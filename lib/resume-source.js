@@ -0,0 +1,442 @@
+/**
+ * Resume-as-code source files: a resume kept as YAML, or as Markdown with
+ * YAML front matter whose body is the summary. The fields are those of
+ * /api/parse-resume's `resume`, so a parsed resume can be saved, edited by
+ * hand and rebuilt. Validation errors carry the 1-based line and column of
+ * the offending value in the source file. See docs/RESUME_AS_CODE.md.
+ */
+
+const YAML = require("yaml");
+const { z } = require("zod");
+const { toResumeData } = require("./resume-parser");
+const { LOCALES, isSupportedLocale } = require("./locale");
+
+const SOURCE_FORMATS = ["yaml", "markdown"];
+
+const FRONT_MATTER = /^---[ \t]*\r?\n([\s\S]*?)^---[ \t]*(?:\r?\n|$)/m;
+
+// YAML reads `2020` and `3.8` as numbers; every value is rendered as text
+const text = z.preprocess(
+  (value) => (typeof value === "number" ? value.toString() : value),
+  z.string().trim()
+);
+const texts = z.array(text);
+
+// Unknown keys are rejected so a misspelled field is reported, not ignored
+const entry = (required, optional) =>
+  z.object(required).extend(z.object(optional).partial().shape).strict();
+
+const datedEntry = entry({ name: text }, { issuer: text, date: text });
+
+const ResumeSourceSchema = entry(
+  {
+    contact: entry(
+      { name: text },
+      {
+        email: z.string().email(),
+        phone: text,
+        location: text,
+        linkedin: text,
+        github: text,
+        website: text,
+      }
+    ),
+  },
+  {
+    locale: z
+      .string()
+      .refine(
+        isSupportedLocale,
+        `Unsupported locale. Use one of: ${Object.keys(LOCALES).join(", ")}`
+      ),
+    summary: text,
+    experience: z.array(
+      entry(
+        { title: text, company: text },
+        {
+          location: text,
+          start_date: text,
+          end_date: text,
+          current: z.boolean(),
+          bullets: texts,
+        }
+      )
+    ),
+    education: z.array(
+      entry(
+        { institution: text },
+        {
+          degree: text,
+          field: text,
+          location: text,
+          start_date: text,
+          end_date: text,
+          gpa: text,
+          honors: texts,
+        }
+      )
+    ),
+    projects: z.array(
+      entry(
+        { name: text },
+        { date: text, url: text, technologies: texts, bullets: texts }
+      )
+    ),
+    skills: entry({}, { technical: texts, tools: texts, soft: texts }),
+    languages: z.array(
+      z.preprocess(
+        (value) => (typeof value === "string" ? { language: value } : value),
+        entry({ language: text }, { proficiency: text })
+      )
+    ),
+    certifications: z.array(datedEntry),
+    awards: z.array(datedEntry),
+    publications: z.array(
+      entry({ title: text }, { venue: text, date: text, url: text })
+    ),
+  }
+);
+
+const LIST_SECTIONS = [
+  "experience",
+  "education",
+  "projects",
+  "languages",
+  "certifications",
+  "awards",
+  "publications",
+];
+
+/**
+ * "markdown" for .md files and for text that opens with a front matter
+ * block, otherwise "yaml"
+ */
+const detectSourceFormat = (source, filename = "") => {
+  if (/\.(md|markdown)$/i.test(filename)) return "markdown";
+  if (/\.ya?ml$/i.test(filename)) return "yaml";
+  return FRONT_MATTER.test(source) ? "markdown" : "yaml";
+};
+
+/**
+ * Markdown body as summary text: paragraphs joined, emphasis, code spans,
+ * headings and links reduced to their text
+ */
+const markdownToText = (markdown) =>
+  markdown
+    .replace(/^#{1,6}\s+/gm, "")
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/(\*\*|\*|`)(\S(?:.*?\S)?)\1/g, "$2")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Node for `path` in the YAML document. When part of the path does not
+ * exist (a missing field) this is the key or list item that should hold it.
+ */
+const findNode = (document, path) => {
+  let node = document.contents;
+  let anchor = node;
+
+  for (const key of path) {
+    if (YAML.isMap(node)) {
+      const pair = node.items.find(
+        (item) => YAML.isScalar(item.key) && item.key.value === key
+      );
+      if (!pair) return anchor;
+      anchor = pair.key;
+      node = pair.value;
+    } else if (YAML.isSeq(node) && node.items[key]) {
+      node = node.items[key];
+      anchor = node;
+    } else {
+      return anchor;
+    }
+  }
+
+  return node && node.range ? node : anchor;
+};
+
+// The key node of `key` in the map at `path`, for unrecognized keys
+const findKey = (document, path, key) => {
+  const node = document.getIn(path, true);
+  const pair =
+    YAML.isMap(node) &&
+    node.items.find(
+      (item) => YAML.isScalar(item.key) && item.key.value === key
+    );
+  return pair ? pair.key : findNode(document, path);
+};
+
+/**
+ * Parse and validate a resume source file. `format` is "yaml" or
+ * "markdown" (detected from `filename` or the text when omitted). Returns
+ * { valid, errors, format, source, locale, resumeData }: errors are
+ * [{ path, line, column, message }] with 1-based positions in the file,
+ * `source` is the validated document and `resumeData` the
+ * LaTeXResumeGenerator input.
+ */
+function parseResumeSource(text, { format, filename } = {}) {
+  const input = (text || "").toString();
+  const sourceFormat = format || detectSourceFormat(input, filename);
+  if (!SOURCE_FORMATS.includes(sourceFormat)) {
+    throw new Error(
+      `Unsupported source format "${sourceFormat}". Use one of: ${SOURCE_FORMATS.join(
+        ", "
+      )}`
+    );
+  }
+
+  let yamlText = input;
+  let body = "";
+  let lineOffset = 0;
+  const errors = [];
+
+  if (sourceFormat === "markdown") {
+    const match = input.match(FRONT_MATTER);
+    if (!match || match.index !== 0) {
+      return {
+        valid: false,
+        errors: [
+          {
+            path: "",
+            line: 1,
+            column: 1,
+            message:
+              "Markdown resumes must start with a YAML front matter block between --- lines",
+          },
+        ],
+        format: sourceFormat,
+      };
+    }
+    yamlText = match[1];
+    body = input.slice(match[0].length);
+    lineOffset = 1;
+  }
+
+  const lineCounter = new YAML.LineCounter();
+  const document = YAML.parseDocument(yamlText, {
+    lineCounter,
+    prettyErrors: false,
+  });
+  const position = (offset) => {
+    const { line, col } = lineCounter.linePos(offset);
+    return { line: line + lineOffset, column: col };
+  };
+  const report = (path, node, message) =>
+    errors.push({
+      path: path.join("."),
+      ...position(node && node.range ? node.range[0] : 0),
+      message,
+    });
+
+  document.errors.forEach((error) =>
+    errors.push({ path: "", ...position(error.pos[0]), message: error.message })
+  );
+  if (errors.length > 0) {
+    return { valid: false, errors, format: sourceFormat };
+  }
+
+  const data = document.toJS() || {};
+  const summary = markdownToText(body);
+  if (summary) {
+    if (data.summary !== undefined) {
+      report(
+        ["summary"],
+        findNode(document, ["summary"]),
+        "Set the summary in the front matter or in the Markdown body, not both"
+      );
+    } else {
+      data.summary = summary;
+    }
+  }
+
+  const result = ResumeSourceSchema.safeParse(data);
+  if (!result.success) {
+    result.error.issues.forEach((issue) => {
+      if (issue.code === "unrecognized_keys") {
+        issue.keys.forEach((key) =>
+          report(
+            [...issue.path, key],
+            findKey(document, issue.path, key),
+            `Unknown field "${key}"`
+          )
+        );
+      } else {
+        report(issue.path, findNode(document, issue.path), issue.message);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    errors.sort((a, b) => a.line - b.line || a.column - b.column);
+    return { valid: false, errors, format: sourceFormat };
+  }
+
+  const source = result.data;
+  const resume = {
+    contact: source.contact,
+    summary: source.summary || "",
+    skills: source.skills || {},
+  };
+  LIST_SECTIONS.forEach((section) => {
+    resume[section] = source[section] || [];
+  });
+
+  return {
+    valid: true,
+    errors: [],
+    format: sourceFormat,
+    source,
+    locale: source.locale,
+    resumeData: toResumeData({ resume }),
+  };
+}
+
+const present = (value) =>
+  Array.isArray(value)
+    ? value.length > 0
+    : value && typeof value === "object"
+    ? Object.keys(value).length > 0
+    : value !== undefined && value !== null && value !== "";
+
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) => present(value))
+  );
+
+const asBullets = (value) =>
+  (Array.isArray(value) ? value : [value]).filter(
+    (item) => typeof item === "string" && item.trim()
+  );
+
+/**
+ * Write resume data (from parseResume, the LaTeX endpoints, a tailored
+ * resume or a JSON Resume import) as a source file in `format`. Markdown
+ * files carry the summary as their body.
+ */
+function toResumeSource(resumeData, format = "yaml", { locale } = {}) {
+  const personal = resumeData.personal || {};
+  const skills = resumeData.skills || {};
+
+  let skillLists = {};
+  if (Array.isArray(skills)) {
+    skills.forEach((skill) => {
+      const name = typeof skill === "string" ? skill : skill.name;
+      if (name) skillLists.technical = [...(skillLists.technical || []), name];
+    });
+  } else {
+    // The source format has no skill list for a "Languages" group, so it
+    // joins the technical skills
+    skillLists = {
+      technical: [...(skills.technical || []), ...(skills.languages || [])],
+      tools: skills.tools,
+      soft: skills.soft,
+    };
+  }
+  const languages = (resumeData.languages || []).map((item) =>
+    typeof item === "string"
+      ? item
+      : compact({ language: item.language, proficiency: item.proficiency })
+  );
+
+  const source = compact({
+    locale,
+    contact: compact({
+      name: personal.name,
+      email: personal.email,
+      phone: personal.phone,
+      location: personal.location,
+      linkedin: personal.linkedin,
+      github: personal.github,
+      website: personal.website,
+    }),
+    summary: format === "markdown" ? undefined : resumeData.summary,
+    experience: (resumeData.experience || []).map((role) =>
+      compact({
+        title: role.title || role.position,
+        company: role.company || role.organization,
+        location: role.location,
+        start_date: role.start_date,
+        end_date: role.current ? undefined : role.end_date,
+        current: role.current || undefined,
+        bullets: asBullets(
+          role.achievements ||
+            role.responsibilities ||
+            role.bullets ||
+            role.description
+        ),
+      })
+    ),
+    education: (resumeData.education || []).map((education) =>
+      compact({
+        institution: education.institution || education.school,
+        degree: education.degree,
+        field: education.field,
+        location: education.location,
+        start_date: education.start_date,
+        end_date:
+          education.end_date || education.graduation_date || education.year,
+        gpa: present(education.gpa) ? education.gpa.toString() : undefined,
+        honors: education.honors,
+      })
+    ),
+    projects: (resumeData.projects || []).map((project) =>
+      compact({
+        name: project.name || project.title,
+        date: project.date || project.year,
+        url: project.url,
+        technologies: Array.isArray(project.technologies)
+          ? project.technologies
+          : present(project.technologies)
+          ? project.technologies.split(/\s*,\s*/).filter(Boolean)
+          : undefined,
+        bullets: asBullets(
+          project.bullets || project.achievements || project.description
+        ),
+      })
+    ),
+    skills: compact(skillLists),
+    languages,
+    certifications: (resumeData.certifications || []).map((certificate) =>
+      compact({
+        name: certificate.name || certificate.title,
+        issuer: certificate.issuer || certificate.organization,
+        date: certificate.date || certificate.year,
+      })
+    ),
+    awards: (resumeData.awards || []).map((award) =>
+      typeof award === "string"
+        ? { name: award }
+        : compact({
+            name: award.name || award.title,
+            issuer: award.issuer || award.organization,
+            date: award.date || award.year,
+          })
+    ),
+    publications: (resumeData.publications || []).map((publication) =>
+      compact({
+        title: publication.title,
+        venue: publication.venue,
+        date: publication.date,
+        url: publication.url,
+      })
+    ),
+  });
+
+  const yaml = YAML.stringify(source, { lineWidth: 0 });
+  if (format !== "markdown") return yaml;
+
+  return `---\n${yaml}---\n${
+    resumeData.summary ? `\n${resumeData.summary}\n` : ""
+  }`;
+}
+
+module.exports = {
+  SOURCE_FORMATS,
+  ResumeSourceSchema,
+  detectSourceFormat,
+  parseResumeSource,
+  toResumeSource,
+};
@@ -0,0 +1,152 @@
+/**
+ * Combines a parsed job description, the skills found in the resume and the
+ * model's per-skill classification into a skill-gap report. Ordering,
+ * coverage and counts are computed here so they stay consistent with the
+ * job description even when the model skips or renames a skill.
+ */
+
+const IMPORTANCE_WEIGHT = { critical: 4, high: 3, medium: 2, low: 1 };
+const STATUS_CREDIT = { matched: 1, partial: 0.5, missing: 0 };
+
+const normalizeSkill = (name) =>
+  (name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9+#]+/g, " ")
+    .trim();
+
+// Required skills count double towards coverage and priority
+const skillWeight = (skill) =>
+  (IMPORTANCE_WEIGHT[skill.importance] || 1) *
+  (skill.requirement === "required" ? 2 : 1);
+
+/**
+ * Required and preferred skills from a job description profile, one entry
+ * per skill name
+ */
+function listJobSkills(profile) {
+  const seen = new Set();
+  const skills = [];
+
+  [
+    ["required", profile.required_skills],
+    ["preferred", profile.preferred_skills],
+  ].forEach(([requirement, list]) => {
+    (list || []).forEach((skill) => {
+      const key = normalizeSkill(skill.name);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      skills.push({ ...skill, requirement });
+    });
+  });
+
+  return skills;
+}
+
+/**
+ * Flatten extractSkills() output into a set of normalized names
+ */
+function resumeSkillSet(extractedSkills) {
+  return new Set(
+    Object.values(extractedSkills || {})
+      .flat()
+      .map(normalizeSkill)
+  );
+}
+
+/**
+ * Build the skill-gap report
+ */
+function buildSkillGapReport(profile, extractedSkills, classification) {
+  const detected = resumeSkillSet(extractedSkills);
+  const classified = new Map(
+    (classification.skills || []).map((entry) => [
+      normalizeSkill(entry.skill),
+      entry,
+    ])
+  );
+
+  const skills = listJobSkills(profile).map((skill) => {
+    const key = normalizeSkill(skill.name);
+    const entry = classified.get(key);
+    const detectedInResume = detected.has(key);
+
+    // A skill found verbatim in the resume is at least partially evidenced
+    let status = entry ? entry.status : "missing";
+    if (status === "missing" && detectedInResume) {
+      status = "partial";
+    }
+
+    return {
+      skill: skill.name,
+      category: skill.category,
+      requirement: skill.requirement,
+      importance: skill.importance,
+      status,
+      evidence: entry ? entry.evidence : "",
+      note: entry ? entry.note : "",
+      detected_in_resume: detectedInResume,
+    };
+  });
+
+  const bySkill = new Map(
+    skills.map((skill) => [normalizeSkill(skill.skill), skill])
+  );
+  const priority = (item) => {
+    const skill = bySkill.get(normalizeSkill(item.skill));
+    if (!skill) return 0;
+    return skillWeight(skill) * (skill.status === "missing" ? 2 : 1);
+  };
+
+  const roadmap = (classification.roadmap || [])
+    .filter((item) => {
+      const skill = bySkill.get(normalizeSkill(item.skill));
+      return !skill || skill.status !== "matched";
+    })
+    .map((item) => ({ item, score: priority(item) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ item }, index) => {
+      const skill = bySkill.get(normalizeSkill(item.skill));
+      return {
+        priority: index + 1,
+        ...item,
+        requirement: skill ? skill.requirement : null,
+        importance: skill ? skill.importance : null,
+        status: skill ? skill.status : null,
+      };
+    });
+
+  const totalWeight = skills.reduce(
+    (sum, skill) => sum + skillWeight(skill),
+    0
+  );
+  const earnedWeight = skills.reduce(
+    (sum, skill) => sum + skillWeight(skill) * STATUS_CREDIT[skill.status],
+    0
+  );
+  const count = (status, requirement) =>
+    skills.filter(
+      (skill) =>
+        skill.status === status &&
+        (!requirement || skill.requirement === requirement)
+    ).length;
+
+  return {
+    role_title: profile.role_title,
+    seniority: profile.seniority,
+    skills,
+    roadmap,
+    summary: {
+      text: classification.summary,
+      coverage_score: totalWeight
+        ? Math.round((earnedWeight / totalWeight) * 100)
+        : null,
+      total: skills.length,
+      matched: count("matched"),
+      partial: count("partial"),
+      missing: count("missing"),
+      required_missing: count("missing", "required"),
+    },
+  };
+}
+
+module.exports = { buildSkillGapReport, listJobSkills };
@@ -0,0 +1,242 @@
+const { loadPriceTable } = require("../config/pricing");
+
+const emptyTotals = () => ({
+  calls: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  totalTokens: 0,
+  costUsd: 0,
+});
+
+const addToTotals = (totals, entry) => {
+  totals.calls += entry.calls || 1;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.totalTokens += entry.inputTokens + entry.outputTokens;
+  totals.costUsd += entry.costUsd;
+  return totals;
+};
+
+const roundTotals = (totals) => ({
+  ...totals,
+  costUsd: Math.round(totals.costUsd * 1e6) / 1e6,
+});
+
+/**
+ * Server-side token and cost accounting for AI calls.
+ * Usage is aggregated into daily buckets keyed by route, generator, provider
+ * and model, so memory stays bounded no matter how many calls are made.
+ * Per-session totals are kept for at most `maxSessions` sessions, evicting
+ * the least recently active one; old buckets and sessions are pruned on a
+ * timer rather than on every call.
+ */
+class UsageTracker {
+  constructor(options = {}) {
+    this.priceTable = options.priceTable || loadPriceTable();
+    this.retentionDays = options.retentionDays || 90;
+    this.dailyBudgetUsd = options.dailyBudgetUsd || null;
+    this.maxSessions = options.maxSessions || 10000;
+    this.buckets = new Map();
+    this.sessions = new Map();
+    this.unpricedModels = new Set();
+
+    this.sweepTimer = setInterval(
+      () => this.prune(new Date().toISOString().slice(0, 10)),
+      60 * 60 * 1000
+    );
+    if (this.sweepTimer.unref) this.sweepTimer.unref();
+  }
+
+  /**
+   * Find the price entry whose key is the longest prefix of the model ID
+   */
+  getPrice(modelId = "") {
+    if (this.priceTable[modelId]) return this.priceTable[modelId];
+
+    const key = Object.keys(this.priceTable)
+      .filter((prefix) => modelId.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+    return key ? this.priceTable[key] : null;
+  }
+
+  estimateCost(modelId, inputTokens, outputTokens) {
+    const price = this.getPrice(modelId);
+    if (!price) {
+      return { costUsd: 0, priced: false };
+    }
+    return {
+      costUsd:
+        (inputTokens * (price.input || 0) +
+          outputTokens * (price.output || 0)) /
+        1e6,
+      priced: true,
+    };
+  }
+
+  /**
+   * Record one model call
+   */
+  record({
+    route = null,
+    generator,
+    sessionId = null,
+    provider,
+    model,
+    inputTokens = 0,
+    outputTokens = 0,
+  }) {
+    const timestamp = new Date();
+    const day = timestamp.toISOString().slice(0, 10);
+    const { costUsd, priced } = this.estimateCost(
+      model,
+      inputTokens,
+      outputTokens
+    );
+    if (!priced) this.unpricedModels.add(model);
+
+    const entry = { inputTokens, outputTokens, costUsd };
+
+    const bucketKey = [day, route, generator, provider, model].join("|");
+    if (!this.buckets.has(bucketKey)) {
+      this.buckets.set(bucketKey, {
+        day,
+        route: route || "(internal)",
+        generator,
+        provider,
+        model,
+        ...emptyTotals(),
+      });
+    }
+    addToTotals(this.buckets.get(bucketKey), entry);
+
+    if (sessionId) {
+      const session = this.sessions.get(sessionId) || {
+        ...emptyTotals(),
+        lastSeen: day,
+      };
+      // Re-inserting keeps the Map in least-recently-active order
+      this.sessions.delete(sessionId);
+      if (this.sessions.size >= this.maxSessions) {
+        this.sessions.delete(this.sessions.keys().next().value);
+      }
+      this.sessions.set(sessionId, session);
+
+      addToTotals(session, entry);
+      session.lastSeen = day;
+    }
+
+    return { ...entry, day, priced };
+  }
+
+  /**
+   * Drop buckets and sessions older than the retention window
+   */
+  prune(today) {
+    const cutoff = new Date(today);
+    cutoff.setUTCDate(cutoff.getUTCDate() - this.retentionDays);
+    const cutoffDay = cutoff.toISOString().slice(0, 10);
+
+    for (const [key, bucket] of this.buckets.entries()) {
+      if (bucket.day < cutoffDay) this.buckets.delete(key);
+    }
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (session.lastSeen < cutoffDay) this.sessions.delete(sessionId);
+    }
+  }
+
+  getSessionUsage(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return roundTotals(emptyTotals());
+    const { lastSeen, ...totals } = session;
+    return roundTotals(totals);
+  }
+
+  /**
+   * Aggregate usage into totals plus daily, per-endpoint, per-generator and
+   * per-provider breakdowns for the last `days` days
+   */
+  summarize({ days = 30 } = {}) {
+    const cutoff = new Date();
+    cutoff.setUTCDate(cutoff.getUTCDate() - (days - 1));
+    const cutoffDay = cutoff.toISOString().slice(0, 10);
+    const today = new Date().toISOString().slice(0, 10);
+
+    const totals = emptyTotals();
+    const daily = {};
+    const byEndpoint = {};
+    const byGenerator = {};
+    const byProvider = {};
+
+    for (const bucket of this.buckets.values()) {
+      if (bucket.day < cutoffDay) continue;
+
+      addToTotals(totals, bucket);
+      addToTotals(
+        (daily[bucket.day] = daily[bucket.day] || emptyTotals()),
+        bucket
+      );
+      addToTotals(
+        (byEndpoint[bucket.route] = byEndpoint[bucket.route] || emptyTotals()),
+        bucket
+      );
+      addToTotals(
+        (byGenerator[bucket.generator] =
+          byGenerator[bucket.generator] || emptyTotals()),
+        bucket
+      );
+      const providerKey = `${bucket.provider}/${bucket.model}`;
+      addToTotals(
+        (byProvider[providerKey] = byProvider[providerKey] || emptyTotals()),
+        bucket
+      );
+    }
+
+    const mapValues = (object) =>
+      Object.fromEntries(
+        Object.entries(object).map(([key, value]) => [key, roundTotals(value)])
+      );
+
+    const todayTotals = roundTotals(daily[today] || emptyTotals());
+
+    return {
+      days,
+      totals: roundTotals(totals),
+      today: todayTotals,
+      daily: Object.keys(daily)
+        .sort()
+        .map((day) => ({ day, ...roundTotals(daily[day]) })),
+      byEndpoint: mapValues(byEndpoint),
+      byGenerator: mapValues(byGenerator),
+      byProvider: mapValues(byProvider),
+      budget: this.dailyBudgetUsd
+        ? {
+            dailyLimitUsd: this.dailyBudgetUsd,
+            spentTodayUsd: todayTotals.costUsd,
+            remainingUsd: Math.max(
+              0,
+              Math.round((this.dailyBudgetUsd - todayTotals.costUsd) * 1e6) /
+                1e6
+            ),
+          }
+        : null,
+      unpricedModels: Array.from(this.unpricedModels),
+    };
+  }
+}
+
+let defaultTracker = null;
+
+/**
+ * Shared tracker used by every AIService instance
+ */
+function getUsageTracker() {
+  if (!defaultTracker) {
+    defaultTracker = new UsageTracker({
+      dailyBudgetUsd: parseFloat(process.env.AI_DAILY_BUDGET_USD) || null,
+      maxSessions: parseInt(process.env.AI_USAGE_MAX_SESSIONS, 10) || 10000,
+    });
+  }
+  return defaultTracker;
+}
+
+module.exports = { UsageTracker, getUsageTracker };
@@ -0,0 +1,37 @@
+const crypto = require("crypto");
+
+/**
+ * Check the X-Admin-Token header against ADMIN_API_TOKEN
+ */
+const isAdminRequest = (req) => {
+  const expected = process.env.ADMIN_API_TOKEN;
+  const provided = req.get("X-Admin-Token");
+  if (!expected || !provided) return false;
+
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+  return (
+    expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer)
+  );
+};
+
+/**
+ * Restrict a route to operators holding ADMIN_API_TOKEN
+ */
+const requireAdminToken = (req, res, next) => {
+  if (!process.env.ADMIN_API_TOKEN) {
+    return res.status(403).json({
+      error: "Admin endpoints are disabled",
+      details: "Set ADMIN_API_TOKEN to enable this endpoint.",
+    });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: "Invalid or missing admin token" });
+  }
+
+  next();
+};
+
+module.exports = { isAdminRequest, requireAdminToken };
@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+const { getProviderRegistry } = require("../lib/ai-providers");
+
+const SESSION_COOKIE = "resume_session";
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+const readCookie = (req, name) => {
+  const header = req.get("Cookie");
+  if (!header) return null;
+
+  for (const part of header.split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+};
+
+/**
+ * Resolve the caller's session ID from the X-Session-Id header or the
+ * session cookie, issuing a new cookie when neither is present
+ */
+const resolveSessionId = (req, res) => {
+  const provided = req.get("X-Session-Id") || readCookie(req, SESSION_COOKIE);
+  if (provided && SESSION_ID_PATTERN.test(provided)) {
+    return provided;
+  }
+
+  const sessionId = crypto.randomUUID();
+  res.cookie(SESSION_COOKIE, sessionId, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+  });
+  return sessionId;
+};
+
+/**
+ * Attach per-request AI settings to req.aiContext.
+ * A provider can be requested with the X-AI-Provider header or a `provider`
+ * query parameter; anything other than the deployment default is only
+ * accepted when AI_ALLOW_PROVIDER_OVERRIDE is enabled. The body is not
+ * read: this runs before multer, so multipart uploads would silently lose
+ * the override.
+ */
+const attachAIContext = (req, res, next) => {
+  const requested = req.get("X-AI-Provider") || req.query.provider || null;
+
+  const sessionId = resolveSessionId(req, res);
+  res.setHeader("X-Session-Id", sessionId);
+
+  req.aiContext = { sessionId, route: req.originalUrl.split("?")[0] };
+
+  if (requested) {
+    const provider = requested.toString().trim().toLowerCase();
+
+    if (!getProviderRegistry().canUseForRequest(provider)) {
+      return res.status(400).json({
+        error: "AI provider not available",
+        details: `Provider "${provider}" is not enabled for per-request selection.`,
+      });
+    }
+
+    req.aiContext.provider = provider;
+  }
+
+  next();
+};
+
+module.exports = { attachAIContext, SESSION_COOKIE };
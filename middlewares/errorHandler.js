@@ -1,13 +1,126 @@
 const multer = require("multer");
+const { AIServiceError } = require("../lib/ai-errors");
+
+const AI_ERROR_RESPONSES = {
+  RATE_LIMITED: {
+    error: "API Rate Limit Exceeded",
+    message:
+      "The AI provider is receiving too many requests right now. Please wait a moment and try again.",
+    suggestions: [
+      "Wait a minute before retrying",
+      "Try enabling fewer analysis options to reduce API usage",
+      "Use the demo mode to explore features without API calls",
+    ],
+    demoMode: true,
+  },
+  QUOTA_EXHAUSTED: {
+    error: "API Quota Exhausted",
+    message:
+      "You have exceeded your daily API quota. Please try again tomorrow or upgrade your plan.",
+    suggestions: [
+      "Wait until tomorrow when your quota resets",
+      "Upgrade to a paid plan at https://ai.google.dev/pricing",
+      "Try enabling fewer analysis options to reduce API usage",
+      "Use the demo mode to explore features without API calls",
+    ],
+    retryAfter: "24 hours",
+    demoMode: true,
+  },
+  SAFETY_BLOCKED: {
+    error: "Content blocked by AI safety filters",
+    message:
+      "The AI provider declined to process this content because it triggered its safety filters.",
+    suggestions: [
+      "Remove offensive, violent or explicit wording from the text",
+      "Make sure the uploaded file is actually a resume",
+    ],
+  },
+  SCHEMA_MISMATCH: {
+    error: "AI response could not be processed",
+    message:
+      "The AI provider returned a response in an unexpected format. Please try again.",
+    suggestions: [
+      "Try again in a few moments",
+      "Try enabling fewer analysis options at once",
+    ],
+  },
+  PROMPT_INJECTION: {
+    error: "Input rejected by prompt injection policy",
+    message:
+      "The resume or job description contains text that tries to instruct the AI instead of describing the candidate or role.",
+    suggestions: [
+      "Remove the passages listed in prompt_injection.findings and try again",
+      "Make sure the uploaded file is the intended resume",
+    ],
+  },
+  PROVIDER_UNAVAILABLE: {
+    error: "Analysis service temporarily unavailable",
+    message:
+      "The AI analysis service is currently experiencing issues. Please try again later.",
+    suggestions: [
+      "Check your internet connection",
+      "Try again in a few minutes",
+      "Contact support if the issue persists",
+    ],
+  },
+};
+
+const formatRetryAfter = (seconds) =>
+  seconds >= 60
+    ? `${Math.ceil(seconds / 60)} minute${seconds > 60 ? "s" : ""}`
+    : `${seconds} second${seconds === 1 ? "" : "s"}`;
+
+/**
+ * Map typed AI provider failures to a consistent status and JSON body
+ */
+const handleAIError = (err, req, res, next) => {
+  if (!(err instanceof AIServiceError) || res.headersSent) {
+    return next(err);
+  }
+
+  console.error(`AI error on ${req.originalUrl} (${err.code}):`, err.message);
+
+  const response =
+    AI_ERROR_RESPONSES[err.code] || AI_ERROR_RESPONSES.PROVIDER_UNAVAILABLE;
+  const retryAfterSeconds = err.retryAfterMs
+    ? Math.ceil(err.retryAfterMs / 1000)
+    : null;
+
+  if (retryAfterSeconds) {
+    res.setHeader("Retry-After", String(retryAfterSeconds));
+  }
+
+  res.status(err.status).json({
+    success: false,
+    ...response,
+    code: err.code,
+    details: err.message,
+    provider: err.provider,
+    retryable: err.retryable,
+    retryAfter: retryAfterSeconds
+      ? formatRetryAfter(retryAfterSeconds)
+      : response.retryAfter || null,
+    retryAfterSeconds,
+  });
+};
 
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === "LIMIT_FILE_SIZE") {
       return res.status(400).json({
-        error: "File size too large. Maximum size is 5MB.",
+        error:
+          err.field === "resumes"
+            ? "File size too large. Maximum size is 20MB per file."
+            : "File size too large. Maximum size is 5MB.",
         details: "Please reduce your file size and try again.",
       });
     }
+    if (err.code === "LIMIT_FILE_COUNT") {
+      return res.status(400).json({
+        error: "Too many files uploaded.",
+        details: "Split the upload into smaller batches or use a ZIP archive.",
+      });
+    }
     if (err.code === "LIMIT_UNEXPECTED_FILE") {
       return res.status(400).json({
         error: "Unexpected file field.",
@@ -60,6 +173,7 @@ const setupGlobalErrorHandlers = () => {
 
 module.exports = {
   handleMulterError,
+  handleAIError,
   handleGenericError,
   logError,
   setupGlobalErrorHandlers,
@@ -0,0 +1,31 @@
+const { PIIRedactor, isRedactionRequested } = require("../lib/pii-redaction");
+
+/**
+ * Redact PII from the model calls of requests that ask for it (or all
+ * requests with PII_REDACTION=true) by putting a PIIRedactor in
+ * req.aiContext. Once a model call was redacted, JSON responses carry the
+ * redaction report as `pii_redaction`.
+ *
+ * This runs before multer, so multipart uploads can only ask for redaction
+ * with the X-PII-Redaction header; `redactPii` is read from JSON bodies.
+ */
+const attachPIIRedactor = (req, res, next) => {
+  if (!req.aiContext || !isRedactionRequested(req)) return next();
+
+  const redactor = new PIIRedactor();
+  req.aiContext.piiRedactor = redactor;
+
+  const json = res.json.bind(res);
+  res.json = (body) =>
+    redactor.modelCalls > 0 &&
+    body &&
+    typeof body === "object" &&
+    !Array.isArray(body) &&
+    body.pii_redaction === undefined
+      ? json({ ...body, pii_redaction: redactor.report() })
+      : json(body);
+
+  next();
+};
+
+module.exports = { attachPIIRedactor };
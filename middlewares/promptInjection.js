@@ -0,0 +1,44 @@
+const { PromptInjectionScreen } = require("../lib/prompt-injection");
+
+/**
+ * Attach a PromptInjectionScreen to req.promptInjection.
+ * Controllers inspect their inputs with it; once anything was inspected,
+ * JSON responses carry its report as `prompt_injection`. Canary checks made
+ * by AIService during the request are collected through req.aiContext.
+ */
+const attachPromptInjectionScreen = (req, res, next) => {
+  const screen = new PromptInjectionScreen();
+  req.promptInjection = screen;
+  if (req.aiContext) {
+    req.aiContext.canaryChecks = screen.canaryChecks;
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const report = screen.report();
+    if (
+      !report ||
+      !body ||
+      typeof body !== "object" ||
+      Array.isArray(body) ||
+      body.prompt_injection !== undefined
+    ) {
+      return json(body);
+    }
+
+    const { canary } = report;
+    if (canary && (canary.leaked || canary.followed_injected_instruction)) {
+      console.warn(
+        `🐤 Prompt canary tripped on ${req.originalUrl} (session ${
+          req.aiContext && req.aiContext.sessionId
+        }):`,
+        canary
+      );
+    }
+    return json({ ...body, prompt_injection: report });
+  };
+
+  next();
+};
+
+module.exports = { attachPromptInjectionScreen };
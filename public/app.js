@@ -33,7 +33,9 @@ let apiCallCount = parseInt(localStorage.getItem("apiCallCount") || "0", 10);
 let lastResetDate =
   localStorage.getItem("lastResetDate") || new Date().toDateString();
 let currentInputMethod = localStorage.getItem("currentInputMethod") || "file"; // 'text' | 'file'
+let serverUsage = null; // Token/cost usage reported by /api/usage
 let selectedFile = null;
+let analysisEvidence = null; // Resume text and evidence of the analysis on screen
 
 function updateApiUsage() {
   const today = new Date().toDateString();
@@ -398,6 +400,19 @@ document.addEventListener("DOMContentLoaded", function () {
   if (dismissProTip)
     dismissProTip.addEventListener("click", dismissProTipPermanently);
 
+  // Feedback items with evidence highlight the resume text they are about
+  if (resultsSection) {
+    resultsSection.addEventListener("click", (event) => {
+      const item = event.target.closest("[data-evidence-target]");
+      if (item) showEvidence(item.dataset.evidenceTarget, item.textContent);
+    });
+  }
+  document
+    .getElementById("closeEvidencePanel")
+    ?.addEventListener("click", () =>
+      document.getElementById("evidencePanel")?.classList.add("hidden")
+    );
+
   if (jobDescription) {
     jobDescription.addEventListener("input", function () {
       if (this.value.trim().length > 50 && !includeJDMatch?.checked) {
@@ -575,6 +590,7 @@ document.addEventListener("DOMContentLoaded", function () {
   showProTip();
 
   showApiUsageIndicator();
+  refreshServerUsage();
 
   // Initialize generator checkboxes with error handling
   try {
@@ -585,6 +601,7 @@ document.addEventListener("DOMContentLoaded", function () {
   }
 
   initializeJobDescriptionListener();
+  initializeRecruiterMode();
 
   // Use last selected input method if available
   switchInputMethod(currentInputMethod || "file");
@@ -1507,15 +1524,24 @@ async function analyzeResume() {
     formData.append("includeCoverGen", includeCoverGen?.checked || false);
     formData.append("includeLinkedInGen", includeLinkedInGen?.checked || false);
     formData.append("includeLatexGen", includeLatexGen?.checked || false);
+    formData.append(
+      "locale",
+      document.getElementById("feedbackLocale")?.value || "auto"
+    );
 
-    const response = await fetch("/api/analyze", {
+    // Sections render as the model writes them; errors raised before the
+    // stream opens still come back as JSON
+    const response = await fetch("/api/stream-analysis/structured", {
       method: "POST",
       body: formData,
     });
 
     const contentType = response.headers.get("content-type") || "";
     let data;
-    if (contentType.includes("application/json")) {
+    if (contentType.includes("text/event-stream")) {
+      data = await readAnalysisStream(response);
+      if (!data) return;
+    } else if (contentType.includes("application/json")) {
       data = await response.json();
     } else {
       const text = await response.text();
@@ -1546,6 +1572,7 @@ async function analyzeResume() {
     }
 
     showResults(data);
+    refreshServerUsage();
   } catch (error) {
     console.error("Analysis error:", error);
 
@@ -1561,6 +1588,96 @@ async function analyzeResume() {
   }
 }
 
+// Parse Server-Sent Events from a fetch response body
+async function readServerSentEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      const dataLines = [];
+      block.split("\n").forEach((line) => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) dataLines.push(line.slice(5).trim());
+      });
+      if (dataLines.length > 0) {
+        onEvent(event, JSON.parse(dataLines.join("\n")));
+      }
+    }
+  }
+}
+
+// Consume the structured analysis stream, rendering each section as it
+// completes. Resolves to the final analysis, or null after showing an error.
+async function readAnalysisStream(response) {
+  let analysis = null;
+  let streamError = null;
+
+  await readServerSentEvents(response, (event, data) => {
+    if (event === "section-complete") {
+      renderStreamedSection(data.section, data.data);
+    } else if (event === "done") {
+      analysis = data;
+    } else if (event === "error") {
+      streamError = data;
+    }
+  });
+
+  if (streamError) {
+    showError(
+      streamError.message +
+        (streamError.retryAfterSeconds
+          ? `\n\n🔄 Try again in ${streamError.retryAfterSeconds}s`
+          : "")
+    );
+    return null;
+  }
+  if (!analysis) {
+    showError("The analysis stream ended unexpectedly. Please try again.");
+    return null;
+  }
+  return analysis;
+}
+
+function renderStreamedSection(section, data) {
+  if (resultsSection.classList.contains("hidden")) {
+    hideAllStates();
+    resultsSection.classList.remove("hidden");
+  }
+
+  const [group, name] = section.split(".");
+  const sectionCards = {
+    clarity: [clarityScore, clarityProgress, clarityFeedback],
+    impact: [impactScore, impactProgress, impactFeedback],
+    ats_optimization: [atsScore, atsProgress, atsFeedback],
+    formatting: [formattingScore, formattingProgress, formattingFeedback],
+  };
+
+  if (section === "overall_score") {
+    updateScore(overallScore, overallProgress, data);
+  } else if (group === "sections" && sectionCards[name] && data) {
+    const [scoreEl, progressEl, feedbackEl] = sectionCards[name];
+    updateScore(scoreEl, progressEl, data.score);
+    if (feedbackEl) feedbackEl.textContent = data.feedback || "";
+  } else if (group === "advanced_analysis" && data) {
+    updateAdvancedAnalysis({ [name]: data });
+  } else if (section === "strengths" && Array.isArray(data)) {
+    updateList(strengthsList, data);
+  } else if (section === "top_suggestions" && Array.isArray(data)) {
+    updateList(suggestionsList, data);
+  }
+}
+
 function downloadLatexSource(latexContent, templateName) {
   const blob = new Blob([latexContent], { type: "text/plain" });
   const url = URL.createObjectURL(blob);
@@ -1898,7 +2015,20 @@ function showApiUsageIndicator() {
     document.body.appendChild(indicator);
   }
 
-  const percentage = Math.round((apiCallCount / 50) * 100);
+  let percentage = Math.round((apiCallCount / 50) * 100);
+  let label = `API: ${apiCallCount}/50`;
+  let tooltip = "Requests sent from this browser today";
+
+  // Prefer real token/cost numbers from the server when available
+  if (serverUsage) {
+    const { session } = serverUsage;
+    label = `API: ${session.calls} calls · ${formatTokenCount(
+      session.totalTokens
+    )} tokens · $${session.costUsd.toFixed(4)}`;
+    tooltip = "Tokens and estimated cost of this session";
+    percentage = 0;
+  }
+
   let color = "text-green-600 dark:text-green-400";
 
   if (percentage >= 80) {
@@ -1908,7 +2038,27 @@ function showApiUsageIndicator() {
   }
 
   indicator.className = `fixed top-4 left-4 px-3 py-1 bg-gray-100 dark:bg-gray-800 rounded-full text-xs ${color} z-40`;
-  indicator.textContent = `API: ${apiCallCount}/50`;
+  indicator.textContent = label;
+  indicator.title = tooltip;
+}
+
+function formatTokenCount(count) {
+  if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`;
+  if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+  return `${count}`;
+}
+
+async function refreshServerUsage() {
+  try {
+    const response = await fetch("/api/usage");
+    if (!response.ok) return;
+    const data = await response.json();
+    serverUsage = { session: data.session };
+    showApiUsageIndicator();
+  } catch (error) {
+    // Keep the local estimate if the usage endpoint is unreachable
+    console.warn("Usage refresh failed:", error.message);
+  }
 }
 
 function handleApiError(response, errorData) {
@@ -1917,7 +2067,7 @@ function handleApiError(response, errorData) {
     const suggestionsList = suggestions.map((s) => `• ${s}`).join("\n");
 
     showError(
-      `⚠️ API Rate Limit Exceeded\n\n` +
+      `⚠️ ${errorData.error || "API Rate Limit Exceeded"}\n\n` +
         `${errorData.message}\n\n` +
         `💡 What you can do:\n${suggestionsList}\n\n` +
         `🔄 Your quota will reset in ${errorData.retryAfter || "24 hours"}`
@@ -2238,6 +2388,7 @@ function showError(message) {
 function showResults(data) {
   hideAllStates();
   resultsSection.classList.remove("hidden");
+  setAnalysisEvidence(data);
 
   if (analyzeBtn) {
     analyzeBtn.disabled = false;
@@ -2267,25 +2418,34 @@ function showResults(data) {
     atsFeedback.textContent = data.sections?.ats_optimization?.feedback || "";
   if (formattingFeedback)
     formattingFeedback.textContent = data.sections?.formatting?.feedback || "";
+  markEvidence(clarityFeedback, "sections.clarity");
+  markEvidence(impactFeedback, "sections.impact");
+  markEvidence(atsFeedback, "sections.ats_optimization");
+  markEvidence(formattingFeedback, "sections.formatting");
 
   if (data.jd_match) {
     jdMatchSection?.classList.remove("hidden");
     updateScore(jdMatchScore, jdMatchProgress, data.jd_match.score);
     if (jdMatchFeedback)
       jdMatchFeedback.textContent = data.jd_match.feedback || "";
+    markEvidence(jdMatchFeedback, "jd_match");
   } else {
     jdMatchSection?.classList.add("hidden");
   }
 
   if (data.jd_recommendations && data.jd_recommendations.length > 0) {
     jdRecommendationsSection?.classList.remove("hidden");
-    updateList(jdRecommendationsList, data.jd_recommendations);
+    updateList(
+      jdRecommendationsList,
+      data.jd_recommendations,
+      "jd_recommendations"
+    );
   } else {
     jdRecommendationsSection?.classList.add("hidden");
   }
 
-  updateList(strengthsList, data.strengths);
-  updateList(suggestionsList, data.top_suggestions);
+  updateList(strengthsList, data.strengths, "strengths");
+  updateList(suggestionsList, data.top_suggestions, "top_suggestions");
 
   if (data.advanced_analysis) {
     updateAdvancedAnalysis(data.advanced_analysis);
@@ -2305,11 +2465,12 @@ function updateScore(scoreElement, progressElement, score, suffix = "/100") {
   }
 }
 
-function updateList(listElement, items) {
+function updateList(listElement, items, evidenceTarget = null) {
   listElement.innerHTML = "";
-  items.forEach((item) => {
+  items.forEach((item, index) => {
     const li = document.createElement("li");
     li.textContent = `• ${item}`;
+    if (evidenceTarget) markEvidence(li, `${evidenceTarget}[${index}]`);
     listElement.appendChild(li);
   });
 
@@ -2321,6 +2482,75 @@ function updateList(listElement, items) {
   }
 }
 
+// Remember the resume text and evidence references of the analysis on
+// screen, keyed by feedback item target (e.g. "top_suggestions[0]")
+function setAnalysisEvidence(data) {
+  const references = {};
+  (data.evidence || []).forEach((entry) => {
+    references[entry.target] = entry.references || [];
+  });
+  analysisEvidence = data.resume_source_text
+    ? { text: data.resume_source_text, references }
+    : null;
+  document.getElementById("evidencePanel")?.classList.add("hidden");
+}
+
+// Make a feedback element clickable when it has evidence in the resume
+function markEvidence(element, target) {
+  if (!element) return;
+
+  const references = analysisEvidence?.references[target] || [];
+  if (references.length > 0) {
+    element.dataset.evidenceTarget = target;
+    element.classList.add("evidence-link");
+    element.title = `Show ${references.length} resume excerpt${
+      references.length === 1 ? "" : "s"
+    }`;
+  } else {
+    delete element.dataset.evidenceTarget;
+    element.classList.remove("evidence-link");
+    element.removeAttribute("title");
+  }
+}
+
+// Show the resume with the evidence for a feedback item highlighted
+function showEvidence(target, label) {
+  const panel = document.getElementById("evidencePanel");
+  const textElement = document.getElementById("evidenceResumeText");
+  const labelElement = document.getElementById("evidenceLabel");
+  if (!panel || !textElement || !analysisEvidence) return;
+
+  const { text } = analysisEvidence;
+  const references = [...(analysisEvidence.references[target] || [])].sort(
+    (a, b) => a.start - b.start
+  );
+
+  textElement.textContent = "";
+  let cursor = 0;
+  references
+    .filter((reference) => reference.start >= 0 && reference.end <= text.length)
+    .forEach((reference) => {
+      if (reference.start < cursor) return;
+      textElement.append(text.slice(cursor, reference.start));
+      const mark = document.createElement("mark");
+      mark.className = "evidence-mark";
+      mark.textContent = text.slice(reference.start, reference.end);
+      mark.title =
+        reference.line_start === reference.line_end
+          ? `Line ${reference.line_start}`
+          : `Lines ${reference.line_start}-${reference.line_end}`;
+      textElement.appendChild(mark);
+      cursor = reference.end;
+    });
+  textElement.append(text.slice(cursor));
+
+  if (labelElement) labelElement.textContent = label.replace(/^•\s*/, "");
+  panel.classList.remove("hidden");
+  textElement
+    .querySelector("mark")
+    ?.scrollIntoView({ behavior: "smooth", block: "center" });
+}
+
 function updateAdvancedAnalysis(advancedData) {
   if (advancedData.tone_evaluation) {
     const tone = advancedData.tone_evaluation;
@@ -2330,6 +2560,7 @@ function updateAdvancedAnalysis(advancedData) {
     if (toneType) toneType.textContent = `Tone: ${tone.tone_type || "Unknown"}`;
     if (toneFeedback)
       toneFeedback.textContent = tone.feedback || "No tone feedback available";
+    markEvidence(toneFeedback, "advanced_analysis.tone_evaluation");
   }
 
   if (advancedData.bullet_point_grade) {
@@ -2347,6 +2578,7 @@ function updateAdvancedAnalysis(advancedData) {
       bulletFeedback.textContent =
         bullet.feedback || "No bullet point feedback available";
     }
+    markEvidence(bulletFeedback, "advanced_analysis.bullet_point_grade");
   }
 
   if (advancedData.buzzword_detection) {
@@ -2389,17 +2621,22 @@ function formatBuzzwordList(buzzwords) {
     return;
   }
 
-  const buzzwordItems = buzzwords
-    .slice(0, 5)
-    .map((word) => `• ${word}`)
-    .join("<br>");
-  const moreText =
-    buzzwords.length > 5
-      ? `<br><span class="text-yellow-500">+${
-          buzzwords.length - 5
-        } more...</span>`
-      : "";
-  buzzwordList.innerHTML = buzzwordItems + moreText;
+  buzzwordList.innerHTML = "";
+  buzzwords.slice(0, 5).forEach((word, index) => {
+    const item = document.createElement("div");
+    item.textContent = `• ${word}`;
+    markEvidence(
+      item,
+      `advanced_analysis.buzzword_detection.buzzwords_found[${index}]`
+    );
+    buzzwordList.appendChild(item);
+  });
+  if (buzzwords.length > 5) {
+    buzzwordList.insertAdjacentHTML(
+      "beforeend",
+      `<span class="text-yellow-500">+${buzzwords.length - 5} more...</span>`
+    );
+  }
 }
 
 function formatRedFlagList(flags) {
@@ -2411,17 +2648,19 @@ function formatRedFlagList(flags) {
     return;
   }
 
-  const flagItems = flags
-    .slice(0, 3)
-    .map((flag) => `• ${flag}`)
-    .join("<br>");
-  const moreText =
-    flags.length > 3
-      ? `<br><span class="text-red-500">+${
-          flags.length - 3
-        } more issues...</span>`
-      : "";
-  redFlagList.innerHTML = flagItems + moreText;
+  redFlagList.innerHTML = "";
+  flags.slice(0, 3).forEach((flag, index) => {
+    const item = document.createElement("div");
+    item.textContent = `• ${flag}`;
+    markEvidence(item, `advanced_analysis.red_flags.flags_detected[${index}]`);
+    redFlagList.appendChild(item);
+  });
+  if (flags.length > 3) {
+    redFlagList.insertAdjacentHTML(
+      "beforeend",
+      `<span class="text-red-500">+${flags.length - 3} more issues...</span>`
+    );
+  }
 }
 
 function generateAdvancedInsights(advancedData) {
@@ -2909,3 +3148,242 @@ async function downloadLatexPdf() {
 try {
   window.downloadLatexPdf = downloadLatexPdf;
 } catch (_) {}
+
+// ===== Recruiter batch screening =====
+
+const SCREENING_POLL_INTERVAL_MS = 3000;
+let screeningJobId = null;
+let screeningPollTimer = null;
+
+function switchAppMode(mode) {
+  const candidateTab = document.getElementById("candidateModeTab");
+  const recruiterTab = document.getElementById("recruiterModeTab");
+  const candidateCard = document.getElementById("candidateModeCard");
+  const recruiterCard = document.getElementById("recruiterModeCard");
+  if (!candidateCard || !recruiterCard) return;
+
+  const activeClasses = [
+    "bg-white",
+    "dark:bg-dark-800",
+    "text-primary-600",
+    "dark:text-primary-400",
+    "shadow-soft",
+  ];
+  const isRecruiter = mode === "recruiter";
+
+  candidateCard.classList.toggle("hidden", isRecruiter);
+  recruiterCard.classList.toggle("hidden", !isRecruiter);
+  activeClasses.forEach((cls) => {
+    candidateTab.classList.toggle(cls, !isRecruiter);
+    recruiterTab.classList.toggle(cls, isRecruiter);
+  });
+
+  if (isRecruiter) hideAllStates();
+  localStorage.setItem("appMode", mode);
+}
+
+function initializeRecruiterMode() {
+  const candidateTab = document.getElementById("candidateModeTab");
+  const recruiterTab = document.getElementById("recruiterModeTab");
+  const filesInput = document.getElementById("screeningFiles");
+  const startBtn = document.getElementById("startScreeningBtn");
+  const cancelBtn = document.getElementById("cancelScreeningBtn");
+  if (!candidateTab || !recruiterTab || !startBtn) return;
+
+  candidateTab.addEventListener("click", () => switchAppMode("candidate"));
+  recruiterTab.addEventListener("click", () => switchAppMode("recruiter"));
+
+  filesInput.addEventListener("change", () => {
+    const files = Array.from(filesInput.files || []);
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    document.getElementById("screeningFileSummary").textContent = files.length
+      ? `${files.length} file(s) selected (${formatFileSize(totalSize)})`
+      : "";
+  });
+
+  startBtn.addEventListener("click", startScreening);
+  cancelBtn.addEventListener("click", cancelScreening);
+
+  switchAppMode(localStorage.getItem("appMode") || "candidate");
+}
+
+async function startScreening() {
+  const jobDescriptionInput = document.getElementById(
+    "screeningJobDescription"
+  );
+  const filesInput = document.getElementById("screeningFiles");
+  const files = Array.from(filesInput.files || []);
+  const jd = jobDescriptionInput.value.trim();
+
+  if (jd.length < 50) {
+    showToast(
+      "Please paste a job description (at least 50 characters)",
+      "error"
+    );
+    return;
+  }
+  if (files.length === 0) {
+    showToast("Please choose resumes or a ZIP archive to screen", "error");
+    return;
+  }
+
+  const formData = new FormData();
+  formData.append("jobDescription", jd);
+  files.forEach((file) => formData.append("resumes", file));
+
+  const startBtn = document.getElementById("startScreeningBtn");
+  startBtn.disabled = true;
+  document.getElementById("screeningResults").classList.add("hidden");
+
+  try {
+    const response = await fetch("/api/screening", {
+      method: "POST",
+      body: formData,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || data.error || "Screening failed");
+    }
+
+    if (data.skipped && data.skipped.length > 0) {
+      showToast(`⚠️ Skipped ${data.skipped.length} file(s)`, "warning");
+    }
+
+    screeningJobId = data.jobId;
+    document.getElementById("cancelScreeningBtn").classList.remove("hidden");
+    document
+      .getElementById("screeningProgressSection")
+      .classList.remove("hidden");
+    pollScreeningJob();
+  } catch (error) {
+    console.error("Screening error:", error);
+    showToast(`❌ ${error.message}`, "error");
+    startBtn.disabled = false;
+  }
+}
+
+async function pollScreeningJob() {
+  clearTimeout(screeningPollTimer);
+  if (!screeningJobId) return;
+
+  try {
+    const response = await fetch(`/api/screening/${screeningJobId}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "Could not load screening job");
+    }
+
+    const { job } = data;
+    updateScreeningProgress(job);
+
+    if (["queued", "running"].includes(job.status)) {
+      screeningPollTimer = setTimeout(
+        pollScreeningJob,
+        SCREENING_POLL_INTERVAL_MS
+      );
+      return;
+    }
+
+    finishScreening(job);
+  } catch (error) {
+    console.error("Screening poll error:", error);
+    showToast(`❌ ${error.message}`, "error");
+    finishScreening(null);
+  }
+}
+
+function updateScreeningProgress(job) {
+  const { completed, failed, total, percent } = job.progress;
+  document.getElementById("screeningStatus").textContent =
+    job.status === "queued"
+      ? "Queued…"
+      : `Screening candidates…${failed ? ` (${failed} failed)` : ""}`;
+  document.getElementById(
+    "screeningCount"
+  ).textContent = `${completed} / ${total}`;
+  document.getElementById("screeningProgress").style.width = `${percent}%`;
+}
+
+function finishScreening(job) {
+  document.getElementById("startScreeningBtn").disabled = false;
+  document.getElementById("cancelScreeningBtn").classList.add("hidden");
+
+  if (!job) return;
+
+  document.getElementById("screeningStatus").textContent =
+    job.status === "completed"
+      ? "Screening complete"
+      : job.status === "cancelled"
+      ? "Screening cancelled"
+      : `Screening failed: ${job.error ? job.error.message : "unknown error"}`;
+
+  if (job.result) {
+    renderScreeningResults(job.id, job.result);
+  }
+}
+
+async function cancelScreening() {
+  if (!screeningJobId) return;
+
+  try {
+    await fetch(`/api/screening/${screeningJobId}`, { method: "DELETE" });
+    showToast("Cancelling screening…", "info");
+  } catch (error) {
+    console.error("Cancel screening error:", error);
+  }
+}
+
+function renderScreeningResults(jobId, result) {
+  const { summary } = result;
+  document.getElementById("screeningSummary").textContent =
+    `${summary.screened} screened, ${summary.shortlisted} shortlisted ` +
+    `(score ≥ ${summary.shortlist_score})` +
+    (summary.failed ? `, ${summary.failed} failed` : "") +
+    (summary.skipped ? `, ${summary.skipped} skipped` : "");
+
+  document.getElementById(
+    "exportScreeningCsv"
+  ).href = `/api/screening/${jobId}/export?format=csv`;
+  document.getElementById(
+    "exportScreeningJson"
+  ).href = `/api/screening/${jobId}/export?format=json`;
+
+  const tbody = document.getElementById("screeningTableBody");
+  tbody.innerHTML = "";
+
+  const cell = (row, content, className = "py-2 pr-4 align-top") => {
+    const td = document.createElement("td");
+    td.className = className;
+    td.textContent = Array.isArray(content) ? content.join("; ") : content;
+    row.appendChild(td);
+    return td;
+  };
+
+  result.candidates.forEach((candidate) => {
+    const row = document.createElement("tr");
+    row.className = `border-b border-gray-100 dark:border-dark-700${
+      candidate.shortlisted ? " bg-emerald-50 dark:bg-emerald-900/20" : ""
+    }`;
+    cell(row, candidate.rank);
+    const name = cell(row, candidate.candidate_name || candidate.filename);
+    name.title = candidate.filename;
+    cell(row, candidate.score);
+    cell(row, candidate.recommendation.replace("_", " "));
+    cell(row, candidate.strengths);
+    cell(row, candidate.gaps);
+    cell(row, candidate.red_flags, "py-2 align-top text-red-600");
+    tbody.appendChild(row);
+  });
+
+  result.failed.forEach(({ filename, error }) => {
+    const row = document.createElement("tr");
+    row.className = "border-b border-gray-100 dark:border-dark-700 opacity-60";
+    cell(row, "–");
+    cell(row, filename);
+    cell(row, `Failed: ${error.message}`, "py-2 align-top");
+    row.lastChild.colSpan = 5;
+    tbody.appendChild(row);
+  });
+
+  document.getElementById("screeningResults").classList.remove("hidden");
+}
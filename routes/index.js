@@ -5,10 +5,22 @@ const mainController = require("../controllers/mainController");
 const resumeController = require("../controllers/resumeController");
 const streamController = require("../controllers/streamController");
 const historyController = require("../controllers/historyController");
+const usageController = require("../controllers/usageController");
+const experimentController = require("../controllers/experimentController");
+const screeningController = require("../controllers/screeningController");
+const interviewController = require("../controllers/interviewController");
 const latexController = require("../controllers/latexController");
 const localPdfController = require("../controllers/localPdfController");
 const pdfPreviewController = require("../controllers/pdfPreviewController");
+const resumeFormatController = require("../controllers/resumeFormatController");
+const coverLetterController = require("../controllers/coverLetterController");
 const upload = require("../config/multer");
+const {
+  batchUpload,
+  removeBatchUploads,
+  MAX_BATCH_FILES,
+} = require("../config/batchUpload");
+const { requireAdminToken } = require("../middlewares/adminAuth");
 const {
   pdfRateLimit,
   highQualityPdfRateLimit,
@@ -29,10 +41,101 @@ router.post(
   upload.single("resumeFile"),
   resumeController.analyzeResume
 );
+router.post(
+  "/api/analyze-multi-jd",
+  upload.single("resumeFile"),
+  resumeController.analyzeMultipleJobDescriptions
+);
+router.post(
+  "/api/resume-metrics",
+  upload.single("resumeFile"),
+  resumeController.getResumeMetrics
+);
+router.post(
+  "/api/skill-gaps",
+  upload.single("resumeFile"),
+  resumeController.analyzeSkillGaps
+);
+router.post(
+  "/api/parse-resume",
+  upload.single("resumeFile"),
+  resumeController.parseResume
+);
+router.post("/api/resume/import", resumeFormatController.importResume);
+router.post(
+  "/api/resume/export",
+  upload.single("resumeFile"),
+  resumeFormatController.exportResume
+);
+router.post(
+  "/api/resume/validate",
+  resumeFormatController.validateResumeSource
+);
+router.post(
+  "/api/resume/build",
+  pdfRateLimit,
+  setPdfTimeout(90000),
+  resumeFormatController.buildResumeSource
+);
 router.post("/api/generate-summary", resumeController.generateSummary);
 router.post("/api/generate-variant", resumeController.generateVariant);
-router.post("/api/generate-cover-letter", resumeController.generateCoverLetter);
+router.post(
+  "/api/generate-cover-letter",
+  coverLetterController.generateCoverLetter
+);
+router.post(
+  "/api/cover-letter/regenerate-paragraph",
+  coverLetterController.regenerateParagraph
+);
+router.post(
+  "/api/cover-letter/pdf",
+  pdfRateLimit,
+  setPdfTimeout(90000),
+  coverLetterController.buildCoverLetterPdf
+);
+router.get("/api/company-contexts", coverLetterController.listCompanyContexts);
+router.get(
+  "/api/company-contexts/:company",
+  coverLetterController.getCompanyContext
+);
+router.put(
+  "/api/company-contexts/:company",
+  coverLetterController.saveCompanyContext
+);
+router.delete(
+  "/api/company-contexts/:company",
+  coverLetterController.deleteCompanyContext
+);
 router.post("/api/optimize-linkedin", resumeController.optimizeLinkedIn);
+router.post("/api/rewrite-bullet", resumeController.rewriteBullet);
+
+// Interview preparation
+router.post(
+  "/api/interview-questions",
+  upload.single("resumeFile"),
+  interviewController.generateInterviewQuestions
+);
+router.post(
+  "/api/mock-interviews",
+  upload.single("resumeFile"),
+  interviewController.startMockInterview
+);
+router.get(
+  "/api/mock-interviews/:interviewId",
+  interviewController.getMockInterview
+);
+router.post(
+  "/api/mock-interviews/:interviewId/answers",
+  interviewController.answerMockInterview
+);
+router.post(
+  "/api/mock-interviews/:interviewId/finish",
+  interviewController.finishMockInterview
+);
+router.delete(
+  "/api/mock-interviews/:interviewId",
+  interviewController.deleteMockInterview
+);
 
 // Streaming route
 router.post(
@@ -40,10 +143,48 @@ router.post(
   upload.single("resumeFile"),
   streamController.streamAnalysis
 );
+router.post(
+  "/api/stream-analysis/structured",
+  upload.single("resumeFile"),
+  streamController.streamStructuredAnalysis
+);
 
 // History routes
 router.post("/api/clear-history", historyController.clearHistory);
 router.get("/api/conversation-history", historyController.getHistory);
+router.get("/api/sessions", requireAdminToken, historyController.listSessions);
+router.get("/api/sessions/:sessionId/export", historyController.exportSession);
+router.delete("/api/sessions/:sessionId", historyController.deleteSession);
+
+// Recruiter batch screening (background jobs)
+router.post(
+  "/api/screening",
+  batchUpload.array("resumes", MAX_BATCH_FILES),
+  removeBatchUploads,
+  screeningController.startScreening
+);
+router.get("/api/screening/:jobId", screeningController.getScreeningJob);
+router.get(
+  "/api/screening/:jobId/export",
+  screeningController.exportScreeningJob
+);
+router.delete("/api/screening/:jobId", screeningController.cancelScreeningJob);
+
+// Usage accounting
+router.get("/api/usage", usageController.getUsage);
+router.get(
+  "/api/usage/summary",
+  requireAdminToken,
+  usageController.getUsageSummary
+);
+
+// Prompt template experiments
+router.post("/api/prompt-feedback", experimentController.submitPromptFeedback);
+router.get(
+  "/api/prompt-experiments",
+  requireAdminToken,
+  experimentController.getPromptExperiments
+);
 
 // LaTeX routes
 router.post("/api/generate-latex-resume", latexController.generateLatexResume);
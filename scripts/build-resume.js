@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const {
+  COMPILE_BACKENDS,
+  DEFAULT_BACKEND,
+  renderResumeSource,
+  compileResume,
+} = require("../lib/resume-build");
+const { SOURCE_FORMATS } = require("../lib/resume-source");
+const { LOCALES, isSupportedLocale } = require("../lib/locale");
+
+const USAGE = `Usage: npm run build:resume -- <resume.yaml|resume.md> [options]
+
+  --output <file>      PDF to write (default <source name>.pdf); a .tex
+                       path writes the LaTeX without compiling
+  --backend <name>     ${Object.keys(COMPILE_BACKENDS).join(
+    ", "
+  )} (default ${DEFAULT_BACKEND})
+  --format <format>    ${SOURCE_FORMATS.join(
+    ", "
+  )} (default from the file extension)
+  --locale <code>      ${Object.keys(LOCALES).join(
+    ", "
+  )}; overrides the file's locale
+  --latex <file>       Also write the generated LaTeX
+  --check              Only validate the source`;
+
+const parseArgs = (argv) => {
+  const options = {
+    source: null,
+    output: null,
+    backend: DEFAULT_BACKEND,
+    format: undefined,
+    locale: undefined,
+    latex: null,
+    check: false,
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const flag = argv[index];
+    const value = () => {
+      const next = argv[++index];
+      if (next === undefined) throw new Error(`${flag} needs a value`);
+      return next;
+    };
+
+    switch (flag) {
+      case "--output":
+        options.output = path.resolve(value());
+        break;
+      case "--backend":
+        options.backend = value();
+        if (!COMPILE_BACKENDS[options.backend]) {
+          throw new Error(`Unknown backend ${options.backend}\n\n${USAGE}`);
+        }
+        break;
+      case "--format":
+        options.format = value();
+        if (!SOURCE_FORMATS.includes(options.format)) {
+          throw new Error(`Unknown format ${options.format}\n\n${USAGE}`);
+        }
+        break;
+      case "--locale":
+        options.locale = value();
+        if (!isSupportedLocale(options.locale)) {
+          throw new Error(`Unsupported locale ${options.locale}\n\n${USAGE}`);
+        }
+        break;
+      case "--latex":
+        options.latex = path.resolve(value());
+        break;
+      case "--check":
+        options.check = true;
+        break;
+      case "--help":
+        console.log(USAGE);
+        process.exit(0);
+        break;
+      default:
+        if (flag.startsWith("--") || options.source) {
+          throw new Error(`Unknown option ${flag}\n\n${USAGE}`);
+        }
+        options.source = path.resolve(flag);
+    }
+  }
+
+  if (!options.source) throw new Error(`No source file given\n\n${USAGE}`);
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const relativeSource = path.relative(process.cwd(), options.source);
+
+  const rendered = renderResumeSource(fs.readFileSync(options.source, "utf8"), {
+    format: options.format,
+    filename: options.source,
+    locale: options.locale,
+  });
+
+  if (!rendered.valid) {
+    // file:line:column, as compilers and editors expect
+    rendered.errors.forEach((error) =>
+      console.error(
+        `${relativeSource}:${error.line}:${error.column}: ${
+          error.path ? `${error.path}: ` : ""
+        }${error.message}`
+      )
+    );
+    console.error(`❌ ${rendered.errors.length} error(s)`);
+    return 1;
+  }
+
+  if (options.check) {
+    console.log(`✅ ${relativeSource} is a valid ${rendered.format} resume`);
+    return 0;
+  }
+
+  const output =
+    options.output ||
+    path.join(
+      path.dirname(options.source),
+      `${path.basename(options.source, path.extname(options.source))}.pdf`
+    );
+
+  if (options.latex) {
+    fs.writeFileSync(options.latex, rendered.latexCode);
+    console.log(`📝 LaTeX written to ${options.latex}`);
+  }
+  if (path.extname(output) === ".tex") {
+    fs.writeFileSync(output, rendered.latexCode);
+    console.log(`📝 LaTeX written to ${output}`);
+    return 0;
+  }
+
+  const result = await compileResume(
+    rendered.latexCode,
+    options.backend,
+    path.basename(output, ".pdf")
+  );
+  if (!result.success) {
+    console.error(`❌ ${options.backend} compilation failed: ${result.error}`);
+    return 1;
+  }
+
+  fs.writeFileSync(output, result.pdfBuffer);
+  console.log(
+    `📄 ${output} (${(result.pdfBuffer.length / 1024).toFixed(1)} KB, ${
+      options.backend
+    })`
+  );
+  return 0;
+};
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  });
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const {
+  DEFAULT_CORPUS_DIR,
+  loadCorpus,
+  createEvaluationService,
+  runEvaluation,
+  compareWithBaseline,
+} = require("../lib/evaluation");
+
+const USAGE = `Usage: npm run eval -- [options]
+
+  --runs <n>                 Runs per case (default 3)
+  --cases <id,id>            Only run these cases
+  --provider <name>          AI provider (default AI_PROVIDER)
+  --template <id@version>    Pin a prompt template version (repeatable)
+  --corpus <dir>             Corpus directory (default evals/corpus)
+  --baseline <file>          Baseline report (default evals/baseline.json)
+  --update-baseline          Save this run as the new baseline
+  --output <file>            Write the full JSON report
+  --variance-tolerance <n>   Allowed std dev increase in points (default 5)
+  --score-tolerance <n>      Mean shift reported as a change (default 10)`;
+
+const parseArgs = (argv) => {
+  const options = {
+    runs: 3,
+    cases: null,
+    provider: undefined,
+    templates: {},
+    corpus: DEFAULT_CORPUS_DIR,
+    baseline: path.join(__dirname, "..", "evals", "baseline.json"),
+    updateBaseline: false,
+    output: null,
+    varianceTolerance: 5,
+    scoreTolerance: 10,
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const flag = argv[index];
+    const value = () => {
+      const next = argv[++index];
+      if (next === undefined) throw new Error(`${flag} needs a value`);
+      return next;
+    };
+
+    switch (flag) {
+      case "--runs":
+        options.runs = Math.max(1, parseInt(value(), 10) || 1);
+        break;
+      case "--cases":
+        options.cases = value().split(",").filter(Boolean);
+        break;
+      case "--provider":
+        options.provider = value();
+        break;
+      case "--template": {
+        const [id, version] = value().split("@");
+        if (!id || !version) {
+          throw new Error("--template expects <id>@<version>");
+        }
+        options.templates[id] = Number(version);
+        break;
+      }
+      case "--corpus":
+        options.corpus = path.resolve(value());
+        break;
+      case "--baseline":
+        options.baseline = path.resolve(value());
+        break;
+      case "--update-baseline":
+        options.updateBaseline = true;
+        break;
+      case "--output":
+        options.output = path.resolve(value());
+        break;
+      case "--variance-tolerance":
+        options.varianceTolerance = Number(value());
+        break;
+      case "--score-tolerance":
+        options.scoreTolerance = Number(value());
+        break;
+      case "--help":
+        console.log(USAGE);
+        process.exit(0);
+        break;
+      default:
+        throw new Error(`Unknown option ${flag}\n\n${USAGE}`);
+    }
+  }
+
+  return options;
+};
+
+const percent = (value) =>
+  value === null ? "n/a" : `${Math.round(value * 100)}%`;
+
+const printReport = (report) => {
+  console.log(
+    `\n📋 ${report.provider}/${report.model}, ${report.runs_per_case} run(s) per case\n`
+  );
+  report.cases.forEach((result) => {
+    const status = result.pass_rate === 1 ? "✅" : "❌";
+    const spread = Object.entries(result.metrics)
+      .map(([name, metric]) => `${name} ${metric.mean}±${metric.std_dev}`)
+      .join(", ");
+    console.log(
+      `${status} ${result.id}: pass ${percent(
+        result.pass_rate
+      )}, schema ${percent(result.schema_validity)}${
+        spread ? `, ${spread}` : ""
+      }`
+    );
+    Object.entries(result.checks)
+      .filter(([, check]) => check.pass_rate < 1)
+      .forEach(([name, check]) =>
+        console.log(
+          `   - ${name} ${percent(check.pass_rate)}: ${check.example_failure}`
+        )
+      );
+    result.errors.forEach((error) =>
+      console.log(
+        `   - run ${error.run} failed: ${error.code} ${error.message}`
+      )
+    );
+  });
+
+  const { summary } = report;
+  console.log(
+    `\n${summary.cases_passed}/${
+      summary.cases
+    } cases passed, schema validity ${percent(
+      summary.schema_validity
+    )}, rule compliance ${percent(summary.rule_compliance)}, average std dev ${
+      summary.average_std_dev
+    }, ${summary.errors} error(s), ${report.usage.inputTokens} input / ${
+      report.usage.outputTokens
+    } output tokens`
+  );
+};
+
+const printComparison = (comparison) => {
+  const describe = (entry) =>
+    `${entry.case ? `${entry.case} ` : ""}${entry.metric}${
+      entry.note ? ` (${entry.note})` : `: ${entry.baseline} → ${entry.current}`
+    }`;
+
+  console.log(
+    `\n📈 Compared with baseline from ${comparison.baseline_created_at}`
+  );
+  comparison.regressions.forEach((entry) =>
+    console.log(`🔻 ${describe(entry)}`)
+  );
+  comparison.improvements.forEach((entry) =>
+    console.log(`🔺 ${describe(entry)}`)
+  );
+  comparison.changes.forEach((entry) => console.log(`🔸 ${describe(entry)}`));
+  if (comparison.regressions.length === 0) {
+    console.log("No regressions");
+  }
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  let corpus = loadCorpus(options.corpus);
+  if (options.cases) {
+    const unknown = options.cases.filter(
+      (id) => !corpus.some((evalCase) => evalCase.id === id)
+    );
+    if (unknown.length > 0) {
+      throw new Error(`Unknown eval case(s): ${unknown.join(", ")}`);
+    }
+    corpus = corpus.filter((evalCase) => options.cases.includes(evalCase.id));
+  }
+
+  const service = createEvaluationService({
+    provider: options.provider,
+    templates: options.templates,
+  });
+  const report = await runEvaluation(service, corpus, {
+    runs: options.runs,
+    onRun: (evalCase, result) =>
+      console.log(
+        `  ${evalCase.id} #${result.run} ${
+          result.error ? `error ${result.error.code}` : "done"
+        } (${result.duration_ms}ms)`
+      ),
+  });
+  printReport(report);
+
+  if (!options.updateBaseline && fs.existsSync(options.baseline)) {
+    const baseline = JSON.parse(fs.readFileSync(options.baseline, "utf8"));
+    report.baseline = compareWithBaseline(report, baseline, {
+      varianceTolerance: options.varianceTolerance,
+      scoreTolerance: options.scoreTolerance,
+    });
+    printComparison(report.baseline);
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(report, null, 2));
+    console.log(`\n📝 Report written to ${options.output}`);
+  }
+  if (options.updateBaseline) {
+    fs.writeFileSync(options.baseline, JSON.stringify(report, null, 2));
+    console.log(`\n💾 Baseline saved to ${options.baseline}`);
+  }
+
+  return report.baseline && report.baseline.regressions.length > 0 ? 1 : 0;
+};
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  });
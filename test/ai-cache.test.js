@@ -0,0 +1,157 @@
+process.env.AI_CACHE_ENABLED = "true";
+
+const { startServer, RESUME_TEXT } = require("./helpers/server");
+const { serviceReturning } = require("./helpers/model");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { AICache, createCacheKey } = require("../lib/ai-cache");
+
+const SUMMARY = {
+  summary: "Backend engineer",
+  explanation: "",
+  keywords: ["Node.js"],
+  metrics_highlighted: [],
+  improvement_tips: [],
+};
+
+const KEY_INPUT = {
+  generator: "analyzeResume",
+  resumeText: "Jane Doe\nEngineer",
+  jobDescription: "Backend role",
+  options: { generators: ["summary"], locale: "en" },
+  promptVersion: "1",
+  model: "fixture/fixture-v1",
+};
+
+test("keys on normalized content, options, prompt and model", () => {
+  const key = createCacheKey(KEY_INPUT);
+
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(
+    createCacheKey({
+      ...KEY_INPUT,
+      resumeText: "  Jane Doe \r\n\r\n\r\nEngineer\t",
+      options: { locale: "en", generators: ["summary"] },
+    }),
+    createCacheKey({ ...KEY_INPUT, resumeText: "Jane Doe\n\nEngineer" })
+  );
+  for (const change of [
+    { resumeText: "Jane Doe\nManager" },
+    { jobDescription: null },
+    { options: { generators: ["summary"], locale: "de" } },
+    { promptVersion: "2" },
+    { model: "gemini/gemini-2.0-flash" },
+    { piiRedaction: true },
+  ]) {
+    assert.notEqual(createCacheKey({ ...KEY_INPUT, ...change }), key);
+  }
+});
+
+test("evicts the least recently used entry and expires old ones", () => {
+  const cache = new AICache({ maxEntries: 2, ttlMs: 1000 });
+  cache.set("a", { n: 1 });
+  cache.set("b", { n: 2 });
+  cache.get("a");
+  cache.set("c", { n: 3 });
+
+  assert.equal(cache.get("b"), undefined);
+  assert.deepEqual(cache.get("a"), { n: 1 });
+
+  cache.entries.get("c").expiresAt = Date.now() - 1;
+  assert.equal(cache.get("c"), undefined);
+
+  assert.deepEqual(
+    (({ hits, misses, evictions, expired }) => ({
+      hits,
+      misses,
+      evictions,
+      expired,
+    }))(cache.getStats()),
+    { hits: 2, misses: 2, evictions: 1, expired: 1 }
+  );
+});
+
+test("hands out copies so callers cannot change cached results", () => {
+  const cache = new AICache();
+  const value = { keywords: ["Go"] };
+  cache.set("key", value);
+  value.keywords.push("Rust");
+
+  cache.get("key").keywords.push("Java");
+
+  assert.deepEqual(cache.get("key"), { keywords: ["Go"] });
+});
+
+test("does nothing when disabled", () => {
+  const cache = new AICache({ enabled: false });
+
+  assert.deepEqual(cache.set("key", { n: 1 }), { n: 1 });
+  assert.equal(cache.get("key"), undefined);
+  assert.equal(cache.getStats().misses, 0);
+});
+
+test("persists entries to disk and loads unexpired ones", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-cache-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const persistPath = path.join(dir, "cache.json");
+
+  const cache = new AICache({ persistPath });
+  cache.set("fresh", { n: 1 });
+  cache.set("stale", { n: 2 });
+  cache.entries.get("stale").expiresAt = Date.now() - 1;
+  clearTimeout(cache.persistTimer);
+  cache.persist();
+
+  const reloaded = new AICache({ persistPath });
+  assert.deepEqual(Array.from(reloaded.entries.keys()), ["fresh"]);
+  assert.deepEqual(reloaded.get("fresh"), { n: 1 });
+
+  fs.writeFileSync(persistPath, "{not json");
+  assert.equal(new AICache({ persistPath }).entries.size, 0);
+});
+
+test("generators answer repeated requests from the cache", async () => {
+  const { service, calls } = serviceReturning(SUMMARY);
+  service.cache = new AICache();
+
+  const first = await service.generateSummary(RESUME_TEXT, "Staff Engineer");
+  const again = await service.generateSummary(
+    `  ${RESUME_TEXT.replace(/\n/g, "\r\n")}  `,
+    "Staff Engineer"
+  );
+  assert.equal(calls.count, 1);
+  assert.equal(again.summary, first.summary);
+
+  await service.generateSummary(RESUME_TEXT, "Engineering Manager");
+  assert.equal(calls.count, 2);
+});
+
+test.describe("AI cache stats endpoint", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  test("reports hits after a repeated analysis", async () => {
+    for (let i = 0; i < 2; i++) {
+      const { status } = await server.request("POST", "/api/generate-summary", {
+        body: { resumeText: RESUME_TEXT, targetRole: "Cache Test Engineer" },
+      });
+      assert.equal(status, 200);
+    }
+
+    const { status, body } = await server.request(
+      "GET",
+      "/api/pdf-service-info"
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.data.aiCache.enabled, true);
+    assert.ok(body.data.aiCache.hits >= 1);
+    assert.ok(body.data.aiCache.size >= 1);
+  });
+});
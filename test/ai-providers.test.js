@@ -0,0 +1,248 @@
+const { startServer, RESUME_TEXT } = require("./helpers/server");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { once } = require("node:events");
+const { getAIConfig, validateProviderConfig } = require("../config/ai");
+const {
+  FixtureLanguageModel,
+  ProviderRegistry,
+} = require("../lib/ai-providers");
+const { AIService } = require("../lib/ai-service");
+
+const SUMMARY = {
+  summary: "Backend engineer building payment APIs in Node.js and Go.",
+  explanation: "Leads with the strongest match",
+  keywords: ["Node.js", "Go"],
+  metrics_highlighted: ["40%"],
+  improvement_tips: [],
+};
+
+/**
+ * AI config on the fixture provider with `providers` settings merged in
+ */
+const configWith = (overrides = {}, providers = {}) => {
+  const config = getAIConfig();
+  return {
+    ...config,
+    defaultProvider: "fixture",
+    allowRequestOverride: false,
+    ...overrides,
+    providers: Object.fromEntries(
+      Object.entries(config.providers).map(([name, settings]) => [
+        name,
+        { ...settings, ...providers[name] },
+      ])
+    ),
+  };
+};
+
+/**
+ * Local stand-in for an OpenAI-compatible chat completions server (the
+ * llama.cpp/Ollama case) that answers every request with SUMMARY
+ */
+async function startChatCompletionsServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      requests.push({ url: req.url, body: JSON.parse(raw) });
+      res.setHeader("Content-Type", "application/json");
+      res.end(
+        JSON.stringify({
+          id: "chatcmpl-1",
+          object: "chat.completion",
+          created: 0,
+          model: "llama-3.1-8b",
+          choices: [
+            {
+              index: 0,
+              message: { role: "assistant", content: JSON.stringify(SUMMARY) },
+              finish_reason: "stop",
+            },
+          ],
+          usage: {
+            prompt_tokens: 120,
+            completion_tokens: 40,
+            total_tokens: 160,
+          },
+        })
+      );
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  return {
+    baseURL: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test("reports missing provider settings", () => {
+  const config = configWith(
+    {},
+    {
+      gemini: { apiKey: undefined },
+      "openai-compatible": { baseURL: undefined, model: undefined },
+    }
+  );
+
+  assert.deepEqual(validateProviderConfig("fixture", config), []);
+  assert.match(
+    validateProviderConfig("gemini", config).join(),
+    /GOOGLE_GENERATIVE_AI_API_KEY/
+  );
+  assert.equal(validateProviderConfig("openai-compatible", config).length, 2);
+  assert.match(
+    validateProviderConfig("claude", config)[0],
+    /Unknown AI provider/
+  );
+});
+
+test("creates models lazily and reuses them", () => {
+  const registry = new ProviderRegistry(
+    configWith({}, { gemini: { apiKey: undefined } })
+  );
+
+  const model = registry.getModel();
+  assert.ok(model instanceof FixtureLanguageModel);
+  assert.equal(registry.getModel("fixture"), model);
+  assert.throws(
+    () => registry.getModel("gemini"),
+    /AI provider "gemini" is not configured/
+  );
+
+  const listed = registry.listProviders();
+  assert.deepEqual(
+    listed.find((provider) => provider.name === "fixture"),
+    { name: "fixture", model: "fixture-v1", configured: true, default: true }
+  );
+  assert.equal(
+    listed.find((provider) => provider.name === "gemini").configured,
+    false
+  );
+});
+
+test("allows per-request providers only when enabled and configured", () => {
+  const providers = {
+    "openai-compatible": {
+      baseURL: "http://127.0.0.1:8080/v1",
+      model: "llama-3.1-8b",
+    },
+    gemini: { apiKey: undefined },
+  };
+  const locked = new ProviderRegistry(configWith({}, providers));
+  const open = new ProviderRegistry(
+    configWith({ allowRequestOverride: true }, providers)
+  );
+
+  assert.equal(locked.canUseForRequest("fixture"), true);
+  assert.equal(locked.canUseForRequest("openai-compatible"), false);
+  assert.equal(open.canUseForRequest("openai-compatible"), true);
+  assert.equal(open.canUseForRequest("gemini"), false);
+  assert.equal(open.canUseForRequest("claude"), false);
+});
+
+test("runs generators against an OpenAI-compatible endpoint", async (t) => {
+  const endpoint = await startChatCompletionsServer();
+  t.after(() => endpoint.close());
+  const registry = new ProviderRegistry(
+    configWith(
+      { defaultProvider: "openai-compatible" },
+      {
+        "openai-compatible": {
+          baseURL: endpoint.baseURL,
+          model: "llama-3.1-8b",
+        },
+      }
+    )
+  );
+  const service = new AIService({ providers: registry });
+
+  const result = await service.generateSummary(RESUME_TEXT, "Backend Engineer");
+
+  assert.equal(service.providerName, "openai-compatible");
+  assert.equal(result.summary, SUMMARY.summary);
+  assert.equal(endpoint.requests.length, 1);
+  assert.equal(endpoint.requests[0].url, "/v1/chat/completions");
+  assert.equal(endpoint.requests[0].body.model, "llama-3.1-8b");
+});
+
+test("request contexts switch the model to another provider", () => {
+  const registry = new ProviderRegistry(
+    configWith(
+      { allowRequestOverride: true },
+      {
+        "openai-compatible": {
+          baseURL: "http://127.0.0.1:8080/v1",
+          model: "m",
+        },
+      }
+    )
+  );
+  const service = new AIService({ providers: registry });
+
+  const scoped = service.withContext({ provider: "openai-compatible" });
+
+  assert.equal(scoped.providerName, "openai-compatible");
+  assert.equal(scoped.model.modelId, "m");
+  assert.equal(service.providerName, "fixture");
+  assert.ok(service.model instanceof FixtureLanguageModel);
+});
+
+test("refuses to build a service for an unconfigured provider", () => {
+  const registry = new ProviderRegistry(
+    configWith({ defaultProvider: "replay" }, { replay: { file: undefined } })
+  );
+
+  assert.throws(
+    () => new AIService({ providers: registry }),
+    /AI_REPLAY_FILE environment variable is not set/
+  );
+});
+
+test.describe("provider selection over HTTP", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  const summarize = (headers, query = "") =>
+    server.request("POST", `/api/generate-summary${query}`, {
+      headers,
+      body: { resumeText: RESUME_TEXT },
+    });
+
+  test("health lists the providers and the default", async () => {
+    const { status, body } = await server.request("GET", "/api/health");
+
+    assert.equal(status, 200);
+    assert.equal(body.ai_provider, "fixture");
+    assert.deepEqual(
+      body.ai_providers.map((provider) => provider.name),
+      ["gemini", "openai-compatible", "fixture", "replay"]
+    );
+  });
+
+  test("accepts the default provider by header or query", async () => {
+    assert.equal((await summarize({ "X-AI-Provider": "Fixture" })).status, 200);
+    assert.equal((await summarize({}, "?provider=fixture")).status, 200);
+  });
+
+  test("rejects providers that are not enabled for requests", async () => {
+    for (const [headers, query] of [
+      [{ "X-AI-Provider": "gemini" }, ""],
+      [{}, "?provider=openai-compatible"],
+      [{ "X-AI-Provider": "claude" }, ""],
+    ]) {
+      const { status, body } = await summarize(headers, query);
+
+      assert.equal(status, 400);
+      assert.equal(body.error, "AI provider not available");
+    }
+  });
+});
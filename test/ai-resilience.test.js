@@ -0,0 +1,181 @@
+const { startServer, RESUME_TEXT } = require("./helpers/server");
+const { objectResponse, serviceWithModel } = require("./helpers/model");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { APICallError } = require("ai");
+const { CircuitBreaker, getCircuitBreaker } = require("../lib/ai-resilience");
+
+const SUMMARY = {
+  summary: "Backend engineer with eight years of Node.js experience.",
+  explanation: "Leads with experience",
+  keywords: ["Node.js"],
+  metrics_highlighted: [],
+  improvement_tips: [],
+};
+
+const rateLimited = () =>
+  new APICallError({
+    message: "Too many requests",
+    url: "https://provider.example/v1",
+    requestBodyValues: {},
+    statusCode: 429,
+  });
+
+const generateSummary = (service) =>
+  service.generateSummary(RESUME_TEXT, "Senior Backend Engineer");
+
+// The fixture provider's breaker is shared by every service in the process
+const fixtureBreaker = getCircuitBreaker("fixture");
+test.afterEach(() => fixtureBreaker.recordSuccess());
+
+test("opens after repeated failures and closes after a successful trial", () => {
+  const breaker = new CircuitBreaker("test", {
+    failureThreshold: 2,
+    cooldownMs: 1000,
+  });
+
+  breaker.recordFailure();
+  breaker.assertCallAllowed();
+  breaker.recordFailure();
+  assert.equal(breaker.getStatus().state, "open");
+  assert.throws(() => breaker.assertCallAllowed(), {
+    code: "PROVIDER_UNAVAILABLE",
+  });
+
+  breaker.openedAt -= 1000;
+  breaker.assertCallAllowed();
+  assert.equal(breaker.state, "half-open");
+  // Only one trial runs at a time
+  assert.throws(() => breaker.assertCallAllowed(), {
+    code: "PROVIDER_UNAVAILABLE",
+  });
+
+  breaker.recordSuccess();
+  assert.deepEqual(breaker.getStatus(), {
+    state: "closed",
+    failures: 0,
+    openedAt: null,
+  });
+});
+
+test("a failed trial reopens the circuit", () => {
+  const breaker = new CircuitBreaker("test", {
+    failureThreshold: 1,
+    cooldownMs: 1000,
+  });
+  breaker.recordFailure();
+  breaker.openedAt -= 1000;
+  breaker.assertCallAllowed();
+
+  breaker.recordFailure();
+
+  assert.equal(breaker.state, "open");
+  assert.throws(() => breaker.assertCallAllowed());
+});
+
+test("unrecognized model errors count toward opening the circuit", async () => {
+  const calls = { count: 0 };
+  const service = serviceWithModel(async () => {
+    calls.count++;
+    throw new TypeError("Cannot read properties of undefined");
+  });
+
+  for (let i = 0; i < fixtureBreaker.failureThreshold; i++) {
+    await assert.rejects(generateSummary(service), /Cannot read properties/);
+  }
+  assert.equal(fixtureBreaker.getStatus().state, "open");
+
+  await assert.rejects(generateSummary(service), {
+    code: "PROVIDER_UNAVAILABLE",
+  });
+  assert.equal(calls.count, fixtureBreaker.failureThreshold);
+});
+
+test("an unrecognized error does not reset earlier provider failures", async () => {
+  const failures = [
+    rateLimited(),
+    new TypeError("Cannot read properties of undefined"),
+  ];
+  const service = serviceWithModel(async () => {
+    throw failures.shift();
+  });
+
+  await assert.rejects(generateSummary(service), { code: "RATE_LIMITED" });
+  await assert.rejects(generateSummary(service), /Cannot read properties/);
+
+  assert.equal(fixtureBreaker.getStatus().failures, 2);
+});
+
+test("retries retryable provider errors and then succeeds", async () => {
+  const calls = { count: 0 };
+  const service = serviceWithModel(async () => {
+    calls.count++;
+    if (calls.count < 3) throw rateLimited();
+    return objectResponse(SUMMARY);
+  });
+  service.resilience = {
+    ...service.resilience,
+    maxAttempts: 3,
+    baseDelayMs: 1,
+  };
+
+  const result = await generateSummary(service);
+
+  assert.equal(calls.count, 3);
+  assert.equal(result.summary, SUMMARY.summary);
+  assert.equal(fixtureBreaker.getStatus().failures, 0);
+});
+
+test("gives up with a typed error after the last attempt", async () => {
+  const calls = { count: 0 };
+  const service = serviceWithModel(async () => {
+    calls.count++;
+    throw rateLimited();
+  });
+  service.resilience = {
+    ...service.resilience,
+    maxAttempts: 2,
+    baseDelayMs: 1,
+  };
+
+  await assert.rejects(generateSummary(service), (error) => {
+    assert.equal(error.code, "RATE_LIMITED");
+    assert.equal(error.status, 429);
+    assert.equal(error.provider, "fixture");
+    return true;
+  });
+  assert.equal(calls.count, 2);
+});
+
+test.describe("endpoints while the provider circuit is open", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  test("answers 503 with a retry hint", async () => {
+    for (let i = 0; i < fixtureBreaker.failureThreshold; i++) {
+      fixtureBreaker.recordFailure();
+    }
+
+    const { status, headers, body } = await server.request(
+      "POST",
+      "/api/generate-summary",
+      { body: { resumeText: RESUME_TEXT } }
+    );
+
+    assert.equal(status, 503);
+    assert.equal(body.code, "PROVIDER_UNAVAILABLE");
+    assert.equal(body.retryable, false);
+    assert.ok(Number(headers.get("retry-after")) > 0);
+  });
+
+  test("recovers once the circuit closes", async () => {
+    const { status } = await server.request("POST", "/api/generate-summary", {
+      body: { resumeText: RESUME_TEXT },
+    });
+
+    assert.equal(status, 200);
+  });
+});
@@ -0,0 +1,69 @@
+const { serviceReturning } = require("./helpers/model");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { AIServiceError } = require("../lib/ai-errors");
+
+const BULLET = "Built an internal dashboard for the support team";
+
+const rewrite = (style) => ({
+  style,
+  text: `Built a ${style} dashboard that cut support ticket triage time`,
+  explanation: `Rewritten in the ${style} style`,
+});
+
+test("returns one rewrite per requested style", async () => {
+  const { service } = serviceReturning({
+    rewrites: ["star", "metric_first", "concise"].map(rewrite),
+    original_issues: [],
+  });
+
+  const result = await service.rewriteBullet(BULLET, { count: 3 });
+  assert.deepEqual(result.rewrites.map((item) => item.style).sort(), [
+    "concise",
+    "metric_first",
+    "star",
+  ]);
+});
+
+test("asks again when styles repeat, then accepts a complete answer", async () => {
+  const { service, calls } = serviceReturning(
+    {
+      rewrites: ["star", "star", "star"].map(rewrite),
+      original_issues: [],
+    },
+    {
+      rewrites: ["star", "metric_first", "concise"].map(rewrite),
+      original_issues: [],
+    }
+  );
+
+  const result = await service.rewriteBullet(BULLET, { count: 3 });
+  assert.equal(calls.count, 2);
+  assert.equal(result.rewrites.length, 3);
+});
+
+test("raises a typed error when styles are still missing", async () => {
+  const { service } = serviceReturning({
+    rewrites: ["star", "star", "concise"].map(rewrite),
+    original_issues: [],
+  });
+
+  await assert.rejects(service.rewriteBullet(BULLET, { count: 3 }), (error) => {
+    assert.ok(error instanceof AIServiceError);
+    assert.equal(error.code, "SCHEMA_MISMATCH");
+    assert.match(error.message, /metric_first/);
+    return true;
+  });
+});
+
+test("rejects fewer rewrites than the schema minimum", async () => {
+  const { service } = serviceReturning({
+    rewrites: [rewrite("star")],
+    original_issues: [],
+  });
+
+  await assert.rejects(
+    service.rewriteBullet(BULLET, { count: 3 }),
+    (error) => error instanceof AIServiceError
+  );
+});
@@ -0,0 +1,135 @@
+const { startServer } = require("./helpers/server");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const LaTeXCoverLetterGenerator = require("../lib/cover-letter-generator");
+
+const RESUME_DATA = {
+  personal: {
+    name: "Jane Doe",
+    email: "jane.doe@example.com",
+    phone: "+1 555 010 2030",
+    location: "Berlin, Germany",
+  },
+};
+
+const COVER_LETTER = {
+  greeting: "Dear Ms. Lumbergh,",
+  introduction: "I am applying for the Senior Backend Engineer role.",
+  body_paragraph_1:
+    "At Acme Payments I cut checkout latency by 40%.\n\nI also led 5 engineers.",
+  body_paragraph_2: "I would bring the same focus to Initech & its APIs.",
+  closing: "Thank you for your time.",
+  signature: "Kind regards,",
+};
+
+// The `resume` of /api/parse-resume
+const PARSED_RESUME = {
+  contact: RESUME_DATA.personal,
+  summary: "",
+  skills: {},
+  experience: [],
+  education: [],
+  projects: [],
+  certifications: [],
+  awards: [],
+  publications: [],
+  languages: [],
+};
+
+const YAML_SOURCE = `contact:
+  name: Jane Doe
+  email: jane.doe@example.com
+`;
+
+test("typesets the letter under the resume's header", () => {
+  const latex = new LaTeXCoverLetterGenerator().generateLetter(
+    RESUME_DATA,
+    COVER_LETTER,
+    {
+      hiringManager: "Bill Lumbergh",
+      companyName: "Initech",
+      recipientAddress: "[Remote]\n4120 Freidrich Lane",
+    }
+  );
+
+  assert.doesNotMatch(latex, /{{\w+}}/);
+  assert.match(latex, /Jane Doe/);
+  assert.match(latex, /mailto:jane\.doe@example\.com/);
+  assert.match(latex, /\\today/);
+  assert.ok(
+    latex.includes(
+      "Bill Lumbergh \\\\{}\nInitech \\\\{}\n[Remote] \\\\{}\n4120 Freidrich Lane"
+    )
+  );
+  // Blank lines in a section start a new paragraph
+  assert.ok(latex.includes("latency by 40\\%.\n\nI also led 5 engineers."));
+  assert.ok(latex.includes("Initech \\& its APIs"));
+  assert.ok(latex.includes("Thank you for your time."));
+  assert.ok(latex.includes("Kind regards, \\\\{}\nJane Doe"));
+});
+
+test("prints a given date and the letter's language", () => {
+  const latex = new LaTeXCoverLetterGenerator().generateLetter(
+    RESUME_DATA,
+    { ...COVER_LETTER, signature: "Mit freundlichen Grüßen,\nJane Doe" },
+    { locale: "de", date: "5. Mai 2026" }
+  );
+
+  assert.match(latex, /ngerman/);
+  assert.match(latex, /5\. Mai 2026/);
+  assert.doesNotMatch(latex, /\\today/);
+  // The name is not repeated when the signature already has it
+  assert.equal(latex.match(/Jane Doe/g).length, 2);
+});
+
+test.describe("POST /api/cover-letter/pdf", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  const build = (body, query = "output=latex") =>
+    server.request("POST", `/api/cover-letter/pdf?${query}`, { body });
+
+  test("returns the letter LaTeX for each way of sending the resume", async () => {
+    for (const resume of [
+      { resumeData: RESUME_DATA },
+      { parsedResume: PARSED_RESUME },
+      { source: YAML_SOURCE },
+    ]) {
+      const { status, body } = await build({
+        coverLetter: COVER_LETTER,
+        companyName: "Initech",
+        ...resume,
+      });
+
+      assert.equal(status, 200, Object.keys(resume)[0]);
+      assert.equal(body.locale.code, "en");
+      assert.equal(body.resumeData.personal.name, "Jane Doe");
+      assert.match(body.latexCode, /\\documentclass/);
+      assert.match(body.latexCode, /Initech/);
+    }
+  });
+
+  test("rejects invalid letters, resumes and options", async () => {
+    const valid = { coverLetter: COVER_LETTER, resumeData: RESUME_DATA };
+    const unsigned = { ...COVER_LETTER, signature: undefined };
+
+    for (const [body, query] of [
+      [valid, "backend=pdfkit"],
+      [{ resumeData: RESUME_DATA }],
+      [{ ...valid, coverLetter: unsigned }],
+      [{ coverLetter: COVER_LETTER }],
+      [{ coverLetter: COVER_LETTER, source: "contact:\n  email: jane\n" }],
+      [{ ...valid, companyName: "x".repeat(101) }],
+      [{ ...valid, recipientAddress: ["Initech", "x".repeat(501)] }],
+      [{ ...valid, date: 20260505 }],
+      [{ ...valid, locale: "xx" }],
+    ]) {
+      const { status } = await build(body, query);
+
+      assert.equal(status, 400, `${query || ""} ${JSON.stringify(body)}`);
+    }
+  });
+});
@@ -0,0 +1,213 @@
+const {
+  startServer,
+  RESUME_TEXT,
+  JOB_DESCRIPTION,
+} = require("./helpers/server");
+const { serviceReturning } = require("./helpers/model");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { AIServiceError } = require("../lib/ai-errors");
+
+const SESSION = { "X-Session-Id": "cover-letter-tests" };
+
+const letter = (opening) => ({
+  cover_letter: {
+    greeting: "Dear Hiring Manager,",
+    introduction: `${opening} I am applying for the Senior Backend Engineer role.`,
+    body_paragraph_1: "At Acme Payments I cut checkout latency by 40%.",
+    body_paragraph_2: "I led five engineers through a Kubernetes migration.",
+    closing: "I would welcome the chance to talk.",
+    signature: "Jane Doe",
+  },
+  full_letter: "",
+  personalization_elements: [],
+  key_strengths_highlighted: [],
+  word_count: 0,
+  tone_analysis: "Formal",
+  improvement_suggestions: [],
+  angle: opening,
+});
+
+const generateVariants = (service, variants) =>
+  service.generateCoverLetter(RESUME_TEXT, JOB_DESCRIPTION, "Initech", {
+    variants,
+  });
+
+test("returns the requested number of distinct variants", async () => {
+  const { service } = serviceReturning({
+    variants: ["Impact:", "Leadership:", "Growth:"].map(letter),
+  });
+
+  const { variants } = await generateVariants(service, 3);
+
+  assert.equal(variants.length, 3);
+  assert.equal(new Set(variants.map((item) => item.full_letter)).size, 3);
+});
+
+test("asks again when variants repeat, then accepts distinct ones", async () => {
+  const { service, calls } = serviceReturning(
+    { variants: ["Impact:", "Impact:"].map(letter) },
+    { variants: ["Impact:", "Growth:"].map(letter) }
+  );
+
+  const { variants } = await generateVariants(service, 2);
+
+  assert.equal(calls.count, 2);
+  assert.deepEqual(
+    variants.map((item) => item.angle),
+    ["Impact:", "Growth:"]
+  );
+});
+
+test("raises a typed error when variants are still repeated", async () => {
+  const { service, calls } = serviceReturning({
+    variants: ["Impact:", "Impact:", "Impact:"].map(letter),
+  });
+
+  await assert.rejects(generateVariants(service, 3), (error) => {
+    assert.ok(error instanceof AIServiceError);
+    assert.equal(error.code, "SCHEMA_MISMATCH");
+    assert.match(error.message, /1 distinct cover letter variant instead of 3/);
+    return true;
+  });
+  assert.equal(calls.count, 2);
+});
+
+test("rejects fewer variants than requested", async () => {
+  const { service } = serviceReturning({
+    variants: ["Impact:"].map(letter),
+  });
+
+  await assert.rejects(generateVariants(service, 3), (error) => {
+    assert.equal(error.code, "SCHEMA_MISMATCH");
+    return true;
+  });
+});
+
+test.describe("cover letter endpoints", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  const generate = (options) =>
+    server.request("POST", "/api/generate-cover-letter", {
+      headers: SESSION,
+      body: {
+        resumeText: RESUME_TEXT,
+        jobDescription: JOB_DESCRIPTION,
+        companyName: "Initech",
+        ...options,
+      },
+    });
+
+  test("rejects unsupported tone, length and variant options", async () => {
+    for (const options of [
+      { tone: "sarcastic" },
+      { length: "epic" },
+      { length: 50 },
+      { variants: 4 },
+      { variants: 0 },
+      { hiringManager: 42 },
+      { companyContext: { mission: 42 } },
+      { companyContext: { mission: "Payments" }, companyName: undefined },
+    ]) {
+      const { status } = await generate({
+        ...options,
+        ...(options.companyContext ? { saveCompanyContext: true } : {}),
+      });
+
+      assert.equal(status, 400, JSON.stringify(options));
+    }
+  });
+
+  test("generates the requested number of variants", async () => {
+    const { status, body } = await generate({ variants: 2, tone: "warm" });
+
+    assert.equal(status, 200);
+    assert.equal(body.variants.length, 2);
+    assert.equal(body.options.tone, "warm");
+  });
+
+  test("saves, reuses and deletes a company context", async () => {
+    const saved = await server.request("PUT", "/api/company-contexts/Initech", {
+      headers: SESSION,
+      body: { mission: "Make payments boring" },
+    });
+    assert.equal(saved.status, 200);
+
+    const { body } = await generate({});
+    assert.equal(body.options.company_context, "saved");
+
+    const listed = await server.request("GET", "/api/company-contexts", {
+      headers: SESSION,
+    });
+    assert.equal(listed.body.contexts.length, 1);
+
+    const deleted = await server.request(
+      "DELETE",
+      "/api/company-contexts/Initech",
+      { headers: SESSION }
+    );
+    assert.equal(deleted.status, 200);
+
+    const missing = await server.request(
+      "GET",
+      "/api/company-contexts/Initech",
+      { headers: SESSION }
+    );
+    assert.equal(missing.status, 404);
+  });
+
+  test("rejects an invalid company context", async () => {
+    const { status, body } = await server.request(
+      "PUT",
+      "/api/company-contexts/Initech",
+      { headers: SESSION, body: { mission: 42 } }
+    );
+
+    assert.equal(status, 400);
+    assert.ok(body.validation_errors.length > 0);
+  });
+
+  test("regenerates one paragraph and keeps the others", async () => {
+    const { cover_letter: coverLetter } = letter("Impact:");
+    const { status, body } = await server.request(
+      "POST",
+      "/api/cover-letter/regenerate-paragraph",
+      {
+        headers: SESSION,
+        body: {
+          resumeText: RESUME_TEXT,
+          jobDescription: JOB_DESCRIPTION,
+          coverLetter,
+          section: "body_paragraph_1",
+        },
+      }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.cover_letter.introduction, coverLetter.introduction);
+  });
+
+  test("rejects regenerating an unknown or missing section", async () => {
+    const { cover_letter: coverLetter } = letter("Impact:");
+    for (const section of [
+      "greeting",
+      "body_paragraph_9",
+      "body_paragraph_3",
+    ]) {
+      const { status } = await server.request(
+        "POST",
+        "/api/cover-letter/regenerate-paragraph",
+        {
+          headers: SESSION,
+          body: { resumeText: RESUME_TEXT, coverLetter, section },
+        }
+      );
+
+      assert.equal(status, 400, section);
+    }
+  });
+});
@@ -0,0 +1,263 @@
+const { RESUME_TEXT } = require("./helpers/server");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  loadCorpus,
+  createEvaluationService,
+  checkExpectations,
+  runEvaluation,
+  compareWithBaseline,
+} = require("../lib/evaluation");
+const {
+  FixtureLanguageModel,
+  ReplayLanguageModel,
+} = require("../lib/ai-providers");
+const { getCircuitBreaker } = require("../lib/ai-resilience");
+
+const tmpDir = (t, prefix) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const SUMMARY_CASE = {
+  id: "summary-engineer",
+  type: "summary",
+  description: "",
+  expect: { word_count: { min: 1 } },
+  input: { resume: RESUME_TEXT, targetRole: "Staff Engineer" },
+};
+
+const passed = (checks) =>
+  Object.fromEntries(
+    Object.entries(checks).map(([name, check]) => [name, check.passed])
+  );
+
+test("loads the bundled corpus with its resumes and job descriptions", () => {
+  const corpus = loadCorpus();
+
+  assert.ok(corpus.length > 0);
+  assert.equal(new Set(corpus.map((c) => c.id)).size, corpus.length);
+  for (const evalCase of corpus) {
+    assert.ok(evalCase.input.resume.length > 50, evalCase.id);
+  }
+  const jdMatch = corpus.find((c) => c.id === "jd-match-backend-ordering");
+  assert.deepEqual(
+    jdMatch.input.jobDescriptions.map(({ id, label }) => [id, label]),
+    [
+      ["backend", "backend"],
+      ["frontend", "frontend"],
+      ["data", "data"],
+    ]
+  );
+  assert.ok(jdMatch.input.jobDescriptions.every((jd) => jd.text.length > 0));
+});
+
+test("rejects corpora with unknown case types or duplicate ids", (t) => {
+  for (const [cases, message] of [
+    [[{ id: "a", type: "poem", resume: "r.txt" }], /unknown type "poem"/],
+    [
+      [
+        { id: "a", type: "summary", resume: "r.txt" },
+        { id: "a", type: "summary", resume: "r.txt" },
+      ],
+      /Duplicate eval case id a/,
+    ],
+  ]) {
+    const dir = tmpDir(t, "eval-corpus-");
+    fs.writeFileSync(path.join(dir, "r.txt"), RESUME_TEXT);
+    fs.writeFileSync(path.join(dir, "cases.json"), JSON.stringify({ cases }));
+
+    assert.throws(() => loadCorpus(dir), message);
+  }
+});
+
+test("checks score ranges, sections and mentions outside local metrics", () => {
+  const checks = checkExpectations(
+    "analysis",
+    {
+      score: { min: 60 },
+      section_scores: { "sections.impact": { max: 55 } },
+      must_mention: [["quantif", "metric"], "action verb"],
+      must_not_mention: ["buzzword"],
+    },
+    {
+      overall_score: 50,
+      sections: { impact: { score: 40 } },
+      feedback: ["Add Metrics to each bullet"],
+      local_metrics: { note: "buzzword count" },
+    }
+  );
+
+  assert.deepEqual(passed(checks), {
+    score: false,
+    "section:sections.impact": true,
+    "mentions:quantif": true,
+    "mentions:action verb": false,
+    "avoids:buzzword": true,
+  });
+  assert.equal(checks.score.detail, "score 50, expected >= 60");
+});
+
+test("checks job description ordering and letter length", () => {
+  const comparisons = [
+    { id: "backend", rank: 1, jd_match: { score: 80 } },
+    { id: "frontend", rank: 2, jd_match: { score: 80 } },
+  ];
+
+  assert.deepEqual(
+    passed(
+      checkExpectations(
+        "jd-match",
+        { ranking: ["backend", "frontend"], best_fit: "backend" },
+        { comparisons }
+      )
+    ),
+    { ranking: false, best_fit: true }
+  );
+  assert.deepEqual(
+    passed(
+      checkExpectations(
+        "cover-letter",
+        { word_count: { min: 250, max: 400 } },
+        { full_letter: "Dear hiring manager, thank you." }
+      )
+    ),
+    { word_count: false }
+  );
+});
+
+test("runs cases repeatedly and reports validity, spread and compliance", async () => {
+  const service = createEvaluationService({
+    provider: "fixture",
+    templates: { "resume-analysis": 1 },
+  });
+  const seen = [];
+
+  const report = await runEvaluation(service, [SUMMARY_CASE], {
+    runs: 2,
+    onRun: (evalCase, result) => seen.push([evalCase.id, result.run]),
+  });
+
+  assert.deepEqual(seen, [
+    ["summary-engineer", 1],
+    ["summary-engineer", 2],
+  ]);
+  assert.equal(report.provider, "fixture");
+  assert.equal(report.runs_per_case, 2);
+  assert.equal(report.templates["resume-analysis"], 1);
+  assert.deepEqual(report.summary, {
+    cases: 1,
+    cases_passed: 1,
+    runs: 2,
+    errors: 0,
+    schema_validity: 1,
+    rule_compliance: 1,
+    average_std_dev: 0,
+    max_std_dev: 0,
+  });
+  assert.ok(report.usage.calls >= 2);
+  // Each run starts from an empty history
+  assert.equal(
+    service.withContext({ sessionId: "eval:summary-engineer:2" }).getHistory()
+      .length,
+    0
+  );
+});
+
+test("counts provider failures as errors, not schema failures", async () => {
+  const service = createEvaluationService({ provider: "fixture" });
+  service.model = Object.create(service.model, {
+    doGenerate: {
+      value: async () => {
+        throw new TypeError("Cannot read properties of undefined");
+      },
+    },
+  });
+
+  try {
+    const report = await runEvaluation(service, [SUMMARY_CASE], { runs: 1 });
+
+    const [result] = report.cases;
+    assert.equal(result.errors.length, 1);
+    assert.equal(result.schema_validity, null);
+    assert.equal(result.pass_rate, 0);
+    assert.equal(report.summary.errors, 1);
+  } finally {
+    getCircuitBreaker("fixture").recordSuccess();
+  }
+});
+
+test("flags regressions and lists changes against a baseline", () => {
+  const caseResult = (overrides) => ({
+    id: "analysis-strong",
+    schema_validity: 1,
+    checks: { score: { pass_rate: 1 }, "mentions:metric": { pass_rate: 0.5 } },
+    metrics: { overall_score: { mean: 80, std_dev: 2 } },
+    ...overrides,
+  });
+  const baseline = {
+    created_at: "2026-01-01T00:00:00.000Z",
+    model: "gemini-2.0-flash",
+    templates: { "resume-analysis": 1 },
+    cases: [caseResult()],
+  };
+  const report = {
+    model: "gemini-2.5-flash",
+    templates: { "resume-analysis": 2 },
+    cases: [
+      caseResult({
+        schema_validity: 0.67,
+        checks: {
+          score: { pass_rate: 1 },
+          "mentions:metric": { pass_rate: 1 },
+        },
+        metrics: { overall_score: { mean: 65, std_dev: 9 } },
+      }),
+      caseResult({ id: "analysis-new" }),
+    ],
+  };
+
+  const comparison = compareWithBaseline(report, baseline);
+
+  assert.equal(comparison.baseline_created_at, baseline.created_at);
+  assert.deepEqual(
+    comparison.regressions.map((entry) => entry.metric),
+    ["schema_validity", "std_dev:overall_score"]
+  );
+  assert.deepEqual(
+    comparison.improvements.map((entry) => entry.metric),
+    ["check:mentions:metric"]
+  );
+  assert.deepEqual(
+    comparison.changes.map((entry) => entry.metric),
+    ["mean:overall_score", "case", "template:resume-analysis", "model"]
+  );
+});
+
+test("records model responses and replays them offline", async (t) => {
+  const file = path.join(tmpDir(t, "eval-replay-"), "recording.json");
+  const source = new FixtureLanguageModel("fixture-v1");
+  const recorder = createEvaluationService({ provider: "fixture" });
+  recorder.model = new ReplayLanguageModel(file, { mode: "record", source });
+
+  const recorded = await recorder.generateSummary(RESUME_TEXT, "Engineer");
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.equal(saved.model, "fixture-v1");
+  assert.equal(Object.keys(saved.responses).length, 1);
+
+  const replayer = createEvaluationService({ provider: "fixture" });
+  replayer.model = new ReplayLanguageModel(file);
+  assert.equal(replayer.model.modelId, "replay:fixture-v1");
+
+  const replayed = await replayer.generateSummary(RESUME_TEXT, "Engineer");
+  assert.equal(replayed.summary, recorded.summary);
+
+  await assert.rejects(
+    replayer.model.doGenerate({ prompt: [{ role: "user", content: [] }] }),
+    /No recorded response.*AI_REPLAY_MODE=record/
+  );
+});
@@ -0,0 +1,16 @@
+/**
+ * Test environment shared by the helpers: the offline fixture provider,
+ * with caching (unless a test file turns it on) and retries off. Require
+ * this before anything that reads the AI configuration.
+ */
+
+process.env.AI_PROVIDER = "fixture";
+process.env.AI_CACHE_ENABLED = process.env.AI_CACHE_ENABLED || "false";
+process.env.AI_RETRY_MAX_ATTEMPTS = "1";
+
+// node --test reads its reports from the test process's stdout. Node 20's
+// runner misreads a log line that lands in the same read as a report and
+// starts with certain multi-byte characters (most of the app's emoji), so
+// app logs go to stderr instead
+console.log = console.error;
+console.info = console.error;
@@ -0,0 +1,62 @@
+/**
+ * AIService instances on the offline fixture provider with a scripted
+ * model. The shared fixture model is left untouched, so an app started by
+ * helpers/server.js in the same test file keeps answering from the schema.
+ */
+
+require("./env");
+
+const { AIService } = require("../../lib/ai-service");
+
+/**
+ * Model result carrying `object` as its JSON text
+ */
+const objectResponse = (object) => ({
+  content: [{ type: "text", text: JSON.stringify(object) }],
+  finishReason: "stop",
+  usage: { inputTokens: 10, outputTokens: 10, totalTokens: 20 },
+  warnings: [],
+});
+
+/**
+ * AIService whose model calls go to `doGenerate(options)`
+ */
+const serviceWithModel = (doGenerate) => {
+  const service = new AIService({ provider: "fixture" });
+  service.model = Object.create(service.model, {
+    doGenerate: { value: doGenerate },
+  });
+  return service;
+};
+
+/**
+ * AIService whose streaming model calls go to `doStream(options)`
+ */
+const serviceWithStream = (doStream) => {
+  const service = new AIService({ provider: "fixture" });
+  service.model = Object.create(service.model, {
+    doStream: { value: doStream },
+  });
+  return service;
+};
+
+/**
+ * AIService whose model answers with `responses` in turn; returns the
+ * service and the number of model calls made
+ */
+const serviceReturning = (...responses) => {
+  const calls = { count: 0 };
+  const service = serviceWithModel(async () => {
+    const object = responses[Math.min(calls.count, responses.length - 1)];
+    calls.count++;
+    return objectResponse(object);
+  });
+  return { service, calls };
+};
+
+module.exports = {
+  objectResponse,
+  serviceWithModel,
+  serviceWithStream,
+  serviceReturning,
+};
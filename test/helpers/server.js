@@ -0,0 +1,70 @@
+/**
+ * The app on an ephemeral port, answering model calls with the offline
+ * fixture provider, and a small client for it. Require this before
+ * anything that reads the AI configuration.
+ */
+
+require("./env");
+
+const { once } = require("node:events");
+
+// A resume long enough for every endpoint's minimum length check
+const RESUME_TEXT = `Jane Doe
+jane.doe@example.com | +1 555 010 2030 | Berlin, Germany
+
+Summary
+Backend engineer with eight years of experience building payment APIs in Node.js and Go.
+
+Experience
+Senior Software Engineer, Acme Payments, 2019 - Present
+- Cut checkout latency by 40% by moving fraud checks to an async queue
+- Led a team of 5 engineers migrating 12 services to Kubernetes
+
+Software Engineer, Globex, 2016 - 2019
+- Built a reporting service in Node.js processing 2M events per day
+
+Skills
+Node.js, Go, PostgreSQL, Redis, Docker, Kubernetes, AWS`;
+
+const JOB_DESCRIPTION = `Senior Backend Engineer at Initech. You will design and operate payment APIs in Node.js and Go, run services on Kubernetes and AWS, and mentor engineers. Requirements: 5+ years of backend experience, PostgreSQL, Redis, distributed systems.`;
+
+/**
+ * Start the app. Returns { request, close }: `request(method, path,
+ * { body, form, headers })` sends `body` as JSON or `form` (a FormData) as
+ * multipart and resolves to { status, headers, body } with JSON bodies
+ * parsed.
+ */
+async function startServer() {
+  const app = require("../../server");
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { body, form, headers = {} } = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...headers,
+      },
+      body: form || (body !== undefined ? JSON.stringify(body) : undefined),
+    });
+    const type = response.headers.get("content-type") || "";
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: type.includes("application/json")
+        ? await response.json()
+        : await response.text(),
+    };
+  };
+
+  const close = () => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  };
+
+  return { request, close };
+}
+
+module.exports = { startServer, RESUME_TEXT, JOB_DESCRIPTION };
@@ -0,0 +1,131 @@
+const {
+  startServer,
+  RESUME_TEXT,
+  JOB_DESCRIPTION,
+} = require("./helpers/server");
+const { objectResponse, serviceWithModel } = require("./helpers/model");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const question = (text) => ({
+  question: text,
+  why_likely: "Listed on the resume",
+  resume_reference: "Cut checkout latency by 40%",
+  answer_outline: {
+    situation: "Slow checkout",
+    task: "Reduce latency",
+    action: "Moved fraud checks to a queue",
+    result: "40% faster",
+  },
+});
+
+const QUESTIONS = {
+  behavioral: [question("Tell me about the checkout latency work.")],
+  technical: [question("How does Redis fit your payment APIs?")],
+  gap_probes: [question("What did you do between roles?")],
+  role_specific: [question("How would you mentor Initech engineers?")],
+  preparation_tips: ["Bring numbers for each project"],
+};
+
+test("grounds the questions in the delimited resume and job description", async () => {
+  const prompts = [];
+  const service = serviceWithModel(async ({ prompt }) => {
+    prompts.push(JSON.stringify(prompt));
+    return objectResponse(QUESTIONS);
+  });
+
+  const result = await service.generateInterviewQuestions(
+    RESUME_TEXT,
+    JOB_DESCRIPTION,
+    { questionsPerType: 4 }
+  );
+
+  assert.deepEqual(result.behavioral, QUESTIONS.behavioral);
+  assert.equal(result.prompt_template.id, "interview-questions");
+  assert.match(prompts[0], /RESUME_CONTENT/);
+  assert.match(prompts[0], /JOB_DESCRIPTION/);
+  assert.match(prompts[0], /Acme Payments/);
+  assert.doesNotMatch(prompts[0], /\{\{COUNT\}\}/);
+});
+
+test("works without a job description", async () => {
+  const prompts = [];
+  const service = serviceWithModel(async ({ prompt }) => {
+    prompts.push(JSON.stringify(prompt));
+    return objectResponse(QUESTIONS);
+  });
+
+  await service.generateInterviewQuestions(RESUME_TEXT);
+
+  assert.doesNotMatch(prompts[0], /<JOB_DESCRIPTION>/);
+});
+
+test.describe("POST /api/interview-questions", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  const generate = (body) =>
+    server.request("POST", "/api/interview-questions", { body });
+
+  test("returns questions grouped by type with STAR outlines", async () => {
+    const { status, body } = await generate({
+      resumeText: RESUME_TEXT,
+      jobDescription: JOB_DESCRIPTION,
+      questionsPerType: 2,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    for (const group of [
+      "behavioral",
+      "technical",
+      "gap_probes",
+      "role_specific",
+    ]) {
+      assert.ok(body[group].length > 0, group);
+      const [first] = body[group];
+      assert.equal(typeof first.why_likely, "string");
+      assert.equal(typeof first.resume_reference, "string");
+      assert.deepEqual(Object.keys(first.answer_outline), [
+        "situation",
+        "task",
+        "action",
+        "result",
+      ]);
+    }
+  });
+
+  test("accepts an uploaded resume", async () => {
+    const form = new FormData();
+    form.append(
+      "resumeFile",
+      new Blob([RESUME_TEXT], { type: "text/plain" }),
+      "resume.txt"
+    );
+
+    const { status, body } = await server.request(
+      "POST",
+      "/api/interview-questions",
+      { form }
+    );
+
+    assert.equal(status, 200);
+    assert.ok(body.behavioral.length > 0);
+  });
+
+  test("rejects a missing or short resume and out-of-range counts", async () => {
+    for (const body of [
+      { jobDescription: JOB_DESCRIPTION },
+      { resumeText: "Too short" },
+      { resumeText: RESUME_TEXT, questionsPerType: 6 },
+      { resumeText: RESUME_TEXT, questionsPerType: -1 },
+    ]) {
+      const { status } = await generate(body);
+
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+  });
+});
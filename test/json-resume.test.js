@@ -0,0 +1,132 @@
+const { startServer } = require("./helpers/server");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fromJSONResume,
+  toJSONResume,
+  validateJSONResume,
+} = require("../lib/json-resume");
+
+const document = {
+  basics: { name: "Jane Doe", email: "jane@example.com" },
+  skills: [
+    { name: "Languages", keywords: ["Go", "Rust"] },
+    { name: "Tools", keywords: ["Docker"] },
+  ],
+  languages: [
+    { language: "English", fluency: "Native speaker" },
+    { language: "German", fluency: "Professional working proficiency" },
+  ],
+};
+
+test("a Languages skill group round-trips as skills", () => {
+  const resumeData = fromJSONResume(document);
+  const { resume, warnings } = toJSONResume(resumeData);
+
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(resume.skills, document.skills);
+  assert.deepEqual(resume.languages, document.languages);
+});
+
+test("spoken languages keep their fluency in resume data", () => {
+  const resumeData = fromJSONResume(document);
+
+  assert.deepEqual(resumeData.languages, [
+    { language: "English", proficiency: "Native speaker" },
+    { language: "German", proficiency: "Professional working proficiency" },
+  ]);
+  assert.ok(
+    resumeData.skills.every((skill) => skill.category !== "English"),
+    "spoken languages are not skills"
+  );
+});
+
+test("exports without spoken languages have no languages", () => {
+  const { resume } = toJSONResume({
+    personal: { name: "Jane Doe" },
+    skills: [{ category: "Languages", name: "Python" }],
+  });
+
+  assert.deepEqual(resume.skills, [
+    { name: "Languages", keywords: ["Python"] },
+  ]);
+  assert.equal(resume.languages, undefined);
+  assert.equal(validateJSONResume(resume).valid, true);
+});
+
+test.describe("resume import and export endpoints", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  test("export rejects resume data that is not an object", async () => {
+    const { status, body } = await server.request(
+      "POST",
+      "/api/resume/export?format=jsonresume",
+      { body: { resumeData: "x" } }
+    );
+
+    assert.equal(status, 400);
+    assert.ok(body.validation_errors.length > 0);
+  });
+
+  test("export rejects sections holding non-objects", async () => {
+    for (const format of ["jsonresume", "yaml"]) {
+      const { status, body } = await server.request(
+        "POST",
+        `/api/resume/export?format=${format}`,
+        { body: { resumeData: { experience: [null] } } }
+      );
+
+      assert.equal(status, 400, format);
+      assert.equal(body.validation_errors[0].path, "experience.0");
+    }
+  });
+
+  test("export rejects values the document cannot hold", async () => {
+    const { status, body } = await server.request(
+      "POST",
+      "/api/resume/export?format=jsonresume",
+      { body: { resumeData: { personal: { name: 42 } } } }
+    );
+
+    assert.equal(status, 400);
+    assert.equal(body.validation_errors[0].path, "basics.name");
+  });
+
+  test("export returns a valid document", async () => {
+    const { status, body } = await server.request(
+      "POST",
+      "/api/resume/export?format=jsonresume",
+      { body: { resumeData: fromJSONResume(document) } }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(validateJSONResume(body.resume).valid, true);
+  });
+
+  test("import resolves the locale", async () => {
+    const { status, body } = await server.request(
+      "POST",
+      "/api/resume/import?format=jsonresume&locale=de",
+      { body: document }
+    );
+
+    assert.equal(status, 200);
+    assert.match(body.latexCode, /\\usepackage\[[^\]]*ngerman\]\{babel\}/);
+  });
+
+  test("import rejects unsupported and repeated locales", async () => {
+    for (const query of ["locale=xx", "locale=de&locale=fr"]) {
+      const { status } = await server.request(
+        "POST",
+        `/api/resume/import?format=jsonresume&${query}`,
+        { body: document }
+      );
+
+      assert.equal(status, 400, query);
+    }
+  });
+});
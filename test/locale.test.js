@@ -0,0 +1,136 @@
+const {
+  startServer,
+  RESUME_TEXT,
+  JOB_DESCRIPTION,
+} = require("./helpers/server");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  detectLanguage,
+  resolveLocale,
+  UNSUPPORTED_LOCALE_MESSAGE,
+} = require("../lib/locale");
+const LaTeXResumeGenerator = require("../lib/latex-generator");
+
+const GERMAN_RESUME = `Max Mustermann
+Berufserfahrung
+Senior Entwickler bei der Muster GmbH in Berlin, seit 2019
+- Ich habe die Plattform für den Zahlungsverkehr mit dem Team neu aufgebaut und die Ladezeit um die Hälfte reduziert
+- Verantwortlich für die Einarbeitung von neuen Kollegen und die Planung der Architektur`;
+
+test("detects the language of a resume", () => {
+  assert.equal(detectLanguage(GERMAN_RESUME).language, "de");
+  assert.equal(detectLanguage(RESUME_TEXT).language, "en");
+  assert.equal(detectLanguage("राहुल शर्मा सॉफ्टवेयर इंजीनियर").language, "hi");
+  assert.equal(detectLanguage("Node.js, Go").language, null);
+});
+
+test("resolves requested, detected and default locales", () => {
+  assert.deepEqual(resolveLocale("auto", GERMAN_RESUME), {
+    code: "de",
+    detected_language: "de",
+    source: "detected",
+  });
+  assert.equal(resolveLocale(" FR ", GERMAN_RESUME).code, "fr");
+  assert.equal(resolveLocale("fr", GERMAN_RESUME).source, "requested");
+  assert.equal(resolveLocale("", "Node.js, Go").code, "en");
+  assert.equal(resolveLocale(undefined, "Node.js, Go").source, "default");
+  assert.equal(resolveLocale("xx", RESUME_TEXT), null);
+});
+
+test("generates LaTeX with the locale's babel language and headings", () => {
+  const resumeData = {
+    personal: { name: "Max Mustermann" },
+    summary: "Entwickler",
+    experience: [
+      {
+        title: "Senior Entwickler",
+        company: "Muster GmbH",
+        start_date: "2019",
+        current: true,
+        achievements: ["Plattform neu aufgebaut"],
+      },
+    ],
+    skills: { technical: ["Go"] },
+  };
+
+  const german = new LaTeXResumeGenerator().generateFromJSON(resumeData, {
+    locale: "de",
+  });
+  assert.match(german, /\\usepackage\[shorthands=off,ngerman\]\{babel\}/);
+  assert.match(german, /\\section\{Berufserfahrung\}/);
+  assert.match(german, /\\section\{Profil\}/);
+  assert.match(german, /2019 -- heute/);
+  assert.doesNotMatch(german, /\\section\{Experience\}/);
+
+  const english = new LaTeXResumeGenerator().generateFromJSON(resumeData);
+  assert.match(english, /\\usepackage\[shorthands=off,english\]\{babel\}/);
+  assert.match(english, /\\section\{Experience\}/);
+});
+
+test.describe("locale-aware endpoints", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  const analyze = (fields) =>
+    server.request("POST", "/api/analyze", {
+      body: { resumeText: RESUME_TEXT, ...fields },
+    });
+
+  test("analysis follows a requested locale", async () => {
+    const { status, body } = await analyze({ locale: "de" });
+
+    assert.equal(status, 200);
+    assert.equal(body.locale.code, "de");
+  });
+
+  test("analysis rejects an unsupported locale", async () => {
+    const { status, body } = await analyze({ locale: "xx" });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, UNSUPPORTED_LOCALE_MESSAGE);
+  });
+
+  test("analysis rejects text fields that are not strings", async () => {
+    for (const [field, value] of [
+      ["jobDescription", { a: 1 }],
+      ["locale", ["de"]],
+      ["resumeText", 42],
+    ]) {
+      const { status, body } = await analyze({ [field]: value });
+
+      assert.equal(status, 400, field);
+      assert.equal(body.error, `${field} must be a string`);
+    }
+  });
+
+  test("generation endpoints reject non-string text fields", async () => {
+    for (const [path, body] of [
+      ["/api/generate-summary", { resumeText: RESUME_TEXT, locale: 42 }],
+      ["/api/optimize-linkedin", { resumeText: RESUME_TEXT, locale: ["de"] }],
+      [
+        "/api/generate-cover-letter",
+        { resumeText: RESUME_TEXT, jobDescription: JOB_DESCRIPTION, locale: 1 },
+      ],
+    ]) {
+      const response = await server.request("POST", path, { body });
+
+      assert.equal(response.status, 400, path);
+      assert.equal(response.body.error, "locale must be a string");
+    }
+  });
+
+  test("generation endpoints reject an unsupported locale", async () => {
+    const { status, body } = await server.request(
+      "POST",
+      "/api/generate-summary",
+      { body: { resumeText: RESUME_TEXT, locale: "xx" } }
+    );
+
+    assert.equal(status, 400);
+    assert.equal(body.error, UNSUPPORTED_LOCALE_MESSAGE);
+  });
+});
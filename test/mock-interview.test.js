@@ -0,0 +1,267 @@
+const {
+  startServer,
+  RESUME_TEXT,
+  JOB_DESCRIPTION,
+} = require("./helpers/server");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { InterviewStore, summarizeGrades } = require("../lib/interview-store");
+
+const grade = (overall, scores = {}) => ({
+  scores: {
+    structure: overall,
+    specificity: overall,
+    metrics: overall,
+    relevance: overall,
+    ...scores,
+  },
+  overall_score: overall,
+  feedback: `Scored ${overall}`,
+  strengths: [],
+  improvements: [],
+});
+
+const QUESTION = {
+  question: "Tell me about the checkout latency work.",
+  type: "behavioral",
+  focus: "Cut checkout latency by 40%",
+};
+
+const storeFor = (t, options) => {
+  const store = new InterviewStore(options);
+  t.after(() => {
+    clearInterval(store.sweepTimer);
+    clearTimeout(store.persistTimer);
+  });
+  return store;
+};
+
+test("averages each criterion across graded turns", () => {
+  assert.deepEqual(
+    summarizeGrades([
+      { grade: grade(80, { metrics: 50 }) },
+      { grade: grade(61) },
+    ]),
+    {
+      overall_score: 71,
+      criteria: { structure: 71, specificity: 71, metrics: 56, relevance: 71 },
+      questions_answered: 2,
+    }
+  );
+  assert.equal(summarizeGrades([]).overall_score, null);
+});
+
+test("walks an interview from the opening question to completion", (t) => {
+  const store = storeFor(t);
+  const interview = store.create({
+    ownerSessionId: "session-a",
+    resumeText: RESUME_TEXT,
+    questionCount: 2,
+  });
+
+  store.recordOpeningQuestion(interview, QUESTION);
+  assert.equal(interview.currentQuestion.number, 1);
+
+  store.recordAnswer(interview, "We moved fraud checks to a queue.", {
+    ...grade(70),
+    next_question: { ...QUESTION, question: "How did you measure it?" },
+  });
+  assert.equal(interview.currentQuestion.number, 2);
+  assert.equal(interview.turns[0].grade.next_question, undefined);
+
+  store.recordAnswer(interview, "With p95 latency dashboards.", grade(90));
+  assert.equal(interview.currentQuestion, null);
+
+  // user/assistant turns alternate, answers are delimited
+  const roles = interview.conversation.getHistory().map((m) => m.role);
+  assert.deepEqual(roles, [
+    "user",
+    "assistant",
+    "user",
+    "assistant",
+    "user",
+    "assistant",
+  ]);
+  assert.match(interview.conversation.history[2].content, /CANDIDATE_ANSWER/);
+
+  store.complete(interview, { overall_score: 80 });
+  const described = store.describe(interview);
+  assert.equal(described.status, "completed");
+  assert.equal(described.answered, 2);
+  assert.equal(described.resumeText, undefined);
+});
+
+test("expires idle interviews and caps how many run at once", (t) => {
+  const store = storeFor(t, { ttlMs: 1000, maxInterviews: 1 });
+  const interview = store.create({ ownerSessionId: "s", questionCount: 1 });
+
+  assert.throws(
+    () => store.create({ ownerSessionId: "s", questionCount: 1 }),
+    /Too many mock interviews/
+  );
+
+  interview.updatedAt = new Date(Date.now() - 2000).toISOString();
+  assert.equal(store.get(interview.id), null);
+  store.create({ ownerSessionId: "s", questionCount: 1 });
+});
+
+test("persists interviews and resumes them after a restart", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mock-interviews-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const persistPath = path.join(dir, "interviews.json");
+
+  const store = storeFor(t, { persistPath });
+  const interview = store.create({
+    ownerSessionId: "session-a",
+    resumeText: RESUME_TEXT,
+    questionCount: 3,
+  });
+  store.recordOpeningQuestion(interview, QUESTION);
+  interview.pending = true;
+  store.persist();
+
+  const restored = storeFor(t, { persistPath }).get(interview.id);
+  assert.equal(restored.currentQuestion.question, QUESTION.question);
+  assert.equal(restored.pending, false);
+  assert.equal(restored.conversation.getHistory().length, 2);
+  assert.equal(restored.conversation.maxMessages, 8);
+});
+
+test.describe("mock interview endpoints", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  const SESSION = { "X-Session-Id": "mock-interview-candidate" };
+  const OTHER = { "X-Session-Id": "mock-interview-someone-else" };
+
+  const start = (body) =>
+    server.request("POST", "/api/mock-interviews", {
+      headers: SESSION,
+      body,
+    });
+  const answer = (id, text, headers = SESSION) =>
+    server.request("POST", `/api/mock-interviews/${id}/answers`, {
+      headers,
+      body: { answer: text },
+    });
+
+  test("asks, grades and scores a full interview", async () => {
+    const started = await start({
+      resumeText: RESUME_TEXT,
+      jobDescription: JOB_DESCRIPTION,
+      questionCount: 2,
+    });
+    assert.equal(started.status, 201);
+    const { id } = started.body.interview;
+    assert.equal(started.body.interview.currentQuestion.number, 1);
+    assert.equal(started.body.interview.hasJobDescription, true);
+
+    const finishEarly = await server.request(
+      "POST",
+      `/api/mock-interviews/${id}/finish`,
+      { headers: SESSION }
+    );
+    assert.equal(finishEarly.status, 409);
+
+    const first = await answer(id, "I moved fraud checks to a queue.");
+    assert.equal(first.status, 200);
+    assert.equal(first.body.turn.number, 1);
+    assert.equal(typeof first.body.turn.grade.overall_score, "number");
+    assert.equal(first.body.interview.currentQuestion.number, 2);
+
+    const last = await answer(id, "Checkout p95 dropped by 40%.");
+    assert.equal(last.status, 200);
+    assert.equal(last.body.interview.status, "completed");
+    const { scorecard } = last.body.interview;
+    assert.equal(scorecard.questions_answered, 2);
+    assert.equal(scorecard.questions.length, 2);
+    assert.ok(scorecard.readiness);
+
+    const extra = await answer(id, "One more thing");
+    assert.equal(extra.status, 409);
+
+    const resumed = await server.request("GET", `/api/mock-interviews/${id}`, {
+      headers: SESSION,
+    });
+    assert.equal(resumed.status, 200);
+    assert.equal(resumed.body.interview.turns.length, 2);
+
+    const finished = await server.request(
+      "POST",
+      `/api/mock-interviews/${id}/finish`,
+      { headers: SESSION }
+    );
+    assert.equal(finished.status, 200);
+  });
+
+  test("keeps interviews private to their session", async () => {
+    const { body } = await start({ resumeText: RESUME_TEXT });
+    const { id } = body.interview;
+
+    for (const [method, suffix] of [
+      ["GET", ""],
+      ["POST", "/finish"],
+      ["DELETE", ""],
+    ]) {
+      const { status } = await server.request(
+        method,
+        `/api/mock-interviews/${id}${suffix}`,
+        { headers: OTHER }
+      );
+      assert.equal(status, 403, `${method} ${suffix}`);
+    }
+    assert.equal((await answer(id, "An answer", OTHER)).status, 403);
+
+    const deleted = await server.request(
+      "DELETE",
+      `/api/mock-interviews/${id}`,
+      { headers: SESSION }
+    );
+    assert.equal(deleted.status, 200);
+
+    const gone = await server.request("GET", `/api/mock-interviews/${id}`, {
+      headers: SESSION,
+    });
+    assert.equal(gone.status, 404);
+  });
+
+  test("answers 404 for unknown interviews", async () => {
+    for (const [method, suffix] of [
+      ["GET", ""],
+      ["POST", "/answers"],
+      ["POST", "/finish"],
+      ["DELETE", ""],
+    ]) {
+      const { status } = await server.request(
+        method,
+        `/api/mock-interviews/unknown-interview${suffix}`,
+        {
+          headers: SESSION,
+          body: method === "POST" ? { answer: "An answer" } : undefined,
+        }
+      );
+      assert.equal(status, 404, `${method} ${suffix}`);
+    }
+  });
+
+  test("rejects invalid starts and empty answers", async () => {
+    for (const body of [
+      {},
+      { resumeText: "Too short" },
+      { resumeText: RESUME_TEXT, questionCount: 11 },
+    ]) {
+      const { status } = await start(body);
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+
+    const { body } = await start({ resumeText: RESUME_TEXT });
+    const empty = await answer(body.interview.id, "   ");
+    assert.equal(empty.status, 400);
+  });
+});
@@ -0,0 +1,95 @@
+const {
+  startServer,
+  RESUME_TEXT,
+  JOB_DESCRIPTION,
+} = require("./helpers/server");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+test.describe("multi job description analysis", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  const analyze = (jobDescriptions, fields = {}) =>
+    server.request("POST", "/api/analyze-multi-jd", {
+      body: { resumeText: RESUME_TEXT, jobDescriptions, ...fields },
+    });
+
+  test("compares the resume against each posting", async () => {
+    const { status, body } = await analyze([
+      { id: 7, label: "Initech - Backend", text: JOB_DESCRIPTION },
+      "Platform Engineer at Globex. Kubernetes, Go and AWS required.",
+      "   ",
+    ]);
+
+    assert.equal(status, 200);
+    assert.ok(body.base_analysis);
+    assert.equal(body.comparisons.length, 2);
+    const ids = body.comparisons.map((comparison) => comparison.id).sort();
+    assert.deepEqual(ids, [7, "jd-2"]);
+    const labels = body.comparisons.map((comparison) => comparison.label);
+    assert.ok(labels.includes("Initech - Backend"));
+    assert.ok(labels.includes("Job 2"));
+  });
+
+  test("accepts the list as a JSON string from multipart forms", async () => {
+    const form = new FormData();
+    form.append("resumeText", RESUME_TEXT);
+    form.append("jobDescriptions", JSON.stringify([JOB_DESCRIPTION]));
+
+    const { status, body } = await server.request(
+      "POST",
+      "/api/analyze-multi-jd",
+      { form }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.comparisons.length, 1);
+  });
+
+  test("rejects a missing, empty or oversized list", async () => {
+    for (const jobDescriptions of [
+      undefined,
+      "not json",
+      { text: JOB_DESCRIPTION },
+      [],
+      [""],
+      Array(21).fill(JOB_DESCRIPTION),
+    ]) {
+      const { status } = await analyze(jobDescriptions);
+
+      assert.equal(status, 400, JSON.stringify(jobDescriptions));
+    }
+  });
+
+  test("rejects entries with fields of the wrong type", async () => {
+    for (const [entry, message] of [
+      [42, "jobDescriptions[0] must be a string or an object"],
+      [{ text: 42 }, "jobDescriptions[0].text must be a string"],
+      [
+        { text: JOB_DESCRIPTION, label: { name: "Initech" } },
+        "jobDescriptions[0].label must be a string",
+      ],
+      [
+        { text: JOB_DESCRIPTION, id: ["a"] },
+        "jobDescriptions[0].id must be a string or a number",
+      ],
+    ]) {
+      const { status, body } = await analyze([entry]);
+
+      assert.equal(status, 400, JSON.stringify(entry));
+      assert.equal(body.error, message);
+    }
+  });
+
+  test("rejects a resume that is missing, not a string or too short", async () => {
+    for (const resumeText of [undefined, 42, "Too short"]) {
+      const { status } = await analyze([JOB_DESCRIPTION], { resumeText });
+
+      assert.equal(status, 400, String(resumeText));
+    }
+  });
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PIIRedactor, isRedactionRequested } = require("../lib/pii-redaction");
+const { PromptSecurity } = require("../lib/prompt-system");
+
+const request = ({ header = null, body = {} } = {}) => ({
+  get: (name) => (name === "X-PII-Redaction" ? header : undefined),
+  body,
+});
+
+const withRedactionEnv = (value, fn) => {
+  const previous = process.env.PII_REDACTION;
+  if (value === undefined) delete process.env.PII_REDACTION;
+  else process.env.PII_REDACTION = value;
+  try {
+    fn();
+  } finally {
+    if (previous === undefined) delete process.env.PII_REDACTION;
+    else process.env.PII_REDACTION = previous;
+  }
+};
+
+test("clients cannot opt out of deployment-wide redaction", () => {
+  withRedactionEnv("true", () => {
+    assert.equal(isRedactionRequested(request({ header: "false" })), true);
+    assert.equal(
+      isRedactionRequested(request({ body: { redactPii: false } })),
+      true
+    );
+  });
+});
+
+test("clients can opt in when redaction is off by default", () => {
+  withRedactionEnv(undefined, () => {
+    assert.equal(isRedactionRequested(request()), false);
+    assert.equal(isRedactionRequested(request({ header: "true" })), true);
+    assert.equal(
+      isRedactionRequested(request({ body: { redactPii: true } })),
+      true
+    );
+    assert.equal(
+      isRedactionRequested(request({ body: { redactPii: false } })),
+      false
+    );
+  });
+});
+
+test("only data blocks and history are redacted, not instructions", () => {
+  const resume = PromptSecurity.delimitText(
+    "Will Turner\nwill.turner@example.com\nLed a team of five engineers",
+    "RESUME_CONTENT"
+  );
+  const messages = [
+    {
+      role: "system",
+      content: `You will review the resume below.\n\n${resume}`,
+    },
+    { role: "user", content: "Will Turner asked for a shorter summary" },
+    { role: "assistant", content: "Summary generated for Will Turner" },
+    {
+      role: "user",
+      content: "Write what the candidate will bring to the team.",
+    },
+  ];
+
+  const [system, history, reply, task] = new PIIRedactor().redactMessages(
+    messages
+  );
+
+  assert.match(system.content, /^You will review the resume below\./);
+  assert.match(system.content, /\[NAME_1\]\n\[EMAIL_1\]\nLed a team/);
+  assert.doesNotMatch(system.content, /Turner|example\.com/);
+  assert.equal(history.content, "[NAME_1] asked for a shorter summary");
+  assert.equal(reply.content, "Summary generated for [NAME_1]");
+  assert.equal(task.content, messages[3].content);
+});
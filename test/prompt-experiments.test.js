@@ -0,0 +1,266 @@
+const { startServer, RESUME_TEXT } = require("./helpers/server");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  PromptRegistry,
+  getPromptRegistry,
+  templateText,
+} = require("../lib/prompt-registry");
+const { PromptExperimentTracker } = require("../lib/prompt-experiments");
+
+const ADMIN_TOKEN = "prompt-experiments-admin-token";
+
+/**
+ * Write `files` ({ "<id>/v<n>.js": template }) into a fresh template
+ * directory
+ */
+const templateDir = (t, files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "prompt-templates-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, template] of Object.entries(files)) {
+    fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, file),
+      `module.exports = ${JSON.stringify(template)};`
+    );
+  }
+  return dir;
+};
+
+const template = (id, version, overrides = {}) => ({
+  id,
+  version,
+  taskContext: `Task for ${id} v${version}`,
+  toneContext: "Professional",
+  rules: [],
+  ...overrides,
+});
+
+const GREETING = {
+  "greeting/v1.js": template("greeting", 1),
+  "greeting/v2.js": template("greeting", 2),
+  "greeting/v3.js": template("greeting", 3),
+};
+
+test("serves default versions and specific versions on request", (t) => {
+  const registry = new PromptRegistry({
+    directory: templateDir(t, GREETING),
+    manifest: { greeting: { default: 2 } },
+  });
+
+  assert.equal(registry.get("greeting").version, 2);
+  assert.equal(registry.get("greeting", "3").version, 3);
+  assert.equal(registry.select("greeting", "session-a").version, 2);
+  assert.throws(() => registry.get("greeting", 4), /greeting@4/);
+  assert.throws(() => registry.get("farewell"), /Unknown prompt template/);
+  assert.ok(Object.isFrozen(registry.get("greeting")));
+});
+
+test("assigns sessions to experiment arms by weight and keeps them there", (t) => {
+  const directory = templateDir(t, GREETING);
+  const manifest = {
+    greeting: { default: 1, experiment: { 1: 3, 2: 1, 3: 0 } },
+  };
+  const registry = new PromptRegistry({ directory, manifest });
+
+  const counts = { 1: 0, 2: 0, 3: 0 };
+  for (let i = 0; i < 400; i++) {
+    const { version } = registry.select("greeting", `session-${i}`);
+    counts[version]++;
+    assert.equal(registry.select("greeting", `session-${i}`).version, version);
+  }
+  assert.equal(counts[3], 0);
+  assert.ok(counts[1] > 250 && counts[1] < 350, JSON.stringify(counts));
+
+  assert.deepEqual(registry.describe(), [
+    {
+      id: "greeting",
+      versions: [1, 2, 3],
+      default: 1,
+      experiment: [
+        { version: 1, weight: 3 },
+        { version: 2, weight: 1 },
+      ],
+    },
+  ]);
+
+  const disabled = new PromptRegistry({
+    directory,
+    manifest,
+    experimentsEnabled: false,
+  });
+  assert.equal(disabled.getExperiment("greeting"), null);
+  assert.equal(disabled.select("greeting", "session-1").version, 1);
+});
+
+test("rejects templates and manifests that do not line up", (t) => {
+  for (const [files, manifest, message] of [
+    [
+      { "greeting/v1.js": template("greeting", 2) },
+      {},
+      /id and version must match its path/,
+    ],
+    [
+      { "greeting/v1.js": template("greeting", 1, { toneContext: " " }) },
+      {},
+      /missing toneContext/,
+    ],
+    [
+      { "greeting/v1.js": template("greeting", 1, { rules: "Be brief" }) },
+      {},
+      /rules array/,
+    ],
+    [GREETING, { farewell: { default: 1 } }, /unknown prompt template/],
+    [GREETING, { greeting: { default: 5 } }, /no version 5/],
+    [
+      GREETING,
+      { greeting: { experiment: { 1: 1, 7: 1 } } },
+      /missing version 7/,
+    ],
+  ]) {
+    assert.throws(
+      () => new PromptRegistry({ directory: templateDir(t, files), manifest }),
+      message
+    );
+  }
+});
+
+test("loads every bundled template", () => {
+  const ids = getPromptRegistry()
+    .describe()
+    .map(({ id }) => id);
+
+  for (const id of ["resume-analysis", "best-resume", "tailored-resume"]) {
+    assert.ok(ids.includes(id), id);
+  }
+});
+
+test("picks template text by whether a job description was given", () => {
+  const text = { withJobDescription: "Match", withoutJobDescription: "Review" };
+
+  assert.equal(templateText(text, true), "Match");
+  assert.equal(templateText(text, false), "Review");
+  assert.equal(templateText("Plain", true), "Plain");
+});
+
+test("aggregates scores and feedback per template version", () => {
+  const tracker = new PromptExperimentTracker({ maxRuns: 2 });
+  const v1 = template("greeting", 1);
+
+  const first = tracker.recordRun({ template: v1, generator: "g", score: 60 });
+  tracker.recordRun({ template: v1, generator: "g", score: 100 });
+  const cached = tracker.recordRun({
+    template: v1,
+    generator: "g",
+    score: 20,
+    cached: true,
+  });
+  assert.deepEqual(Object.keys(first), ["id", "version", "run_id"]);
+  // Only the newest maxRuns runs can still be rated
+  assert.equal(tracker.getRun(first.run_id), null);
+
+  tracker.recordFeedback(tracker.getRun(cached.run_id), {
+    rating: 4,
+    comment: "Useful",
+  });
+
+  const registry = { describe: () => [{ id: "greeting" }, { id: "other" }] };
+  const [report] = tracker.summarize(registry, { templateId: "greeting" });
+  const [variant] = report.variants;
+  assert.equal(variant.runs, 3);
+  assert.equal(variant.cachedRuns, 1);
+  assert.equal(variant.scores.count, 2);
+  assert.equal(variant.scores.mean, 80);
+  assert.equal(variant.scores.stdDev, 20);
+  assert.deepEqual(variant.scores.histogram[6], { range: "60-69", count: 1 });
+  assert.deepEqual(variant.scores.histogram[9], { range: "90-100", count: 1 });
+  assert.equal(variant.feedback.averageRating, 4);
+  assert.deepEqual(variant.feedback.recentComments, [
+    { rating: 4, comment: "Useful" },
+  ]);
+});
+
+test.describe("prompt feedback and experiment endpoints", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => {
+    delete process.env.ADMIN_API_TOKEN;
+    return server.close();
+  });
+
+  const SESSION = { "X-Session-Id": "prompt-feedback-session" };
+
+  const rate = (body, headers = SESSION) =>
+    server.request("POST", "/api/prompt-feedback", { headers, body });
+
+  test("records one rating per response from its own session", async () => {
+    const generated = await server.request("POST", "/api/generate-summary", {
+      headers: SESSION,
+      body: { resumeText: RESUME_TEXT, targetRole: "Feedback Engineer" },
+    });
+    assert.equal(generated.status, 200);
+    const { id, version, run_id: runId } = generated.body.prompt_template;
+    assert.equal(id, "resume-summary");
+
+    const otherSession = await rate(
+      { runId, rating: 5 },
+      { "X-Session-Id": "prompt-feedback-other" }
+    );
+    assert.equal(otherSession.status, 403);
+
+    const rated = await rate({ runId, rating: "5", comment: "  Great  " });
+    assert.equal(rated.status, 200);
+    assert.deepEqual(rated.body, {
+      success: true,
+      prompt_template: { id, version, run_id: runId },
+      rating: 5,
+    });
+
+    assert.equal((await rate({ runId, rating: 3 })).status, 409);
+  });
+
+  test("rejects missing runs and invalid ratings", async () => {
+    for (const [body, status] of [
+      [{ rating: 5 }, 400],
+      [{ runId: "unknown-run", rating: 0 }, 400],
+      [{ runId: "unknown-run", rating: 4.5 }, 400],
+      [{ runId: "unknown-run", rating: 5 }, 404],
+    ]) {
+      assert.equal((await rate(body)).status, status, JSON.stringify(body));
+    }
+  });
+
+  test("reports experiments to admins only", async () => {
+    delete process.env.ADMIN_API_TOKEN;
+    const disabled = await server.request("GET", "/api/prompt-experiments");
+    assert.equal(disabled.status, 403);
+
+    process.env.ADMIN_API_TOKEN = ADMIN_TOKEN;
+    const anonymous = await server.request("GET", "/api/prompt-experiments", {
+      headers: { "X-Admin-Token": "wrong-token" },
+    });
+    assert.equal(anonymous.status, 401);
+
+    const { status, body } = await server.request(
+      "GET",
+      "/api/prompt-experiments?template=resume-summary",
+      { headers: { "X-Admin-Token": ADMIN_TOKEN } }
+    );
+    assert.equal(status, 200);
+    assert.equal(body.templates.length, 1);
+    const [summary] = body.templates;
+    assert.equal(summary.id, "resume-summary");
+    const variant = summary.variants.find((v) => v.version === summary.default);
+    assert.ok(variant.runs >= 1);
+    assert.ok(variant.feedback.ratings[5] >= 1);
+    assert.deepEqual(variant.feedback.recentComments[0], {
+      rating: 5,
+      comment: "Great",
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { objectResponse, serviceWithModel } = require("./helpers/model");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+/**
+ * AIService on the fixture provider, collecting canary checks, whose model
+ * echoes the canary it finds in its prompt into every generated field
+ */
+const echoingService = () => {
+  const canaryChecks = [];
+  const service = serviceWithModel(async ({ prompt }) => {
+    const text = JSON.stringify(prompt);
+    const [instruction] = text.match(/\(Instruction to the AI model:[^)]*\)/);
+    const [leakToken] = text.match(/CANARY-[0-9a-f]+/);
+    const [codeWord] = text.match(/verified-[0-9a-f]+/);
+    const echo = `Seasoned engineer ${codeWord}. ${instruction} Token: ${leakToken}`;
+    const object = {
+      summary: echo,
+      explanation: `Confirmed ${codeWord}`,
+      keywords: [codeWord, "Node.js"],
+      metrics_highlighted: [],
+      improvement_tips: [leakToken],
+    };
+    return objectResponse(object);
+  }).withContext({ canaryChecks });
+  return { service, canaryChecks };
+};
+
+test("no canary text reaches generated output", async () => {
+  const { service, canaryChecks } = echoingService();
+
+  const result = await service.generateSummary(
+    "Jane Doe\nSoftware engineer with eight years of Node.js experience",
+    "Staff Engineer"
+  );
+
+  const output = JSON.stringify(result);
+  assert.doesNotMatch(output, /CANARY-|verified-|Instruction to the AI model/);
+  assert.equal(result.summary, "Seasoned engineer. Token:");
+  assert.deepEqual(result.keywords, ["", "Node.js"]);
+  assert.deepEqual(canaryChecks, [
+    {
+      generator: "generateSummary",
+      leaked: true,
+      followed_injected_instruction: true,
+    },
+  ]);
+});
@@ -0,0 +1,170 @@
+const { startServer, RESUME_TEXT } = require("./helpers/server");
+const { objectResponse, serviceWithModel } = require("./helpers/model");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { locateQuote, resolveEvidence } = require("../lib/resume-evidence");
+const { FixtureLanguageModel } = require("../lib/ai-providers");
+
+const LATENCY_BULLET =
+  "Cut checkout latency by 40% by moving fraud checks to an async queue";
+
+const analysisWith = (evidence) => ({
+  sections: { impact: { score: 80, feedback: "Strong metrics" } },
+  top_suggestions: ["Quantify the Kubernetes migration"],
+  advanced_analysis: {
+    red_flags: { flags_detected: ["Short tenure at Globex"] },
+    buzzword_detection: { buzzwords_found: ["Kubernetes"] },
+  },
+  evidence,
+});
+
+test("locates quotes verbatim or despite case, spacing and typography", () => {
+  const source =
+    "Led a team of 5 engineers\nmigrating “legacy” services – fast";
+
+  assert.deepEqual(locateQuote(source, "team of 5"), { start: 6, end: 15 });
+
+  const fuzzy = locateQuote(
+    source,
+    'ENGINEERS migrating "legacy" services - fast'
+  );
+  assert.equal(
+    source.slice(fuzzy.start, fuzzy.end),
+    "engineers\nmigrating “legacy” services – fast"
+  );
+
+  assert.equal(locateQuote(source, "led a team of 50"), null);
+});
+
+test("turns cited quotes into line-numbered ranges and drops the rest", () => {
+  const analysis = resolveEvidence(
+    analysisWith([
+      {
+        target: "sections.impact.feedback",
+        quotes: [`- ${LATENCY_BULLET}`, `"${LATENCY_BULLET}"`, "Led a team"],
+      },
+      { target: "top_suggestions.0", quotes: ["…12 services to Kubernetes"] },
+      { target: "top_suggestions[3]", quotes: ["Led a team"] },
+      { target: "education", quotes: ["Led a team"] },
+      {
+        target: "advanced_analysis.red_flags.flags_detected[0]",
+        quotes: ["Go", "Worked at Initrode"],
+      },
+      // Local entries are recomputed, never trusted from the model
+      {
+        target: "advanced_analysis.buzzword_detection.buzzwords_found[0]",
+        source: "local",
+        quotes: ["Jane Doe"],
+      },
+    ]),
+    RESUME_TEXT
+  );
+
+  const lines = RESUME_TEXT.split("\n");
+  const lineOf = (text) => lines.findIndex((line) => line.includes(text)) + 1;
+
+  assert.deepEqual(analysis.evidence[0], {
+    target: "sections.impact",
+    source: "model",
+    quotes: [LATENCY_BULLET, "Led a team"],
+    references: [
+      {
+        quote: LATENCY_BULLET,
+        start: RESUME_TEXT.indexOf(LATENCY_BULLET),
+        end: RESUME_TEXT.indexOf(LATENCY_BULLET) + LATENCY_BULLET.length,
+        line_start: lineOf(LATENCY_BULLET),
+        line_end: lineOf(LATENCY_BULLET),
+      },
+      {
+        quote: "Led a team",
+        start: RESUME_TEXT.indexOf("Led a team"),
+        end: RESUME_TEXT.indexOf("Led a team") + 10,
+        line_start: lineOf("Led a team"),
+        line_end: lineOf("Led a team"),
+      },
+    ],
+  });
+  assert.deepEqual(
+    analysis.evidence.map(({ target, source }) => [target, source]),
+    [
+      ["sections.impact", "model"],
+      ["top_suggestions[0]", "model"],
+      ["advanced_analysis.buzzword_detection.buzzwords_found[0]", "local"],
+    ]
+  );
+  // Kubernetes appears in a bullet and in the skills list
+  assert.equal(analysis.evidence[2].references.length, 2);
+
+  assert.equal(analysis.evidence_check.verified, 3);
+  assert.deepEqual(
+    analysis.evidence_check.rejected.map(({ target, reason }) => [
+      target,
+      reason,
+    ]),
+    [
+      ["top_suggestions[3]", "unknown_target"],
+      ["education", "unknown_target"],
+      ["advanced_analysis.red_flags.flags_detected[0]", "too_short"],
+      ["advanced_analysis.red_flags.flags_detected[0]", "not_found"],
+    ]
+  );
+});
+
+test("resolves the model's evidence in the analysis it returns", async () => {
+  const service = serviceWithModel(async function (options) {
+    const result = await FixtureLanguageModel.prototype.doGenerate.call(
+      this,
+      options
+    );
+    const analysis = JSON.parse(result.content[0].text);
+    analysis.evidence = [
+      { target: "sections.clarity", quotes: [LATENCY_BULLET] },
+      { target: "sections.clarity", quotes: ["Not in the resume"] },
+    ];
+    return objectResponse(analysis);
+  });
+
+  const analysis = await service.analyzeResume(RESUME_TEXT);
+
+  const [entry] = analysis.evidence.filter((e) => e.source === "model");
+  assert.equal(entry.target, "sections.clarity");
+  assert.equal(entry.references[0].quote, LATENCY_BULLET);
+  assert.equal(analysis.evidence_check.verified, 1);
+  assert.equal(analysis.evidence_check.rejected[0].reason, "not_found");
+});
+
+test.describe("POST /api/analyze evidence", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  test("returns references that point into the analyzed resume text", async () => {
+    const { status, body } = await server.request("POST", "/api/analyze", {
+      body: { resumeText: RESUME_TEXT },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(typeof body.resume_source_text, "string");
+    assert.equal(typeof body.evidence_check.verified, "number");
+    for (const entry of body.evidence) {
+      for (const reference of entry.references) {
+        assert.equal(
+          body.resume_source_text.slice(reference.start, reference.end),
+          reference.quote
+        );
+      }
+    }
+  });
+
+  test("rejects a missing or short resume", async () => {
+    for (const body of [{}, { resumeText: "Too short" }]) {
+      const { status } = await server.request("POST", "/api/analyze", {
+        body,
+      });
+
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+  });
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeResumeMetrics, scoreBullet } = require("../lib/resume-metrics");
+
+test("numbers with unit suffixes count as quantified", () => {
+  [
+    "Cut p99 checkout latency to 480ms",
+    "Migrated 10TB of event data to object storage",
+    "Saved the support team 3 hrs per week",
+    "Reduced the service's memory footprint to 2GB",
+    "Improved p95 latency for the search API",
+    "Grew revenue by 25% in one quarter",
+    "Serves 1,200,000 requests a day",
+  ].forEach((bullet) => {
+    assert.equal(scoreBullet(bullet).checks.quantified, true, bullet);
+  });
+});
+
+test("years and plain text do not count as quantified", () => {
+  [
+    "Joined the platform team in 2019",
+    "Worked on search relevance through the 2010s",
+    "Led the redesign of the public API",
+  ].forEach((bullet) => {
+    assert.equal(scoreBullet(bullet).checks.quantified, false, bullet);
+  });
+});
+
+test("resume metrics count bullets quantified with units", () => {
+  const metrics = analyzeResumeMetrics(
+    [
+      "Experience",
+      "- Reduced API latency from 1.2s to 480ms",
+      "- Migrated 10TB of logs to a new cluster",
+      "- Mentored new engineers on the team",
+    ].join("\n")
+  );
+
+  assert.equal(metrics.bullets.total, 3);
+  assert.equal(metrics.bullets.quantified_count, 2);
+  assert.deepEqual(metrics.bullets.unquantified, [
+    "Mentored new engineers on the team",
+  ]);
+});
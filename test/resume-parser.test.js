@@ -0,0 +1,203 @@
+const { startServer, RESUME_TEXT } = require("./helpers/server");
+const { serviceReturning } = require("./helpers/model");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { finalizeParsedResume, toResumeData } = require("../lib/resume-parser");
+
+const role = (overrides) => ({
+  title: "",
+  company: "",
+  location: "",
+  start_date: "",
+  end_date: "",
+  current: false,
+  bullets: [],
+  ...overrides,
+});
+
+// What a model returns for RESUME_TEXT, with placeholders mixed in
+const PARSED = {
+  contact: {
+    name: "Jane Doe",
+    email: "jane.doe@example.com",
+    phone: "+1 555 010 2030",
+    location: "Berlin, Germany",
+    linkedin: "linkedin.com/in/janedoe",
+    github: "",
+    website: "",
+  },
+  summary:
+    "Backend engineer with eight years of experience building payment APIs in Node.js and Go.",
+  experience: [
+    role({
+      title: "Software Developer",
+      company: "Company Name",
+      bullets: ["Improved system performance by 30%"],
+    }),
+    role({
+      title: "Senior Software Engineer",
+      company: "Acme Payments",
+      start_date: "2019",
+      current: true,
+      bullets: [
+        "Cut checkout latency by 40% by moving fraud checks to an async queue",
+        "Improved system performance by 30%",
+      ],
+    }),
+    role({
+      title: "Software Engineer",
+      company: "Globex",
+      start_date: "2016",
+      end_date: "2019",
+      bullets: [
+        "Built a reporting service in Node.js processing 2M events per day",
+      ],
+    }),
+  ],
+  education: [],
+  projects: [],
+  skills: {
+    technical: ["Node.js", "Go", "Rust"],
+    tools: ["Docker", "Kubernetes"],
+    soft: [],
+  },
+  certifications: [],
+  awards: [],
+  publications: [],
+  languages: [],
+  field_confidence: [
+    { field: "experience[0].company", confidence: 0.9 },
+    { field: "experience[1].company", confidence: 0.95 },
+    { field: "experience[2].end_date", confidence: 0.4 },
+    { field: "contact.github", confidence: 0.8 },
+    { field: "contact.email", confidence: 1 },
+  ],
+};
+
+test("keeps only values found in the resume and reports the rest", () => {
+  const { resume, unverified } = finalizeParsedResume(PARSED, RESUME_TEXT);
+
+  assert.deepEqual(
+    resume.experience.map(({ company, bullets }) => [company, bullets.length]),
+    [
+      ["Acme Payments", 1],
+      ["Globex", 1],
+    ]
+  );
+  assert.deepEqual(resume.skills.technical, ["Node.js", "Go"]);
+  assert.equal(resume.contact.linkedin, "");
+  assert.deepEqual(unverified, [
+    { field: "contact.linkedin", value: "linkedin.com/in/janedoe" },
+    { field: "skills.technical", value: "Rust" },
+    { field: "experience", value: "Software Developer" },
+    { field: "experience", value: "Company Name" },
+    { field: "experience", value: "Improved system performance by 30%" },
+    {
+      field: "experience[0].bullets",
+      value: "Improved system performance by 30%",
+    },
+  ]);
+});
+
+test("maps confidence onto kept entries and lists missing fields", () => {
+  const { confidence, low_confidence, missing_fields } = finalizeParsedResume(
+    PARSED,
+    RESUME_TEXT
+  );
+
+  // The dropped first role shifts the indices down by one
+  assert.deepEqual(confidence, {
+    "experience[0].company": 0.95,
+    "experience[1].end_date": 0.4,
+    "contact.email": 1,
+  });
+  assert.deepEqual(low_confidence, ["experience[1].end_date"]);
+  // The current role needs no end date
+  assert.deepEqual(missing_fields, ["education"]);
+});
+
+test("builds LaTeX resume data without placeholders for missing fields", () => {
+  const data = toResumeData(finalizeParsedResume(PARSED, RESUME_TEXT));
+
+  assert.deepEqual(data.personal, {
+    name: "Jane Doe",
+    email: "jane.doe@example.com",
+    phone: "+1 555 010 2030",
+    location: "Berlin, Germany",
+  });
+  assert.deepEqual(data.experience[0], {
+    title: "Senior Software Engineer",
+    company: "Acme Payments",
+    start_date: "2019",
+    current: true,
+    achievements: [
+      "Cut checkout latency by 40% by moving fraud checks to an async queue",
+    ],
+  });
+  assert.equal(data.experience[1].end_date, "2019");
+  assert.deepEqual(data.education, []);
+  assert.ok(!JSON.stringify(data).includes("Company Name"));
+});
+
+test("extractResumeData reports what the resume leaves out", async () => {
+  const { service, calls } = serviceReturning(PARSED);
+
+  const data = await service.extractResumeData(RESUME_TEXT, {
+    resume_summary: { optimized_summary: "Payments backend engineer" },
+  });
+
+  assert.equal(calls.count, 1);
+  assert.equal(data.summary, "Payments backend engineer");
+  assert.equal(data.experience.length, 2);
+  assert.deepEqual(data.missing_fields, ["education"]);
+  assert.deepEqual(data.low_confidence, ["experience[1].end_date"]);
+});
+
+test.describe("POST /api/parse-resume", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  test("returns the verified parse with confidence and missing fields", async () => {
+    const { status, body } = await server.request("POST", "/api/parse-resume", {
+      body: { resumeText: RESUME_TEXT },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.ok(body.resume.contact);
+    assert.ok(Array.isArray(body.resume.experience));
+    assert.equal(typeof body.confidence, "object");
+    assert.ok(Array.isArray(body.missing_fields));
+    assert.ok(Array.isArray(body.unverified));
+    assert.equal(body.prompt_template.id, "resume-parse");
+  });
+
+  test("accepts an uploaded resume", async () => {
+    const form = new FormData();
+    form.append(
+      "resumeFile",
+      new Blob([RESUME_TEXT], { type: "text/plain" }),
+      "resume.txt"
+    );
+
+    const { status, body } = await server.request("POST", "/api/parse-resume", {
+      form,
+    });
+
+    assert.equal(status, 200);
+    assert.ok(body.resume);
+  });
+
+  test("rejects a missing or short resume", async () => {
+    for (const body of [{}, { resumeText: "Too short" }]) {
+      const { status } = await server.request("POST", "/api/parse-resume", {
+        body,
+      });
+
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+  });
+});
@@ -0,0 +1,215 @@
+const { startServer } = require("./helpers/server");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  detectSourceFormat,
+  parseResumeSource,
+  toResumeSource,
+} = require("../lib/resume-source");
+const { renderResumeSource } = require("../lib/resume-build");
+
+const EXAMPLE = fs.readFileSync(
+  path.join(__dirname, "..", "docs", "examples", "resume.yaml"),
+  "utf8"
+);
+
+const YAML_SOURCE = `contact:
+  name: Jane Doe
+  email: jane.doe@example.com
+experience:
+  - title: Senior Software Engineer
+    company: Acme Payments
+    start_date: 2019
+    current: true
+    bullets:
+      - Cut checkout latency by 40%
+skills:
+  technical: [Node.js, Go]
+`;
+
+const MARKDOWN_SOURCE = `---
+locale: de
+contact:
+  name: Jane Doe
+---
+
+Backend engineer building **payment APIs**
+in [Node.js](https://nodejs.org).
+
+Mentors engineers.
+`;
+
+test("parses the documented example into LaTeX generator input", () => {
+  const result = parseResumeSource(EXAMPLE, { filename: "resume.yaml" });
+
+  assert.equal(result.valid, true, JSON.stringify(result.errors));
+  assert.equal(result.format, "yaml");
+  assert.equal(result.resumeData.personal.name, "Priya Raman");
+  assert.equal(result.resumeData.experience[0].current, true);
+  // YAML numbers are kept as text
+  assert.equal(result.resumeData.education[0].gpa, "3.8");
+  assert.equal(result.resumeData.education[0].end_date, "2017");
+});
+
+test("reads the summary from a Markdown body", () => {
+  const result = parseResumeSource(MARKDOWN_SOURCE);
+
+  assert.equal(result.valid, true, JSON.stringify(result.errors));
+  assert.equal(result.format, "markdown");
+  assert.equal(result.locale, "de");
+  assert.equal(
+    result.resumeData.summary,
+    "Backend engineer building payment APIs in Node.js. Mentors engineers."
+  );
+
+  assert.equal(detectSourceFormat("contact: {}", "resume.md"), "markdown");
+  assert.equal(detectSourceFormat(MARKDOWN_SOURCE, "resume.yml"), "yaml");
+  assert.equal(detectSourceFormat(YAML_SOURCE), "yaml");
+});
+
+test("reports errors with their line and column in the file", () => {
+  const source = `contact:
+  name: Jane Doe
+  email: not-an-email
+experience:
+  - title: Engineer
+    compnay: Acme
+locale: xx
+`;
+
+  const { valid, errors } = parseResumeSource(source);
+
+  assert.equal(valid, false);
+  assert.deepEqual(
+    errors.map(({ path, line, column }) => [path, line, column]),
+    [
+      ["contact.email", 3, 10],
+      // A missing field points at the entry that should hold it
+      ["experience.0.company", 5, 5],
+      ["experience.0.compnay", 6, 5],
+      ["locale", 7, 9],
+    ]
+  );
+  assert.match(errors[2].message, /Unknown field "compnay"/);
+  assert.match(errors[3].message, /Unsupported locale/);
+});
+
+test("rejects broken YAML, missing front matter and a duplicated summary", () => {
+  const broken = parseResumeSource("contact:\n  name: [Jane\n", {
+    format: "yaml",
+  });
+  assert.equal(broken.valid, false);
+  assert.equal(broken.errors[0].path, "");
+
+  const noFrontMatter = parseResumeSource("# Jane Doe", { format: "markdown" });
+  assert.deepEqual(
+    noFrontMatter.errors.map(({ line, column }) => [line, column]),
+    [[1, 1]]
+  );
+  assert.match(noFrontMatter.errors[0].message, /front matter/);
+
+  const twice = parseResumeSource(
+    "---\ncontact:\n  name: Jane Doe\nsummary: Engineer\n---\nEngineer\n"
+  );
+  // Lines count from the top of the Markdown file, not the front matter
+  assert.deepEqual(
+    twice.errors.map(({ path, line }) => [path, line]),
+    [["summary", 4]]
+  );
+});
+
+test("writes resume data back as a source that parses to the same data", () => {
+  const { resumeData } = parseResumeSource(EXAMPLE);
+
+  for (const format of ["yaml", "markdown"]) {
+    const reparsed = parseResumeSource(toResumeSource(resumeData, format), {
+      format,
+    });
+
+    assert.equal(reparsed.valid, true, JSON.stringify(reparsed.errors));
+    assert.deepEqual(reparsed.resumeData, resumeData, format);
+  }
+});
+
+test("renders LaTeX in the file's locale unless overridden", () => {
+  const rendered = renderResumeSource(MARKDOWN_SOURCE);
+  assert.equal(rendered.locale, "de");
+  assert.match(rendered.latexCode, /Jane Doe/);
+
+  assert.equal(
+    renderResumeSource(MARKDOWN_SOURCE, { locale: "en" }).locale,
+    "en"
+  );
+  assert.equal(renderResumeSource("contact: {}").valid, false);
+});
+
+test.describe("resume source endpoints", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  const post = (url, source) =>
+    server.request("POST", url, {
+      body: source === undefined ? {} : { source },
+    });
+
+  test("validates a source and locates its errors", async () => {
+    const valid = await post("/api/resume/validate", YAML_SOURCE);
+    assert.equal(valid.status, 200);
+    assert.equal(valid.body.valid, true);
+    assert.equal(valid.body.resumeData.personal.name, "Jane Doe");
+
+    const invalid = await post(
+      "/api/resume/validate?format=yaml",
+      "contact:\n  email: jane\n"
+    );
+    assert.equal(invalid.status, 200);
+    assert.equal(invalid.body.valid, false);
+    assert.ok(invalid.body.validation_errors.every((error) => error.line));
+  });
+
+  test("returns the generated LaTeX with output=latex", async () => {
+    const { status, body } = await post(
+      "/api/resume/build?output=latex&locale=en",
+      MARKDOWN_SOURCE
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.format, "markdown");
+    assert.equal(body.locale, "en");
+    assert.match(body.latexCode, /\\documentclass/);
+  });
+
+  test("compiles a PDF with the built-in backend", async () => {
+    const { status, headers } = await post(
+      "/api/resume/build?backend=pdfkit&filename=jane%20doe",
+      YAML_SOURCE
+    );
+
+    assert.equal(status, 200);
+    assert.equal(headers.get("content-type"), "application/pdf");
+    assert.equal(headers.get("x-compile-backend"), "pdfkit");
+    assert.match(headers.get("content-disposition"), /jane-doe\.pdf/);
+  });
+
+  test("rejects missing sources and unknown options", async () => {
+    for (const [url, source] of [
+      ["/api/resume/validate", undefined],
+      ["/api/resume/validate", "   "],
+      ["/api/resume/validate?format=toml", YAML_SOURCE],
+      ["/api/resume/build", undefined],
+      ["/api/resume/build?format=docx", YAML_SOURCE],
+      ["/api/resume/build?backend=word", YAML_SOURCE],
+      ["/api/resume/build?locale=xx", YAML_SOURCE],
+      ["/api/resume/build?output=latex", "contact:\n  email: jane\n"],
+    ]) {
+      const { status } = await post(url, source);
+
+      assert.equal(status, 400, `${url} ${JSON.stringify(source)}`);
+    }
+  });
+});
@@ -0,0 +1,331 @@
+const {
+  startServer,
+  RESUME_TEXT,
+  JOB_DESCRIPTION,
+} = require("./helpers/server");
+const { objectResponse, serviceWithModel } = require("./helpers/model");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const JSZip = require("jszip");
+const {
+  collectResumeFiles,
+  runScreeningJob,
+  screeningResultToCsv,
+} = require("../lib/batch-screening");
+const { JobQueue } = require("../lib/job-queue");
+
+const resumeFor = (name) => RESUME_TEXT.replace("Jane Doe", name);
+
+const textUpload = (originalname, text) => ({
+  originalname,
+  mimetype: "text/plain",
+  buffer: Buffer.from(text),
+  size: Buffer.byteLength(text),
+});
+
+const resume = (filename, text) => ({
+  filename,
+  mimetype: "text/plain",
+  buffer: Buffer.from(text),
+});
+
+const queueFor = (t, options) => {
+  const queue = new JobQueue(options);
+  t.after(() => clearInterval(queue.sweepTimer));
+  return queue;
+};
+
+/**
+ * Service scoring each candidate from their name in the prompt
+ */
+const scoringService = (scores) =>
+  serviceWithModel(async ({ prompt }) => {
+    const text = JSON.stringify(prompt);
+    const name = Object.keys(scores).find((candidate) =>
+      text.includes(candidate)
+    );
+    return objectResponse({
+      candidate_name: name,
+      score: scores[name],
+      recommendation: scores[name] >= 70 ? "yes" : "no",
+      summary: `${name} screened`,
+      strengths: ["Node.js"],
+      gaps: [],
+      red_flags: [],
+    });
+  });
+
+test("expands ZIP archives and skips what cannot be screened", async () => {
+  const zip = new JSZip();
+  zip.file("resumes/alice.txt", resumeFor("Alice Smith"));
+  zip.file("resumes/photo.png", "not a resume");
+  zip.file("__MACOSX/resumes/._alice.txt", "metadata");
+  zip.file("resumes/.DS_Store", "metadata");
+  const archive = await zip.generateAsync({ type: "nodebuffer" });
+
+  const { resumes, skipped } = await collectResumeFiles([
+    textUpload("bob.txt", resumeFor("Bob Jones")),
+    {
+      originalname: "batch.zip",
+      mimetype: "application/zip",
+      buffer: archive,
+      size: archive.length,
+    },
+    {
+      originalname: "broken.zip",
+      mimetype: "application/zip",
+      buffer: Buffer.from("not a zip"),
+      size: 9,
+    },
+  ]);
+
+  assert.deepEqual(
+    resumes.map((resume) => [resume.filename, resume.mimetype]),
+    [
+      ["bob.txt", "text/plain"],
+      ["resumes/alice.txt", "text/plain"],
+    ]
+  );
+  assert.deepEqual(skipped, [
+    { filename: "resumes/photo.png", reason: "Unsupported file type" },
+    { filename: "broken.zip", reason: "Could not read ZIP archive" },
+  ]);
+});
+
+test("ranks screened candidates and reports failures", async (t) => {
+  const queue = queueFor(t);
+  const job = queue.create("screening", { total: 3 });
+
+  await runScreeningJob({
+    job,
+    queue,
+    aiService: scoringService({ "Alice Smith": 90, "Bob Jones": 55 }),
+    resumes: [
+      resume("bob.txt", resumeFor("Bob Jones")),
+      resume("alice.txt", resumeFor("Alice Smith")),
+      resume("empty.txt", "Too short"),
+    ],
+    jobDescription: JOB_DESCRIPTION,
+  });
+
+  assert.equal(job.status, "completed");
+  assert.deepEqual(job.progress, { total: 3, completed: 3, failed: 1 });
+  assert.deepEqual(
+    job.result.candidates.map(({ rank, filename, shortlisted }) => [
+      rank,
+      filename,
+      shortlisted,
+    ]),
+    [
+      [1, "alice.txt", true],
+      [2, "bob.txt", false],
+    ]
+  );
+  assert.deepEqual(job.result.shortlist, [
+    {
+      rank: 1,
+      filename: "alice.txt",
+      candidate_name: "Alice Smith",
+      score: 90,
+    },
+  ]);
+  assert.equal(job.result.failed[0].filename, "empty.txt");
+  assert.equal(job.result.summary.average_score, 73);
+});
+
+test("fails the job when no resume could be screened", async (t) => {
+  const queue = queueFor(t);
+  const job = queue.create("screening", { total: 1 });
+
+  await runScreeningJob({
+    job,
+    queue,
+    aiService: scoringService({}),
+    resumes: [resume("empty.txt", "Too short")],
+    jobDescription: JOB_DESCRIPTION,
+  });
+
+  assert.equal(job.status, "failed");
+  assert.equal(job.error.code, "SCREENING_FAILED");
+});
+
+test("exports CSV with spreadsheet formulas neutralized", () => {
+  const csv = screeningResultToCsv({
+    candidates: [
+      {
+        rank: 1,
+        filename: "alice.txt",
+        candidate_name: '=HYPERLINK("http://evil")',
+        score: 90,
+        recommendation: "yes",
+        shortlisted: true,
+        summary: "Strong, focused",
+        strengths: ["Go", "Node.js"],
+        gaps: [],
+        red_flags: [],
+      },
+    ],
+    failed: [{ filename: "empty.txt", error: { message: "No text" } }],
+  });
+
+  const [header, alice, failed] = csv.split("\r\n");
+  assert.equal(
+    header,
+    "rank,filename,candidate_name,score,recommendation,shortlisted,summary,strengths,gaps,red_flags"
+  );
+  assert.equal(
+    alice,
+    '1,alice.txt,"\'=HYPERLINK(""http://evil"")",90,yes,true,"Strong, focused",Go; Node.js,,'
+  );
+  assert.equal(failed, ",empty.txt,,,,,Screening failed: No text,,,");
+});
+
+test("tracks job progress, cancellation and expiry", (t) => {
+  const queue = queueFor(t, { ttlMs: 1000, maxJobs: 2 });
+  const job = queue.create("screening", { sessionId: "s", total: 4 });
+
+  queue.advance(job);
+  queue.advance(job, { failed: true });
+  const described = queue.describe(job);
+  assert.deepEqual(described.progress, {
+    total: 4,
+    completed: 2,
+    failed: 1,
+    percent: 50,
+  });
+  assert.equal(described.sessionId, undefined);
+
+  queue.cancel(job);
+  queue.finish(job, { candidates: [] });
+  assert.equal(job.status, "cancelled");
+
+  queue.create("screening");
+  assert.throws(() => queue.create("screening"), /Too many background jobs/);
+
+  job.finishedAt = new Date(Date.now() - 2000).toISOString();
+  queue.pruneExpired();
+  assert.equal(queue.get(job.id), null);
+});
+
+test.describe("screening endpoints", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  const SESSION = { "X-Session-Id": "screening-recruiter" };
+
+  const upload = (files, jobDescription = JOB_DESCRIPTION) => {
+    const form = new FormData();
+    if (jobDescription) form.append("jobDescription", jobDescription);
+    for (const [name, text] of files) {
+      form.append("resumes", new Blob([text], { type: "text/plain" }), name);
+    }
+    return server.request("POST", "/api/screening", { form, headers: SESSION });
+  };
+
+  const waitForJob = async (jobId) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const { body } = await server.request("GET", `/api/screening/${jobId}`, {
+        headers: SESSION,
+      });
+      if (body.job.finishedAt) return body.job;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    throw new Error(`Screening job ${jobId} did not finish`);
+  };
+
+  test("screens uploaded resumes in the background", async () => {
+    const started = await upload([
+      ["alice.txt", resumeFor("Alice Smith")],
+      ["bob.txt", resumeFor("Bob Jones")],
+    ]);
+    assert.equal(started.status, 202);
+    assert.equal(started.body.total, 2);
+    assert.equal(
+      started.body.statusUrl,
+      `/api/screening/${started.body.jobId}`
+    );
+
+    const job = await waitForJob(started.body.jobId);
+    assert.equal(job.status, "completed");
+    assert.equal(job.progress.percent, 100);
+    assert.equal(job.result.candidates.length, 2);
+
+    const json = await server.request(
+      "GET",
+      `/api/screening/${job.id}/export?format=json`,
+      { headers: SESSION }
+    );
+    assert.equal(json.status, 200);
+    assert.equal(json.body.candidates.length, 2);
+
+    const csv = await server.request(
+      "GET",
+      `/api/screening/${job.id}/export?format=csv`,
+      { headers: SESSION }
+    );
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get("content-type"), /text\/csv/);
+    assert.equal(csv.body.split("\r\n").length, 3);
+
+    const xml = await server.request(
+      "GET",
+      `/api/screening/${job.id}/export?format=xml`,
+      { headers: SESSION }
+    );
+    assert.equal(xml.status, 400);
+
+    const otherSession = await server.request(
+      "GET",
+      `/api/screening/${job.id}`,
+      { headers: { "X-Session-Id": "screening-someone-else" } }
+    );
+    assert.equal(otherSession.status, 403);
+
+    const cancelled = await server.request(
+      "DELETE",
+      `/api/screening/${job.id}`,
+      { headers: SESSION }
+    );
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.job.status, "completed");
+  });
+
+  test("answers 404 for unknown jobs", async () => {
+    for (const [method, path] of [
+      ["GET", "/api/screening/unknown-job"],
+      ["GET", "/api/screening/unknown-job/export"],
+      ["DELETE", "/api/screening/unknown-job"],
+    ]) {
+      const { status } = await server.request(method, path, {
+        headers: SESSION,
+      });
+
+      assert.equal(status, 404, `${method} ${path}`);
+    }
+  });
+
+  test("rejects a short job description, no files or no usable files", async () => {
+    const shortJd = await upload([["alice.txt", RESUME_TEXT]], "Engineer");
+    assert.equal(shortJd.status, 400);
+
+    const noFiles = await upload([]);
+    assert.equal(noFiles.status, 400);
+
+    const form = new FormData();
+    form.append("jobDescription", JOB_DESCRIPTION);
+    form.append(
+      "resumes",
+      new Blob(["not a zip"], { type: "application/zip" }),
+      "batch.zip"
+    );
+    const unusable = await server.request("POST", "/api/screening", {
+      form,
+      headers: SESSION,
+    });
+    assert.equal(unusable.status, 400);
+    assert.equal(unusable.body.skipped[0].reason, "Could not read ZIP archive");
+  });
+});
@@ -0,0 +1,167 @@
+process.env.ADMIN_API_TOKEN = "sessions-test-admin-token";
+
+const {
+  startServer,
+  RESUME_TEXT,
+  JOB_DESCRIPTION,
+} = require("./helpers/server");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ConversationStore } = require("../lib/conversation-store");
+
+const ADMIN = { "X-Admin-Token": process.env.ADMIN_API_TOKEN };
+
+test("keeps one bounded history per session", (t) => {
+  const store = new ConversationStore({ maxMessages: 3 });
+  t.after(() => clearInterval(store.sweepTimer));
+
+  const alice = store.getManager("session-alice");
+  ["one", "two", "three", "four"].forEach((text) =>
+    alice.addMessage("user", text)
+  );
+  store.getManager("session-bob").addMessage("user", "hello");
+
+  assert.equal(store.getManager("session-alice"), alice);
+  assert.deepEqual(
+    alice.getHistory().map((message) => message.content),
+    ["two", "three", "four"]
+  );
+  assert.equal(store.exportSession("session-bob").messages.length, 1);
+  assert.equal(store.exportSession("session-carol"), null);
+});
+
+test("expires idle sessions and evicts the oldest one when full", (t) => {
+  const store = new ConversationStore({ ttlMs: 1000, maxSessions: 2 });
+  t.after(() => clearInterval(store.sweepTimer));
+
+  store.getManager("session-1").addMessage("user", "hi");
+  store.getManager("session-2");
+  store.sessions.get("session-1").lastAccess -= 2000;
+
+  assert.equal(store.hasSession("session-1"), false);
+  assert.equal(store.getManager("session-1").history.length, 0);
+
+  store.sessions.get("session-2").lastAccess -= 500;
+  store.getManager("session-3");
+  assert.deepEqual(
+    store.listSessions().map((session) => session.sessionId),
+    ["session-1", "session-3"]
+  );
+  assert.equal(store.deleteSession("session-3"), true);
+  assert.equal(store.deleteSession("session-3"), false);
+});
+
+test.describe("session endpoints", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  const ALICE = { "X-Session-Id": "session-alice-http" };
+  const BOB = { "X-Session-Id": "session-bob-http" };
+
+  const history = async (headers) =>
+    (await server.request("GET", "/api/conversation-history", { headers })).body
+      .history;
+
+  test("issues a session cookie to new callers", async () => {
+    const { headers } = await server.request(
+      "GET",
+      "/api/conversation-history"
+    );
+
+    const sessionId = headers.get("x-session-id");
+    assert.ok(sessionId);
+    assert.match(
+      headers.get("set-cookie"),
+      new RegExp(`resume_session=${sessionId}`)
+    );
+  });
+
+  test("shares a session's history across controllers", async () => {
+    await server.request("POST", "/api/generate-summary", {
+      headers: ALICE,
+      body: { resumeText: RESUME_TEXT },
+    });
+    await server.request("POST", "/api/generate-cover-letter", {
+      headers: ALICE,
+      body: { resumeText: RESUME_TEXT, jobDescription: JOB_DESCRIPTION },
+    });
+
+    assert.equal((await history(ALICE)).length, 4);
+    assert.deepEqual(await history(BOB), []);
+  });
+
+  test("exports a session to its owner and to admins only", async () => {
+    const own = await server.request(
+      "GET",
+      "/api/sessions/session-alice-http/export",
+      { headers: ALICE }
+    );
+    assert.equal(own.status, 200);
+    assert.equal(own.body.sessionId, "session-alice-http");
+    assert.equal(own.body.messages.length, 4);
+    assert.match(own.headers.get("content-disposition"), /attachment/);
+
+    const other = await server.request(
+      "GET",
+      "/api/sessions/session-alice-http/export",
+      { headers: BOB }
+    );
+    assert.equal(other.status, 403);
+
+    const missing = await server.request(
+      "GET",
+      "/api/sessions/session-nobody-http/export",
+      { headers: ADMIN }
+    );
+    assert.equal(missing.status, 404);
+  });
+
+  test("lists sessions for admins only", async () => {
+    const anonymous = await server.request("GET", "/api/sessions");
+    assert.equal(anonymous.status, 401);
+
+    const { status, body } = await server.request("GET", "/api/sessions", {
+      headers: ADMIN,
+    });
+    assert.equal(status, 200);
+    assert.ok(
+      body.sessions.some(
+        (session) =>
+          session.sessionId === "session-alice-http" &&
+          session.messageCount === 4
+      )
+    );
+  });
+
+  test("clears and deletes a session", async () => {
+    const cleared = await server.request("POST", "/api/clear-history", {
+      headers: ALICE,
+    });
+    assert.equal(cleared.status, 200);
+    assert.deepEqual(await history(ALICE), []);
+
+    const forbidden = await server.request(
+      "DELETE",
+      "/api/sessions/session-alice-http",
+      { headers: BOB }
+    );
+    assert.equal(forbidden.status, 403);
+
+    const deleted = await server.request(
+      "DELETE",
+      "/api/sessions/session-alice-http",
+      { headers: ALICE }
+    );
+    assert.equal(deleted.status, 200);
+
+    const again = await server.request(
+      "DELETE",
+      "/api/sessions/session-alice-http",
+      { headers: ALICE }
+    );
+    assert.equal(again.status, 404);
+  });
+});
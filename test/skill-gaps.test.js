@@ -0,0 +1,174 @@
+const {
+  startServer,
+  RESUME_TEXT,
+  JOB_DESCRIPTION,
+} = require("./helpers/server");
+const { serviceReturning } = require("./helpers/model");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildSkillGapReport, listJobSkills } = require("../lib/skill-gap");
+
+const skill = (name, importance, category = "technical") => ({
+  name,
+  category,
+  importance,
+});
+
+const PROFILE = {
+  role_title: "Senior Backend Engineer",
+  seniority: "senior",
+  required_skills: [
+    skill("Go", "critical"),
+    skill("Kafka", "high", "tool"),
+    skill("Redis", "medium", "tool"),
+  ],
+  preferred_skills: [skill("go", "low"), skill("Terraform", "low", "tool")],
+  responsibilities: ["Operate payment APIs"],
+};
+
+const roadmapItem = (name) => ({
+  skill: name,
+  why: `The role uses ${name}`,
+  learning_steps: [`Learn ${name}`],
+  project_ideas: [`Build something with ${name}`],
+  resume_phrasing: `Built X with ${name}`,
+  estimated_time: "2 weeks",
+});
+
+const CLASSIFICATION = {
+  skills: [
+    {
+      skill: "Go",
+      status: "matched",
+      evidence: "Payment APIs in Go",
+      note: "",
+    },
+    { skill: "Kafka", status: "missing", evidence: "", note: "Not mentioned" },
+  ],
+  roadmap: [roadmapItem("Terraform"), roadmapItem("Go"), roadmapItem("Kafka")],
+  summary: "Strong on Go, missing Kafka",
+};
+
+test("lists each job skill once, required before preferred", () => {
+  assert.deepEqual(
+    listJobSkills(PROFILE).map(({ name, requirement }) => [name, requirement]),
+    [
+      ["Go", "required"],
+      ["Kafka", "required"],
+      ["Redis", "required"],
+      ["Terraform", "preferred"],
+    ]
+  );
+});
+
+test("classifies skills and ranks the roadmap by importance", () => {
+  const report = buildSkillGapReport(
+    PROFILE,
+    { technical: ["Go"], tools: ["Redis"] },
+    CLASSIFICATION
+  );
+
+  assert.deepEqual(
+    report.skills.map(({ skill, status, detected_in_resume }) => [
+      skill,
+      status,
+      detected_in_resume,
+    ]),
+    [
+      ["Go", "matched", true],
+      ["Kafka", "missing", false],
+      // Skipped by the model but found in the resume
+      ["Redis", "partial", true],
+      ["Terraform", "missing", false],
+    ]
+  );
+
+  // Matched skills drop out; required gaps outrank preferred ones
+  assert.deepEqual(
+    report.roadmap.map(({ priority, skill, status }) => [
+      priority,
+      skill,
+      status,
+    ]),
+    [
+      [1, "Kafka", "missing"],
+      [2, "Terraform", "missing"],
+    ]
+  );
+
+  // Go 8/8, Kafka 0/6, Redis 2/4, Terraform 0/1
+  assert.deepEqual(report.summary, {
+    text: "Strong on Go, missing Kafka",
+    coverage_score: 53,
+    total: 4,
+    matched: 1,
+    partial: 1,
+    missing: 2,
+    required_missing: 1,
+  });
+});
+
+test("parses the job description before classifying against the resume", async () => {
+  const { service, calls } = serviceReturning(PROFILE, CLASSIFICATION);
+
+  const report = await service.analyzeSkillGaps(RESUME_TEXT, JOB_DESCRIPTION);
+
+  assert.equal(calls.count, 2);
+  assert.equal(report.role_title, "Senior Backend Engineer");
+  assert.equal(report.skills.length, 4);
+  assert.equal(report.prompt_template.id, "skill-gap");
+  assert.equal(report.job_description_template.id, "job-description-parse");
+});
+
+test("skips the classification when the posting lists no skills", async () => {
+  const { service, calls } = serviceReturning({
+    ...PROFILE,
+    required_skills: [],
+    preferred_skills: [],
+  });
+
+  const report = await service.analyzeSkillGaps(RESUME_TEXT, JOB_DESCRIPTION);
+
+  assert.equal(calls.count, 1);
+  assert.deepEqual(report.skills, []);
+  assert.equal(report.summary.coverage_score, null);
+});
+
+test.describe("POST /api/skill-gaps", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  const analyze = (body) => server.request("POST", "/api/skill-gaps", { body });
+
+  test("returns classified skills, a roadmap and coverage", async () => {
+    const { status, body } = await analyze({
+      resumeText: RESUME_TEXT,
+      jobDescription: JOB_DESCRIPTION,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.ok(Array.isArray(body.skills));
+    assert.ok(Array.isArray(body.roadmap));
+    for (const entry of body.skills) {
+      assert.ok(["matched", "partial", "missing"].includes(entry.status));
+    }
+    assert.equal(body.summary.total, body.skills.length);
+  });
+
+  test("requires a resume and a job description of useful length", async () => {
+    for (const body of [
+      { jobDescription: JOB_DESCRIPTION },
+      { resumeText: "Too short", jobDescription: JOB_DESCRIPTION },
+      { resumeText: RESUME_TEXT },
+      { resumeText: RESUME_TEXT, jobDescription: "Backend engineer" },
+    ]) {
+      const { status } = await analyze(body);
+
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+  });
+});
@@ -0,0 +1,157 @@
+const {
+  startServer,
+  RESUME_TEXT,
+  JOB_DESCRIPTION,
+} = require("./helpers/server");
+const { serviceWithStream } = require("./helpers/model");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { APICallError } = require("ai");
+const { getCircuitBreaker } = require("../lib/ai-resilience");
+
+/**
+ * Parse a Server-Sent Events body into [{ event, data }]
+ */
+const parseEvents = (body) =>
+  body
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const [, event] = block.match(/^event: (.+)$/m);
+      const [, data] = block.match(/^data: (.+)$/m);
+      return { event, data: JSON.parse(data) };
+    });
+
+const collect = async (events) => {
+  const collected = [];
+  for await (const event of events) collected.push(event);
+  return collected;
+};
+
+test("stops the model stream when the caller aborts", async () => {
+  const seen = {};
+  const service = serviceWithStream(async ({ abortSignal }) => {
+    seen.abortSignal = abortSignal;
+    return {
+      stream: new ReadableStream({
+        start(controller) {
+          controller.enqueue({ type: "stream-start", warnings: [] });
+          controller.enqueue({ type: "text-start", id: "text-0" });
+          controller.enqueue({
+            type: "text-delta",
+            id: "text-0",
+            delta: '{"overall_score": 72, "clarity_score": 6',
+          });
+          // The rest of the answer never arrives unless the call is aborted
+          abortSignal.addEventListener("abort", () =>
+            controller.error(new DOMException("Aborted", "AbortError"))
+          );
+        },
+      }),
+    };
+  });
+  const abortController = new AbortController();
+
+  const events = await service.streamStructuredAnalysis(
+    RESUME_TEXT,
+    null,
+    {},
+    {},
+    { abortSignal: abortController.signal }
+  );
+
+  const received = [];
+  await assert.rejects(async () => {
+    for await (const event of events) {
+      received.push(event);
+      abortController.abort();
+    }
+  });
+  assert.equal(received[0].event, "partial");
+  assert.equal(received[0].data.overall_score, 72);
+  assert.equal(seen.abortSignal.aborted, true);
+});
+
+test("surfaces provider failures as typed errors", async () => {
+  const service = serviceWithStream(async () => {
+    throw new APICallError({
+      message: "Too many requests",
+      url: "https://provider.example/v1",
+      requestBodyValues: {},
+      statusCode: 429,
+    });
+  });
+
+  const events = await service.streamStructuredAnalysis(RESUME_TEXT);
+
+  await assert.rejects(collect(events), { code: "RATE_LIMITED" });
+  getCircuitBreaker("fixture").recordSuccess();
+});
+
+test.describe("POST /api/stream-analysis/structured", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  const stream = (body) =>
+    server.request("POST", "/api/stream-analysis/structured", { body });
+
+  test("streams partial objects, completed sections, usage and the result", async () => {
+    const { status, headers, body } = await stream({
+      resumeText: RESUME_TEXT,
+      jobDescription: JOB_DESCRIPTION,
+    });
+
+    assert.equal(status, 200);
+    assert.match(headers.get("content-type"), /text\/event-stream/);
+
+    const events = parseEvents(body);
+    const names = events.map((event) => event.event);
+    assert.equal(names[0], "partial");
+    assert.ok(names.includes("section-complete"));
+    assert.deepEqual(names.slice(-2), ["usage", "done"]);
+    assert.ok(!names.includes("error"));
+
+    const sections = events
+      .filter((event) => event.event === "section-complete")
+      .map((event) => event.data.section);
+    assert.ok(sections.includes("overall_score"));
+    assert.equal(new Set(sections).size, sections.length);
+
+    const done = events[events.length - 1].data;
+    assert.equal(typeof done.overall_score, "number");
+    assert.equal(done.resume_source_text, RESUME_TEXT);
+    assert.equal(done.job_description_provided, true);
+    assert.equal(done.locale.code, "en");
+    assert.equal(events[events.length - 2].data.cached, false);
+  });
+
+  test("rejects missing, short or unsupported-locale input", async () => {
+    for (const body of [
+      {},
+      { resumeText: "Too short" },
+      { resumeText: RESUME_TEXT, locale: "xx" },
+    ]) {
+      const { status, headers } = await stream(body);
+
+      assert.equal(status, 400, JSON.stringify(body));
+      assert.match(headers.get("content-type"), /application\/json/);
+    }
+  });
+
+  test("answers with the error status when the provider is unavailable", async () => {
+    const breaker = getCircuitBreaker("fixture");
+    for (let i = 0; i < breaker.failureThreshold; i++) breaker.recordFailure();
+
+    try {
+      const { status, body } = await stream({ resumeText: RESUME_TEXT });
+
+      assert.equal(status, 503);
+      assert.equal(body.code, "PROVIDER_UNAVAILABLE");
+    } finally {
+      breaker.recordSuccess();
+    }
+  });
+});
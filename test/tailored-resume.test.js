@@ -0,0 +1,164 @@
+const {
+  startServer,
+  RESUME_TEXT,
+  JOB_DESCRIPTION,
+} = require("./helpers/server");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { AIService } = require("../lib/ai-service");
+
+const RESUME_DATA = {
+  personal: { name: "Jane Doe" },
+  summary: "Backend engineer",
+  experience: [
+    {
+      title: "Senior Software Engineer",
+      company: "Acme Payments",
+      achievements: [
+        "Cut checkout latency by 40%",
+        "Led a team of 5 engineers",
+      ],
+    },
+  ],
+  projects: [{ name: "Ledger", description: "Built a double-entry ledger" }],
+  skills: { technical: ["PHP", "Go", "Node.js"], tools: ["Jira"] },
+};
+
+const TAILORING = {
+  tailored_summary: "Backend engineer focused on payment APIs",
+  enhanced_bullets: [
+    {
+      original: "• cut checkout latency by 40%",
+      enhanced: "Cut checkout latency by 40% with an async fraud queue",
+      reasoning: "Names the technique",
+    },
+    {
+      original: "Built a double-entry ledger",
+      enhanced: "Built a double-entry ledger in Go",
+      reasoning: "Mentions the language",
+    },
+    {
+      original: "Maintained a legacy CRM",
+      enhanced: "Modernized a legacy CRM",
+      reasoning: "Not in the resume",
+    },
+  ],
+  skills_optimization: {
+    prioritized_skills: ["Node.js", "Go"],
+    skills_to_add: ["Kubernetes", "go"],
+    skills_to_remove: ["php"],
+  },
+  section_recommendations: [],
+  ats_keywords: ["payments"],
+  match_percentage: 80,
+  improvement_areas: [],
+};
+
+test("applies tailoring suggestions and logs every change", () => {
+  const service = new AIService({ provider: "fixture" });
+
+  const { resumeData, changeLog } = service.applyTailoring(
+    RESUME_DATA,
+    TAILORING
+  );
+
+  assert.equal(resumeData.summary, TAILORING.tailored_summary);
+  assert.deepEqual(resumeData.experience[0].achievements, [
+    "Cut checkout latency by 40% with an async fraud queue",
+    "Led a team of 5 engineers",
+  ]);
+  assert.equal(
+    resumeData.projects[0].description,
+    "Built a double-entry ledger in Go"
+  );
+  assert.deepEqual(resumeData.skills.technical, ["Node.js", "Go"]);
+  // The original is left untouched
+  assert.equal(RESUME_DATA.summary, "Backend engineer");
+  assert.deepEqual(RESUME_DATA.skills.technical, ["PHP", "Go", "Node.js"]);
+
+  assert.deepEqual(
+    changeLog.map(({ type, section, applied }) => [type, section, applied]),
+    [
+      ["summary_rewritten", "summary", true],
+      ["bullet_rewritten", "experience", true],
+      ["bullet_rewritten", "projects", true],
+      ["bullet_rewritten", null, false],
+      ["skill_removed", "skills.technical", true],
+      ["skills_reordered", "skills.technical", true],
+      ["skill_suggested", "skills.technical", false],
+    ]
+  );
+  assert.equal(changeLog[6].after, "Kubernetes");
+});
+
+test("rewrites each bullet at most once", () => {
+  const service = new AIService({ provider: "fixture" });
+  const resume = {
+    experience: [{ achievements: ["Shipped features", "Shipped features"] }],
+  };
+  const bullet = {
+    original: "Shipped features",
+    enhanced: "Shipped 12 features",
+    reasoning: "Quantified",
+  };
+
+  const { resumeData, changeLog } = service.applyTailoring(resume, {
+    enhanced_bullets: [bullet, bullet, bullet],
+  });
+
+  assert.deepEqual(resumeData.experience[0].achievements, [
+    "Shipped 12 features",
+    "Shipped 12 features",
+  ]);
+  assert.deepEqual(
+    changeLog.map((entry) => entry.applied),
+    [true, true, false]
+  );
+});
+
+test.describe("POST /api/generate-variant", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.close());
+
+  const generate = (body) =>
+    server.request("POST", "/api/generate-variant", { body });
+
+  test("returns suggestions, a tailored resume and a change log", async () => {
+    const { status, body } = await generate({
+      resumeText: RESUME_TEXT,
+      jobDescription: JOB_DESCRIPTION,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(typeof body.match_percentage, "number");
+    assert.ok(Array.isArray(body.enhanced_bullets));
+    assert.ok(body.skills_optimization);
+    assert.equal(
+      body.tailored_resume.resume_data.summary,
+      body.tailored_summary
+    );
+    assert.match(body.tailored_resume.latex_source, /\\begin\{document\}/);
+    assert.ok(
+      body.change_log.some((entry) => entry.type === "summary_rewritten")
+    );
+  });
+
+  test("requires a resume and a job description", async () => {
+    for (const body of [
+      { resumeText: RESUME_TEXT },
+      { jobDescription: JOB_DESCRIPTION },
+      {},
+    ]) {
+      const { status, body: response } = await generate(body);
+
+      assert.equal(status, 400);
+      assert.equal(
+        response.error,
+        "Resume text and job description are required"
+      );
+    }
+  });
+});
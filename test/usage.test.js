@@ -0,0 +1,178 @@
+const { startServer, RESUME_TEXT } = require("./helpers/server");
+const { serviceReturning } = require("./helpers/model");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { UsageTracker } = require("../lib/usage-tracker");
+
+const ADMIN_TOKEN = "usage-test-admin-token";
+
+const trackerWith = (t, options = {}) => {
+  const tracker = new UsageTracker({
+    priceTable: {
+      "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+      "gemini-2.0-flash-lite": { input: 0.075, output: 0.3 },
+    },
+    ...options,
+  });
+  t.after(() => clearInterval(tracker.sweepTimer));
+  return tracker;
+};
+
+test("prices calls by the longest matching model prefix", (t) => {
+  const tracker = trackerWith(t);
+
+  assert.equal(
+    tracker.estimateCost("gemini-2.0-flash-lite-001", 1e6, 1e6).costUsd,
+    0.375
+  );
+  assert.equal(tracker.estimateCost("gemini-2.0-flash", 1e6, 0).costUsd, 0.1);
+  assert.deepEqual(tracker.estimateCost("llama-3.1-8b", 1e6, 1e6), {
+    costUsd: 0,
+    priced: false,
+  });
+});
+
+test("aggregates usage per session, day, endpoint and provider", (t) => {
+  const tracker = trackerWith(t, { dailyBudgetUsd: 1 });
+  const call = {
+    route: "/api/analyze",
+    generator: "analyzeResume",
+    provider: "gemini",
+    model: "gemini-2.0-flash",
+    inputTokens: 1000000,
+    outputTokens: 500000,
+  };
+
+  tracker.record({ ...call, sessionId: "session-a" });
+  tracker.record({ ...call, sessionId: "session-a", route: null });
+  tracker.record({ ...call, provider: "local", model: "llama-3.1-8b" });
+
+  assert.deepEqual(tracker.getSessionUsage("session-a"), {
+    calls: 2,
+    inputTokens: 2000000,
+    outputTokens: 1000000,
+    totalTokens: 3000000,
+    costUsd: 0.6,
+  });
+  assert.equal(tracker.getSessionUsage("session-b").calls, 0);
+
+  const summary = tracker.summarize({ days: 7 });
+  assert.equal(summary.totals.calls, 3);
+  assert.equal(summary.daily.length, 1);
+  assert.equal(summary.byEndpoint["/api/analyze"].calls, 2);
+  assert.equal(summary.byEndpoint["(internal)"].calls, 1);
+  assert.equal(summary.byProvider["gemini/gemini-2.0-flash"].costUsd, 0.6);
+  assert.deepEqual(summary.budget, {
+    dailyLimitUsd: 1,
+    spentTodayUsd: 0.6,
+    remainingUsd: 0.4,
+  });
+  assert.deepEqual(summary.unpricedModels, ["llama-3.1-8b"]);
+});
+
+test("evicts the least recently active session and prunes old days", (t) => {
+  const tracker = trackerWith(t, { maxSessions: 2, retentionDays: 30 });
+  const record = (sessionId) =>
+    tracker.record({
+      generator: "generateSummary",
+      sessionId,
+      provider: "fixture",
+      model: "fixture-v1",
+      inputTokens: 10,
+      outputTokens: 5,
+    });
+
+  record("session-a");
+  record("session-b");
+  record("session-a");
+  record("session-c");
+
+  assert.deepEqual(Array.from(tracker.sessions.keys()), [
+    "session-a",
+    "session-c",
+  ]);
+
+  const later = new Date();
+  later.setUTCDate(later.getUTCDate() + 31);
+  tracker.prune(later.toISOString().slice(0, 10));
+  assert.equal(tracker.buckets.size, 0);
+  assert.equal(tracker.sessions.size, 0);
+});
+
+test("attributes model calls to the route, generator and session", async (t) => {
+  const tracker = trackerWith(t);
+  const { service } = serviceReturning({
+    summary: "Backend engineer",
+    explanation: "",
+    keywords: [],
+    metrics_highlighted: [],
+    improvement_tips: [],
+  });
+  service.usageTracker = tracker;
+
+  await service
+    .withContext({ route: "/api/generate-summary", sessionId: "session-a" })
+    .generateSummary(RESUME_TEXT);
+
+  const summary = tracker.summarize();
+  assert.deepEqual(Object.keys(summary.byGenerator), ["generateSummary"]);
+  assert.deepEqual(Object.keys(summary.byEndpoint), ["/api/generate-summary"]);
+  assert.equal(summary.byProvider["fixture/fixture-v1"].totalTokens, 20);
+  assert.equal(tracker.getSessionUsage("session-a").calls, 1);
+});
+
+test.describe("usage endpoints", () => {
+  let server;
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => {
+    delete process.env.ADMIN_API_TOKEN;
+    return server.close();
+  });
+
+  const SESSION = { "X-Session-Id": "usage-session-http" };
+
+  test("reports the caller's own session usage", async () => {
+    await server.request("POST", "/api/generate-summary", {
+      headers: SESSION,
+      body: { resumeText: RESUME_TEXT },
+    });
+
+    const { status, body } = await server.request("GET", "/api/usage", {
+      headers: SESSION,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.session.sessionId, "usage-session-http");
+    assert.equal(body.session.calls, 1);
+    assert.ok(body.session.totalTokens > 0);
+
+    const other = await server.request("GET", "/api/usage", {
+      headers: { "X-Session-Id": "usage-other-session" },
+    });
+    assert.equal(other.body.session.calls, 0);
+  });
+
+  test("summarizes usage for admins only", async () => {
+    delete process.env.ADMIN_API_TOKEN;
+    const disabled = await server.request("GET", "/api/usage/summary");
+    assert.equal(disabled.status, 403);
+
+    process.env.ADMIN_API_TOKEN = ADMIN_TOKEN;
+    const anonymous = await server.request("GET", "/api/usage/summary", {
+      headers: { "X-Admin-Token": "wrong-token" },
+    });
+    assert.equal(anonymous.status, 401);
+
+    const { status, body } = await server.request(
+      "GET",
+      "/api/usage/summary?days=500",
+      { headers: { "X-Admin-Token": ADMIN_TOKEN } }
+    );
+    assert.equal(status, 200);
+    assert.equal(body.days, 90);
+    assert.ok(body.byEndpoint["/api/generate-summary"].calls >= 1);
+    assert.ok(body.byGenerator.generateSummary);
+  });
+});
@@ -0,0 +1,31 @@
+const isEnabled = (value) => value === true || value === "true";
+
+/**
+ * Analysis toggles from a JSON or multipart request body
+ */
+const parseAnalysisOptions = (body) => ({
+  includeClarity: isEnabled(body.includeClarity),
+  includeImpact: isEnabled(body.includeImpact),
+  includeATS: isEnabled(body.includeATS),
+  includeJDMatch: isEnabled(body.includeJDMatch),
+});
+
+/**
+ * Generator toggles, given either as top-level fields or in a
+ * `generatorOptions` object. Inline LaTeX generation is always off; use the
+ * dedicated "Generate Best Resume" flow instead.
+ */
+const parseGeneratorOptions = (body) => {
+  const nested = body.generatorOptions || {};
+  const flag = (name) => isEnabled(body[name]) || !!nested[name];
+
+  return {
+    includeSummaryGen: flag("includeSummaryGen"),
+    includeVariantGen: flag("includeVariantGen"),
+    includeCoverGen: flag("includeCoverGen"),
+    includeLinkedInGen: flag("includeLinkedInGen"),
+    includeLatexGen: false,
+  };
+};
+
+module.exports = { parseAnalysisOptions, parseGeneratorOptions };
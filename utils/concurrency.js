@@ -0,0 +1,25 @@
+/**
+ * Map over items with at most `limit` calls in flight, preserving order.
+ * A rejected call rejects the whole map, like Promise.all; callers that want
+ * per-item failures should catch inside `fn`.
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    worker
+  );
+  await Promise.all(workers);
+  return results;
+};
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,14 @@
+/**
+ * First of `fields` that is present in `body` but not a string, or null.
+ * Lets handlers answer 400 instead of failing later on e.g. a numeric
+ * `resumeText`.
+ */
+const findNonTextField = (body, fields) =>
+  fields.find(
+    (field) =>
+      body[field] !== undefined &&
+      body[field] !== null &&
+      typeof body[field] !== "string"
+  ) || null;
+
+module.exports = { findNonTextField };